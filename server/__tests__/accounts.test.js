@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AccountError, AccountStore, toPublicAccount, signToken, verifyToken } = require('../accounts.js');
+
+describe('account store', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'battlecars-accounts-'));
+        filePath = path.join(dir, 'accounts.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('registers, hashes and reloads accounts from disk', async () => {
+        const store = new AccountStore(filePath);
+        const account = await store.register('Driver_1', 'correct horse');
+        expect(account.passwordHash).not.toContain('correct horse');
+
+        const reloaded = new AccountStore(filePath);
+        expect(reloaded.findById(account.id).username).toBe('Driver_1');
+        expect(await reloaded.verifyCredentials('driver_1', 'correct horse')).toMatchObject({ id: account.id });
+        expect(await reloaded.verifyCredentials('driver_1', 'wrong password')).toBeNull();
+    });
+
+    test('rejects bad usernames, short passwords and case-insensitive duplicates', async () => {
+        const store = new AccountStore(filePath);
+        await expect(store.register('a b', 'long enough')).rejects.toBeInstanceOf(AccountError);
+        await expect(store.register('Driver', 'short')).rejects.toThrow('Password must be');
+        await store.register('Driver', 'long enough');
+        await expect(store.register('DRIVER', 'long enough')).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('keeps the matchmaking rating across reloads', async () => {
+        const store = new AccountStore(filePath);
+        const account = await store.register('Driver', 'long enough');
+        expect(toPublicAccount(account).rating).toBeNull();
+        const other = await store.register('Rival', 'long enough');
+        const writeFile = jest.spyOn(fs.promises, 'writeFile');
+        store.setRatings([{ id: account.id, rating: 1234 }, { id: other.id, rating: 966 }, { id: 'gone', rating: 1 }]);
+        await store.flush();
+        expect(writeFile).toHaveBeenCalledTimes(1);
+        writeFile.mockRestore();
+
+        const reloaded = new AccountStore(filePath);
+        expect(toPublicAccount(reloaded.findById(account.id))).toMatchObject({ rating: 1234 });
+        expect(toPublicAccount(reloaded.findById(other.id))).toMatchObject({ rating: 966 });
+    });
+
+    test('tokens verify only with the signing secret', () => {
+        const token = signToken({ id: 'abc', username: 'Driver' }, 'secret-a');
+        expect(verifyToken(token, 'secret-a')).toMatchObject({ sub: 'abc', username: 'Driver' });
+        expect(verifyToken(token, 'secret-b')).toBeNull();
+        expect(verifyToken(undefined, 'secret-a')).toBeNull();
+    });
+});
@@ -0,0 +1,161 @@
+const {
+    GameMode, DeathmatchMode, CtfMode, SoccerMode, KothMode, EliminationMode, registerGameMode, registerBuiltInGameModes, getGameMode, hasGameMode
+} = require('../gameModes.js');
+
+const makeRoom = (state = {}) => ({
+    roomId: 'test',
+    playerIds: [],
+    state: { leaderboard: new Map(), roundEndTime: 1000, ...state }
+});
+
+describe('game modes', () => {
+    test('deathmatch scores kills and respawns the victim', () => {
+        const mode = new DeathmatchMode({ respawnMs: 2500 });
+        const room = makeRoom();
+        room.state.leaderboard.set('a', { kills: 0, deaths: 0 });
+        room.state.leaderboard.set('b', { kills: 0, deaths: 0 });
+
+        expect(mode.onKill(room, 'a', 'b', false)).toBe(2500);
+        expect(mode.onKill(room, 'b', 'a', true)).toBe(2500);
+        expect(room.state.leaderboard.get('a')).toEqual({ kills: 1, deaths: 1 });
+        expect(room.state.leaderboard.get('b')).toEqual({ kills: 0, deaths: 1 });
+        expect(mode.onDamage(room, 'a', 'b', 12)).toEqual({ damage: 12, friendlyFire: false });
+
+        // A room's own respawn rule wins over the mode default
+        room.state.rules = { respawnSeconds: 6 };
+        expect(mode.onKill(room, 'a', 'b', false)).toBe(6000);
+    });
+
+    test('rounds end on the timer and standings go by kills, damage, then deaths', () => {
+        const mode = new DeathmatchMode();
+        const room = makeRoom();
+        expect(mode.checkRoundEnd(room, 999)).toBeNull();
+        expect(mode.checkRoundEnd(room, 1000)).toEqual({});
+
+        const standings = [
+            { playerId: 'a', kills: 2, damageDealt: 50, deaths: 3 },
+            { playerId: 'b', kills: 2, damageDealt: 50, deaths: 1 },
+            { playerId: 'c', kills: 4, damageDealt: 10, deaths: 5 }
+        ].sort((x, y) => mode.compareStandings(x, y));
+        expect(standings.map(entry => entry.playerId)).toEqual(['c', 'b', 'a']);
+        expect(mode.getRoundInfo(room)).toEqual({ mode: 'deathmatch' });
+    });
+
+    test('objective modes rank their own score ahead of kills', () => {
+        const entries = [
+            { playerId: 'a', kills: 5, damageDealt: 90, deaths: 0 },
+            { playerId: 'b', kills: 1, damageDealt: 10, deaths: 4, captures: 1, goals: 2, zonePoints: 30 },
+            { playerId: 'c', kills: 2, damageDealt: 20, deaths: 2, captures: 1, goals: 1, zonePoints: 12 }
+        ];
+        const order = mode => entries.slice().sort((x, y) => mode.compareStandings(x, y)).map(entry => entry.playerId);
+        expect(order(new DeathmatchMode())).toEqual(['a', 'c', 'b']);
+        expect(order(new CtfMode())).toEqual(['c', 'b', 'a']);
+        expect(order(new SoccerMode())).toEqual(['b', 'c', 'a']);
+        expect(order(new KothMode())).toEqual(['b', 'c', 'a']);
+    });
+
+    test('the built-in modes register under their room ids', () => {
+        registerBuiltInGameModes({ respawnMs: 3000, world: {} });
+        ['deathmatch', 'team', 'ctf', 'soccer', 'koth', 'elimination'].forEach(id => {
+            expect(getGameMode(id).id).toBe(id);
+        });
+        expect(getGameMode('team').teams).toBe(true);
+        expect(getGameMode('koth').teams).toBe(false);
+    });
+
+    describe('last car standing', () => {
+        const players = {
+            a: { id: 'a', name: 'Ann', health: 40 },
+            b: { id: 'b', name: 'Bo', health: 90 },
+            c: { id: 'c', name: 'Cy', health: 10 }
+        };
+        const makeEliminationRoom = (active) => ({
+            ...makeRoom({
+                activePlayers: new Set(active),
+                roundContestants: active.length,
+                roundNumber: 0,
+                roundWins: new Map(),
+                matchOver: false
+            }),
+            playerIds: Object.keys(players),
+            getPlayer: id => players[id]
+        });
+
+        test('the round ends once one car is left, and that car wins it', () => {
+            const mode = new EliminationMode({ winsToMatch: 3 });
+            const room = makeEliminationRoom(['a', 'b', 'c']);
+            mode.onRoundStart(room);
+            expect(room.state.roundNumber).toBe(1);
+            expect(mode.onKill(room, 'a', 'c', false)).toBeNull();
+
+            room.state.activePlayers.delete('c');
+            expect(mode.checkRoundEnd(room, 0)).toBeNull();
+            room.state.activePlayers.delete('b');
+            expect(mode.checkRoundEnd(room, 0)).toEqual({ winnerId: 'a' });
+            expect(mode.onRoundEnd(room, 'a')).toMatchObject({
+                roundNumber: 1,
+                winnerId: 'a',
+                winnerName: 'Ann',
+                roundWins: [{ playerId: 'a', wins: 1, playerName: 'Ann' }],
+                matchWinnerId: null
+            });
+        });
+
+        test('a round nobody survives is a draw; on the timer the healthiest survivor wins', () => {
+            const mode = new EliminationMode({ winsToMatch: 3 });
+            const room = makeEliminationRoom(['a', 'b']);
+            room.state.activePlayers.clear();
+            expect(mode.checkRoundEnd(room, 0)).toEqual({ winnerId: null });
+            expect(mode.onRoundEnd(room, null)).toMatchObject({ winnerId: null, winnerName: null, roundWins: [] });
+
+            const timedOut = makeEliminationRoom(['a', 'b', 'c']);
+            expect(mode.checkRoundEnd(timedOut, 1000)).toEqual({});
+            expect(mode.onRoundEnd(timedOut, undefined)).toMatchObject({ winnerId: 'b', winnerName: 'Bo' });
+        });
+
+        test('a solo warm-up round does not count', () => {
+            const mode = new EliminationMode({ winsToMatch: 3 });
+            const room = makeEliminationRoom(['a']);
+            // Runs on the timer until a second car joins, which restarts it
+            expect(mode.checkRoundEnd(room, 0)).toBeNull();
+            expect(mode.getLateJoin(room, 'b', null)).toBe('restart');
+            expect(mode.onRoundEnd(room, 'a')).toMatchObject({ winnerId: null, roundWins: [] });
+
+            mode.onRoundStart(room);
+            room.state.roundContestants = 2;
+            expect(mode.getLateJoin(room, 'c', null)).toBe('spectate');
+            expect(mode.getLateJoin(room, 'c', { rejoinRound: true })).toBe('play');
+        });
+
+        test('reaching winsToMatch takes the match and the next round starts a new one', () => {
+            const mode = new EliminationMode({ winsToMatch: 2 });
+            const room = makeEliminationRoom(['a', 'b']);
+            mode.onRoundStart(room);
+            expect(mode.onRoundEnd(room, 'b')).toMatchObject({ matchWinnerId: null });
+            mode.onRoundStart(room);
+            expect(room.state.roundNumber).toBe(2);
+            expect(mode.onRoundEnd(room, 'b')).toMatchObject({ winsToMatch: 2, matchWinnerId: 'b', matchWinnerName: 'Bo' });
+            expect(room.state.matchOver).toBe(true);
+
+            mode.onRoundStart(room);
+            expect(room.state.roundNumber).toBe(1);
+            expect(room.state.roundWins.size).toBe(0);
+            expect(room.state.matchOver).toBe(false);
+        });
+    });
+
+    test('registered modes are found by id, falling back to deathmatch', () => {
+        const deathmatch = registerGameMode(new DeathmatchMode());
+        class SurvivalMode extends GameMode {
+            onKill() {
+                return null;
+            }
+        }
+        const survival = registerGameMode(new SurvivalMode('survival'));
+
+        expect(getGameMode('survival')).toBe(survival);
+        expect(hasGameMode('survival')).toBe(true);
+        expect(getGameMode('nonsense')).toBe(deathmatch);
+        expect(() => registerGameMode({ id: 'fake' })).toThrow(TypeError);
+    });
+});
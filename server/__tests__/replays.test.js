@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReplayStore } = require('../replays.js');
+
+const makeReplay = (startedAt, extra = {}) => ({
+    version: 1,
+    roomId: 'default',
+    roomName: 'Arena',
+    mode: 'deathmatch',
+    startedAt,
+    durationMs: 1000,
+    frameMs: 100,
+    players: [{ id: 'a', name: 'Alice', vehicleId: 'balanced', team: null }],
+    frames: [[0, 0, 1, 0, 2, 0, 100]],
+    events: [],
+    ...extra
+});
+
+describe('replay store', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'battlecars-replays-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves, lists newest first and reloads from disk', async () => {
+        const store = new ReplayStore(dir);
+        const first = store.save(makeReplay(1000));
+        const second = store.save(makeReplay(2000));
+        expect(first).toMatch(/^1000-[0-9a-f]{8}$/);
+        expect(store.list().map(entry => entry.id)).toEqual([second, first]);
+        expect(store.list()[0]).toMatchObject({ roomName: 'Arena', mode: 'deathmatch', durationMs: 1000, players: ['Alice'] });
+        // Readable before the background write has landed
+        expect(JSON.parse(store.read(second)).startedAt).toBe(2000);
+        await store.flush();
+
+        const reloaded = new ReplayStore(dir);
+        expect(reloaded.list().map(entry => entry.id)).toEqual([second, first]);
+        expect(JSON.parse(reloaded.read(first)).frames).toEqual([[0, 0, 1, 0, 2, 0, 100]]);
+    });
+
+    test('keeps private replays out of the list but readable by id', async () => {
+        const store = new ReplayStore(dir);
+        const id = store.save(makeReplay(1000, { roomId: 'ABC123', private: true }));
+        expect(store.list()).toEqual([]);
+        expect(store.list(true).map(entry => entry.id)).toEqual([id]);
+        await store.flush();
+        expect(JSON.parse(store.read(id)).roomId).toBe('ABC123');
+    });
+
+    test('keeps only the newest replays and refuses unknown ids', async () => {
+        const store = new ReplayStore(dir, 2);
+        const oldest = store.save(makeReplay(1000));
+        await store.flush();
+        const kept = [store.save(makeReplay(3000)), store.save(makeReplay(2000))];
+        const evicted = store.save(makeReplay(500));
+        expect(store.list().map(entry => entry.id)).toEqual(kept);
+        await store.flush();
+        expect(fs.readdirSync(dir).sort()).toEqual(kept.map(id => `${id}.json`).sort());
+
+        expect(store.read(oldest)).toBeNull();
+        expect(store.read(evicted)).toBeNull();
+        expect(store.read('../accounts')).toBeNull();
+    });
+
+    test('ignores files in the directory that are not replays', async () => {
+        const store = new ReplayStore(dir, 1);
+        const id = store.save(makeReplay(1000));
+        await store.flush();
+        fs.writeFileSync(path.join(dir, 'notes.json'), JSON.stringify(makeReplay(5000)));
+
+        const reloaded = new ReplayStore(dir, 1);
+        expect(reloaded.list().map(entry => entry.id)).toEqual([id]);
+        expect(() => reloaded.save(makeReplay(2000))).not.toThrow();
+        await reloaded.flush();
+        expect(fs.existsSync(path.join(dir, 'notes.json'))).toBe(true);
+    });
+});
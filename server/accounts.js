@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,16}$/; // same 16-char cap as nicknames
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 72; // bcrypt ignores bytes past 72
+const BCRYPT_ROUNDS = 10;
+const TOKEN_TTL = '7d';
+
+class AccountError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AccountError';
+        this.status = status;
+    }
+}
+
+// Accounts persisted as one JSON file keyed by id. Small player counts only; every
+// write rewrites the file via a temp file + rename so a crash never leaves it half-written.
+// Writes are async and run one at a time; changes made while one is queued share it.
+class AccountStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.accounts = new Map();
+        this.saving = Promise.resolve(); // the latest queued write (never rejects)
+        this.saveQueued = null;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (data.accounts || []).forEach(account => this.accounts.set(account.id, account));
+    }
+
+    // Resolves once the accounts as they are now are on disk
+    save() {
+        if (this.saveQueued) return this.saveQueued;
+        const write = this.saving.then(async () => {
+            this.saveQueued = null;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            const data = { accounts: Array.from(this.accounts.values()) };
+            await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+        this.saveQueued = write;
+        this.saving = write.catch(() => {});
+        return write;
+    }
+
+    // Resolves once every save so far is done
+    flush() {
+        return this.saving;
+    }
+
+    findById(id) {
+        return this.accounts.get(id) || null;
+    }
+
+    findByUsername(username) {
+        const key = String(username || '').toLowerCase();
+        for (const account of this.accounts.values()) {
+            if (account.usernameKey === key) return account;
+        }
+        return null;
+    }
+
+    async register(username, password) {
+        username = typeof username === 'string' ? username.trim() : '';
+        if (!USERNAME_PATTERN.test(username)) {
+            throw new AccountError('Username must be 3-16 letters, numbers, _ or -');
+        }
+        if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+            throw new AccountError(`Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`);
+        }
+        if (this.findByUsername(username)) {
+            throw new AccountError('Username is already taken', 409);
+        }
+
+        const account = {
+            id: crypto.randomUUID(),
+            username,
+            usernameKey: username.toLowerCase(),
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            createdAt: new Date().toISOString()
+        };
+        // Re-check after the async hash in case a concurrent request took the name
+        if (this.findByUsername(username)) {
+            throw new AccountError('Username is already taken', 409);
+        }
+        this.accounts.set(account.id, account);
+        await this.save();
+        return account;
+    }
+
+    // Matchmaking ratings ([{ id, rating }]) after a ranked round, saved in one write
+    setRatings(entries) {
+        let changed = false;
+        entries.forEach(({ id, rating }) => {
+            const account = this.findById(id);
+            if (!account) return;
+            account.rating = rating;
+            changed = true;
+        });
+        if (!changed) return;
+        this.save().catch(e => console.error('Saving ratings failed:', e));
+    }
+
+    // Returns the account for valid credentials, otherwise null
+    async verifyCredentials(username, password) {
+        const account = this.findByUsername(username);
+        if (!account || typeof password !== 'string') return null;
+        return (await bcrypt.compare(password, account.passwordHash)) ? account : null;
+    }
+}
+
+// Public view of an account (never includes the hash)
+function toPublicAccount(account) {
+    return { id: account.id, username: account.username, createdAt: account.createdAt, rating: account.rating ?? null };
+}
+
+function signToken(account, secret) {
+    return jwt.sign({ sub: account.id, username: account.username }, secret, { expiresIn: TOKEN_TTL });
+}
+
+// Returns the decoded payload, or null for a missing/expired/tampered token
+function verifyToken(token, secret) {
+    if (typeof token !== 'string' || !token) return null;
+    try {
+        return jwt.verify(token, secret);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Pull a bearer token from an Authorization header
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+module.exports = {
+    AccountError,
+    AccountStore,
+    toPublicAccount,
+    signToken,
+    verifyToken,
+    getBearerToken
+};
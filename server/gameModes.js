@@ -0,0 +1,541 @@
+// Server game modes. Every room plays one registered GameMode, looked up by the room's mode id;
+// the round flow and socket handlers in index.js only call its hooks and never check the id.
+//
+// Hooks get `room`, a context index.js builds for each call:
+//   { roomId, state, playerIds, getPlayer(id), emit(event, data), emitTo(playerId, event, data),
+//     startRound(), endRound(winnerId) }
+// where `state` is the room's game state (phase, leaderboard, activePlayers, teams, ...). Modes
+// keep their own per-room data on `state`; the mode objects themselves are shared and stateless.
+//
+// The built-in modes live here too. What they need from the rest of the server comes in as
+// `world` (see registerBuiltInGameModes): the rules in shared/*.js, which are ES modules that
+// index.js loads, and the flag, ball and zone simulation in index.js.
+
+class GameMode {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.teams = false; // players are split into red and blue (shared/teams.js)
+        this.respawnMs = options.respawnMs ?? 3000;
+        this.world = options.world || {};
+    }
+
+    // ----- Round flow -----
+
+    // Reset mode state for a new round; players are placed afterwards with getSpawn
+    onRoundStart(room) {}
+
+    // Start spot { position, rotation } for a player, or null for a random spawn. placed lists
+    // the players already placed this round.
+    getSpawn(room, playerId, placed) {
+        return null;
+    }
+
+    // Checked every second and after every kill or departure. Returns null to keep playing, or
+    // { winnerId } to end the round (winnerId may be left out).
+    checkRoundEnd(room, now) {
+        return now >= room.state.roundEndTime ? {} : null;
+    }
+
+    // Settle the round; the returned fields are added to the roundEnded payload
+    onRoundEnd(room, winnerId) {
+        return {};
+    }
+
+    // Mode details sent with roundStarted
+    getRoundInfo(room) {
+        return { mode: this.id };
+    }
+
+    // Mode details sent in roomJoined's gameState
+    getJoinInfo(room) {
+        return {};
+    }
+
+    // ----- Players -----
+
+    onPlayerJoin(room, playerId, resumed) {}
+
+    // How a player joining mid-round enters it: 'play' drops them in, 'spectate' holds them
+    // until the next round, 'restart' starts a new round with everyone
+    getLateJoin(room, playerId, resume) {
+        return 'play';
+    }
+
+    // Kicked, disconnected or moved to another room
+    onPlayerLeave(room, playerId) {}
+
+    // ----- Combat -----
+
+    // Damage after mode rules. Returns { damage, friendlyFire }; 0 damage is ignored.
+    onDamage(room, attackerId, targetId, damage) {
+        return { damage, friendlyFire: false };
+    }
+
+    // A car was destroyed. Scores the kill and returns how long until the victim respawns, or
+    // null when they are out for the rest of the round.
+    onKill(room, attackerId, victimId, friendlyFire) {
+        const attackerStats = room.state.leaderboard.get(attackerId);
+        const victimStats = room.state.leaderboard.get(victimId);
+        if (attackerStats && !friendlyFire) attackerStats.kills++;
+        if (victimStats) victimStats.deaths++;
+        return this.getRespawnMs(room);
+    }
+
+    // The room's respawn rule (shared/rules.js) when it has one, otherwise the mode default
+    getRespawnMs(room) {
+        return room.state.rules ? room.state.rules.respawnSeconds * 1000 : this.respawnMs;
+    }
+
+    // ----- Bots -----
+
+    // Where a bot (shared/bots.js) heads when no one is close enough to ram: { x, y, z }, with
+    // `urgent` to put it ahead of any chase, or null to just hunt cars
+    getBotObjective(room, playerId) {
+        return null;
+    }
+
+    // ----- Simulation -----
+
+    // Every simulation tick (dt in seconds) while the room has players
+    onTick(room, dt, now) {}
+
+    // Extra fields for the room's worldSnapshot
+    getSnapshot(room) {
+        return {};
+    }
+
+    // ----- Scoring -----
+
+    // Extra leaderboard fields for a new entry, e.g. { goals: 0 }
+    createStats() {
+        return {};
+    }
+
+    // Order of the round results: kills, then damage dealt, then fewest deaths
+    compareStandings(a, b) {
+        if (b.kills !== a.kills) return b.kills - a.kills;
+        if (b.damageDealt !== a.damageDealt) return b.damageDealt - a.damageDealt;
+        return a.deaths - b.deaths;
+    }
+
+    // Placement score for rating a ranked round (higher placed higher; equal scores tie).
+    // result is what onRoundEnd returned.
+    getRoundScore(room, entry, result) {
+        return entry.kills;
+    }
+}
+
+// The default mode: timed rounds, respawn after every death, most kills wins
+class DeathmatchMode extends GameMode {
+    constructor(options) {
+        super('deathmatch', options);
+    }
+}
+
+// ===== Teams =====
+
+function isTeamMode(mode) {
+    return getGameMode(mode).teams;
+}
+
+// Team of a player in a team room, otherwise null
+function getPlayerTeam(roomState, playerId) {
+    return isTeamMode(roomState.mode) ? (roomState.teams.get(playerId) || null) : null;
+}
+
+// Put a player on a team and tag their leaderboard entry so standings carry it
+function setPlayerTeam(roomState, playerId, teamId) {
+    roomState.teams.set(playerId, teamId);
+    const stats = roomState.leaderboard.get(playerId);
+    if (stats) stats.team = teamId;
+}
+
+// Deathmatch between two auto-balanced teams (shared/teams.js); the team with more kills wins
+class TeamDeathmatchMode extends DeathmatchMode {
+    constructor(options) {
+        super(options);
+        this.id = 'team';
+        this.teams = true;
+    }
+
+    onRoundStart(room) {
+        const roomState = room.state;
+        const { pickBalancedTeam, rebalanceTeams } = this.world.teams;
+        // Players from before a switch to a team mode have no team yet
+        room.playerIds.forEach(playerId => {
+            if (!roomState.teams.has(playerId)) setPlayerTeam(roomState, playerId, pickBalancedTeam(roomState.teams));
+        });
+        rebalanceTeams(roomState.teams).forEach(playerId => {
+            setPlayerTeam(roomState, playerId, roomState.teams.get(playerId));
+            console.log(`⚖️ Moved ${playerId} to team ${roomState.teams.get(playerId)}`);
+        });
+    }
+
+    // Join the smaller team (a resumed player keeps theirs)
+    onPlayerJoin(room, playerId) {
+        if (room.state.teams.has(playerId)) return;
+        setPlayerTeam(room.state, playerId, this.world.teams.pickBalancedTeam(room.state.teams));
+        console.log(`🚩 Player ${playerId} joined team ${room.state.teams.get(playerId)}`);
+    }
+
+    // Scale (or cancel) damage between teammates
+    onDamage(room, attackerId, targetId, damage) {
+        const attackerTeam = getPlayerTeam(room.state, attackerId);
+        const friendlyFire = !!attackerTeam && attackerTeam === getPlayerTeam(room.state, targetId);
+        if (!friendlyFire) return { damage, friendlyFire };
+        return { damage: this.world.teams.applyFriendlyFire(damage, attackerTeam, attackerTeam, room.state.friendlyFire), friendlyFire };
+    }
+
+    getRoundInfo(room) {
+        return { ...super.getRoundInfo(room), friendlyFire: room.state.friendlyFire };
+    }
+
+    getJoinInfo(room) {
+        return { friendlyFire: room.state.friendlyFire };
+    }
+
+    // The team ahead at the end of the round, or null on a draw
+    getWinningTeam(room) {
+        const entries = Array.from(room.state.leaderboard.entries())
+            .map(([playerId, stats]) => ({ ...stats, team: room.state.teams.get(playerId) }));
+        const [red, blue] = this.world.teams.getTeamTotals(entries);
+        return red.kills === blue.kills ? null : (red.kills > blue.kills ? red.team : blue.team);
+    }
+
+    getRoundScore(room, entry, result) {
+        const winningTeam = result.winningTeam !== undefined ? result.winningTeam : this.getWinningTeam(room);
+        return winningTeam && room.state.teams.get(entry.playerId) === winningTeam ? 1 : 0;
+    }
+}
+
+// Team results for modes scored on teamScores (captures, goals)
+function getTeamScoreResult(roomState) {
+    const { red, blue } = roomState.teamScores;
+    return { teamScores: roomState.teamScores, winningTeam: red === blue ? null : (red > blue ? 'red' : 'blue') };
+}
+
+// Capture the flag (shared/ctf.js) between the same teams
+class CtfMode extends TeamDeathmatchMode {
+    constructor(options) {
+        super(options);
+        this.id = 'ctf';
+    }
+
+    onRoundStart(room) {
+        room.state.flags = this.world.ctf.createFlags();
+        room.state.teamScores = { red: 0, blue: 0 };
+        super.onRoundStart(room);
+    }
+
+    onTick(room) {
+        this.world.ctf.updateFlags(room.roomId);
+    }
+
+    getSnapshot(room) {
+        return { flags: Object.values(room.state.flags) };
+    }
+
+    onKill(room, attackerId, victimId, friendlyFire) {
+        this.world.ctf.dropFlags(room.roomId, room.getPlayer(victimId));
+        return super.onKill(room, attackerId, victimId, friendlyFire);
+    }
+
+    onPlayerLeave(room, playerId) {
+        const player = room.getPlayer(playerId);
+        if (player) this.world.ctf.dropFlags(room.roomId, player);
+    }
+
+    // Take the enemy flag home, else go and get it
+    getBotObjective(room, playerId) {
+        const team = getPlayerTeam(room.state, playerId);
+        if (!team) return null;
+        const enemyFlag = room.state.flags[this.world.teams.TEAM_IDS.find(id => id !== team)];
+        if (enemyFlag.carrierId === playerId) return { ...this.world.ctf.CTF_BASES[team], urgent: true };
+        return enemyFlag.state === 'carried' ? null : { x: enemyFlag.x, y: enemyFlag.y, z: enemyFlag.z };
+    }
+
+    onRoundEnd(room) {
+        return getTeamScoreResult(room.state);
+    }
+
+    getRoundInfo(room) {
+        return { ...super.getRoundInfo(room), capturesToWin: this.world.ctf.CTF.capturesToWin, teamScores: room.state.teamScores };
+    }
+
+    // Captures first
+    compareStandings(a, b) {
+        return ((b.captures || 0) - (a.captures || 0)) || super.compareStandings(a, b);
+    }
+}
+
+// Car soccer (shared/soccer.js): the teams knock a server-simulated ball into the goals
+class SoccerMode extends TeamDeathmatchMode {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'soccer';
+        this.kickoffDelayMs = options.kickoffDelayMs ?? 0; // cars parachute in before the opening kickoff
+    }
+
+    onRoundStart(room) {
+        room.state.teamScores = { red: 0, blue: 0 };
+        this.world.soccer.resetBall(room.state.ball);
+        room.state.kickoffAt = room.state.roundStartTime + this.kickoffDelayMs;
+        super.onRoundStart(room);
+    }
+
+    // Line up on the team's kickoff spots
+    getSpawn(room, playerId, placed) {
+        const team = getPlayerTeam(room.state, playerId);
+        if (!team) return null;
+        return this.world.soccer.getKickoffPosition(team, placed.filter(id => getPlayerTeam(room.state, id) === team).length);
+    }
+
+    onTick(room, dt) {
+        this.world.soccer.updateBall(room.roomId, dt);
+    }
+
+    getSnapshot(room) {
+        return { ball: this.world.soccer.getBallSnapshot(room.state.ball) };
+    }
+
+    createStats() {
+        return { goals: 0 };
+    }
+
+    // Goals first
+    compareStandings(a, b) {
+        return ((b.goals || 0) - (a.goals || 0)) || super.compareStandings(a, b);
+    }
+
+    // Get round behind the ball, then drive it at the other team's goal
+    getBotObjective(room, playerId) {
+        const team = getPlayerTeam(room.state, playerId);
+        const player = room.getPlayer(playerId);
+        if (!team || !player?.position) return null;
+        const ball = room.state.ball;
+        const goal = this.world.soccer.SOCCER_GOALS[this.world.teams.TEAM_IDS.find(id => id !== team)];
+        const ballToGoal = Math.hypot(ball.x - goal.x, ball.z) || 1;
+        if (Math.hypot(player.position.x - goal.x, player.position.z) > ballToGoal) {
+            return { x: ball.x, y: 0, z: ball.z, urgent: true };
+        }
+        return { x: ball.x + (ball.x - goal.x) / ballToGoal * 6, y: 0, z: ball.z + ball.z / ballToGoal * 6, urgent: true };
+    }
+
+    onRoundEnd(room) {
+        return getTeamScoreResult(room.state);
+    }
+
+    getRoundInfo(room) {
+        return { ...super.getRoundInfo(room), goalsToWin: this.world.soccer.SOCCER.goalsToWin, teamScores: room.state.teamScores };
+    }
+
+    getJoinInfo(room) {
+        return { ...super.getJoinInfo(room), soccer: { teamScores: room.state.teamScores, goalsToWin: this.world.soccer.SOCCER.goalsToWin } };
+    }
+}
+
+// Free-for-all king of the hill (shared/koth.js) around a rotating scoring zone
+class KothMode extends DeathmatchMode {
+    constructor(options) {
+        super(options);
+        this.id = 'koth';
+    }
+
+    onRoundStart(room) {
+        room.state.zone = {
+            index: 0,
+            rotateAt: room.state.roundStartTime + this.world.koth.KOTH.rotateEveryMs,
+            lastScoredAt: room.state.roundStartTime,
+            ownerId: null,
+            contested: false
+        };
+        room.state.zoneScores.clear();
+        room.state.leaderboard.forEach(stats => { stats.zonePoints = 0; });
+    }
+
+    // The zone is scored once a second
+    onTick(room, dt, now) {
+        if (room.state.phase !== 'playing' || now - room.state.zone.lastScoredAt < 1000) return;
+        this.world.koth.updateZone(room.roomId, now);
+    }
+
+    onRoundEnd(room) {
+        const scores = this.world.koth.getZoneScoresList(room.state);
+        const leader = scores[0] && (!scores[1] || scores[0].points > scores[1].points) ? scores[0] : null;
+        return { zoneScores: scores, winnerId: leader?.playerId || null, winnerName: leader?.playerName || null };
+    }
+
+    getRoundInfo(room) {
+        return { ...super.getRoundInfo(room), zone: this.world.koth.getZoneSnapshot(room.state) };
+    }
+
+    getJoinInfo(room) {
+        return { zone: this.world.koth.getZoneSnapshot(room.state) };
+    }
+
+    createStats() {
+        return { zonePoints: 0 };
+    }
+
+    // Zone points first
+    compareStandings(a, b) {
+        return ((b.zonePoints || 0) - (a.zonePoints || 0)) || super.compareStandings(a, b);
+    }
+
+    getRoundScore(room, entry) {
+        return room.state.zoneScores.get(entry.playerId) || 0;
+    }
+
+    getBotObjective(room) {
+        return this.world.koth.getZone(room.state.zone.index);
+    }
+}
+
+// ===== Last Car Standing =====
+
+function getRoundWinsList(room) {
+    const roomState = room.state;
+    return Array.from(roomState.roundWins.entries()).map(([playerId, wins]) => ({
+        playerId,
+        wins,
+        playerName: roomState.leaderboard.get(playerId)?.playerName || room.getPlayer(playerId)?.name || 'Unknown'
+    }));
+}
+
+// No respawns within a round; the last car alive wins it, and everyone is back for the next
+// one. A round that began with a single car is a warm-up. winsToMatch round wins take the match.
+class EliminationMode extends DeathmatchMode {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'elimination';
+        this.winsToMatch = options.winsToMatch ?? 3;
+    }
+
+    onRoundStart(room) {
+        const roomState = room.state;
+        if (roomState.matchOver) {
+            roomState.roundWins.clear();
+            roomState.roundNumber = 0;
+            roomState.matchOver = false;
+        }
+        // A warm-up round doesn't count towards the match
+        if (roomState.roundContestants < 2) roomState.roundNumber = 0;
+        roomState.roundNumber++;
+    }
+
+    // Out until the next round
+    onKill(room, attackerId, victimId, friendlyFire) {
+        super.onKill(room, attackerId, victimId, friendlyFire);
+        return null;
+    }
+
+    // Over once at most one car is left; a warm-up runs on the timer until someone else joins
+    checkRoundEnd(room, now) {
+        if (room.state.roundContestants >= 2 && room.state.activePlayers.size <= 1) {
+            const [survivorId] = room.state.activePlayers;
+            return { winnerId: survivorId || null };
+        }
+        return super.checkRoundEnd(room, now);
+    }
+
+    // Credit the round winner (on a timeout, the healthiest survivor) and decide the match
+    onRoundEnd(room, winnerId) {
+        const roomState = room.state;
+        if (winnerId === undefined) winnerId = this.pickTimeoutSurvivor(room);
+        // A solo warm-up round doesn't count towards the match
+        const counted = roomState.roundContestants >= 2 && !!winnerId;
+        if (counted) {
+            roomState.roundWins.set(winnerId, (roomState.roundWins.get(winnerId) || 0) + 1);
+        }
+        const winnerName = winnerId ? (room.getPlayer(winnerId)?.name || 'Unknown') : null;
+        const matchWon = counted && roomState.roundWins.get(winnerId) >= this.winsToMatch;
+        if (matchWon) roomState.matchOver = true;
+
+        console.log(`🏆 Elimination round ${roomState.roundNumber}: ${winnerName || 'no survivor'}${matchWon ? ' wins the match' : ''}`);
+        return {
+            roundNumber: roomState.roundNumber,
+            winnerId: counted ? winnerId : null,
+            winnerName: counted ? winnerName : null,
+            roundWins: getRoundWinsList(room),
+            winsToMatch: this.winsToMatch,
+            matchWinnerId: matchWon ? winnerId : null,
+            matchWinnerName: matchWon ? winnerName : null
+        };
+    }
+
+    pickTimeoutSurvivor(room) {
+        let best = null;
+        room.state.activePlayers.forEach(playerId => {
+            const player = room.getPlayer(playerId);
+            if (player && (!best || player.health > best.health)) best = player;
+        });
+        return best ? best.id : null;
+    }
+
+    // No joining a round in progress, except a second car ending the solo warm-up (which
+    // starts a real round with everyone) and a player resuming their own round
+    getLateJoin(room, playerId, resume) {
+        if (room.state.roundContestants < 2 && room.playerIds.length > 1 && !resume) return 'restart';
+        return resume?.rejoinRound ? 'play' : 'spectate';
+    }
+
+    getRoundInfo(room) {
+        return {
+            ...super.getRoundInfo(room),
+            roundNumber: room.state.roundNumber,
+            winsToMatch: this.winsToMatch,
+            roundWins: getRoundWinsList(room)
+        };
+    }
+
+    getRoundScore(room, entry, result) {
+        return result.winnerId === entry.playerId ? 1 : 0;
+    }
+}
+
+// ===== Registry =====
+
+const registry = new Map();
+
+// Add a mode; rooms pick it up by id. The lobby offers the ids in GAME_MODES (shared/rooms.js),
+// which also names them.
+function registerGameMode(mode) {
+    if (!(mode instanceof GameMode)) throw new TypeError('registerGameMode expects a GameMode');
+    registry.set(mode.id, mode);
+    return mode;
+}
+
+// The registered mode for an id, falling back to deathmatch
+function getGameMode(id) {
+    return registry.get(id) || registry.get('deathmatch');
+}
+
+function hasGameMode(id) {
+    return registry.has(id);
+}
+
+// Register every built-in mode. options: { respawnMs, kickoffDelayMs, winsToMatch, world } where
+// world is { teams, ctf, soccer, koth }, each the shared/*.js exports plus index.js's simulation
+// for that mode (ctf.updateFlags/dropFlags, soccer.updateBall/getBallSnapshot,
+// koth.updateZone/getZoneScoresList/getZoneSnapshot)
+function registerBuiltInGameModes(options) {
+    [DeathmatchMode, TeamDeathmatchMode, CtfMode, SoccerMode, KothMode, EliminationMode]
+        .forEach(Mode => registerGameMode(new Mode(options)));
+}
+
+module.exports = {
+    GameMode,
+    DeathmatchMode,
+    TeamDeathmatchMode,
+    CtfMode,
+    SoccerMode,
+    KothMode,
+    EliminationMode,
+    registerGameMode,
+    registerBuiltInGameModes,
+    getGameMode,
+    hasGameMode,
+    isTeamMode,
+    getPlayerTeam,
+    setPlayerTeam
+};
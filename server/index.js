@@ -5,6 +5,32 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const crypto = require('crypto');
+const { AccountError, AccountStore, toPublicAccount, signToken, verifyToken, getBearerToken } = require('./accounts.js');
+const { ReplayStore } = require('./replays.js');
+const { registerBuiltInGameModes, getGameMode, isTeamMode, getPlayerTeam, setPlayerTeam } = require('./gameModes.js');
+// Shared with the client (ES module; loaded via require(esm), Node >= 20.19)
+const VehiclePhysics = require('../shared/physics.js');
+const { MONSTER, createMonsterState, stepMonster, monsterTouchesCar } = require('../shared/monster.js');
+const { KOTH, getZone, getZoneControl } = require('../shared/koth.js');
+const { CTF, CTF_BASES, createFlags, dropCarriedFlag, stepFlags } = require('../shared/ctf.js');
+const { SOCCER, SOCCER_GOALS, createBall, resetBall, stepBall, getKickoffPosition } = require('../shared/soccer.js');
+const { MATCHMAKING, searchRange, rateRound, planMatches } = require('../shared/matchmaking.js');
+const { DEFAULT_GAME_MODE, MODE_NAMES, ROOM_LIMITS, isGameMode, isRoomId, defaultRoomName, normalizeRoomSettings, normalizeHostSettings, makeRoomId, makeInviteCode } = require('../shared/rooms.js');
+const { DEFAULT_RULES, normalizeRoomRules, getGravityScale, getRequiredVehicleId, applyDamageRules, describeRules, POWERUP_RATES } = require('../shared/rules.js');
+const { TEAM_IDS, DEFAULT_FRIENDLY_FIRE, isFriendlyFireMode, pickBalancedTeam, rebalanceTeams, applyFriendlyFire, getTeamTotals } = require('../shared/teams.js');
+const { VEHICLES, DEFAULT_VEHICLE_ID, getVehicleById, getVehicleAbility, isVehicleId, validateVehicleCatalog } = require('../shared/vehicles.js');
+const { createBot, placeBot, stepBot, getReachablePowerups, pickBotName } = require('../shared/bots.js');
+const { COLLISION, resolveCarHit } = require('../shared/combat.js');
+const { createReplayRecorder, recordReplayFrame, recordReplayEvent, finishReplay } = require('../shared/replay.js');
+
+// Refuse to start with a broken vehicle catalog rather than balancing against bad data
+const vehicleCatalogErrors = validateVehicleCatalog(VEHICLES);
+if (vehicleCatalogErrors.length > 0) {
+    console.error('❌ Invalid vehicle catalog (shared/vehicles.js):');
+    vehicleCatalogErrors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+}
 require('dotenv').config();
 let stripe = null;
 try {
@@ -16,6 +42,23 @@ try {
     console.warn('⚠️ Stripe SDK not available; Stripe routes will be disabled until installed.');
 }
 
+// Player accounts: bcrypt hashes in a JSON file, sessions as signed JWTs
+const accountStore = new AccountStore(process.env.ACCOUNTS_FILE || path.join(__dirname, '../data/accounts.json'));
+const replayStore = new ReplayStore(
+    process.env.REPLAYS_DIR || path.join(__dirname, '../data/replays'),
+    Math.max(1, parseInt(process.env.REPLAY_KEEP, 10) || 50)
+);
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('❌ JWT_SECRET must be set in production');
+        process.exit(1);
+    }
+    // Dev fallback: tokens stop validating when the server restarts
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET not set; using a random per-process secret');
+}
+
 const app = express();
 // Behind Railway/Heroku-style proxies, enable trust proxy so rate-limit and IPs work
 app.set('trust proxy', 1);
@@ -107,6 +150,74 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Accounts
+function sendAuthResult(res, account, status = 200) {
+    res.status(status).json({ token: signToken(account, jwtSecret), account: toPublicAccount(account) });
+}
+
+function handleAccountError(res, e) {
+    if (e instanceof AccountError) return res.status(e.status).json({ error: e.message });
+    console.error('Account error:', e);
+    res.status(500).json({ error: 'Account error' });
+}
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const account = await accountStore.register(username, password);
+        console.log(`👤 Registered account ${account.username}`);
+        sendAuthResult(res, account, 201);
+    } catch (e) {
+        handleAccountError(res, e);
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const account = await accountStore.verifyCredentials(username, password);
+        if (!account) return res.status(401).json({ error: 'Invalid username or password' });
+        sendAuthResult(res, account);
+    } catch (e) {
+        handleAccountError(res, e);
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    const payload = verifyToken(getBearerToken(req), jwtSecret);
+    const account = payload && accountStore.findById(payload.sub);
+    if (!account) return res.status(401).json({ error: 'Not authenticated' });
+    res.json({ account: toPublicAccount(account) });
+});
+
+// Room browser: every occupied room with its mode, phase and how long the phase has left
+app.get('/api/rooms', (req, res) => {
+    res.json({ rooms: listRooms() });
+});
+
+// Saved round replays (newest first; private rooms' only by the id their players got)
+app.get('/api/replays', (req, res) => {
+    res.json({ replays: replayStore.list() });
+});
+
+app.get('/api/replays/:id', (req, res) => {
+    const replay = replayStore.read(req.params.id);
+    if (!replay) return res.status(404).json({ error: 'Replay not found' });
+    res.type('json').send(replay);
+});
+
+// Lets a reloaded page know whether its held session can still be resumed (without claiming it)
+app.get('/api/session/resume', (req, res) => {
+    const held = gameState.heldSessions.get(req.headers['x-reconnect-token']);
+    if (!held || Date.now() > held.expiresAt) return res.status(404).json({ resumable: false });
+    res.json({
+        resumable: true,
+        name: held.player.name,
+        vehicleId: held.player.vehicle?.id || DEFAULT_VEHICLE_ID,
+        expiresInMs: held.expiresAt - Date.now()
+    });
+});
+
 // Stripe fundamentals
 app.get('/api/stripe/config', (req, res) => {
     res.json({
@@ -138,33 +249,115 @@ app.post('/api/stripe/create-checkout-session', async (req, res) => {
 const gameState = {
     players: new Map(),
     rooms: new Map(),
-    maxPlayersPerRoom: 8,
-    roundDuration: 4 * 60 * 1000, // 4 minutes in milliseconds
+    maxPlayersPerRoom: ROOM_LIMITS.maxPlayers, // rooms created from the lobby may set a lower cap
+    // Defaults; each room plays by its own rules (shared/rules.js)
+    roundDuration: DEFAULT_RULES.roundMinutes * 60 * 1000,
     waitingDuration: 1 * 60 * 1000, // 1 minute waiting
-    respawnDuration: 3 * 1000, // 3 seconds respawn
-    spawnInvulnerableMs: 2000, // 2 seconds invulnerability after spawn/respawn
+    respawnDuration: DEFAULT_RULES.respawnSeconds * 1000,
+    spawnInvulnerableMs: DEFAULT_RULES.spawnProtectionSeconds * 1000, // invulnerability after spawn/respawn
     entryDescentMs: 8000, // initial spawn parachute descent duration
     respawnDescentMs: 3000, // respawn parachute descent duration
+    tickRate: 20, // simulation ticks (and world snapshots) per second
     gameStates: new Map(), // Track game state per room
     boostPads: new Map(), // Track boost pad positions per room
-    powerups: new Map() // Track active powerups per room
+    slickPatches: new Map(), // roomId -> { patches: [], respawns: [{ type, respawnAt }] }
+    powerups: new Map(), // Track active powerups per room
+    reconnectGraceMs: 30 * 1000, // how long a dropped player's car and stats are held
+    emptyRoomGraceMs: 5 * 60 * 1000, // an empty room's state (settings, invite code) is dropped after this
+    heldSessions: new Map(), // reconnectToken -> { player, roomId, roundStartTime, wasRespawning, wasEliminated, expiresAt }
+    eliminationWinsToMatch: 3, // Last Car Standing: round wins needed to take the match
+    matchmakingQueue: new Map(), // socketId -> { id, rating, mode, queuedAt } waiting for a ranked room
+    // Rooms with fewer humans are topped up with bots to this many cars (0 turns bots off)
+    botFillTo: process.env.BOT_FILL !== undefined ? Math.max(0, parseInt(process.env.BOT_FILL, 10) || 0) : 4,
+    // Team rooms created without a friendly-fire choice: 'off', 'reduced' or 'full'
+    defaultFriendlyFire: isFriendlyFireMode(process.env.FRIENDLY_FIRE) ? process.env.FRIENDLY_FIRE : DEFAULT_FRIENDLY_FIRE
 };
 
+// Modes are GameMode implementations (server/gameModes.js), registered under "Game modes"
+// below. GAME_MODES and room settings live in shared/rooms.js.
+
 // Initialize game state for a room
 function initializeRoomGameState(roomId) {
     gameState.gameStates.set(roomId, {
+        mode: DEFAULT_GAME_MODE, // picked by the first player into an empty room
+        name: defaultRoomName(roomId), // shown in the room browser; set when created from the lobby
+        maxPlayers: gameState.maxPlayersPerRoom,
         phase: 'waiting', // 'waiting', 'playing', 'roundEnd'
         roundStartTime: null,
         roundEndTime: null,
         waitingStartTime: null,
+        nextRoundStartTime: null, // set while the round-end leaderboard shows
+        roundDuration: gameState.roundDuration, // from the rules; the host of a private room can change it
+        rules: normalizeRoomRules(), // picked when the room is created from the lobby
         leaderboard: new Map(), // playerId -> { kills: 0, deaths: 0, damageDealt: 0 }
         activePlayers: new Set(),
         respawningPlayers: new Map(), // playerId -> respawnTime
         powerups: new Map(), // powerupId -> { type, position, dropTime, collected }
-        lastPowerupDrop: 0 // timestamp of last powerup drop
+        lastPowerupDrop: 0, // timestamp of last powerup drop
+        snapshotSeq: 0, // increments with every worldSnapshot sent to the room
+        monster: createMonsterState(Math.random() * Math.PI * 2),
+        monsterHits: new Map(), // playerId -> last monster hit timestamp
+        // Elimination mode
+        eliminated: new Set(), // destroyed (or joined mid-round) players spectating until the next round
+        roundContestants: 0, // cars alive when the round started; below 2 it is a warm-up
+        roundNumber: 0, // round within the current match
+        roundWins: new Map(), // playerId -> rounds won this match
+        matchOver: false, // a match was decided; the next round starts a new one
+        // Team mode
+        teams: new Map(), // playerId -> teamId, in join order
+        friendlyFire: gameState.defaultFriendlyFire,
+        // Capture the flag
+        flags: createFlags(), // teamId -> { state, x, y, z, carrierId, droppedAt }
+        teamScores: { red: 0, blue: 0 }, // captures (or soccer goals) this round
+        // Car soccer
+        ball: createBall(),
+        kickoffAt: 0, // the ball holds still on the centre spot until then
+        // King of the hill
+        zone: { index: 0, rotateAt: 0, lastScoredAt: 0, ownerId: null, contested: false },
+        zoneScores: new Map(), // playerId -> points this round
+        // Private rooms
+        isPrivate: false, // joined by invite code (the room id); left out of the room browser
+        passwordHash: null, // { salt, hash } when created with a password
+        hostId: null, // may kick players and change the room's settings
+        pendingMode: null, // mode the host picked, applied when the next round starts
+        kicked: new Set(), // reconnect tokens and account ids the host removed; they can't rejoin
+        // Ranked rooms (opened by matchmaking)
+        ranked: false, // players are placed by rating and rated after every round
+        reservedSeats: new Map(), // socketId -> expiresAt for matched players on their way in
+        emptySince: null, // when the last player left; the state is dropped emptyRoomGraceMs later
+        // Replays
+        replay: null // shared/replay.js recorder for the round in play
     });
 }
 
+// Invulnerability after landing from a spawn or respawn
+function getSpawnProtectionMs(roomId) {
+    return roomId ? getRoomGameState(roomId).rules.spawnProtectionSeconds * 1000 : gameState.spawnInvulnerableMs;
+}
+
+// Sport-only rooms swap everyone into the required vehicle
+function enforceRoomVehicle(player) {
+    const required = player.room ? getRequiredVehicleId(getRoomGameState(player.room).rules) : null;
+    if (!required || player.vehicle?.id === required) return false;
+    player.vehicle = getVehicleById(required);
+    player.health = Math.min(player.health ?? player.vehicle.maxHealth, player.vehicle.maxHealth);
+    return true;
+}
+
+// What a room's GameMode hooks see of it (see server/gameModes.js)
+function getRoomContext(roomId) {
+    return {
+        roomId,
+        state: getRoomGameState(roomId),
+        playerIds: gameState.rooms.get(roomId) || [],
+        getPlayer: playerId => gameState.players.get(playerId),
+        emit: (event, data) => io.to(roomId).emit(event, data),
+        emitTo: (playerId, event, data) => io.to(playerId).emit(event, data),
+        startRound: () => startRound(roomId),
+        endRound: winnerId => endRound(roomId, winnerId)
+    };
+}
+
 // Get or create game state for a room
 function getRoomGameState(roomId) {
     if (!gameState.gameStates.has(roomId)) {
@@ -173,6 +366,212 @@ function getRoomGameState(roomId) {
     return gameState.gameStates.get(roomId);
 }
 
+// Occupied rooms for the room browser, busiest first
+function listRooms() {
+    const now = Date.now();
+    return Array.from(gameState.rooms.entries())
+        .filter(([roomId, room]) => room.length > 0 && !getRoomGameState(roomId).isPrivate && !getRoomGameState(roomId).ranked)
+        .map(([roomId, room]) => {
+            const roomState = getRoomGameState(roomId);
+            let phaseEndsAt = null;
+            if (roomState.phase === 'playing') phaseEndsAt = roomState.roundEndTime;
+            else if (roomState.phase === 'waiting' && roomState.waitingStartTime) phaseEndsAt = roomState.waitingStartTime + gameState.waitingDuration;
+            else if (roomState.phase === 'roundEnd') phaseEndsAt = roomState.nextRoundStartTime;
+            return {
+                roomId,
+                name: roomState.name,
+                mode: roomState.mode,
+                players: room.length,
+                maxPlayers: roomState.maxPlayers,
+                ruleLabels: describeRules(roomState.rules),
+                phase: roomState.phase,
+                timeRemainingMs: phaseEndsAt ? Math.max(0, phaseEndsAt - now) : null
+            };
+        })
+        .sort((a, b) => b.players - a.players);
+}
+
+// Settings everyone in the room sees (roomJoined, roomSettings); the room panel shows them
+function getRoomSettings(roomId) {
+    const roomState = getRoomGameState(roomId);
+    return {
+        name: roomState.name,
+        mode: roomState.mode,
+        pendingMode: roomState.pendingMode,
+        maxPlayers: roomState.maxPlayers,
+        roundMinutes: roomState.roundDuration / 60000,
+        friendlyFire: roomState.friendlyFire,
+        private: roomState.isPrivate,
+        inviteCode: roomState.isPrivate ? roomId : null,
+        hasPassword: !!roomState.passwordHash,
+        hostId: roomState.hostId,
+        ranked: roomState.ranked
+    };
+}
+
+function emitRoomSettings(roomId) {
+    io.to(roomId).emit('roomSettings', getRoomSettings(roomId));
+}
+
+// Room passwords are only kept as salted scrypt hashes
+function hashRoomPassword(password) {
+    const salt = crypto.randomBytes(16);
+    return { salt, hash: crypto.scryptSync(password, salt, 32) };
+}
+
+function checkRoomPassword(roomState, password) {
+    if (!roomState.passwordHash) return true;
+    if (typeof password !== 'string') return false;
+    const hash = crypto.scryptSync(password, roomState.passwordHash.salt, 32);
+    return crypto.timingSafeEqual(hash, roomState.passwordHash.hash);
+}
+
+// ===== Matchmaking =====
+// A new ranked room for a match; its players arrive with reserved seats
+function openRankedRoom(mode) {
+    const name = `Ranked ${MODE_NAMES[mode]}`;
+    const roomId = makeRoomId(name, id => gameState.gameStates.has(id));
+    const roomState = getRoomGameState(roomId);
+    roomState.name = name;
+    roomState.ranked = true;
+    roomState.maxPlayers = MATCHMAKING.roomSize;
+    // Ranked rounds are comparable only under the standard rules, between humans
+    roomState.rules = normalizeRoomRules({ bots: 'off' });
+    roomState.roundDuration = gameState.roundDuration;
+    if (mode !== roomState.mode) {
+        switchRoomMode(roomState, mode);
+    }
+    if (isTeamMode(mode)) {
+        roomState.friendlyFire = gameState.defaultFriendlyFire;
+    }
+    return roomId;
+}
+
+function getQueueStatus(entry, now) {
+    const waitMs = now - entry.queuedAt;
+    return {
+        mode: entry.mode,
+        rating: entry.rating,
+        waitMs,
+        range: Math.round(searchRange(waitMs)),
+        queued: Array.from(gameState.matchmakingQueue.values()).filter(other => other.mode === entry.mode).length
+    };
+}
+
+// Once a second: place queued players into ranked rooms (shared/matchmaking.js) and tell
+// everyone still waiting how the search is going
+function runMatchmaking() {
+    const now = Date.now();
+    const rankedRooms = [];
+    gameState.gameStates.forEach((roomState, roomId) => {
+        if (!roomState.ranked) return;
+        // Seats held for matched players who never arrived go back
+        roomState.reservedSeats.forEach((expiresAt, playerId) => {
+            if (now > expiresAt) roomState.reservedSeats.delete(playerId);
+        });
+        const room = gameState.rooms.get(roomId) || [];
+        if (room.length + roomState.reservedSeats.size === 0) return;
+        const ratings = room.concat(Array.from(roomState.reservedSeats.keys()))
+            .map(playerId => gameState.players.get(playerId)?.rating ?? MATCHMAKING.startRating);
+        rankedRooms.push({
+            roomId,
+            mode: roomState.mode,
+            rating: ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length,
+            players: ratings.length,
+            maxPlayers: roomState.maxPlayers
+        });
+    });
+    if (gameState.matchmakingQueue.size === 0) return;
+
+    const queue = Array.from(gameState.matchmakingQueue.values()).sort((a, b) => a.queuedAt - b.queuedAt);
+    planMatches(queue, rankedRooms, now).forEach(match => {
+        const roomId = match.roomId || openRankedRoom(match.mode);
+        const roomState = getRoomGameState(roomId);
+        match.playerIds.forEach(playerId => {
+            gameState.matchmakingQueue.delete(playerId);
+            roomState.reservedSeats.set(playerId, now + MATCHMAKING.reservationMs);
+            io.to(playerId).emit('matchFound', { roomId, mode: roomState.mode, name: roomState.name });
+        });
+        console.log(`🎯 Matched ${match.playerIds.length} player(s) into ${match.roomId ? '' : 'new '}ranked room ${roomId}`);
+    });
+    gameState.matchmakingQueue.forEach(entry => {
+        io.to(entry.id).emit('queueStatus', getQueueStatus(entry, now));
+    });
+}
+
+// Ranked rooms: rate everyone still in the room on how they placed in the round. The mode
+// scores placement: the winning team, the last car standing, zone points, or kills.
+function updateRatings(roomId, roomState, leaderboard, result) {
+    const present = new Set(gameState.rooms.get(roomId) || []);
+    const mode = getGameMode(roomState.mode);
+    const room = getRoomContext(roomId);
+    const players = leaderboard
+        .filter(entry => present.has(entry.playerId) && gameState.players.has(entry.playerId))
+        .map(entry => ({
+            id: entry.playerId,
+            rating: gameState.players.get(entry.playerId).rating,
+            score: mode.getRoundScore(room, entry, result),
+            kills: entry.kills,
+            deaths: entry.deaths
+        }));
+    const ratings = rateRound(players);
+    const accountRatings = [];
+    ratings.forEach(({ id, rating }) => {
+        const player = gameState.players.get(id);
+        player.rating = rating;
+        if (player.accountId) {
+            accountRatings.push({ id: player.accountId, rating });
+        }
+    });
+    accountStore.setRatings(accountRatings);
+    return ratings.map(({ id, rating, change }) => ({ playerId: id, rating, change }));
+}
+
+// Private rooms: when the host leaves, the player who has been there longest takes over (bots never host)
+function handOverHost(roomId) {
+    const roomState = getRoomGameState(roomId);
+    const room = gameState.rooms.get(roomId);
+    const nextHost = room?.find(playerId => !isBot(playerId));
+    if (!roomState.isPrivate || !nextHost || room.includes(roomState.hostId)) return;
+    roomState.hostId = nextHost;
+    console.log(`👑 ${roomState.hostId} is now host of room ${roomId}`);
+    emitRoomSettings(roomId);
+}
+
+// Change a room's mode between rounds, dropping progress that belongs to the old mode
+function switchRoomMode(roomState, mode) {
+    roomState.mode = mode;
+    roomState.pendingMode = null;
+    roomState.roundWins.clear();
+    roomState.roundNumber = 0;
+    roomState.teams.clear();
+    roomState.leaderboard.forEach(stats => {
+        stats.team = null;
+        delete stats.goals;
+        delete stats.captures;
+        delete stats.zonePoints;
+        Object.assign(stats, getGameMode(mode).createStats());
+    });
+}
+
+// Take a player out of their room mid-game (kicked by the host)
+function removeFromRoom(player) {
+    const roomId = player.room;
+    const roomState = getRoomGameState(roomId);
+    getGameMode(roomState.mode).onPlayerLeave(getRoomContext(roomId), player.id);
+    const room = gameState.rooms.get(roomId);
+    const index = room ? room.indexOf(player.id) : -1;
+    if (index > -1) room.splice(index, 1);
+    roomState.activePlayers.delete(player.id);
+    roomState.respawningPlayers.delete(player.id);
+    roomState.eliminated.delete(player.id);
+    roomState.teams.delete(player.id);
+    player.room = null;
+    io.sockets.sockets.get(player.id)?.leave(roomId);
+    io.to(roomId).emit('playerLeft', { playerId: player.id });
+    checkRoundEnd(roomId);
+}
+
 // Generate boost pad positions for a room
 function generateBoostPads(roomId) {
     const boostPads = [];
@@ -205,13 +604,102 @@ function getBoostPads(roomId) {
     return gameState.boostPads.get(roomId);
 }
 
+// Ice and oil patches: how many of each per room, their size and how long a consumed one stays gone
+const SLICK_CONFIG = {
+    types: { ice: { count: 1, radius: 7.0 }, oil: { count: 1, radius: 6.0 } },
+    respawnDelayMs: 30 * 1000,
+    touchTolerance: 4 // extra reach for the server's slightly stale position
+};
+
+// Random spot inside the oval that keeps the patch off the platform, ramp and lift
+function getRandomSlickPosition(radius) {
+    let x = 0;
+    let z = 0;
+    for (let tries = 0; tries < 40; tries++) {
+        const angle = Math.random() * Math.PI * 2;
+        const rr = Math.sqrt(Math.random()) * 0.75; // stay well inside
+        x = Math.cos(angle) * ARENA_BOUNDS.x * rr;
+        z = Math.sin(angle) * ARENA_BOUNDS.z * rr;
+        const p = PLATFORM_SURFACE;
+        const r = RAMP_SURFACE;
+        const l = LIFT_ZONE;
+        const onPlatform = Math.abs(x - p.x) <= p.halfW + radius && Math.abs(z - p.z) <= p.halfD + radius;
+        const onRamp = Math.abs(x - r.x) <= r.halfW + radius && z >= r.zStart - radius && z <= r.zEnd + radius;
+        const onLift = Math.abs(x - l.x) <= l.halfW + radius && Math.abs(z - l.z) <= l.halfD + radius;
+        if (!onPlatform && !onRamp && !onLift) break;
+    }
+    return { x, z };
+}
+
+function createSlickPatch(roomId, type) {
+    const radius = SLICK_CONFIG.types[type].radius;
+    return {
+        id: `slick_${roomId}_${Math.random().toString(36).substr(2, 9)}`,
+        type,
+        radius,
+        ...getRandomSlickPosition(radius)
+    };
+}
+
+// Generate the slick patches for a room
+function generateSlickPatches(roomId) {
+    const patches = [];
+    Object.entries(SLICK_CONFIG.types).forEach(([type, config]) => {
+        for (let i = 0; i < config.count; i++) {
+            patches.push(createSlickPatch(roomId, type));
+        }
+    });
+    const slicks = { patches, respawns: [] };
+    gameState.slickPatches.set(roomId, slicks);
+    return slicks;
+}
+
+// Get slick patches for a room
+function getSlickPatches(roomId) {
+    return (gameState.slickPatches.get(roomId) || generateSlickPatches(roomId)).patches;
+}
+
+// Remove a patch a car drove onto and queue a replacement of the same type
+function consumeSlickPatch(roomId, player, patchId) {
+    const slicks = gameState.slickPatches.get(roomId);
+    if (!slicks) return;
+    const index = slicks.patches.findIndex(patch => patch.id === patchId);
+    if (index === -1) return; // already consumed by someone else
+    const patch = slicks.patches[index];
+    const reach = patch.radius + SLICK_CONFIG.touchTolerance;
+    const distance = Math.hypot(player.position.x - patch.x, player.position.z - patch.z);
+    if (distance > reach) {
+        console.log(`❌ Ignoring slick touch from ${player.id} at distance ${distance.toFixed(1)}`);
+        return;
+    }
+    slicks.patches.splice(index, 1);
+    slicks.respawns.push({ type: patch.type, respawnAt: Date.now() + SLICK_CONFIG.respawnDelayMs });
+    io.to(roomId).emit('slickConsumed', { patchId, playerId: player.id });
+}
+
+function respawnSlickPatches(roomId, now) {
+    const slicks = gameState.slickPatches.get(roomId);
+    if (!slicks) return;
+    slicks.respawns = slicks.respawns.filter(respawn => {
+        if (now < respawn.respawnAt) return true;
+        const patch = createSlickPatch(roomId, respawn.type);
+        slicks.patches.push(patch);
+        io.to(roomId).emit('slickSpawned', { patch });
+        return false;
+    });
+}
+
 // Update game state for all rooms
 function updateGameStates() {
     const now = Date.now();
     
     gameState.gameStates.forEach((roomState, roomId) => {
         const room = gameState.rooms.get(roomId);
-        if (!room) return;
+        if (!room || room.length === 0) {
+            evictIdleRoom(roomId, roomState, now);
+            return;
+        }
+        roomState.emptySince = null;
         
         switch (roomState.phase) {
             case 'waiting':
@@ -221,9 +709,7 @@ function updateGameStates() {
                 break;
                 
             case 'playing':
-                if (now - roomState.roundStartTime >= gameState.roundDuration) {
-                    endRound(roomId);
-                }
+                checkRoundEnd(roomId, now);
                 break;
                 
             case 'roundEnd':
@@ -241,29 +727,413 @@ function updateGameStates() {
         
         // Manage powerup drops
         managePowerupDrops(roomId);
+        respawnSlickPatches(roomId, now);
+        balanceBots(roomId);
+    });
+    
+    pruneHeldSessions(now);
+}
+
+// Drop the state of a room that has stayed empty past the grace period (rooms are opened under
+// fresh ids, so otherwise they pile up). Held sessions and unexpired reserved seats keep it alive;
+// a ranked room has no grace period, since only matchmaking sends players to it.
+function evictIdleRoom(roomId, roomState, now) {
+    if (roomState.emptySince === null) {
+        roomState.emptySince = now;
+    }
+    if (!roomState.ranked && now - roomState.emptySince < gameState.emptyRoomGraceMs) return;
+    const held = Array.from(gameState.heldSessions.values()).some(session => session.roomId === roomId);
+    const reserved = Array.from(roomState.reservedSeats.values()).some(expiresAt => now <= expiresAt);
+    if (held || reserved) return;
+    gameState.gameStates.delete(roomId);
+    gameState.boostPads.delete(roomId);
+    gameState.slickPatches.delete(roomId);
+    gameState.rooms.delete(roomId);
+    console.log(`🧹 Room ${roomId} was empty for ${Math.round((now - roomState.emptySince) / 1000)}s; dropped its state`);
+}
+
+// Keep a disconnected player's state for the grace window so a reload or a dropped
+// connection can pick up where it left off
+function holdSession(player) {
+    const roomState = getRoomGameState(player.room);
+    getGameMode(roomState.mode).onPlayerLeave(getRoomContext(player.room), player.id);
+    gameState.heldSessions.set(player.reconnectToken, {
+        player,
+        roomId: player.room,
+        roundStartTime: roomState.roundStartTime,
+        wasRespawning: roomState.respawningPlayers.has(player.id),
+        wasEliminated: roomState.eliminated.has(player.id),
+        expiresAt: Date.now() + gameState.reconnectGraceMs
+    });
+    roomState.activePlayers.delete(player.id);
+    roomState.respawningPlayers.delete(player.id);
+    roomState.eliminated.delete(player.id);
+}
+
+// The browser tab keeps its reconnect token across reloads, so it doubles as a guest's identity
+// (the host's kick list uses it). A well-formed token no connected player holds is kept;
+// anything else gets a fresh one.
+const RECONNECT_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+function pickReconnectToken(presented) {
+    const inUse = typeof presented === 'string' &&
+        Array.from(gameState.players.values()).some(other => other.reconnectToken === presented);
+    if (typeof presented === 'string' && RECONNECT_TOKEN_PATTERN.test(presented) && !inUse) return presented;
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Take a held session for a reconnecting socket; it must belong to the same account (or
+// both be guests). Returns null when the token is unknown or expired.
+function claimHeldSession(token, accountId) {
+    if (typeof token !== 'string') return null;
+    const held = gameState.heldSessions.get(token);
+    if (!held) return null;
+    gameState.heldSessions.delete(token);
+    if (Date.now() > held.expiresAt || held.player.accountId !== accountId) return null;
+    return held;
+}
+
+// Copy a held session onto the new socket's player and move its stats to the new id
+function restoreHeldSession(player, held) {
+    const previous = held.player;
+    const roomState = getRoomGameState(held.roomId);
+    // Dead cars, or a round that rolled over while away, come back fresh
+    const fresh = held.wasRespawning || held.wasEliminated || roomState.roundStartTime !== held.roundStartTime;
+    
+    player.name = previous.name;
+    player.vehicle = previous.vehicle;
+    player.health = fresh ? (previous.vehicle?.maxHealth ?? 100) : previous.health;
+    player.position = fresh ? getRandomSpawnPosition() : previous.position;
+    player.rotation = fresh ? 0 : previous.rotation;
+    player.shieldUntil = previous.shieldUntil;
+    player.abilityReadyAt = previous.abilityReadyAt;
+    player.rating = previous.rating;
+    // Only a car that was still alive in the same round rejoins it in elimination mode
+    player.resume = { roomId: held.roomId, rejoinRound: !fresh };
+    
+    const stats = roomState.leaderboard.get(previous.id);
+    if (stats) {
+        roomState.leaderboard.delete(previous.id);
+        roomState.leaderboard.set(player.id, stats);
+    }
+    const team = roomState.teams.get(previous.id);
+    if (team) {
+        roomState.teams.delete(previous.id);
+        setPlayerTeam(roomState, player.id, team);
+    }
+    const points = roomState.zoneScores.get(previous.id);
+    if (points !== undefined) {
+        roomState.zoneScores.delete(previous.id);
+        roomState.zoneScores.set(player.id, points);
+    }
+    if (roomState.hostId === previous.id) roomState.hostId = player.id;
+    const wins = roomState.roundWins.get(previous.id);
+    if (wins) {
+        roomState.roundWins.delete(previous.id);
+        roomState.roundWins.set(player.id, wins);
+    }
+    console.log(`🔄 Resumed session ${previous.id} -> ${player.id} in room ${held.roomId}`);
+}
+
+function pruneHeldSessions(now = Date.now()) {
+    gameState.heldSessions.forEach((held, token) => {
+        if (now > held.expiresAt) {
+            gameState.heldSessions.delete(token);
+            getRoomGameState(held.roomId).teams.delete(held.player.id);
+            console.log(`⌛ Reconnect window expired for ${held.player.id}`);
+        }
+    });
+}
+
+// Fixed-rate simulation tick: resolve collisions and send one snapshot per room
+function tickRooms() {
+    const serverTime = Date.now();
+    gameState.rooms.forEach((room, roomId) => {
+        if (room.length === 0) return;
+        
+        driveBots(roomId, 1 / gameState.tickRate, serverTime);
+        // Server decides car-vs-car hits from its own tracked state
+        detectCarCollisions(roomId);
+        const roomState = getRoomGameState(roomId);
+        if (roomState.rules.monster) updateMonster(roomId, 1 / gameState.tickRate);
+        
+        const mode = getGameMode(roomState.mode);
+        const roomContext = getRoomContext(roomId);
+        mode.onTick(roomContext, 1 / gameState.tickRate, serverTime);
+        roomState.snapshotSeq++;
+        const players = [];
+        room.forEach(playerId => {
+            const player = gameState.players.get(playerId);
+            if (!player) return;
+            players.push({
+                id: player.id,
+                position: player.position,
+                rotation: player.rotation,
+                velocity: player.velocity,
+                health: player.health,
+                ack: player.lastInputSeq || 0
+            });
+        });
+        
+        recordReplayCars(roomId, serverTime);
+        io.to(roomId).emit('worldSnapshot', {
+            seq: roomState.snapshotSeq,
+            serverTime: serverTime,
+            players: players,
+            ...(roomState.rules.monster ? { monster: getMonsterSnapshot(roomState.monster) } : {}),
+            ...mode.getSnapshot(roomContext)
+        });
+    });
+}
+
+// Capture the flag: pickups, returns and captures from the server-tracked car positions
+function updateFlags(roomId) {
+    const roomState = getRoomGameState(roomId);
+    if (roomState.phase !== 'playing') return;
+    const cars = [];
+    roomState.activePlayers.forEach(playerId => {
+        const player = gameState.players.get(playerId);
+        const team = getPlayerTeam(roomState, playerId);
+        if (!player?.position || !team) return;
+        cars.push({ id: playerId, team, x: player.position.x, y: player.position.y, z: player.position.z });
+    });
+    stepFlags(roomState.flags, cars, Date.now()).forEach(event => {
+        if (event.type === 'capture') {
+            roomState.teamScores[event.team]++;
+            const stats = roomState.leaderboard.get(event.playerId);
+            if (stats) stats.captures = (stats.captures || 0) + 1;
+        }
+        emitFlagEvent(roomId, event);
+    });
+    if (Object.values(roomState.teamScores).some(score => score >= CTF.capturesToWin)) {
+        endRound(roomId);
+    }
+}
+
+// Car soccer: knock the ball about with the server-tracked cars and check the goal mouths
+function updateBall(roomId, dt) {
+    const roomState = getRoomGameState(roomId);
+    if (roomState.phase !== 'playing' || Date.now() < roomState.kickoffAt) return;
+    const cars = [];
+    roomState.activePlayers.forEach(playerId => {
+        const player = gameState.players.get(playerId);
+        if (!player?.position) return;
+        const velocity = player.velocity || {};
+        cars.push({
+            id: playerId,
+            x: player.position.x,
+            y: player.position.y || 0,
+            z: player.position.z,
+            vx: velocity.x || 0,
+            vz: velocity.z || 0,
+            rotation: player.rotation || 0
+        });
+    });
+    const goal = stepBall(roomState.ball, dt, BALL_ARENA, cars);
+    if (!goal) return;
+    
+    roomState.teamScores[goal.team]++;
+    // Own goals count for the other team but nobody is credited
+    const scorer = goal.playerId && getPlayerTeam(roomState, goal.playerId) === goal.team ? goal.playerId : null;
+    const stats = scorer && roomState.leaderboard.get(scorer);
+    if (stats) stats.goals = (stats.goals || 0) + 1;
+    const playerName = goal.playerId ? (gameState.players.get(goal.playerId)?.name || 'Unknown') : null;
+    console.log(`⚽ Goal for ${goal.team} in room ${roomId} (${playerName || 'nobody'}${goal.playerId && !scorer ? ', own goal' : ''})`);
+    io.to(roomId).emit('goalScored', {
+        team: goal.team,
+        playerId: goal.playerId,
+        playerName,
+        ownGoal: !!goal.playerId && !scorer,
+        teamScores: roomState.teamScores,
+        kickoffAt: Date.now() + SOCCER.kickoffDelayMs
+    });
+    
+    if (roomState.teamScores[goal.team] >= SOCCER.goalsToWin) {
+        endRound(roomId);
+        return;
+    }
+    setupKickoff(roomId, Date.now() + SOCCER.kickoffDelayMs);
+}
+
+// Ball back on the centre spot and every car to its team's kickoff spot
+function setupKickoff(roomId, kickoffAt) {
+    const roomState = getRoomGameState(roomId);
+    resetBall(roomState.ball);
+    roomState.kickoffAt = kickoffAt;
+    const placed = { red: 0, blue: 0 };
+    roomState.activePlayers.forEach(playerId => {
+        const player = gameState.players.get(playerId);
+        const team = getPlayerTeam(roomState, playerId);
+        if (!player || !team) return;
+        const spot = getKickoffPosition(team, placed[team]++);
+        player.position = spot.position;
+        player.rotation = spot.rotation;
+        player.velocity = { x: 0, y: 0, z: 0 };
+        resetMovementCheck(player, 0);
+        io.to(playerId).emit('positionCorrection', {
+            position: player.position,
+            rotation: player.rotation,
+            seq: player.lastInputSeq || 0,
+            reason: 'kickoff'
+        });
+    });
+}
+
+function getBallSnapshot(ball) {
+    return {
+        position: { x: ball.x, y: ball.y, z: ball.z },
+        velocity: { x: ball.vx, y: ball.vy, z: ball.vz }
+    };
+}
+
+// King of the hill: move the zone when its time is up and score the lone car inside it
+function updateZone(roomId, now) {
+    const roomState = getRoomGameState(roomId);
+    const zoneState = roomState.zone;
+    const elapsedSeconds = (now - zoneState.lastScoredAt) / 1000;
+    zoneState.lastScoredAt = now;
+    
+    if (now >= zoneState.rotateAt) {
+        zoneState.index++;
+        zoneState.rotateAt = now + KOTH.rotateEveryMs;
+        console.log(`👑 Zone moved to ${getZone(zoneState.index).name} in room ${roomId}`);
+    }
+    
+    const cars = [];
+    roomState.activePlayers.forEach(playerId => {
+        const player = gameState.players.get(playerId);
+        if (player?.position) cars.push({ id: playerId, ...player.position });
+    });
+    const control = getZoneControl(getZone(zoneState.index), cars);
+    zoneState.ownerId = control.ownerId;
+    zoneState.contested = control.contested;
+    if (control.ownerId) {
+        const points = (roomState.zoneScores.get(control.ownerId) || 0) + elapsedSeconds * KOTH.pointsPerSecond;
+        roomState.zoneScores.set(control.ownerId, points);
+        const stats = roomState.leaderboard.get(control.ownerId);
+        if (stats) stats.zonePoints = Math.floor(points);
+    }
+    
+    io.to(roomId).emit('zoneUpdate', getZoneSnapshot(roomState));
+    if (control.ownerId && roomState.zoneScores.get(control.ownerId) >= KOTH.scoreToWin) {
+        endRound(roomId);
+    }
+}
+
+function getZoneScoresList(roomState) {
+    return Array.from(roomState.zoneScores.entries())
+        .map(([playerId, points]) => ({
+            playerId,
+            playerName: gameState.players.get(playerId)?.name || roomState.leaderboard.get(playerId)?.playerName || 'Unknown',
+            points: Math.floor(points)
+        }))
+        .sort((a, b) => b.points - a.points);
+}
+
+function getZoneSnapshot(roomState) {
+    const zoneState = roomState.zone;
+    return {
+        zone: getZone(zoneState.index),
+        rotateAt: zoneState.rotateAt,
+        ownerId: zoneState.ownerId,
+        contested: zoneState.contested,
+        scores: getZoneScoresList(roomState),
+        scoreToWin: KOTH.scoreToWin
+    };
+}
+
+// A destroyed or departing carrier leaves the flag where it was
+function dropFlags(roomId, player) {
+    const roomState = getRoomGameState(roomId);
+    if (!player.position) return;
+    const position = { ...player.position, y: getSurfaceHeight(player.position.x, player.position.z) };
+    dropCarriedFlag(roomState.flags, player.id, position, Date.now()).forEach(event => emitFlagEvent(roomId, event));
+}
+
+function emitFlagEvent(roomId, event) {
+    const roomState = getRoomGameState(roomId);
+    const playerName = event.playerId ? (gameState.players.get(event.playerId)?.name || 'Unknown') : null;
+    console.log(`🚩 ${event.type} (${event.team} flag${playerName ? `, ${playerName}` : ''}) in room ${roomId}`);
+    io.to(roomId).emit('flagEvent', { ...event, playerName, teamScores: roomState.teamScores });
+}
+
+// Move the room's monster (chasing the nearest active car) and damage cars it runs into
+function updateMonster(roomId, dt) {
+    const roomState = getRoomGameState(roomId);
+    const cars = [];
+    gameState.rooms.get(roomId).forEach(playerId => {
+        const player = gameState.players.get(playerId);
+        if (!player?.position || !roomState.activePlayers.has(playerId)) return;
+        cars.push({ id: playerId, x: player.position.x, y: player.position.y, z: player.position.z, player });
+    });
+    stepMonster(roomState.monster, dt, MONSTER_ARENA, cars);
+    
+    if (!roomStateAllowsDamage(roomId)) return;
+    const now = Date.now();
+    cars.forEach(({ id, x, y, z, player }) => {
+        if (!monsterTouchesCar(roomState.monster, x, y, z)) return;
+        if (now - (roomState.monsterHits.get(id) || 0) < MONSTER.hitCooldown * 1000) return;
+        roomState.monsterHits.set(id, now);
+        // Flat share of max health, ignoring vehicle damage multipliers
+        const maxHealth = player.vehicle?.maxHealth ?? 100;
+        applyDamage(roomId, 'monster', player, Math.round(maxHealth * MONSTER.damageFraction), 'monster');
     });
 }
 
+function getMonsterSnapshot(monster) {
+    return {
+        position: { x: monster.x, y: MONSTER.y, z: monster.z },
+        velocity: { x: monster.vx, z: monster.vz },
+        targetId: monster.targetId
+    };
+}
+
 // Start a new round
 function startRound(roomId) {
-    const roomState = getRoomGameState(roomId);
     const room = gameState.rooms.get(roomId);
+    // Everyone left (the room is deleted when empty) while the next round was scheduled
+    if (!room) return;
+    const roomState = getRoomGameState(roomId);
     
+    if (roomState.pendingMode) {
+        console.log(`🔀 Room ${roomId} switches to ${roomState.pendingMode}`);
+        switchRoomMode(roomState, roomState.pendingMode);
+    }
     roomState.phase = 'playing';
     roomState.roundStartTime = Date.now();
-    roomState.roundEndTime = roomState.roundStartTime + gameState.roundDuration;
+    roomState.roundEndTime = roomState.roundStartTime + roomState.roundDuration;
+    roomState.replay = createReplayRecorder({
+        roomId,
+        roomName: roomState.name,
+        mode: roomState.mode,
+        private: roomState.isPrivate,
+        startedAt: roomState.roundStartTime
+    });
     roomState.activePlayers.clear();
     roomState.respawningPlayers.clear();
+    roomState.eliminated.clear();
+    const mode = getGameMode(roomState.mode);
+    const roomContext = getRoomContext(roomId);
+    mode.onRoundStart(roomContext);
     
     // Reset all players in the room
+    const placed = [];
     room.forEach(playerId => {
         const player = gameState.players.get(playerId);
         if (player) {
             // Set starting health to the vehicle's maxHealth to match client HUD percent logic
             player.health = player.vehicle?.maxHealth ?? 100;
-            player.position = getRandomSpawnPosition();
+            const spot = mode.getSpawn(roomContext, playerId, placed);
+            if (spot) {
+                player.position = spot.position;
+                player.rotation = spot.rotation;
+            } else {
+                player.position = getRandomSpawnPosition();
+            }
+            placed.push(playerId);
             // Set spawn invulnerability to cover entire entry descent
-            player.invulnerableUntil = Date.now() + Math.max(gameState.spawnInvulnerableMs, gameState.entryDescentMs);
+            player.invulnerableUntil = Date.now() + Math.max(getSpawnProtectionMs(roomId), gameState.entryDescentMs);
+            resetMovementCheck(player, gameState.entryDescentMs);
             roomState.activePlayers.add(playerId);
             
             // Initialize leaderboard entry if not exists
@@ -272,74 +1142,166 @@ function startRound(roomId) {
                     kills: 0,
                     deaths: 0,
                     damageDealt: 0,
-                    playerName: player.name || `Player ${playerId.slice(-4)}`
+                    playerName: player.name || `Player ${playerId.slice(-4)}`,
+                    team: getPlayerTeam(roomState, playerId),
+                    ...mode.createStats()
                 });
             }
         }
     });
     
-    console.log(`🎮 Round started in room ${roomId}`);
+    roomState.roundContestants = roomState.activePlayers.size;
+    
+    console.log(`🎮 Round started in room ${roomId} (${roomState.mode})`);
     io.to(roomId).emit('roundStarted', {
         roundEndTime: roomState.roundEndTime,
+        ...getRoundInfo(roomId),
         players: Array.from(roomState.activePlayers).map(id => {
             const player = gameState.players.get(id);
             return {
                 id: id,
                 position: player.position,
                 health: player.health,
-                vehicleId: player.vehicle?.id || 'balanced'
+                vehicleId: player.vehicle?.id || DEFAULT_VEHICLE_ID,
+                team: getPlayerTeam(roomState, id)
             };
         })
     });
 }
 
-// End a round
-function endRound(roomId) {
+// Mode details shared by roundStarted payloads
+function getRoundInfo(roomId) {
+    const roomState = getRoomGameState(roomId);
+    return getGameMode(roomState.mode).getRoundInfo(getRoomContext(roomId));
+}
+
+// Leaderboard entries in the mode's result order
+function getStandings(roomState) {
+    const mode = getGameMode(roomState.mode);
+    return Array.from(roomState.leaderboard.entries())
+        .map(([playerId, stats]) => ({ playerId, ...stats }))
+        .sort((a, b) => mode.compareStandings(a, b));
+}
+
+// End the round when the mode says it's over: the timer, the last car standing, or a
+// score reached. Checked every second and whenever a car is destroyed or leaves.
+function checkRoundEnd(roomId, now = Date.now()) {
+    const roomState = getRoomGameState(roomId);
+    if (roomState.phase !== 'playing') return;
+    const end = getGameMode(roomState.mode).checkRoundEnd(getRoomContext(roomId), now);
+    if (end) endRound(roomId, end.winnerId);
+}
+
+// End a round. winnerId is the elimination survivor (null when nobody survived);
+// left undefined when the round timer ran out.
+function endRound(roomId, winnerId) {
     const roomState = getRoomGameState(roomId);
     
     roomState.phase = 'roundEnd';
-    
-    // Sort leaderboard by kills desc, then damage desc, then deaths asc
-    const sortedLeaderboard = Array.from(roomState.leaderboard.entries())
-        .map(([playerId, stats]) => ({ playerId, ...stats }))
-        .sort((a, b) => {
-            if (b.kills !== a.kills) return b.kills - a.kills;
-            if (b.damageDealt !== a.damageDealt) return b.damageDealt - a.damageDealt;
-            return a.deaths - b.deaths;
-        });
+    const result = getGameMode(roomState.mode).onRoundEnd(getRoomContext(roomId), winnerId);
+    const sortedLeaderboard = getStandings(roomState);
     
     console.log(`🏁 Round ended in room ${roomId}. Leaderboard:`, sortedLeaderboard);
+    if (roomState.ranked) {
+        result.ratings = updateRatings(roomId, roomState, sortedLeaderboard, result);
+    }
     
     const nextRoundStartTime = Date.now() + 20000; // 20 seconds
+    roomState.nextRoundStartTime = nextRoundStartTime;
+    const replayId = saveReplay(roomId);
     io.to(roomId).emit('roundEnded', {
         leaderboard: sortedLeaderboard,
         roundStats: {
             totalKills: sortedLeaderboard.reduce((sum, player) => sum + player.kills, 0),
             totalDamage: sortedLeaderboard.reduce((sum, player) => sum + player.damageDealt, 0)
         },
-        nextRoundStartTime
+        nextRoundStartTime,
+        mode: roomState.mode,
+        replayId,
+        ...result
     });
     
     // After 20s, start a new round immediately (skip extra waiting phase)
     setTimeout(() => startRound(roomId), 20000);
 }
 
-// Start waiting phase
-function startWaitingPhase(roomId) {
+// ===== Replays =====
+// Each round is recorded (shared/replay.js) from startRound to endRound and saved to replayStore
+
+// The cars in play this tick; the recorder keeps one frame every REPLAY.frameMs
+function recordReplayCars(roomId, now) {
     const roomState = getRoomGameState(roomId);
-    
-    roomState.phase = 'waiting';
-    roomState.waitingStartTime = Date.now();
-    // Allow movement but disable scoring already handled in damage handler
-    
-    console.log(`⏳ Waiting phase started in room ${roomId}`);
-    io.to(roomId).emit('waitingPhaseStarted', {
-        waitingEndTime: roomState.waitingStartTime + gameState.waitingDuration
+    if (!roomState.replay) return;
+    const cars = [];
+    roomState.activePlayers.forEach(playerId => {
+        const player = gameState.players.get(playerId);
+        if (!player) return;
+        cars.push({
+            id: player.id,
+            name: player.name,
+            vehicleId: player.vehicle?.id || DEFAULT_VEHICLE_ID,
+            team: getPlayerTeam(roomState, playerId),
+            position: player.position,
+            rotation: player.rotation,
+            health: player.health
+        });
     });
+    recordReplayFrame(roomState.replay, now, cars);
 }
 
-// Respawn a player
-function respawnPlayer(roomId, playerId) {
+// Add a damage, destroyed, powerup or chat event (the payload the room was sent) to the recording
+function recordReplay(roomId, type, data) {
+    const replay = gameState.gameStates.get(roomId)?.replay;
+    if (replay) recordReplayEvent(replay, Date.now(), type, data);
+}
+
+// Finish the round's recording and store it (written in the background); returns the replay id (null if nothing was saved)
+function saveReplay(roomId) {
+    const roomState = getRoomGameState(roomId);
+    const recorder = roomState.replay;
+    roomState.replay = null;
+    if (!recorder || recorder.replay.frames.length === 0) return null;
+    try {
+        const replayId = replayStore.save(finishReplay(recorder, Date.now()));
+        console.log(`🎞️ Saved replay ${replayId} for room ${roomId}`);
+        return replayId;
+    } catch (e) {
+        console.error('Replay save failed:', e);
+        return null;
+    }
+}
+
+// ===== Game modes =====
+// The built-in modes (server/gameModes.js), with the shared rules and room simulation they drive
+
+registerBuiltInGameModes({
+    respawnMs: gameState.respawnDuration,
+    kickoffDelayMs: gameState.entryDescentMs, // cars are still parachuting in for the opening kickoff
+    winsToMatch: gameState.eliminationWinsToMatch,
+    world: {
+        teams: { TEAM_IDS, pickBalancedTeam, rebalanceTeams, applyFriendlyFire, getTeamTotals },
+        ctf: { CTF, CTF_BASES, createFlags, updateFlags, dropFlags },
+        soccer: { SOCCER, SOCCER_GOALS, resetBall, getKickoffPosition, updateBall, getBallSnapshot },
+        koth: { KOTH, getZone, updateZone, getZoneScoresList, getZoneSnapshot }
+    }
+});
+
+// Start waiting phase
+function startWaitingPhase(roomId) {
+    const roomState = getRoomGameState(roomId);
+    
+    roomState.phase = 'waiting';
+    roomState.waitingStartTime = Date.now();
+    // Allow movement but disable scoring already handled in damage handler
+    
+    console.log(`⏳ Waiting phase started in room ${roomId}`);
+    io.to(roomId).emit('waitingPhaseStarted', {
+        waitingEndTime: roomState.waitingStartTime + gameState.waitingDuration
+    });
+}
+
+// Respawn a player
+function respawnPlayer(roomId, playerId) {
     const roomState = getRoomGameState(roomId);
     const player = gameState.players.get(playerId);
     
@@ -347,7 +1309,8 @@ function respawnPlayer(roomId, playerId) {
         player.health = player.vehicle?.maxHealth ?? 100;
         player.position = getRandomSpawnPosition();
         // Cover respawn parachute descent fully
-        player.invulnerableUntil = Date.now() + Math.max(gameState.spawnInvulnerableMs, gameState.respawnDescentMs);
+        player.invulnerableUntil = Date.now() + Math.max(getSpawnProtectionMs(roomId), gameState.respawnDescentMs);
+        resetMovementCheck(player, gameState.respawnDescentMs);
         roomState.respawningPlayers.delete(playerId);
         roomState.activePlayers.add(playerId);
         
@@ -356,7 +1319,8 @@ function respawnPlayer(roomId, playerId) {
             playerId: playerId,
             position: player.position,
             health: player.health,
-            vehicleId: player.vehicle?.id || 'balanced'
+            vehicleId: player.vehicle?.id || DEFAULT_VEHICLE_ID,
+            team: getPlayerTeam(roomState, playerId)
         });
     }
 }
@@ -436,12 +1400,14 @@ function dropPowerup(roomId) {
     console.log(`🎁 Dropped ${powerupType} powerup in room ${roomId} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
     
     // Broadcast powerup drop to all players
-    io.to(roomId).emit('powerupDropped', {
+    const dropped = {
         id: powerupId,
         type: powerupType,
         position: position,
         landTime: powerup.landTime
-    });
+    };
+    io.to(roomId).emit('powerupDropped', dropped);
+    recordReplay(roomId, 'powerupDropped', dropped);
 }
 
 // Calculate powerup drop frequency based on player count
@@ -466,11 +1432,12 @@ function managePowerupDrops(roomId) {
     // Drop powerups during active play, including solo sessions
     if (roomState.phase !== 'playing' || playerCount < 1) return;
     
-    // Check if it's time to drop a new powerup
-    const dropInterval = getPowerupDropInterval(playerCount);
+    // Check if it's time to drop a new powerup (the room's rules scale the rate, or turn drops off)
+    const rate = POWERUP_RATES[roomState.rules.powerupRate];
+    const dropInterval = getPowerupDropInterval(playerCount) / rate;
     const timeSinceLastDrop = now - roomState.lastPowerupDrop;
     
-    if (timeSinceLastDrop >= dropInterval) {
+    if (rate > 0 && timeSinceLastDrop >= dropInterval) {
         dropPowerup(roomId);
     }
     
@@ -479,50 +1446,719 @@ function managePowerupDrops(roomId) {
         if (now > powerup.despawnTime || powerup.collected) {
             roomState.powerups.delete(powerupId);
             io.to(roomId).emit('powerupRemoved', { id: powerupId });
+            recordReplay(roomId, 'powerupRemoved', { id: powerupId });
         }
     });
 }
 
-// Update collision damage based on collision type
-function calculateCollisionDamage(attackingPlayer, targetPlayer, collisionType) {
-    const baseSpeed = attackingPlayer.speed || 10;
-    
-    switch (collisionType) {
-        case 'headshot': // Jumping ON a car
-            return 100; // Instant kill
-        case 'head-on':
-            return Math.floor(baseSpeed * 4);
-        case 'side':
-            return Math.floor(baseSpeed * 2);
-        case 'rear':
-            return Math.floor(baseSpeed * 1.5);
-        default:
-            return Math.floor(baseSpeed * 2);
+// A player drove over a powerup (reported by their client, or found by the bot driver)
+function collectPowerup(player, powerupId) {
+    const roomState = getRoomGameState(player.room);
+    const powerup = roomState.powerups.get(powerupId);
+    
+    if (!powerup || powerup.collected) return;
+    
+    // Mark powerup as collected
+    powerup.collected = true;
+    
+    console.log(`🎁 Player ${player.id} collected ${powerup.type} powerup`);
+    
+    // Apply powerup effect
+    if (powerup.type === 'health') {
+        // Health powerup restores 40 health
+        const maxHealth = player.vehicle?.maxHealth || 100;
+        const healthRestore = 40;
+        const oldHealth = player.health;
+        player.health = Math.min(maxHealth, player.health + healthRestore);
+        const actualRestore = player.health - oldHealth;
+        
+        console.log(`❤️ Player ${player.id} restored ${actualRestore} health (${oldHealth} → ${player.health})`);
+        
+        // Broadcast health update
+        const healed = {
+            playerId: player.id,
+            health: player.health,
+            damage: -actualRestore, // Negative damage = healing
+            collisionType: 'heal',
+            attackerId: player.id
+        };
+        io.to(player.room).emit('playerDamaged', healed);
+        recordReplay(player.room, 'damage', healed);
+        
+    } else if (powerup.type === 'shield') {
+        // Shield powerup gives 10 seconds of extra protection
+        const shieldDuration = 10000; // 10 seconds
+        player.shieldUntil = Date.now() + shieldDuration;
+        
+        console.log(`🛡️ Player ${player.id} activated shield for 10 seconds`);
+        
+        // Notify player about shield
+        io.to(player.id).emit('shieldActivated', {
+            duration: shieldDuration,
+            endsAt: player.shieldUntil
+        });
+        
+        // Notify others about shield visual
+        io.to(player.room).except(player.id).emit('playerShielded', {
+            playerId: player.id,
+            shieldUntil: player.shieldUntil
+        });
+    }
+    
+    // Remove powerup from the game
+    roomState.powerups.delete(powerupId);
+    const collected = {
+        id: powerupId,
+        playerId: player.id,
+        type: powerup.type
+    };
+    io.to(player.room).emit('powerupCollected', collected);
+    recordReplay(player.room, 'powerupCollected', collected);
+}
+
+// Car-vs-car hits are classified and sized by shared/combat.js (COLLISION has the tuning)
+const VELOCITY_SAMPLE_MS = 50; // minimum window for server-side velocity estimates
+
+// Track position/velocity from client movement packets (velocity averaged over short windows)
+function updatePlayerKinematics(player, position, rotation) {
+    const now = Date.now();
+    if (!player.velocitySample) {
+        player.velocitySample = { x: position.x, y: position.y || 0, z: position.z, t: now };
+    }
+    const sample = player.velocitySample;
+    const elapsed = now - sample.t;
+    if (elapsed >= VELOCITY_SAMPLE_MS) {
+        const dt = elapsed / 1000;
+        player.velocity = {
+            x: (position.x - sample.x) / dt,
+            y: ((position.y || 0) - sample.y) / dt,
+            z: (position.z - sample.z) / dt
+        };
+        player.velocitySample = { x: position.x, y: position.y || 0, z: position.z, t: now };
+    }
+    player.position = position;
+    player.rotation = rotation;
+    // Signed speed along the car's nose (reversing into someone deals no damage)
+    const v = player.velocity || { x: 0, y: 0, z: 0 };
+    player.speed = v.x * Math.sin(rotation) + v.z * Math.cos(rotation);
+}
+
+// Detect car-vs-car contacts between active players in a room and resolve damage both ways
+function detectCarCollisions(roomId) {
+    const room = gameState.rooms.get(roomId);
+    if (!room) return;
+    const roomState = getRoomGameState(roomId);
+    if (roomState.phase !== 'playing') return;
+    
+    const active = room
+        .filter(id => roomState.activePlayers.has(id))
+        .map(id => gameState.players.get(id))
+        .filter(p => p && p.position);
+    
+    for (let i = 0; i < active.length; i++) {
+        for (let j = i + 1; j < active.length; j++) {
+            const a = active[i];
+            const b = active[j];
+            const dx = a.position.x - b.position.x;
+            const dy = (a.position.y || 0) - (b.position.y || 0);
+            const dz = a.position.z - b.position.z;
+            if (dx * dx + dy * dy + dz * dz >= COLLISION.distance * COLLISION.distance) continue;
+            
+            resolveCollision(a, b);
+            resolveCollision(b, a);
+        }
+    }
+}
+
+// Apply one attacker→target hit if the attacker is fast enough and off cooldown
+function resolveCollision(attackingPlayer, targetPlayer) {
+    if ((attackingPlayer.speed || 0) <= COLLISION.minSpeed) return;
+    if (!roomStateAllowsDamage(attackingPlayer.room)) return;
+    
+    const now = Date.now();
+    attackingPlayer.collisionCooldowns = attackingPlayer.collisionCooldowns || new Map();
+    const lastHit = attackingPlayer.collisionCooldowns.get(targetPlayer.id) || 0;
+    if (now - lastHit < COLLISION.cooldownMs) return;
+    attackingPlayer.collisionCooldowns.set(targetPlayer.id, now);
+    
+    // Rooms without headshots treat landing on a car as an ordinary hit; Ram Plates get
+    // through bumpers and hit harder
+    const { collisionType, damage: finalDamage } = resolveCarHit(attackingPlayer, targetPlayer, {
+        headshots: getRoomGameState(attackingPlayer.room).rules.headshots,
+        ramMultiplier: isAbilityActive(attackingPlayer, 'ram', now) ? getVehicleAbility(attackingPlayer.vehicle).damageMultiplier : null,
+        damageDealt: attackingPlayer.vehicle?.damageDealtMultiplier,
+        damageTaken: targetPlayer.vehicle?.damageTakenMultiplier
+    });
+    
+    console.log(`💥 ${attackingPlayer.id} hit ${targetPlayer.id} (${collisionType}) at speed ${attackingPlayer.speed.toFixed(1)} for ${finalDamage}`);
+    applyDamage(attackingPlayer.room, attackingPlayer.id, targetPlayer, finalDamage, collisionType);
+}
+
+// Whether the player's vehicle ability with this id is currently running
+function isAbilityActive(player, abilityId, now = Date.now()) {
+    return player.vehicle?.ability === abilityId && now < (player.abilityActiveUntil || 0);
+}
+
+// Validate cooldown and apply the server-side part of a vehicle ability.
+// Returns the ability definition when it fired, otherwise null.
+function activateAbility(player) {
+    const ability = getVehicleAbility(player.vehicle);
+    if (!ability || !player.room) return null;
+    const roomState = getRoomGameState(player.room);
+    if (!roomState.activePlayers.has(player.id)) return null;
+    
+    const now = Date.now();
+    if (now < (player.abilityReadyAt || 0)) return null;
+    player.abilityReadyAt = now + ability.cooldownMs;
+    player.abilityActiveUntil = now + ability.durationMs;
+    
+    if (ability.id === 'nitro' && player.moveCheck) {
+        // Extend the movement budget by the extra distance nitro can cover
+        const extra = (player.vehicle.maxSpeed ?? 45) * (ability.speedMultiplier - 1) * ability.durationMs / 1000;
+        player.moveCheck.bonusCredit = extra;
+        player.moveCheck.bonusUntil = now + ability.durationMs + 1000;
+        player.moveCheck.credit += extra;
+    } else if (ability.id === 'stomp' && roomStateAllowsDamage(player.room)) {
+        // Shockwave around the server-tracked position, weaker towards the edge
+        gameState.rooms.get(player.room).forEach(otherId => {
+            if (otherId === player.id || !roomState.activePlayers.has(otherId)) return;
+            const other = gameState.players.get(otherId);
+            if (!other?.position) return;
+            const distance = Math.hypot(other.position.x - player.position.x, other.position.z - player.position.z);
+            if (distance > ability.radius) return;
+            const falloff = 1 - 0.5 * (distance / ability.radius);
+            const attackerMod = player.vehicle?.damageDealtMultiplier ?? 1.0;
+            const targetMod = other.vehicle?.damageTakenMultiplier ?? 1.0;
+            const damage = Math.max(0, Math.round(ability.damage * falloff * attackerMod * targetMod));
+            applyDamage(player.room, player.id, other, damage, 'stomp');
+        });
+    }
+    return ability;
+}
+
+function emitAbilityUsed(player, ability) {
+    io.to(player.room).emit('abilityUsed', {
+        playerId: player.id,
+        abilityId: ability.id,
+        durationMs: ability.durationMs,
+        cooldownMs: ability.cooldownMs
+    });
+}
+
+function roomStateAllowsDamage(roomId) {
+    return !!roomId && getRoomGameState(roomId).phase === 'playing';
+}
+
+// Apply server-computed damage to a target, update stats and broadcast the outcome.
+// attackerId is 'monster' for hazard damage (see updateMonster).
+function applyDamage(roomId, attackerId, targetPlayer, finalDamage, collisionType) {
+    const roomState = getRoomGameState(roomId);
+    const attackingPlayer = gameState.players.get(attackerId);
+    
+    // Enforce invulnerability window: attacker cannot deal, target cannot receive
+    const now = Date.now();
+    if (attackingPlayer && attackingPlayer.invulnerableUntil && now < attackingPlayer.invulnerableUntil) {
+        console.log('🛡️ Attacker is invulnerable; cannot deal damage yet');
+        return;
+    }
+    if (targetPlayer.invulnerableUntil && now < targetPlayer.invulnerableUntil) {
+        console.log('🛡️ Target is invulnerable; ignoring damage');
+        return;
+    }
+    
+    // Check shield protection
+    if (targetPlayer.shieldUntil && now < targetPlayer.shieldUntil) {
+        console.log('🛡️ Target has shield active; ignoring damage');
+        return;
+    }
+    
+    // Mode rules, e.g. team rooms scale (or cancel) damage between teammates
+    const mode = getGameMode(roomState.mode);
+    const roomContext = getRoomContext(roomId);
+    const ruled = mode.onDamage(roomContext, attackerId, targetPlayer.id, finalDamage);
+    const friendlyFire = ruled.friendlyFire;
+    finalDamage = ruled.damage;
+    if (friendlyFire && finalDamage <= 0) return;
+    // Room rules: damage multiplier and one-hit kills
+    finalDamage = applyDamageRules(roomState.rules, finalDamage, targetPlayer.health, !!attackingPlayer);
+    
+    // Apply damage to the target player
+    targetPlayer.health = Math.max(0, targetPlayer.health - finalDamage);
+    
+    // Update leaderboard stats (exclude monster events)
+    const attackerStats = attackingPlayer ? roomState.leaderboard.get(attackerId) : null;
+    if (attackerStats) {
+        attackerStats.damageDealt += finalDamage;
+    }
+    
+    // Broadcast damage to all players in the room
+    const damaged = {
+        playerId: targetPlayer.id,
+        health: targetPlayer.health,
+        damage: finalDamage,
+        collisionType: collisionType,
+        attackerId: attackerId,
+        friendlyFire: friendlyFire
+    };
+    io.to(roomId).emit('playerDamaged', damaged);
+    recordReplay(roomId, 'damage', damaged);
+    
+    // Check if target player is destroyed
+    if (targetPlayer.health <= 0) {
+        roomState.activePlayers.delete(targetPlayer.id);
+        const respawnMs = mode.onKill(roomContext, attackerId, targetPlayer.id, friendlyFire);
+        
+        // No respawn (Last Car Standing): out until the next round
+        if (respawnMs === null) {
+            roomState.eliminated.add(targetPlayer.id);
+            console.log('💀 Player eliminated:', targetPlayer.id, `${roomState.activePlayers.size} left`);
+            const eliminated = {
+                playerId: targetPlayer.id,
+                respawnTime: null,
+                attackerId: attackerId,
+                eliminated: true,
+                aliveCount: roomState.activePlayers.size
+            };
+            io.to(roomId).emit('playerDestroyed', eliminated);
+            recordReplay(roomId, 'destroyed', eliminated);
+            checkRoundEnd(roomId);
+            return;
+        }
+        
+        // Start respawn
+        const respawnTime = Date.now() + respawnMs;
+        roomState.respawningPlayers.set(targetPlayer.id, respawnTime);
+        
+        console.log('💀 Player destroyed:', targetPlayer.id, `Respawn in ${respawnMs / 1000} seconds`);
+        
+        const destroyed = {
+            playerId: targetPlayer.id,
+            respawnTime: respawnTime,
+            attackerId: attackerId
+        };
+        io.to(roomId).emit('playerDestroyed', destroyed);
+        recordReplay(roomId, 'destroyed', destroyed);
     }
 }
 
+// Arena layout mirrored from the client (Arena.js) for movement validation
+const ARENA_BOUNDS = { x: 160, z: 120 };
+const PLATFORM_SURFACE = { x: 40, z: -25, halfW: 14, halfD: 9, y: 7.0 };
+const RAMP_SURFACE = { x: 40, halfW: 3, y0: 0, y1: 7.06, zStart: -59.98, zEnd: -33.98 };
+const LIFT_ZONE = { x: 51.2, z: -25, halfW: 2.5, halfD: 2.5 };
+// Footprints of the two L-shaped barriers (Arena.createLBarriers)
+const L_BARRIERS = [
+    { x: -63.6, z: 42, halfW: 13, halfD: 0.6 },
+    { x: -51.2, z: 36.6, halfW: 0.6, halfD: 6 },
+    { x: -80.4, z: 42, halfW: 13, halfD: 0.6 },
+    { x: -92.8, z: 47.4, halfW: 0.6, halfD: 6 }
+];
+// Where the monster can roam: inside the wall (2 units thick) with its own clearance
+const MONSTER_ARENA = {
+    halfX: ARENA_BOUNDS.x - 2 * 1.2,
+    halfZ: ARENA_BOUNDS.z - 2 * 1.2,
+    barriers: L_BARRIERS,
+    platform: PLATFORM_SURFACE
+};
+// Where the soccer ball rolls: inside the wall, around the barriers, platform and ramp
+const BALL_ARENA = {
+    halfX: ARENA_BOUNDS.x - 2,
+    halfZ: ARENA_BOUNDS.z - 2,
+    obstacles: [
+        ...L_BARRIERS,
+        PLATFORM_SURFACE,
+        {
+            x: RAMP_SURFACE.x,
+            z: (RAMP_SURFACE.zStart + RAMP_SURFACE.zEnd) / 2,
+            halfW: RAMP_SURFACE.halfW,
+            halfD: (RAMP_SURFACE.zEnd - RAMP_SURFACE.zStart) / 2
+        }
+    ]
+};
+
+// Movement validation tuning
+const MOVE_SPEED_TOLERANCE = 1.2; // sustained speed allowed over the vehicle's maxSpeed
+// Extra distance (in seconds at maxSpeed) from spending every boost charge back to back, plus jump pads
+const MOVE_BURST_SECONDS = (VehiclePhysics.BOOST.multiplier - 1) *
+    (VehiclePhysics.BOOST.duration + VehiclePhysics.BOOST.falloff / 2) * VehiclePhysics.BOOST.maxCharges + 0.3;
+const MOVE_BURST_SLACK = 30; // wall clamps, push-apart and lift hand-off teleports
+const MAX_DESCENT_HEIGHT = 115; // parachute entry starts at 110
+const CORRECTION_INTERVAL_MS = 250; // don't spam corrections while packets are in flight
+
+// Ground height of the drivable surface under (x, z)
+function getSurfaceHeight(x, z) {
+    const r = RAMP_SURFACE;
+    if (Math.abs(x - r.x) <= r.halfW && z >= r.zStart && z <= r.zEnd) {
+        const t = (z - r.zStart) / (r.zEnd - r.zStart);
+        return r.y0 + t * (r.y1 - r.y0);
+    }
+    const p = PLATFORM_SURFACE;
+    if (Math.abs(x - p.x) <= p.halfW && Math.abs(z - p.z) <= p.halfD) {
+        return p.y;
+    }
+    return 0;
+}
+
+// True when (x, y, z) is inside the solid platform block (the lift shaft and ramp seam excepted)
+function isInsidePlatform(x, y, z) {
+    const p = PLATFORM_SURFACE;
+    const margin = 1.0;
+    if (Math.abs(x - p.x) > p.halfW - margin || Math.abs(z - p.z) > p.halfD - margin) return false;
+    if (y >= p.y - 1.5) return false;
+    if (Math.abs(x - LIFT_ZONE.x) <= LIFT_ZONE.halfW && Math.abs(z - LIFT_ZONE.z) <= LIFT_ZONE.halfD) return false;
+    if (Math.abs(x - RAMP_SURFACE.x) <= RAMP_SURFACE.halfW + 2 && z <= RAMP_SURFACE.zEnd + 2) return false;
+    return true;
+}
+
+// Highest jump-pad arc plus margin under the room's gravity
+function getMaxJumpHeight(player) {
+    const rules = player.room ? getRoomGameState(player.room).rules : null;
+    return VehiclePhysics.getMaxJumpHeight(undefined, getGravityScale(rules)) + 1.5;
+}
+
+// Start a fresh movement budget at a server-assigned position (spawn, respawn, new round)
+function resetMovementCheck(player, descentMs = 0) {
+    const now = Date.now();
+    player.moveCheck = {
+        lastAt: now,
+        credit: getMovementCapacity(player),
+        groundY: 0,
+        descentUntil: now + descentMs,
+        lastCorrectionAt: 0
+    };
+    player.velocitySample = null;
+}
+
+function getMovementCapacity(player) {
+    const maxSpeed = player.vehicle?.maxSpeed ?? 45;
+    const check = player.moveCheck;
+    const bonus = check && Date.now() < (check.bonusUntil || 0) ? check.bonusCredit : 0;
+    return maxSpeed * MOVE_BURST_SECONDS + MOVE_BURST_SLACK + bonus;
+}
+
+// Check a client-reported move against speed, arena and height rules.
+// Returns null when the move is acceptable, otherwise the reason it was rejected.
+function validatePlayerMove(player, position, rotation) {
+    // Not spawned into a room yet: nothing to compare against
+    const firstMove = !player.moveCheck;
+    if (firstMove) {
+        resetMovementCheck(player);
+    }
+    
+    if (![position.x, position.y, position.z, rotation].every(Number.isFinite)) {
+        return 'invalid';
+    }
+    if (firstMove) {
+        return null;
+    }
+    
+    const now = Date.now();
+    const check = player.moveCheck;
+    
+    // Refill the distance budget for the time elapsed since the last accepted move
+    const maxSpeed = player.vehicle?.maxSpeed ?? 45;
+    const elapsed = Math.max(0, now - check.lastAt) / 1000;
+    const credit = Math.min(getMovementCapacity(player), check.credit + maxSpeed * MOVE_SPEED_TOLERANCE * elapsed);
+    
+    const distance = Math.hypot(position.x - player.position.x, position.z - player.position.z);
+    if (distance > credit) {
+        return 'speed';
+    }
+    
+    // Arena oval (the client bounces cars back to 90% of this)
+    const ellipse = (position.x * position.x) / (ARENA_BOUNDS.x * ARENA_BOUNDS.x) +
+        (position.z * position.z) / (ARENA_BOUNDS.z * ARENA_BOUNDS.z);
+    if (ellipse > 1.05) {
+        return 'bounds';
+    }
+    
+    // Height rules: no digging under the floor, no flying above a jump from the last ground surface
+    const surfaceY = getSurfaceHeight(position.x, position.z);
+    if (position.y < -0.5) {
+        return 'height';
+    }
+    const descending = now < check.descentUntil;
+    const ceiling = descending ? MAX_DESCENT_HEIGHT : Math.max(check.groundY, surfaceY) + getMaxJumpHeight(player);
+    if (position.y > ceiling) {
+        return 'height';
+    }
+    if (isInsidePlatform(position.x, position.y, position.z)) {
+        return 'platform';
+    }
+    
+    check.credit = credit - distance;
+    check.lastAt = now;
+    if (Math.abs(position.y - surfaceY) < 1.0) {
+        check.groundY = surfaceY;
+    }
+    return null;
+}
+
+// ===== Bots =====
+// Rooms short of humans are topped up with server-driven cars (shared/bots.js). A bot is an
+// ordinary player entry with a `bot` brain and no socket, so snapshots, damage, scoring and
+// the mode hooks treat it like anyone else; events sent to its id reach nobody.
+const BOT_ENTRY_HEIGHT = 110; // where the client's parachute entry starts
+const BOT_RESPAWN_HEIGHT = 50;
+const BOT_HEIGHT_LIMIT = 1; // bots stay on the ground floor; cars and objectives above it are ignored
+
+function isBot(playerId) {
+    return !!gameState.players.get(playerId)?.bot;
+}
+
+function getRoomBots(roomId) {
+    return (gameState.rooms.get(roomId) || []).map(id => gameState.players.get(id)).filter(player => player?.bot);
+}
+
+function countRoomHumans(roomId) {
+    return (gameState.rooms.get(roomId) || []).filter(id => !isBot(id)).length;
+}
+
+// Bots wanted in a room: enough to bring it up to botFillTo cars while humans are playing
+function getBotTarget(roomId) {
+    const roomState = getRoomGameState(roomId);
+    const humans = countRoomHumans(roomId);
+    if (humans === 0 || roomState.ranked || roomState.rules.bots === 'off') return 0;
+    return Math.max(0, Math.min(gameState.botFillTo, roomState.maxPlayers) - humans);
+}
+
+// Once a second: add or retire one bot towards the target (all of them once the humans are gone)
+function balanceBots(roomId) {
+    const bots = getRoomBots(roomId);
+    const target = getBotTarget(roomId);
+    if (target === 0) {
+        bots.forEach(removeBot);
+    } else if (bots.length < target) {
+        addBot(roomId);
+    } else if (bots.length > target) {
+        removeBot(bots[bots.length - 1]);
+    }
+}
+
+// Seat a new bot the way joinRoom seats a player
+function addBot(roomId) {
+    const roomState = getRoomGameState(roomId);
+    const room = gameState.rooms.get(roomId);
+    const id = `bot_${crypto.randomBytes(4).toString('hex')}`;
+    const vehicleIds = Object.keys(VEHICLES);
+    const now = Date.now();
+    const player = {
+        id,
+        accountId: null,
+        name: pickBotName(room.map(playerId => gameState.players.get(playerId)?.name)),
+        position: getRandomSpawnPosition(),
+        rotation: 0,
+        velocity: { x: 0, y: 0, z: 0 },
+        speed: 0,
+        lastInputSeq: 0,
+        vehicle: getVehicleById(vehicleIds[Math.floor(Math.random() * vehicleIds.length)]),
+        room: roomId,
+        connectedAt: new Date(),
+        invulnerableUntil: now + Math.max(getSpawnProtectionMs(roomId), gameState.entryDescentMs),
+        rating: MATCHMAKING.startRating,
+        reconnectToken: null,
+        resume: null,
+        bot: createBot(roomState.rules.bots, 0, 0)
+    };
+    enforceRoomVehicle(player);
+    player.health = player.vehicle.maxHealth;
+    resetMovementCheck(player, gameState.entryDescentMs);
+    gameState.players.set(id, player);
+    room.push(id);
+
+    const mode = getGameMode(roomState.mode);
+    const roomContext = getRoomContext(roomId);
+    if (!roomState.leaderboard.has(id)) {
+        roomState.leaderboard.set(id, {
+            kills: 0,
+            deaths: 0,
+            damageDealt: 0,
+            playerName: player.name,
+            ...mode.createStats()
+        });
+    }
+    mode.onPlayerJoin(roomContext, id, false);
+
+    const lateJoin = roomState.phase === 'playing' ? mode.getLateJoin(roomContext, id, null) : null;
+    if (lateJoin === 'spectate') roomState.eliminated.add(id);
+    else if (lateJoin === 'play') roomState.activePlayers.add(id);
+
+    io.to(roomId).emit('playerJoined', {
+        playerId: id,
+        name: player.name,
+        position: player.position,
+        health: player.health,
+        vehicleId: player.vehicle.id,
+        spectating: roomState.eliminated.has(id),
+        team: getPlayerTeam(roomState, id)
+    });
+    io.to(roomId).emit('chatMessage', {
+        playerId: 'system',
+        playerName: 'System',
+        message: `${player.name} joined the arena`,
+        timestamp: new Date().toISOString(),
+        isSystem: true
+    });
+    if (lateJoin === 'restart') startRound(roomId);
+    console.log(`🤖 Bot ${player.name} (${player.bot.difficulty}, ${player.vehicle.id}) joined room ${roomId}`);
+}
+
+function removeBot(player) {
+    const roomId = player.room;
+    removeFromRoom(player);
+    gameState.players.delete(player.id);
+    io.to(roomId).emit('chatMessage', {
+        playerId: 'system',
+        playerName: 'System',
+        message: `${player.name} left the arena`,
+        timestamp: new Date().toISOString(),
+        isSystem: true
+    });
+    if (gameState.rooms.get(roomId)?.length === 0) {
+        gameState.rooms.delete(roomId);
+    }
+    console.log(`🤖 Bot ${player.name} left room ${roomId}`);
+}
+
+// What a bot can see of its room (see shared/bots.js)
+function getBotView(roomId, player) {
+    const roomState = getRoomGameState(roomId);
+    const now = Date.now();
+    const team = getPlayerTeam(roomState, player.id);
+    const opponents = [];
+    roomState.activePlayers.forEach(id => {
+        const other = gameState.players.get(id);
+        if (id === player.id || !other?.position || (other.position.y || 0) > BOT_HEIGHT_LIMIT) return;
+        if (now < other.invulnerableUntil || (team && getPlayerTeam(roomState, id) === team)) return;
+        opponents.push({ id, x: other.position.x, z: other.position.z });
+    });
+    const powerups = [];
+    roomState.powerups.forEach(powerup => {
+        if (!powerup.collected && now >= powerup.landTime) {
+            powerups.push({ id: powerup.id, x: powerup.position.x, z: powerup.position.z });
+        }
+    });
+    const objective = getGameMode(roomState.mode).getBotObjective(getRoomContext(roomId), player.id);
+    return {
+        self: {
+            x: player.bot.sim.x,
+            z: player.bot.sim.z,
+            health: player.health,
+            maxHealth: player.vehicle.maxHealth,
+            maxSpeed: player.vehicle.maxSpeed
+        },
+        opponents,
+        powerups,
+        objective: objective && (objective.y || 0) <= BOT_HEIGHT_LIMIT ? objective : null,
+        monster: roomState.rules.monster ? { x: roomState.monster.x, z: roomState.monster.z, radius: MONSTER.radius } : null,
+        hazards: getSlickPatches(roomId),
+        arena: BALL_ARENA
+    };
+}
+
+// Every tick: parachute bots in, then drive the landed ones and report their moves as a
+// client would
+function driveBots(roomId, dt, now) {
+    const roomState = getRoomGameState(roomId);
+    getRoomBots(roomId).forEach(player => {
+        const bot = player.bot;
+        // The server put the car somewhere new (spawn, respawn, kickoff): carry on from there
+        if (player.position !== bot.position) {
+            placeBot(bot, player.position, player.rotation);
+            bot.position = player.position;
+            const descentMs = player.moveCheck.descentUntil - now;
+            bot.drop = descentMs > 0
+                ? { height: descentMs > gameState.respawnDescentMs ? BOT_ENTRY_HEIGHT : BOT_RESPAWN_HEIGHT, ms: descentMs }
+                : null;
+        }
+        if (bot.drop) {
+            const remaining = player.moveCheck.descentUntil - now;
+            if (remaining > 0) {
+                bot.position = { x: bot.sim.x, y: bot.drop.height * remaining / bot.drop.ms, z: bot.sim.z };
+                player.position = bot.position;
+                return;
+            }
+            // Landed: spawn protection starts now, as with a client's playerLanded
+            bot.drop = null;
+            player.invulnerableUntil = now + getSpawnProtectionMs(roomId);
+        }
+        if (roomState.phase !== 'playing' || !roomState.activePlayers.has(player.id)) {
+            player.velocity = { x: 0, y: 0, z: 0 };
+            player.speed = 0;
+            return;
+        }
+
+        bot.sim.gravityScale = getGravityScale(roomState.rules);
+        const view = getBotView(roomId, player);
+        const input = stepBot(bot, view, dt, now, player.vehicle);
+        bot.position = { x: bot.sim.x, y: bot.sim.y, z: bot.sim.z };
+        updatePlayerKinematics(player, bot.position, bot.sim.yaw);
+
+        if (input.ability && now >= (player.abilityReadyAt || 0)) {
+            const ability = activateAbility(player);
+            if (ability) emitAbilityUsed(player, ability);
+        }
+        getReachablePowerups(bot, view.powerups).forEach(powerupId => collectPowerup(player, powerupId));
+        view.hazards
+            .filter(patch => Math.hypot(patch.x - bot.sim.x, patch.z - bot.sim.z) <= patch.radius)
+            .forEach(patch => {
+                VehiclePhysics.startSpin(bot.sim, patch.type, Math.random() < 0.5 ? 1 : -1);
+                consumeSlickPatch(roomId, player, patch.id);
+            });
+    });
+}
+
 // Socket.io connection handling
+// Socket handshake auth: no token plays as a guest, a bad token is refused so the
+// client can drop it instead of silently losing its identity
+io.use((socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next();
+    const payload = verifyToken(token, jwtSecret);
+    const account = payload && accountStore.findById(payload.sub);
+    if (!account) return next(new Error('invalid_token'));
+    socket.data.account = toPublicAccount(account);
+    next();
+});
+
 io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
+    const account = socket.data.account || null;
+    console.log(`Player connected: ${socket.id}${account ? ` (${account.username})` : ''}`);
     
     // Initialize player data
     const player = {
         id: socket.id,
-        name: `Player_${socket.id.slice(0, 6)}`,
+        accountId: account ? account.id : null,
+        name: account ? account.username : `Player_${socket.id.slice(0, 6)}`,
         position: getRandomSpawnPosition(), // Use random spawn position instead of center
         rotation: 0,
+        velocity: { x: 0, y: 0, z: 0 },
+        speed: 0,
+        lastInputSeq: 0,
         health: 100,
-        vehicle: { id: 'balanced', damageDealtMultiplier: 1.0, damageTakenMultiplier: 1.0, maxHealth: 100 },
+        vehicle: getVehicleById(DEFAULT_VEHICLE_ID),
         room: null,
         connectedAt: new Date(),
-        invulnerableUntil: 0
+        invulnerableUntil: 0,
+        rating: account?.rating ?? MATCHMAKING.startRating, // guests start fresh every visit
+        reconnectToken: pickReconnectToken(socket.handshake.auth?.reconnectToken),
+        resume: null // { roomId } until the resumed player rejoins its room
     };
     
+    const held = claimHeldSession(socket.handshake.auth?.reconnectToken, player.accountId);
+    if (held) {
+        restoreHeldSession(player, held);
+    }
+    
     gameState.players.set(socket.id, player);
     
     // Send initial game state to player
     socket.emit('gameState', {
         playerId: socket.id,
+        account: account,
+        reconnectToken: player.reconnectToken,
+        rating: player.rating,
+        resumed: held ? { name: player.name, vehicleId: player.vehicle?.id || DEFAULT_VEHICLE_ID, roomId: held.roomId } : null,
         arena: {
             bounds: { x: 160, z: 120 }, // 2x bigger arena
             wallHeight: 8
@@ -534,18 +2170,31 @@ io.on('connection', (socket) => {
         const player = gameState.players.get(socket.id);
         if (player) {
             // Validate movement data
-            if (data.position && data.rotation !== undefined) {
-                player.position = data.position;
-                player.rotation = data.rotation;
-                
-                // Broadcast to other players in the same room
-                if (player.room) {
-                    socket.to(player.room).emit('playerMoved', {
-                        playerId: socket.id,
-                        position: player.position,
-                        rotation: player.rotation
-                    });
+            if (data && typeof data.position === 'object' && data.position !== null && data.rotation !== undefined) {
+                const position = { x: Number(data.position.x), y: Number(data.position.y), z: Number(data.position.z) };
+                const rotation = Number(data.rotation);
+                const rejection = validatePlayerMove(player, position, rotation);
+                // Last client input frame the server has processed (acked in snapshots)
+                if (Number.isInteger(data.seq) && data.seq > (player.lastInputSeq || 0)) {
+                    player.lastInputSeq = data.seq;
                 }
+                if (rejection) {
+                    // Keep the last accepted state and tell the client to snap back to it
+                    const now = Date.now();
+                    if (player.moveCheck && now - player.moveCheck.lastCorrectionAt >= CORRECTION_INTERVAL_MS) {
+                        player.moveCheck.lastCorrectionAt = now;
+                        console.log(`🚫 Rejected move from ${socket.id} (${rejection})`);
+                        socket.emit('positionCorrection', {
+                            position: player.position,
+                            rotation: player.rotation,
+                            seq: player.lastInputSeq || 0,
+                            reason: rejection
+                        });
+                    }
+                    return;
+                }
+                // Stored only; the room's next worldSnapshot carries it to everyone
+                updatePlayerKinematics(player, position, rotation);
             }
         }
     });
@@ -554,19 +2203,13 @@ io.on('connection', (socket) => {
     socket.on('vehicleSelected', (data) => {
         const player = gameState.players.get(socket.id);
         if (!player) return;
-        const allowed = new Set(['sport', 'balanced', 'tank']);
-        const id = allowed.has(data?.vehicleId) ? data.vehicleId : 'balanced';
-        // Basic server-side presets to keep in sync with client balance
-        const presets = {
-            sport: { id: 'sport', damageDealtMultiplier: 0.95, damageTakenMultiplier: 1.2, maxHealth: 80 },
-            balanced: { id: 'balanced', damageDealtMultiplier: 1.0, damageTakenMultiplier: 1.0, maxHealth: 100 },
-            tank: { id: 'tank', damageDealtMultiplier: 1.25, damageTakenMultiplier: 0.8, maxHealth: 130 },
-        };
-        player.vehicle = presets[id];
+        const id = isVehicleId(data?.vehicleId) ? data.vehicleId : DEFAULT_VEHICLE_ID;
+        player.vehicle = getVehicleById(id);
         player.health = Math.min(player.health, player.vehicle.maxHealth);
+        enforceRoomVehicle(player);
         // Notify room so others can render appropriate model later if needed
         if (player.room) {
-            io.to(player.room).emit('playerVehicleChanged', { playerId: socket.id, vehicleId: id });
+            io.to(player.room).emit('playerVehicleChanged', { playerId: socket.id, vehicleId: player.vehicle.id });
         }
         // Always confirm current spawn to this player so client can position correctly
         // We do NOT rely solely on this for invulnerability timing during an 8s parachute.
@@ -579,127 +2222,16 @@ io.on('connection', (socket) => {
         });
     });
 
-    // Handle player damage
-    socket.on('playerDamaged', (data) => {
-        console.log('🔴 Server received damage event:', data);
-        console.log('Attacking player:', socket.id);
-        console.log('Target player:', data.targetPlayerId);
-        
-        const attackingPlayer = gameState.players.get(socket.id);
-        const targetPlayerId = data.targetPlayerId;
-        const targetPlayer = gameState.players.get(targetPlayerId);
-        
-        // Validate all required data
-        if (!attackingPlayer) {
-            console.log('❌ Attacking player not found:', socket.id);
-            return;
-        }
-        
-        if (!targetPlayer) {
-            console.log('❌ Target player not found:', targetPlayerId);
-            console.log('Available players:', Array.from(gameState.players.keys()));
-            return;
-        }
-        
-        if (data.damage === undefined || data.damage < 0) {
-            console.log('❌ Invalid damage amount:', data.damage);
-            return;
-        }
-        
-        if (attackingPlayer.room !== targetPlayer.room) {
-            console.log('❌ Players not in same room. Attacker room:', attackingPlayer.room, 'Target room:', targetPlayer.room);
-            return;
-        }
-        
-        const roomState = getRoomGameState(attackingPlayer.room);
-        
-        // Only count damage during playing phase
-        if (roomState.phase !== 'playing') {
-            console.log('❌ Not in playing phase, ignoring damage');
-            return;
-        }
-
-        // Enforce invulnerability window: attacker cannot deal, target cannot receive
-        const now = Date.now();
-        if (attackingPlayer.invulnerableUntil && now < attackingPlayer.invulnerableUntil) {
-            console.log('🛡️ Attacker is invulnerable; cannot deal damage yet');
-            return;
-        }
-        if (targetPlayer.invulnerableUntil && now < targetPlayer.invulnerableUntil) {
-            console.log('🛡️ Target is invulnerable; ignoring damage');
-            return;
-        }
-        
-        // Check shield protection
-        if (targetPlayer.shieldUntil && now < targetPlayer.shieldUntil) {
-            console.log('🛡️ Target has shield active; ignoring damage');
+    // Vehicle signature ability (cooldown enforced here; movement effects are client-predicted)
+    socket.on('useAbility', () => {
+        const player = gameState.players.get(socket.id);
+        if (!player) return;
+        const ability = activateAbility(player);
+        if (!ability) {
+            socket.emit('abilityRejected', { readyInMs: Math.max(0, (player.abilityReadyAt || 0) - Date.now()) });
             return;
         }
-        
-        console.log('✅ Valid damage event. Target health before:', targetPlayer.health);
-        
-        let finalDamage;
-        if ((data.collisionType || '') === 'monster') {
-            // Monster damage: exactly 20% of target max health, ignore multipliers
-            const maxH = targetPlayer.vehicle?.maxHealth ?? 100;
-            finalDamage = Math.max(0, Math.round(maxH * 0.20));
-        } else {
-            // Scale damage with vehicle modifiers (server-authoritative)
-            const attackerMod = attackingPlayer.vehicle?.damageDealtMultiplier ?? 1.0;
-            const targetMod = targetPlayer.vehicle?.damageTakenMultiplier ?? 1.0;
-            finalDamage = Math.max(0, Math.round(data.damage * attackerMod * targetMod));
-        }
-
-        // Apply damage to the target player
-        targetPlayer.health = Math.max(0, targetPlayer.health - finalDamage);
-        
-        console.log('💥 Target health after damage:', targetPlayer.health);
-        
-        // Update leaderboard stats (exclude monster/self-inflicted events)
-        if ((data.collisionType || '') !== 'monster') {
-            const attackerStats = roomState.leaderboard.get(socket.id);
-            if (attackerStats) {
-                attackerStats.damageDealt += finalDamage;
-            }
-        }
-        
-        // Broadcast damage to all players in the room
-        io.to(attackingPlayer.room).emit('playerDamaged', {
-            playerId: targetPlayerId,
-            health: targetPlayer.health,
-            damage: finalDamage,
-            collisionType: data.collisionType || 'normal',
-            attackerId: (data.collisionType || '') === 'monster' ? 'monster' : socket.id
-        });
-        
-        console.log('📡 Broadcasted damage to room:', attackingPlayer.room);
-        
-        // Check if target player is destroyed
-        if (targetPlayer.health <= 0) {
-            // Update leaderboard
-            const attackerStats = roomState.leaderboard.get(socket.id);
-            const targetStats = roomState.leaderboard.get(targetPlayerId);
-            
-            if (attackerStats) {
-                attackerStats.kills++;
-            }
-            if (targetStats) {
-                targetStats.deaths++;
-            }
-            
-            // Remove from active players and start respawn
-            roomState.activePlayers.delete(targetPlayerId);
-            const respawnTime = Date.now() + gameState.respawnDuration;
-            roomState.respawningPlayers.set(targetPlayerId, respawnTime);
-            
-            console.log('💀 Player destroyed:', targetPlayerId, 'Respawn in 3 seconds');
-            
-            io.to(attackingPlayer.room).emit('playerDestroyed', { 
-                playerId: targetPlayerId,
-                respawnTime: respawnTime,
-                attackerId: socket.id
-            });
-        }
+        emitAbilityUsed(player, ability);
     });
 
     // Client notifies when it has actually landed (end of parachute). Start invulnerability then.
@@ -707,31 +2239,86 @@ io.on('connection', (socket) => {
         const p = gameState.players.get(socket.id);
         if (!p || !p.room) return;
         const now = Date.now();
-        p.invulnerableUntil = now + gameState.spawnInvulnerableMs;
+        p.invulnerableUntil = now + getSpawnProtectionMs(p.room);
+        // Parachute is down; tighten the height ceiling shortly after (moves may still be in flight)
+        if (p.moveCheck) {
+            p.moveCheck.descentUntil = Math.min(p.moveCheck.descentUntil, now + 500);
+        }
         // Echo to client so it can show local indicator with accurate duration
         socket.emit('playerSpawn', {
             position: p.position,
             health: p.health,
-            invulnerableMs: gameState.spawnInvulnerableMs
+            invulnerableMs: getSpawnProtectionMs(p.room)
         });
     });
     
     // Handle room joining
-    socket.on('joinRoom', (data) => {
-        const roomId = data.roomId || 'default';
+    socket.on('joinRoom', (data = {}) => {
+        // A resumed session goes back to the room it dropped out of
+        const resume = gameState.players.get(socket.id)?.resume || null;
+        // data.create: { name, mode, maxPlayers } opens a new room from the lobby
+        const created = !resume && data.create ? normalizeRoomSettings(data.create) : null;
+        const createdRules = created ? normalizeRoomRules(data.create.rules) : null;
+        if (created?.error || createdRules?.error) {
+            socket.emit('roomError', { roomId: null, error: created.error || createdRules.error });
+            return;
+        }
+        let roomId = resume ? resume.roomId : (data.roomId || 'default');
+        if (created) {
+            const taken = id => gameState.gameStates.has(id);
+            roomId = created.private ? makeInviteCode(taken) : makeRoomId(created.name, taken);
+        }
+        if (!isRoomId(roomId)) {
+            socket.emit('roomError', { roomId: null, error: 'Invalid room id' });
+            return;
+        }
+        // Private rooms check the password and the host's kick list
+        const existing = gameState.gameStates.get(roomId);
+        if (!resume && existing?.isPrivate) {
+            const joiner = gameState.players.get(socket.id);
+            if (joiner && (existing.kicked.has(joiner.reconnectToken) || (joiner.accountId && existing.kicked.has(joiner.accountId)))) {
+                socket.emit('roomError', { roomId, error: 'You were removed from this room' });
+                return;
+            }
+            if (!checkRoomPassword(existing, data.password)) {
+                socket.emit('roomError', { roomId, error: data.password ? 'Wrong password' : 'This room needs a password', needsPassword: true });
+                return;
+            }
+        }
+        if (!resume && existing?.ranked && !existing.reservedSeats.has(socket.id)) {
+            socket.emit('roomError', { roomId, error: 'Ranked rooms are joined through matchmaking' });
+            return;
+        }
+        // Bots give up their seats: all of them in a room without humans, so the joiner sets it
+        // up afresh, and one in a full room
+        const bots = getRoomBots(roomId);
+        if (bots.length > 0 && countRoomHumans(roomId) === 0) {
+            bots.forEach(removeBot);
+        } else if (bots.length > 0 && gameState.rooms.get(roomId).length >= getRoomGameState(roomId).maxPlayers) {
+            removeBot(bots[bots.length - 1]);
+        }
         const room = gameState.rooms.get(roomId) || [];
+        const capacity = room.length > 0 ? getRoomGameState(roomId).maxPlayers : gameState.maxPlayersPerRoom;
         
-        if (room.length < gameState.maxPlayersPerRoom) {
+        if (room.length < capacity) {
             const player = gameState.players.get(socket.id);
             if (player) {
+                player.resume = null;
+                gameState.matchmakingQueue.delete(socket.id);
+                getRoomGameState(roomId).reservedSeats.delete(socket.id);
                 // Leave current room if any
                 if (player.room) {
                     socket.leave(player.room);
+                    const previousState = getRoomGameState(player.room);
+                    getGameMode(previousState.mode).onPlayerLeave(getRoomContext(player.room), socket.id);
+                    previousState.teams.delete(socket.id);
                     const currentRoom = gameState.rooms.get(player.room);
                     if (currentRoom) {
                         const index = currentRoom.indexOf(socket.id);
                         if (index > -1) currentRoom.splice(index, 1);
                     }
+                    handOverHost(player.room);
+                    checkRoundEnd(player.room);
                 }
                 
                 // Join new room
@@ -740,13 +2327,51 @@ io.on('connection', (socket) => {
                 room.push(socket.id);
                 gameState.rooms.set(roomId, room);
                 
-                // Assign random spawn position to the player
-                player.position = getRandomSpawnPosition();
-                // Give invulnerability covering entry descent
-                player.invulnerableUntil = Date.now() + Math.max(gameState.spawnInvulnerableMs, gameState.entryDescentMs);
+                if (resume) {
+                    // Back on the ground where the held session left off
+                    player.invulnerableUntil = Date.now() + getSpawnProtectionMs(roomId);
+                    resetMovementCheck(player, 0);
+                } else {
+                    // Assign random spawn position to the player
+                    player.position = getRandomSpawnPosition();
+                    // Give invulnerability covering entry descent
+                    player.invulnerableUntil = Date.now() + Math.max(getSpawnProtectionMs(roomId), gameState.entryDescentMs);
+                    resetMovementCheck(player, gameState.entryDescentMs);
+                }
                 
                 // Initialize game state for the room if needed
                 const roomState = getRoomGameState(roomId);
+                roomState.emptySince = null;
+                
+                // The first player into an empty room picks its mode (and, creating it, its name,
+                // size and privacy). An emptied private or ranked room keeps its settings for whoever returns
+                // within emptyRoomGraceMs.
+                if (room.length === 1 && !resume) {
+                    if (created || !(roomState.isPrivate || roomState.ranked)) {
+                        const mode = created ? created.mode : (isGameMode(data.mode) ? data.mode : DEFAULT_GAME_MODE);
+                        roomState.name = created ? created.name : defaultRoomName(roomId);
+                        roomState.maxPlayers = created ? created.maxPlayers : gameState.maxPlayersPerRoom;
+                        roomState.isPrivate = !!created?.private;
+                        roomState.passwordHash = created?.password ? hashRoomPassword(created.password) : null;
+                        roomState.rules = created ? createdRules : normalizeRoomRules();
+                        roomState.roundDuration = roomState.rules.roundMinutes * 60 * 1000;
+                        roomState.kicked.clear();
+                        if (mode !== roomState.mode) {
+                            switchRoomMode(roomState, mode);
+                        }
+                        if (isTeamMode(mode)) {
+                            roomState.friendlyFire = isFriendlyFireMode(data.friendlyFire) ? data.friendlyFire : gameState.defaultFriendlyFire;
+                        }
+                    }
+                    roomState.hostId = roomState.isPrivate ? socket.id : null;
+                    if (roomState.isPrivate) console.log(`🔒 Private room ${roomId} hosted by ${socket.id}`);
+                }
+                
+                const mode = getGameMode(roomState.mode);
+                const roomContext = getRoomContext(roomId);
+                if (enforceRoomVehicle(player)) {
+                    console.log(`🚗 ${socket.id} switched to ${player.vehicle.id} for room ${roomId}`);
+                }
                 
                 // Initialize leaderboard entry for this player if not exists
                 if (!roomState.leaderboard.has(socket.id)) {
@@ -754,23 +2379,27 @@ io.on('connection', (socket) => {
                         kills: 0,
                         deaths: 0,
                         damageDealt: 0,
-                        playerName: player.name || `Player_${socket.id.slice(0, 6)}`
+                        playerName: player.name || `Player_${socket.id.slice(0, 6)}`,
+                        ...mode.createStats()
                     });
                     console.log(`📊 Added player ${socket.id} to leaderboard for room ${roomId}`);
                 }
                 
+                mode.onPlayerJoin(roomContext, socket.id, !!resume);
+                
                 // Send system message about player joining
                 const playerName = player.name || `Player_${socket.id.slice(0, 6)}`;
                 socket.to(roomId).emit('chatMessage', {
                     playerId: 'system',
                     playerName: 'System',
-                    message: `${playerName} joined the arena`,
+                    message: `${playerName} ${resume ? 'reconnected' : 'joined the arena'}`,
                     timestamp: new Date().toISOString(),
                     isSystem: true
                 });
                 
-                // If this is the first player, start the round immediately
-                if (room.length === 1) {
+                // If this is the first player, start the round immediately (a resumed
+                // player keeps the round it dropped out of)
+                if (room.length === 1 && !resume) {
                     startRound(roomId);
                 }
                 
@@ -782,24 +2411,57 @@ io.on('connection', (socket) => {
                         name: gameState.players.get(id)?.name || 'Unknown',
                         position: gameState.players.get(id)?.position || { x: 0, y: 0, z: 0 },
                         health: gameState.players.get(id)?.health || 100,
-                        vehicleId: gameState.players.get(id)?.vehicle?.id || 'balanced'
+                        vehicleId: gameState.players.get(id)?.vehicle?.id || DEFAULT_VEHICLE_ID,
+                        spectating: roomState.eliminated.has(id),
+                        team: getPlayerTeam(roomState, id)
                     })),
                     gameState: {
+                        mode: roomState.mode,
+                        room: getRoomSettings(roomId),
+                        rules: roomState.rules,
+                        ...mode.getJoinInfo(roomContext),
                         phase: roomState.phase,
                         roundEndTime: roomState.roundEndTime,
                         waitingEndTime: roomState.waitingStartTime ? roomState.waitingStartTime + gameState.waitingDuration : null
                     },
-                    boostPads: getBoostPads(roomId) // Send boost pad positions
+                    boostPads: getBoostPads(roomId), // Send boost pad positions
+                    slickPatches: getSlickPatches(roomId)
                 });
                 // Also directly send this player's spawn for reliability
                 socket.emit('playerSpawn', {
                     position: player.position,
                     health: player.health,
-                    invulnerableMs: gameState.spawnInvulnerableMs
+                    invulnerableMs: getSpawnProtectionMs(roomId),
+                    resumed: !!resume
                 });
 
                 // Ensure late joiners sync with the current phase immediately
+                // (the mode decides how anyone but the first player enters a round in progress)
+                let lateJoin = null;
                 if (roomState.phase === 'playing') {
+                    lateJoin = room.length === 1 && !resume ? 'play' : mode.getLateJoin(roomContext, socket.id, resume);
+                }
+                if (lateJoin === 'restart') {
+                    startRound(roomId);
+                } else if (lateJoin === 'spectate') {
+                    // No joining a round in progress; watch until the next one
+                    roomState.eliminated.add(socket.id);
+                    socket.emit('roundStarted', {
+                        roundEndTime: roomState.roundEndTime,
+                        ...getRoundInfo(roomId),
+                        players: Array.from(roomState.activePlayers).map(id => {
+                            const p = gameState.players.get(id);
+                            return {
+                                id,
+                                position: p?.position || { x: 0, y: 0, z: 0 },
+                                health: p?.health ?? 100,
+                                vehicleId: p?.vehicle?.id || DEFAULT_VEHICLE_ID,
+                                team: getPlayerTeam(roomState, id)
+                            };
+                        }),
+                        spectating: true
+                    });
+                } else if (lateJoin === 'play') {
                     // Add this player to active players for the current round
                     roomState.activePlayers.add(socket.id);
                     
@@ -811,11 +2473,13 @@ io.on('connection', (socket) => {
                             id,
                             position: p?.position || { x: 0, y: 0, z: 0 },
                             health: p?.health ?? 100,
-                            vehicleId: p?.vehicle?.id || 'balanced'
+                            vehicleId: p?.vehicle?.id || DEFAULT_VEHICLE_ID,
+                            team: getPlayerTeam(roomState, id)
                         };
                     });
                     socket.emit('roundStarted', {
                         roundEndTime: roomState.roundEndTime,
+                        ...getRoundInfo(roomId),
                         players: playersPayload
                     });
                 } else if (roomState.phase === 'waiting') {
@@ -824,19 +2488,14 @@ io.on('connection', (socket) => {
                     });
                 } else if (roomState.phase === 'roundEnd') {
                     // Send current leaderboard snapshot
-                    const sorted = Array.from(roomState.leaderboard.entries())
-                        .map(([playerId, stats]) => ({ playerId, ...stats }))
-                        .sort((a, b) => {
-                            if (b.kills !== a.kills) return b.kills - a.kills;
-                            if (b.damageDealt !== a.damageDealt) return b.damageDealt - a.damageDealt;
-                            return a.deaths - b.deaths;
-                        });
+                    const sorted = getStandings(roomState);
                     socket.emit('roundEnded', {
                         leaderboard: sorted,
                         roundStats: {
                             totalKills: sorted.reduce((sum, pl) => sum + pl.kills, 0),
                             totalDamage: sorted.reduce((sum, pl) => sum + pl.damageDealt, 0)
-                        }
+                        },
+                        mode: roomState.mode
                     });
                 }
                 
@@ -846,20 +2505,96 @@ io.on('connection', (socket) => {
                     name: player.name,
                     position: player.position,
                     health: player.health,
-                    vehicleId: player.vehicle?.id || 'balanced'
+                    vehicleId: player.vehicle?.id || DEFAULT_VEHICLE_ID,
+                    spectating: roomState.eliminated.has(socket.id),
+                    team: getPlayerTeam(roomState, socket.id)
                 });
                 
-                console.log(`Player ${socket.id} joined room ${roomId}`);
+                console.log(`Player ${socket.id} joined room ${roomId} "${roomState.name}" (${roomState.mode})`);
             }
         } else {
             socket.emit('roomFull', { roomId: roomId });
         }
     });
     
+    // Matchmaking: wait for a ranked room of this mode (runMatchmaking sends 'matchFound')
+    socket.on('joinQueue', (data = {}) => {
+        const player = gameState.players.get(socket.id);
+        if (!player) return;
+        const entry = {
+            id: socket.id,
+            rating: player.rating,
+            mode: isGameMode(data.mode) ? data.mode : DEFAULT_GAME_MODE,
+            queuedAt: Date.now()
+        };
+        gameState.matchmakingQueue.set(socket.id, entry);
+        console.log(`⏳ ${player.name} (${player.rating}) queued for ranked ${entry.mode}`);
+        socket.emit('queueStatus', getQueueStatus(entry, entry.queuedAt));
+    });
+
+    socket.on('leaveQueue', () => {
+        gameState.matchmakingQueue.delete(socket.id);
+    });
+    
+    // Private room host: remove a player, who can't rejoin this room
+    socket.on('kickPlayer', (data) => {
+        const host = gameState.players.get(socket.id);
+        const roomId = host?.room;
+        if (!roomId || !data || data.playerId === socket.id) return;
+        const roomState = getRoomGameState(roomId);
+        if (roomState.hostId !== socket.id) return;
+        const target = gameState.players.get(data.playerId);
+        if (!target || target.room !== roomId) return;
+        
+        if (target.bot) {
+            // Another one takes its seat while the room is short of players
+            removeBot(target);
+            return;
+        }
+        roomState.kicked.add(target.reconnectToken);
+        if (target.accountId) roomState.kicked.add(target.accountId);
+        removeFromRoom(target);
+        io.to(target.id).emit('kicked', { roomId, roomName: roomState.name });
+        io.to(roomId).emit('chatMessage', {
+            playerId: 'system',
+            playerName: 'System',
+            message: `${target.name || 'A player'} was removed by the host`,
+            timestamp: new Date().toISOString(),
+            isSystem: true
+        });
+        console.log(`🥾 ${socket.id} kicked ${target.id} from room ${roomId}`);
+    });
+    
+    // Private room host: change the mode (from the next round), size, friendly fire or round length
+    socket.on('updateRoomSettings', (data) => {
+        const host = gameState.players.get(socket.id);
+        const roomId = host?.room;
+        if (!roomId) return;
+        const roomState = getRoomGameState(roomId);
+        if (roomState.hostId !== socket.id) return;
+        const settings = normalizeHostSettings(data, gameState.rooms.get(roomId)?.length || 0);
+        if (settings.error) {
+            socket.emit('roomSettingsRejected', { error: settings.error });
+            return;
+        }
+        if (settings.maxPlayers) roomState.maxPlayers = settings.maxPlayers;
+        if (settings.friendlyFire) roomState.friendlyFire = settings.friendlyFire;
+        // Takes effect when the next round starts, like a mode change
+        if (settings.roundMinutes) {
+            roomState.rules.roundMinutes = settings.roundMinutes;
+            roomState.roundDuration = settings.roundMinutes * 60 * 1000;
+        }
+        if (settings.mode) roomState.pendingMode = settings.mode === roomState.mode ? null : settings.mode;
+        console.log(`⚙️ Room ${roomId} settings changed:`, settings);
+        emitRoomSettings(roomId);
+    });
+    
     // Handle nickname setting
     socket.on('setNickname', (data) => {
         const player = gameState.players.get(socket.id);
-        if (player && data.nickname) {
+        // Logged-in players always play under their account name
+        if (player && player.accountId) return;
+        if (player && data && typeof data.nickname === 'string' && data.nickname.trim()) {
             const sanitizedNickname = data.nickname.trim().substring(0, 16); // Limit to 16 chars
             player.name = sanitizedNickname;
             console.log(`📝 Player ${socket.id} set nickname to: ${sanitizedNickname}`);
@@ -887,83 +2622,36 @@ io.on('connection', (socket) => {
             
             // Broadcast message to OTHER players in the same room (not sender)
             if (player.room) {
-                socket.to(player.room).emit('chatMessage', {
+                const messageData = {
                     playerId: socket.id,
                     playerName: playerName,
                     message: sanitizedMessage,
                     timestamp: new Date().toISOString()
-                });
+                };
+                socket.to(player.room).emit('chatMessage', messageData);
+                recordReplay(player.room, 'chat', messageData);
             }
         }
     });
 
+    // Client-detected contact with a slick patch (it spins immediately; we confirm for everyone)
+    socket.on('slickTouched', (data) => {
+        const player = gameState.players.get(socket.id);
+        if (!player || !player.room || typeof data?.patchId !== 'string') return;
+        consumeSlickPatch(player.room, player, data.patchId);
+    });
+
     // Handle powerup collection
     socket.on('collectPowerup', (data) => {
         const player = gameState.players.get(socket.id);
         if (!player || !player.room) return;
-        
-        const roomState = getRoomGameState(player.room);
-        const powerup = roomState.powerups.get(data.powerupId);
-        
-        if (!powerup || powerup.collected) return;
-        
-        // Mark powerup as collected
-        powerup.collected = true;
-        
-        console.log(`🎁 Player ${socket.id} collected ${powerup.type} powerup`);
-        
-        // Apply powerup effect
-        if (powerup.type === 'health') {
-            // Health powerup restores 40 health
-            const maxHealth = player.vehicle?.maxHealth || 100;
-            const healthRestore = 40;
-            const oldHealth = player.health;
-            player.health = Math.min(maxHealth, player.health + healthRestore);
-            const actualRestore = player.health - oldHealth;
-            
-            console.log(`❤️ Player ${socket.id} restored ${actualRestore} health (${oldHealth} → ${player.health})`);
-            
-            // Broadcast health update
-            io.to(player.room).emit('playerDamaged', {
-                playerId: socket.id,
-                health: player.health,
-                damage: -actualRestore, // Negative damage = healing
-                collisionType: 'heal',
-                attackerId: socket.id
-            });
-            
-        } else if (powerup.type === 'shield') {
-            // Shield powerup gives 10 seconds of extra protection
-            const shieldDuration = 10000; // 10 seconds
-            player.shieldUntil = Date.now() + shieldDuration;
-            
-            console.log(`🛡️ Player ${socket.id} activated shield for 10 seconds`);
-            
-            // Notify player about shield
-            socket.emit('shieldActivated', {
-                duration: shieldDuration,
-                endsAt: player.shieldUntil
-            });
-            
-            // Notify others about shield visual
-            socket.to(player.room).emit('playerShielded', {
-                playerId: socket.id,
-                shieldUntil: player.shieldUntil
-            });
-        }
-        
-        // Remove powerup from the game
-        roomState.powerups.delete(data.powerupId);
-        io.to(player.room).emit('powerupCollected', {
-            id: data.powerupId,
-            playerId: socket.id,
-            type: powerup.type
-        });
+        collectPowerup(player, data?.powerupId);
     });
 
     // Handle disconnection
     socket.on('disconnect', () => {
         console.log(`Player disconnected: ${socket.id}`);
+        gameState.matchmakingQueue.delete(socket.id);
         
         const player = gameState.players.get(socket.id);
         if (player && player.room) {
@@ -990,45 +2678,26 @@ io.on('connection', (socket) => {
             
             // Notify other players
             socket.to(player.room).emit('playerLeft', { playerId: socket.id });
+            
+            holdSession(player);
+            // Leaving can leave a single car standing
+            if (gameState.rooms.has(player.room)) {
+                checkRoundEnd(player.room);
+                handOverHost(player.room);
+            }
         }
         
         // Remove player from game state
         gameState.players.delete(socket.id);
     });
     
-    // Handle chat messages (for future use)
-    socket.on('chatMessage', (data) => {
-        const player = gameState.players.get(socket.id);
-        if (player && data.message && data.message.length <= 200) { // Limit message length
-            const messageData = {
-                playerId: socket.id,
-                playerName: player.name,
-                message: data.message,
-                timestamp: new Date().toISOString()
-            };
-            
-            if (player.room) {
-                io.to(player.room).emit('chatMessage', messageData);
-            }
-        }
-    });
-
     // Live standings request (for Tab scoreboard)
     socket.on('requestStandings', () => {
         const player = gameState.players.get(socket.id);
         if (!player || !player.room) return;
         const roomId = player.room;
         const roomState = getRoomGameState(roomId);
-        // Build sorted leaderboard snapshot
-        const sorted = Array.from(roomState.leaderboard.entries())
-            .map(([playerId, stats]) => ({ playerId, ...stats }))
-            .sort((a, b) => {
-                // Sort by kills desc, then damage desc, then deaths asc
-                if (b.kills !== a.kills) return b.kills - a.kills;
-                if (b.damageDealt !== a.damageDealt) return b.damageDealt - a.damageDealt;
-                return a.deaths - b.deaths;
-            });
-        socket.emit('standings', { leaderboard: sorted, phase: roomState.phase });
+        socket.emit('standings', { leaderboard: getStandings(roomState), phase: roomState.phase });
     });
 });
 
@@ -1051,6 +2720,9 @@ server.listen(PORT, () => {
     
     // Start game state update loop
     setInterval(updateGameStates, 1000); // Update every second
+    setInterval(runMatchmaking, 1000);
+    // Fixed-rate simulation/snapshot loop
+    setInterval(tickRooms, 1000 / gameState.tickRate);
     // Ensure default room is initialized and in waiting state so a round starts promptly
     if (!gameState.rooms.has('default')) {
         gameState.rooms.set('default', []);
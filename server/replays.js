@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REPLAY_ID_PATTERN = /^\d+-[0-9a-f]{8}$/;
+
+// What the replay list shows without loading the frames
+function getReplaySummary(replay) {
+    return {
+        roomId: replay.roomId,
+        roomName: replay.roomName,
+        mode: replay.mode,
+        startedAt: replay.startedAt,
+        durationMs: replay.durationMs,
+        players: replay.players.map(player => player.name),
+        private: !!replay.private
+    };
+}
+
+// Finished round replays (the shared/replay.js format), one JSON file each in a directory. Only the
+// newest `keep` are kept; writes go via a temp file + rename like the account store, but
+// asynchronously since they happen on the game loop. Ids are random so a private room's replay is
+// only found through the id its players were sent.
+class ReplayStore {
+    constructor(dirPath, keep = 50) {
+        this.dirPath = dirPath;
+        this.keep = keep;
+        this.summaries = new Map(); // id → getReplaySummary() + id
+        this.pending = new Map(); // id → JSON text until its file is on disk
+        this.fileOps = new Set(); // in-flight writes and removals, for flush()
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.dirPath)) return;
+        fs.readdirSync(this.dirPath)
+            .filter(file => file.endsWith('.json') && REPLAY_ID_PATTERN.test(file.slice(0, -'.json'.length)))
+            .forEach(file => {
+                const id = file.slice(0, -'.json'.length);
+                try {
+                    const replay = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf8'));
+                    this.summaries.set(id, { id, ...getReplaySummary(replay) });
+                } catch (e) {
+                    console.warn(`🎞️ Skipping unreadable replay ${file}: ${e.message}`);
+                }
+            });
+    }
+
+    // Stores the replay and returns its id straight away; the file is written in the background
+    // (read() serves it from memory meanwhile, flush() waits for it)
+    save(replay) {
+        const id = `${replay.startedAt}-${crypto.randomBytes(4).toString('hex')}`;
+        const json = JSON.stringify(replay);
+        this.pending.set(id, json);
+        this.track(this.write(id, json));
+        this.summaries.set(id, { id, ...getReplaySummary(replay) });
+        this.prune();
+        return id;
+    }
+
+    async write(id, json) {
+        try {
+            const filePath = this.getFilePath(id);
+            await fs.promises.mkdir(this.dirPath, { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, json);
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+            // Pruned while it was being written
+            if (!this.summaries.has(id)) await fs.promises.rm(filePath, { force: true });
+        } catch (e) {
+            console.error(`🎞️ Replay ${id} could not be saved:`, e);
+            this.summaries.delete(id);
+        } finally {
+            this.pending.delete(id);
+        }
+    }
+
+    track(operation) {
+        this.fileOps.add(operation);
+        operation.finally(() => this.fileOps.delete(operation));
+    }
+
+    // Resolves once every save and prune so far has reached the disk
+    async flush() {
+        await Promise.all(this.fileOps);
+    }
+
+    // Newest first; private rooms' replays only with includePrivate
+    list(includePrivate = false) {
+        return Array.from(this.summaries.values())
+            .filter(summary => includePrivate || !summary.private)
+            .sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    // The raw replay file, or null for an unknown id
+    read(id) {
+        if (!this.summaries.has(id)) return null;
+        if (this.pending.has(id)) return this.pending.get(id);
+        return fs.readFileSync(this.getFilePath(id), 'utf8');
+    }
+
+    getFilePath(id) {
+        if (!REPLAY_ID_PATTERN.test(id)) throw new Error(`Bad replay id ${id}`);
+        return path.join(this.dirPath, `${id}.json`);
+    }
+
+    prune() {
+        this.list(true).slice(this.keep).forEach(({ id }) => {
+            this.summaries.delete(id);
+            // A replay still being written removes its own file once the write lands
+            if (this.pending.has(id)) return;
+            this.track(fs.promises.rm(this.getFilePath(id), { force: true })
+                .catch(e => console.error(`🎞️ Replay ${id} could not be removed:`, e)));
+        });
+    }
+}
+
+module.exports = {
+    ReplayStore
+};
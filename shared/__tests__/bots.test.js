@@ -0,0 +1,84 @@
+import { BOT_DIFFICULTIES, createBot, placeBot, steerBot, stepBot, getReachablePowerups, pickBotName } from '../bots.js';
+
+const VEHICLE = { maxSpeed: 20, acceleration: 30, deceleration: 10, turnSpeed: 2.5 };
+const ARENA = { halfX: 80, halfZ: 60, obstacles: [] };
+
+const makeView = (bot, overrides = {}) => ({
+    self: { x: bot.sim.x, z: bot.sim.z, health: 100, maxHealth: 100, maxSpeed: VEHICLE.maxSpeed },
+    opponents: [],
+    powerups: [],
+    objective: null,
+    monster: null,
+    hazards: [],
+    arena: ARENA,
+    ...overrides
+});
+
+// Drive for `seconds` at 20 Hz, refreshing the view each step like the server tick
+function drive(bot, seconds, overrides) {
+    for (let t = 0; t < seconds * 20; t++) {
+        const view = makeView(bot, typeof overrides === 'function' ? overrides(bot) : overrides);
+        stepBot(bot, view, 0.05, t * 50, VEHICLE, () => 0.5);
+    }
+}
+
+describe('bots', () => {
+    test('chase and close in on the nearest opponent', () => {
+        const bot = createBot('hard', 0, 0, 0);
+        const opponents = [{ id: 'far', x: 0, z: -50 }, { id: 'near', x: 30, z: 0 }];
+        const input = steerBot(bot, makeView(bot, { opponents }), 0, () => 0.5);
+        expect(bot.goal).toMatchObject({ kind: 'car', id: 'near' });
+        // yaw 0 faces +z and steering left turns towards +x
+        expect(input).toMatchObject({ forward: true, left: true, right: false });
+
+        let closest = Infinity;
+        drive(bot, 4, bot => {
+            closest = Math.min(closest, Math.hypot(bot.sim.x - 30, bot.sim.z));
+            return { opponents };
+        });
+        expect(closest).toBeLessThan(3);
+    });
+
+    test('go for powerups when hurt and steer clear of the monster', () => {
+        const bot = createBot('normal', 0, 0, 0);
+        steerBot(bot, makeView(bot, {
+            self: { x: 0, z: 0, health: 20, maxHealth: 100, maxSpeed: 20 },
+            opponents: [{ id: 'a', x: 10, z: 0 }],
+            powerups: [{ id: 7, x: 0, z: 50 }]
+        }), 0, () => 0.5);
+        expect(bot.goal).toMatchObject({ kind: 'powerup', id: 7 });
+        expect(getReachablePowerups(bot, [{ id: 1, x: 1, z: 2 }, { id: 2, x: 10, z: 0 }])).toEqual([1]);
+
+        // The monster sits on the straight line to the goal; the bot goes around it
+        const detour = createBot('normal', 0, -40, 0);
+        const monster = { x: 0, z: 0, radius: 4 };
+        let closest = Infinity;
+        drive(detour, 6, bot => {
+            closest = Math.min(closest, Math.hypot(bot.sim.x, bot.sim.z));
+            return { objective: { x: 0, z: 40 }, monster };
+        });
+        expect(closest).toBeGreaterThan(monster.radius + 2);
+    });
+
+    test('stay inside the arena and out of barriers', () => {
+        const arena = { halfX: 40, halfZ: 30, obstacles: [{ x: 0, z: 15, halfW: 5, halfD: 2 }] };
+        const bot = createBot('hard', 0, 0, 0);
+        drive(bot, 8, { arena, objective: { x: 0, z: 100 } });
+        const edge = bot.sim.x ** 2 / arena.halfX ** 2 + bot.sim.z ** 2 / arena.halfZ ** 2;
+        expect(edge).toBeLessThanOrEqual(0.95 + 1e-9);
+        const box = arena.obstacles[0];
+        const inside = Math.abs(bot.sim.x - box.x) < box.halfW && Math.abs(bot.sim.z - box.z) < box.halfD;
+        expect(inside).toBe(false);
+
+        placeBot(bot, { x: 5, y: 3, z: -5 }, Math.PI);
+        expect(bot.sim).toMatchObject({ x: 5, y: 0, z: -5, yaw: Math.PI, momentum: 0 });
+        expect(bot.goal).toBeNull();
+    });
+
+    test('difficulty sets reactions and aim; names are not repeated', () => {
+        expect(BOT_DIFFICULTIES.easy.reactionMs).toBeGreaterThan(BOT_DIFFICULTIES.hard.reactionMs);
+        expect(BOT_DIFFICULTIES.easy.aimError).toBeGreaterThan(BOT_DIFFICULTIES.hard.aimError);
+        expect(createBot('unknown', 0, 0).difficulty).toBe('normal');
+        expect(pickBotName(['Rusty'], () => 0)).toBe('Axle');
+    });
+});
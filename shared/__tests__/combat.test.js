@@ -0,0 +1,61 @@
+import { COLLISION, classifyCollision, classifyHitSide, getCollisionDamage, resolveCarHit } from '../combat.js';
+
+// Target parked at the origin facing +z
+const target = { position: { x: 0, y: 0, z: 0 }, rotation: 0 };
+const car = (x, z, rotation, extra = {}) => ({
+    position: { x, y: 0, z },
+    rotation,
+    speed: 40,
+    velocity: { y: 0 },
+    ...extra
+});
+
+describe('car-vs-car hits', () => {
+    test('classifies hits by where they land on the target', () => {
+        // From the target's right flank, driving at it
+        expect(classifyCollision(car(-3, 0, Math.PI / 2), target)).toBe('side');
+        // Up its tailpipe
+        expect(classifyCollision(car(0, -3, 0), target)).toBe('rear');
+        // Bumper to bumper
+        expect(classifyCollision(car(0, 3, Math.PI), target)).toBe('front-bumper');
+        // Clipping a front corner
+        expect(classifyCollision(car(2, 2, -Math.PI * 3 / 4), target)).toBe('medium');
+    });
+
+    test('the hit cones are shared with anything else that strikes a car', () => {
+        expect(classifyHitSide(1)).toBe('front-bumper');
+        expect(classifyHitSide(0.1)).toBe('side');
+        expect(classifyHitSide(-1)).toBe('rear');
+        expect(classifyHitSide(0.5)).toBe('medium');
+        // Nose to nose only counts as bumpers when the attacker is facing the target too
+        expect(classifyCollision(car(0, 3, Math.PI / 2), target)).toBe('medium');
+    });
+
+    test('landing on a car is a headshot, climbing past it is not', () => {
+        const above = { ...car(0.5, 0, 0), position: { x: 0.5, y: COLLISION.headshotHeight + 0.5, z: 0 } };
+        expect(classifyCollision(above, target)).toBe('headshot');
+        expect(classifyCollision({ ...above, velocity: { y: 3 } }, target)).not.toBe('headshot');
+    });
+
+    test('damage scales with speed by hit type', () => {
+        expect(getCollisionDamage('headshot', 0)).toBe(100);
+        expect(getCollisionDamage('front-bumper', 80)).toBe(0);
+        expect(getCollisionDamage('side', 40)).toBe(12);
+        expect(getCollisionDamage('rear', 40)).toBe(8);
+        expect(getCollisionDamage('medium', 40)).toBe(6);
+        expect(getCollisionDamage('side', -40)).toBe(0);
+    });
+
+    test('applies room rules, ram plates and vehicle modifiers', () => {
+        const above = { ...car(0.5, 0, 0), position: { x: 0.5, y: 3, z: 0 } };
+        expect(resolveCarHit(above, target, { headshots: false }).collisionType).toBe('medium');
+
+        const headOn = car(0, 3, Math.PI);
+        expect(resolveCarHit(headOn, target)).toEqual({ collisionType: 'front-bumper', damage: 0 });
+        expect(resolveCarHit(headOn, target, { ramMultiplier: 2 })).toEqual({ collisionType: 'side', damage: 24 });
+
+        const side = car(-3, 0, Math.PI / 2);
+        expect(resolveCarHit(side, target, { damageDealt: 1.5, damageTaken: 0.5 }).damage).toBe(9);
+        expect(resolveCarHit(above, target, { ramMultiplier: 2 }).damage).toBe(100);
+    });
+});
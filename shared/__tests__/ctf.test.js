@@ -0,0 +1,44 @@
+import { CTF, CTF_BASES, createFlags, dropCarriedFlag, stepFlags } from '../ctf.js';
+
+const at = (id, team, point, dy = 0) => ({ id, team, x: point.x, y: point.y + dy, z: point.z });
+
+describe('capture the flag', () => {
+    test('an enemy car takes the flag home for a capture', () => {
+        const flags = createFlags();
+        expect(stepFlags(flags, [at('b1', 'blue', CTF_BASES.red)], 0)).toEqual([{ type: 'pickup', team: 'red', playerId: 'b1' }]);
+        expect(flags.red).toMatchObject({ state: 'carried', carrierId: 'b1' });
+
+        const events = stepFlags(flags, [at('b1', 'blue', CTF_BASES.blue)], 100);
+        expect(events).toEqual([{ type: 'capture', team: 'blue', playerId: 'b1' }]);
+        expect(flags.red).toMatchObject({ state: 'home', carrierId: null, x: CTF_BASES.red.x });
+    });
+
+    test('own cars ignore their flag at home and cars below the platform cannot reach it', () => {
+        const flags = createFlags();
+        expect(stepFlags(flags, [at('r1', 'red', CTF_BASES.red)], 0)).toEqual([]);
+        expect(stepFlags(flags, [at('b1', 'blue', CTF_BASES.red, -7)], 0)).toEqual([]);
+        expect(flags.red.state).toBe('home');
+    });
+
+    test('no capture while your own flag is away', () => {
+        const flags = createFlags();
+        stepFlags(flags, [at('b1', 'blue', CTF_BASES.red), at('r1', 'red', CTF_BASES.blue)], 0);
+        expect(stepFlags(flags, [at('b1', 'blue', CTF_BASES.blue)], 100)).toEqual([]);
+        expect(flags.red.state).toBe('carried');
+    });
+
+    test('a destroyed carrier drops the flag; a teammate touch or the timer returns it', () => {
+        const flags = createFlags();
+        stepFlags(flags, [at('b1', 'blue', CTF_BASES.red)], 0);
+        const spot = { x: 0, y: 0, z: 0 };
+        expect(dropCarriedFlag(flags, 'b1', spot, 1000)).toEqual([{ type: 'drop', team: 'red', playerId: 'b1' }]);
+        expect(flags.red).toMatchObject({ state: 'dropped', x: 0, z: 0 });
+
+        expect(stepFlags(flags, [at('r1', 'red', spot)], 1100)).toEqual([{ type: 'return', team: 'red', playerId: 'r1' }]);
+        expect(flags.red.state).toBe('home');
+
+        stepFlags(flags, [at('b1', 'blue', CTF_BASES.red)], 2000);
+        dropCarriedFlag(flags, 'b1', spot, 2000);
+        expect(stepFlags(flags, [], 2000 + CTF.returnAfterMs)).toEqual([{ type: 'return', team: 'red', playerId: null }]);
+    });
+});
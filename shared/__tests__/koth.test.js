@@ -0,0 +1,26 @@
+import { KOTH_ZONES, getZone, isInZone, getZoneControl } from '../koth.js';
+
+describe('king of the hill', () => {
+    const platform = KOTH_ZONES[0];
+
+    test('starts on the platform and rotates through every spot', () => {
+        expect(getZone(0).id).toBe('platform');
+        expect(getZone(KOTH_ZONES.length).id).toBe('platform');
+        expect(new Set(KOTH_ZONES.map((zone, i) => getZone(i).id)).size).toBe(KOTH_ZONES.length);
+    });
+
+    test('platform zone needs a car on top of the platform', () => {
+        expect(isInZone(platform, platform.x + 3, platform.y + 0.5, platform.z)).toBe(true);
+        expect(isInZone(platform, platform.x + 3, 0.5, platform.z)).toBe(false);
+        expect(isInZone(platform, platform.x + platform.radius + 1, platform.y, platform.z)).toBe(false);
+    });
+
+    test('a lone car owns the zone; a second car contests it', () => {
+        const inside = { id: 'a', x: platform.x, y: platform.y, z: platform.z };
+        const outside = { id: 'b', x: 0, y: 0, z: 0 };
+        expect(getZoneControl(platform, [inside, outside])).toEqual({ ownerId: 'a', contested: false, occupants: ['a'] });
+        expect(getZoneControl(platform, [inside, { ...outside, x: platform.x + 2, y: platform.y, z: platform.z }]))
+            .toMatchObject({ ownerId: null, contested: true });
+        expect(getZoneControl(platform, [outside])).toMatchObject({ ownerId: null, contested: false, occupants: [] });
+    });
+});
@@ -0,0 +1,63 @@
+import { MATCHMAKING, expectedScore, searchRange, rateRound, planMatches } from '../matchmaking.js';
+
+const entry = (id, rating, queuedAt = 0, mode = 'deathmatch') => ({ id, rating, mode, queuedAt });
+
+describe('matchmaking', () => {
+    test('ratings follow placements, weighted by how expected they were', () => {
+        expect(expectedScore(1200, 1200)).toBeCloseTo(0.5);
+        const [winner, loser] = rateRound([
+            { id: 'a', rating: 1200, score: 5, kills: 0, deaths: 0 },
+            { id: 'b', rating: 1200, score: 1, kills: 0, deaths: 0 }
+        ]);
+        expect(winner).toEqual({ id: 'a', rating: 1216, change: 16 });
+        expect(loser.change).toBe(-16);
+
+        // Beating a much weaker player earns little; ties between equals change nothing
+        const [favourite] = rateRound([
+            { id: 'a', rating: 1600, score: 5 },
+            { id: 'b', rating: 1200, score: 1 }
+        ]);
+        expect(favourite.change).toBeLessThan(4);
+        expect(rateRound([{ id: 'a', rating: 1300, score: 1 }, { id: 'b', rating: 1300, score: 1 }])[0].change).toBe(0);
+    });
+
+    test('net kills add a capped bonus', () => {
+        const [a, b] = rateRound([
+            { id: 'a', rating: 1200, score: 1, kills: 20, deaths: 0 },
+            { id: 'b', rating: 1200, score: 1, kills: 0, deaths: 1 }
+        ]);
+        expect(a.change).toBe(MATCHMAKING.kdWeight * MATCHMAKING.kdCap);
+        expect(b.change).toBe(-MATCHMAKING.kdWeight);
+        expect(rateRound([{ id: 'solo', rating: 1200, score: 9, kills: 9 }])[0].change).toBe(0);
+    });
+
+    test('the search range widens with time in the queue', () => {
+        expect(searchRange(0)).toBe(MATCHMAKING.baseRange);
+        expect(searchRange(5000)).toBe(MATCHMAKING.baseRange + 5 * MATCHMAKING.widenPerSecond);
+        expect(searchRange(10 * 60 * 1000)).toBe(MATCHMAKING.maxRange);
+    });
+
+    test('players join the closest room in range, or start one with nearby players', () => {
+        const rooms = [
+            { roomId: 'low', mode: 'deathmatch', rating: 1000, players: 3, maxPlayers: 6 },
+            { roomId: 'mid', mode: 'deathmatch', rating: 1250, players: 3, maxPlayers: 6 },
+            { roomId: 'ctf', mode: 'ctf', rating: 1200, players: 1, maxPlayers: 6 }
+        ];
+        const queue = [entry('a', 1200), entry('b', 1800), entry('c', 1850), entry('d', 2400)];
+        expect(planMatches(queue, rooms, 0)).toEqual([
+            { roomId: 'mid', mode: 'deathmatch', playerIds: ['a'] },
+            { roomId: null, mode: 'deathmatch', playerIds: ['b', 'c'] }
+        ]);
+
+        // Out of range of everyone until the range has fully widened
+        const later = (MATCHMAKING.maxRange - MATCHMAKING.baseRange) / MATCHMAKING.widenPerSecond * 1000;
+        expect(planMatches([entry('d', 2400)], rooms, later - 1000)).toEqual([]);
+        expect(planMatches([entry('d', 2400)], rooms, later)).toEqual([{ roomId: null, mode: 'deathmatch', playerIds: ['d'] }]);
+    });
+
+    test('full rooms and other modes are skipped', () => {
+        const rooms = [{ roomId: 'full', mode: 'deathmatch', rating: 1200, players: 6, maxPlayers: 6 }];
+        const queue = [entry('a', 1200, 0, 'koth'), entry('b', 1210), entry('c', 1220, 0, 'koth')];
+        expect(planMatches(queue, rooms, 0)).toEqual([{ roomId: null, mode: 'koth', playerIds: ['a', 'c'] }]);
+    });
+});
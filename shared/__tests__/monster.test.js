@@ -0,0 +1,49 @@
+import { MONSTER, createMonsterState, stepMonster, monsterTouchesCar } from '../monster.js';
+
+const arena = {
+    halfX: 157.6,
+    halfZ: 117.6,
+    barriers: [{ x: -63.6, z: 42, halfW: 13, halfD: 0.6 }],
+    platform: { x: 40, z: -25, halfW: 14, halfD: 9 }
+};
+const DT = 1 / 20;
+const noSpin = () => 0.5;
+
+describe('hazard monster', () => {
+    test('stays inside the oval and clear of obstacles at cruising speed', () => {
+        const state = createMonsterState(0.4);
+        for (let i = 0; i < 20 * 120; i++) {
+            stepMonster(state, DT, arena, [], noSpin);
+            expect((state.x / arena.halfX) ** 2 + (state.z / arena.halfZ) ** 2).toBeLessThan(1.01);
+            expect(Math.abs(state.x - arena.platform.x) > arena.platform.halfW ||
+                Math.abs(state.z - arena.platform.z) > arena.platform.halfD).toBe(true);
+        }
+        expect(Math.hypot(state.vx, state.vz)).toBeCloseTo(MONSTER.speed, 10);
+    });
+
+    test('chases the nearest car in range and ignores distant ones', () => {
+        const state = createMonsterState(0);
+        const near = { id: 'near', x: 30, y: 0, z: 30 };
+        const far = { id: 'far', x: -150, y: 0, z: 0 };
+        stepMonster(state, DT, arena, [far, near], noSpin);
+        expect(state.targetId).toBe('near');
+
+        let touched = false;
+        for (let i = 0; i < 60; i++) {
+            stepMonster(state, DT, arena, [far, near], noSpin);
+            touched = touched || monsterTouchesCar(state, near.x, near.y, near.z);
+        }
+        expect(touched).toBe(true);
+
+        const lonely = createMonsterState(0);
+        stepMonster(lonely, DT, arena, [far], noSpin);
+        expect(lonely.targetId).toBeNull();
+    });
+
+    test('cars jumping high enough clear the monster', () => {
+        const state = createMonsterState(0);
+        expect(monsterTouchesCar(state, state.x + 3, 0, state.z)).toBe(true);
+        expect(monsterTouchesCar(state, state.x + 3, MONSTER.y + MONSTER.flyOverClearance + 0.5, state.z)).toBe(false);
+        expect(monsterTouchesCar(state, state.x + 10, 0, state.z)).toBe(false);
+    });
+});
@@ -0,0 +1,199 @@
+import {
+    BOOST,
+    SPIN,
+    createVehicleState,
+    stepVehicle,
+    applyKnockback,
+    startSpin,
+    getBoostMultiplier,
+    getMaxJumpHeight
+} from '../physics.js';
+import * as THREE from 'three';
+import { createBot } from '../bots.js';
+import { getVehicleById } from '../vehicles.js';
+import { Car } from '../../src/game/Car.js';
+
+const balanced = { maxSpeed: 45, acceleration: 65, deceleration: 18, turnSpeed: 2.7 };
+const DT = 1 / 60;
+
+// Scripted drive: accelerate, boost, carve left, brake, reverse while turning right
+function scriptedInputs() {
+    const frames = [];
+    for (let i = 0; i < 240; i++) {
+        frames.push({
+            forward: i < 150,
+            backward: i >= 180,
+            left: i >= 60 && i < 120,
+            right: i >= 200,
+            boost: (i >= 30 && i < 34) || (i >= 90 && i < 95)
+        });
+    }
+    return frames;
+}
+
+function run(frames, state = createVehicleState(), dt = DT, spec = balanced) {
+    frames.forEach(input => stepVehicle(state, input, dt, spec));
+    return state;
+}
+
+// A client Car without a scene: the physics and sync paths only, no meshes or boost rings
+function makeClientCar(vehicle, start) {
+    const car = Object.create(Car.prototype);
+    Object.assign(car, {
+        scene: null,
+        carGroup: new THREE.Group(),
+        velocity: new THREE.Vector3(),
+        knockback: new THREE.Vector3(),
+        momentum: 0,
+        speed: 0,
+        sim: createVehicleState()
+    });
+    car.applyPreset(vehicle);
+    car.carGroup.position.set(start.x, 0, start.z);
+    car.carGroup.rotation.y = start.yaw;
+    return car;
+}
+
+describe('shared vehicle physics', () => {
+    test('identical input sequences produce identical states', () => {
+        const a = run(scriptedInputs());
+        const b = run(scriptedInputs());
+        expect(b).toEqual(a);
+        expect(a.x).not.toBe(0);
+        expect(a.z).not.toBe(0);
+    });
+
+    test('identical results when state is created separately with the same overrides', () => {
+        const start = { x: -80, z: 60, yaw: Math.atan2(80, -60) };
+        const a = run(scriptedInputs(), createVehicleState(start));
+        const b = run(scriptedInputs(), createVehicleState(JSON.parse(JSON.stringify(start))));
+        expect(b).toEqual(a);
+    });
+
+    test('the client car and a server bot end up in the same state from the same inputs', () => {
+        const vehicle = getVehicleById('sport');
+        const start = { x: -30, z: 40, yaw: 0.75 };
+
+        // Client: Car.handleInput, which syncs the meshes to and from the shared sim each frame
+        // (no scene, so no meshes or boost rings are built)
+        const car = makeClientCar(vehicle, start);
+        scriptedInputs().forEach(keys => car.handleInput({ keys }, DT, null));
+
+        // Server: a bot's car is stepped on its own sim with the vehicle from the catalog
+        const bot = createBot('normal', start.x, start.z, start.yaw);
+        run(scriptedInputs(), bot.sim, DT, vehicle);
+
+        expect(car.carGroup.position.x).toBe(bot.sim.x);
+        expect(car.carGroup.position.y).toBe(bot.sim.y);
+        expect(car.carGroup.position.z).toBe(bot.sim.z);
+        expect(car.carGroup.rotation.y).toBe(bot.sim.yaw);
+        expect(car.speed).toBe(bot.sim.speed);
+        expect(car.sim.boostCharges).toBe(bot.sim.boostCharges);
+        expect(bot.sim.x).not.toBe(start.x);
+    });
+
+    test('replaying boosted frames after a correction lands where the prediction did', () => {
+        const car = makeClientCar(getVehicleById('balanced'), { x: 0, z: 0, yaw: 0 });
+        const frames = [];
+        // Recorded as main.js does: the sim time and boost window each frame was predicted under
+        scriptedInputs().forEach((keys, seq) => {
+            const simTime = car.sim.time;
+            car.handleInput({ keys }, DT, null);
+            const { padBoostMultiplier, padBoostUntil, padBoostFalloffEnd } = car.sim;
+            frames.push({
+                seq, keys, dt: DT, simTime,
+                momentum: car.momentum,
+                padBoost: { multiplier: padBoostMultiplier, until: padBoostUntil, falloffEnd: padBoostFalloffEnd }
+            });
+        });
+        const predicted = car.carGroup.position.clone();
+
+        // The server corrects to where frame 20 left the car; frames after it are replayed
+        const replay = makeClientCar(getVehicleById('balanced'), { x: 0, z: 0, yaw: 0 });
+        scriptedInputs().slice(0, 21).forEach(keys => replay.handleInput({ keys }, DT, null));
+        replay.sim.time += 5; // the clock has run on while the correction was in flight
+        replay.replayInputs(frames.slice(21));
+
+        expect(replay.carGroup.position.x).toBeCloseTo(predicted.x, 9);
+        expect(replay.carGroup.position.z).toBeCloseTo(predicted.z, 9);
+    });
+
+    test('forward throttle is capped at maxSpeed and reverse at 60%', () => {
+        const forward = run(Array(300).fill({ forward: true }));
+        expect(forward.speed).toBe(balanced.maxSpeed);
+
+        const reverse = run(Array(300).fill({ backward: true }));
+        expect(reverse.speed).toBeCloseTo(-balanced.maxSpeed * 0.6, 10);
+    });
+
+    test('steering needs speed and scales with it', () => {
+        const parked = run(Array(60).fill({ left: true }));
+        expect(parked.yaw).toBe(0);
+
+        const moving = run(Array(60).fill({ forward: true, left: true }));
+        expect(moving.yaw).toBeGreaterThan(0);
+    });
+
+    test('boost triggers on the rising edge and spends one charge', () => {
+        const state = run(Array(30).fill({ forward: true }));
+        const held = Array(20).fill({ forward: true, boost: true });
+        const results = held.map(input => stepVehicle(state, input, DT, balanced));
+
+        expect(results.filter(r => r.boosted)).toHaveLength(1);
+        expect(state.boostCharges).toBeCloseTo(BOOST.maxCharges - 1 + BOOST.rechargePerSecond * DT * held.length, 10);
+    });
+
+    test('boost multiplier holds then fades back to 1', () => {
+        const state = run([{ forward: true }, { forward: true, boost: true }]);
+        expect(getBoostMultiplier(state)).toBe(BOOST.multiplier);
+
+        run(Array(Math.ceil((BOOST.duration + BOOST.falloff / 2) / DT)).fill({ forward: true }), state);
+        const fading = getBoostMultiplier(state);
+        expect(fading).toBeGreaterThan(1);
+        expect(fading).toBeLessThan(BOOST.multiplier);
+
+        run(Array(30).fill({ forward: true }), state);
+        expect(getBoostMultiplier(state)).toBe(1);
+    });
+
+    test('knockback displaces the car and decays', () => {
+        const state = createVehicleState();
+        applyKnockback(state, 1, 0, 0, 20);
+        run(Array(60).fill({}), state);
+
+        expect(state.x).toBeGreaterThan(0);
+        expect(Math.abs(state.knockbackX)).toBeLessThan(20 * 0.01);
+    });
+
+    test('gravity pulls the car back to the ground', () => {
+        const state = createVehicleState({ y: 5, vy: 10 });
+        run(Array(120).fill({}), state);
+        expect(state.y).toBe(0);
+        expect(state.vy).toBe(0);
+        expect(getMaxJumpHeight(32)).toBeCloseTo(25.6, 10);
+    });
+
+    test('a lower gravity scale keeps the car up longer and jumps higher', () => {
+        const normal = run(Array(20).fill({}), createVehicleState({ vy: 10 }));
+        const low = run(Array(20).fill({}), createVehicleState({ vy: 10, gravityScale: 0.5 }));
+        expect(low.y).toBeGreaterThan(normal.y);
+        expect(getMaxJumpHeight(32, 0.5)).toBeCloseTo(51.2, 10);
+    });
+
+    test('slick spin ignores input, bleeds speed and respects its cooldown', () => {
+        const state = run(Array(120).fill({ forward: true }));
+        const yawBefore = state.yaw;
+
+        expect(startSpin(state, 'ice', 1)).toBe(true);
+        expect(state.speed).toBeCloseTo(balanced.maxSpeed * SPIN.speedCut, 10);
+        expect(startSpin(state, 'oil', -1)).toBe(false);
+
+        run(Array(10).fill({ forward: true, right: true }), state);
+        expect(state.yaw).toBeGreaterThan(yawBefore);
+        expect(state.speed).toBeLessThan(balanced.maxSpeed * SPIN.speedCut);
+
+        run(Array(60).fill({}), state);
+        expect(state.spinTime).toBe(0);
+        expect(state.spinCooldown).toBe(0);
+    });
+});
@@ -0,0 +1,78 @@
+import { COLLISION } from '../combat.js';
+import { PRACTICE, createDummies, stepDummies, createHitBreakdown, resolvePracticeHits } from '../practice.js';
+
+const DT = 1 / 60;
+
+const parked = { id: 'parked', name: 'Parked', x: 0, z: 0, rotation: 0, path: null };
+const circler = { id: 'circler', name: 'Circler', x: 0, z: 0, rotation: 0, path: { type: 'circle', x: 10, z: 10, radius: 5, speed: 5 } };
+const shuttle = { id: 'shuttle', name: 'Shuttle', x: 0, z: 0, rotation: 0, path: { type: 'line', from: { x: -10, z: 0 }, to: { x: 10, z: 0 }, speed: 10 } };
+
+const attacker = (x, z, rotation, speed = 40) => ({
+    position: { x, y: 0, z },
+    rotation,
+    speed,
+    velocity: { x: 0, y: 0, z: 0 },
+    cooldowns: new Map()
+});
+
+describe('offline practice', () => {
+    test('moving dummies follow their paths and stationary ones stay put', () => {
+        const dummies = createDummies([parked, circler, shuttle]);
+        const [still, round, line] = dummies;
+        expect(line.x).toBe(-10);
+
+        for (let i = 0; i < 60; i++) stepDummies(dummies, DT, i * 16);
+        expect(still.x).toBe(0);
+        expect(Math.hypot(round.x - 10, round.z - 10)).toBeCloseTo(5, 10);
+        expect(line.x).toBeCloseTo(0, 5);
+        expect(line.rotation).toBeCloseTo(Math.PI / 2, 10);
+
+        // Past the far end the shuttle turns round
+        for (let i = 0; i < 90; i++) stepDummies(dummies, DT, 1000);
+        expect(line.x).toBeCloseTo(5, 5);
+        expect(line.rotation).toBeCloseTo(-Math.PI / 2, 10);
+        expect(line.velocity.x).toBeLessThan(0);
+    });
+
+    test('hits use the multiplayer rules and fill the breakdown', () => {
+        const dummies = createDummies([parked]);
+        const breakdown = createHitBreakdown();
+        const car = attacker(-3, 0, Math.PI / 2);
+
+        const [hit] = resolvePracticeHits(car, dummies, breakdown, 0);
+        expect(hit).toMatchObject({ collisionType: 'side', damage: 12, destroyed: false });
+        expect(dummies[0].health).toBe(PRACTICE.dummyHealth - 12);
+
+        // Same dummy again inside the cooldown: nothing
+        expect(resolvePracticeHits(car, dummies, breakdown, COLLISION.cooldownMs - 1)).toHaveLength(0);
+
+        const rear = resolvePracticeHits(attacker(0, -3, 0), dummies, breakdown, 10);
+        expect(rear[0].collisionType).toBe('rear');
+        expect(breakdown.hits).toMatchObject({ side: 1, rear: 1, headshot: 0 });
+        expect(breakdown.damage).toBe(20);
+        expect(breakdown.last).toMatchObject({ dummyId: 'parked', collisionType: 'rear', damage: 8, speed: 40 });
+
+        // Too slow, or out of reach
+        expect(resolvePracticeHits(attacker(-3, 0, Math.PI / 2, COLLISION.minSpeed), dummies, breakdown, 0)).toHaveLength(0);
+        expect(resolvePracticeHits(attacker(-5, 0, Math.PI / 2), dummies, breakdown, 0)).toHaveLength(0);
+    });
+
+    test('a headshot destroys a dummy until it respawns', () => {
+        const dummies = createDummies([parked]);
+        const breakdown = createHitBreakdown();
+        const car = attacker(0.5, 0, 0);
+        car.position.y = 2.5;
+
+        const [hit] = resolvePracticeHits(car, dummies, breakdown, 1000);
+        expect(hit).toMatchObject({ collisionType: 'headshot', damage: 100, destroyed: true });
+        expect(breakdown.destroyed).toBe(1);
+
+        // Wrecks can't be hit again
+        expect(resolvePracticeHits(attacker(-3, 0, Math.PI / 2), dummies, breakdown, 1500)).toHaveLength(0);
+
+        stepDummies(dummies, DT, 1000 + PRACTICE.respawnMs - 1);
+        expect(dummies[0].destroyedAt).toBe(1000);
+        stepDummies(dummies, DT, 1000 + PRACTICE.respawnMs);
+        expect(dummies[0]).toMatchObject({ health: PRACTICE.dummyHealth, destroyedAt: null, x: 0, z: 0 });
+    });
+});
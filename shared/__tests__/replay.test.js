@@ -0,0 +1,85 @@
+import {
+    REPLAY, createReplayRecorder, recordReplayFrame, recordReplayEvent, finishReplay,
+    validateReplay, findReplayFrame, sampleReplay, getReplayEvents, describeReplayEvent
+} from '../replay.js';
+
+const START = 1_000_000;
+const car = (id, x, z, rotation = 0, health = 100) => ({
+    id, name: id.toUpperCase(), vehicleId: 'balanced', team: null,
+    position: { x, y: 0.123456, z }, rotation, health
+});
+
+function recordSample() {
+    const recorder = createReplayRecorder({ roomId: 'default', mode: 'deathmatch', startedAt: START });
+    recordReplayFrame(recorder, START, [car('a', 0, 0), car('b', 10, 0, Math.PI)]);
+    // Inside the frame interval: skipped
+    recordReplayFrame(recorder, START + 50, [car('a', 5, 0)]);
+    recordReplayFrame(recorder, START + 100, [car('a', 1, 0, 0.2), car('b', 10, 2, -Math.PI + 0.1, 80)]);
+    recordReplayEvent(recorder, START + 120, 'damage', { playerId: 'b', attackerId: 'a', damage: 20, health: 80, collisionType: 'side' });
+    // a respawns across the arena; b is wrecked and out of the frame
+    recordReplayFrame(recorder, START + 200, [car('a', 90, 40)]);
+    recordReplayEvent(recorder, START + 200, 'destroyed', { playerId: 'b', attackerId: 'a' });
+    return finishReplay(recorder, START + 250);
+}
+
+describe('replays', () => {
+    test('records compact frames against a roster', () => {
+        const replay = recordSample();
+        expect(replay.players.map(player => player.id)).toEqual(['a', 'b']);
+        expect(replay.frames.map(frame => frame[0])).toEqual([0, 100, 200]);
+        expect(replay.frames[0]).toEqual([0, 0, 0, 0.12, 0, 0, 100, 1, 10, 0.12, 0, 3.142, 100]);
+        expect(replay.events).toHaveLength(2);
+        expect(replay.durationMs).toBe(250);
+        expect(validateReplay(JSON.parse(JSON.stringify(replay)))).toBeNull();
+    });
+
+    test('stops recording at the length cap', () => {
+        const recorder = createReplayRecorder({ roomId: 'r', mode: 'deathmatch', startedAt: 0 });
+        recordReplayFrame(recorder, REPLAY.maxDurationMs + 1, [car('a', 0, 0)]);
+        recordReplayEvent(recorder, REPLAY.maxDurationMs + 1, 'chat', { playerName: 'A', message: 'hi' });
+        const replay = finishReplay(recorder, REPLAY.maxDurationMs * 2);
+        expect(replay.frames).toHaveLength(0);
+        expect(replay.events).toHaveLength(0);
+        expect(replay.durationMs).toBe(REPLAY.maxDurationMs);
+    });
+
+    test('samples between frames and snaps teleports', () => {
+        const replay = recordSample();
+        expect(findReplayFrame(replay, -1)).toBe(-1);
+        expect(findReplayFrame(replay, 150)).toBe(1);
+        expect(findReplayFrame(replay, 999)).toBe(2);
+        expect(sampleReplay(replay, -1)).toEqual([]);
+
+        const [a, b] = sampleReplay(replay, 50);
+        expect(a.position.x).toBeCloseTo(0.5, 10);
+        expect(a.rotation).toBeCloseTo(0.1, 10);
+        expect(b).toMatchObject({ id: 'b', name: 'B', health: 100 });
+        // Turning through ±π takes the short way round
+        expect(Math.abs(b.rotation)).toBeGreaterThan(3.1);
+
+        const respawning = sampleReplay(replay, 150);
+        expect(respawning).toHaveLength(2);
+        expect(respawning[0].position.x).toBe(1);
+        expect(sampleReplay(replay, 250).map(sample => sample.id)).toEqual(['a']);
+    });
+
+    test('lists and describes events in a time window', () => {
+        const replay = recordSample();
+        expect(getReplayEvents(replay, 0, 120).map(event => event[1])).toEqual(['damage']);
+        expect(getReplayEvents(replay, 120, 250).map(event => event[1])).toEqual(['destroyed']);
+        const [damage, destroyed] = replay.events;
+        expect(describeReplayEvent(replay, damage)).toBe('💥 A hit B (side) for 20');
+        expect(describeReplayEvent(replay, destroyed)).toBe('💀 A wrecked B');
+        expect(describeReplayEvent(replay, [0, 'powerupRemoved', { id: 'p' }])).toBeNull();
+    });
+
+    test('rejects files it cannot play', () => {
+        const replay = JSON.parse(JSON.stringify(recordSample()));
+        expect(validateReplay(null)).toBe('Not a replay file');
+        expect(validateReplay({ ...replay, version: 99 })).toBe('Unsupported replay version 99');
+        expect(validateReplay({ ...replay, frames: [[0, 1, 2]] })).toBe('Replay has a bad frame');
+        expect(validateReplay({ ...replay, frames: [[0, 7, 0, 0, 0, 0, 100]] })).toBe('Replay frame names an unknown car');
+        expect(validateReplay({ ...replay, frames: [replay.frames[1], replay.frames[0]] })).toBe('Replay frames are out of order');
+        expect(validateReplay({ ...replay, events: [['soon', 'chat', {}]] })).toBe('Replay has a bad event');
+    });
+});
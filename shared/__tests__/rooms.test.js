@@ -0,0 +1,59 @@
+import {
+    ROOM_LIMITS, isRoomId, defaultRoomName, normalizeRoomSettings, makeRoomId,
+    normalizeHostSettings, normalizeInviteCode, makeInviteCode
+} from '../rooms.js';
+
+describe('rooms', () => {
+    test('room ids are short url-safe strings', () => {
+        expect(isRoomId('default')).toBe(true);
+        expect(isRoomId('friday-night-3f9a')).toBe(true);
+        expect(isRoomId('')).toBe(false);
+        expect(isRoomId('<script>')).toBe(false);
+        expect(isRoomId({ id: 'default' })).toBe(false);
+    });
+
+    test('unnamed rooms are named after the arena or their mode', () => {
+        expect(defaultRoomName('default')).toBe('Main Arena');
+        expect(defaultRoomName('ctf')).toBe('Capture the Flag');
+        expect(defaultRoomName('abc')).toBe('abc');
+    });
+
+    test('create settings are cleaned, defaulted and clamped', () => {
+        expect(normalizeRoomSettings({ name: '  Friday   <b>Night</b> ', mode: 'ctf', maxPlayers: '4' }))
+            .toEqual({ name: 'Friday bNight/b', mode: 'ctf', maxPlayers: 4, private: false, password: '' });
+        expect(normalizeRoomSettings({ name: 'x', mode: 'golf', maxPlayers: 99, password: 'ignored' }))
+            .toEqual({ name: 'x', mode: 'deathmatch', maxPlayers: ROOM_LIMITS.maxPlayers, private: false, password: '' });
+        expect(normalizeRoomSettings({ name: 'x', private: true, password: ' hunter2 ' }))
+            .toMatchObject({ private: true, password: 'hunter2' });
+        expect(normalizeRoomSettings({ name: 'x', maxPlayers: 1 }).maxPlayers).toBe(ROOM_LIMITS.minPlayers);
+        expect(normalizeRoomSettings({ name: '   ' })).toEqual({ error: 'Room name required' });
+        expect(normalizeRoomSettings({ name: 'a'.repeat(40) }).name).toHaveLength(ROOM_LIMITS.nameMaxLength);
+    });
+
+    test('new room ids slug the name and skip ids in use', () => {
+        const rolls = [0, 0, 0.5];
+        const taken = new Set(['friday-night-0000']);
+        const roomId = makeRoomId('Friday Night!', id => taken.has(id), () => rolls.shift());
+        expect(roomId).toMatch(/^friday-night-[a-z0-9]{4}$/);
+        expect(taken.has(roomId)).toBe(false);
+        expect(isRoomId(makeRoomId('!!!'))).toBe(true);
+    });
+
+    test('host settings keep known fields and never shrink below the room', () => {
+        expect(normalizeHostSettings({ mode: 'koth', roundMinutes: 99, maxPlayers: 2, extra: 1 }, 5))
+            .toEqual({ mode: 'koth', roundMinutes: ROOM_LIMITS.maxRoundMinutes, maxPlayers: 5 });
+        expect(normalizeHostSettings({ friendlyFire: 'reduced' })).toEqual({ friendlyFire: 'reduced' });
+        expect(normalizeHostSettings({ mode: 'golf' })).toEqual({ error: 'Unknown mode' });
+        expect(normalizeHostSettings({ friendlyFire: 'some' })).toEqual({ error: 'Unknown friendly fire setting' });
+    });
+
+    test('invite codes are short, unambiguous and case-insensitive', () => {
+        const code = makeInviteCode();
+        expect(normalizeInviteCode(code.toLowerCase())).toBe(code);
+        expect(isRoomId(code)).toBe(true);
+        expect(normalizeInviteCode('ABC10O')).toBeNull();
+        expect(normalizeInviteCode('ABCD')).toBeNull();
+        const rolls = [0, 0, 0, 0, 0, 0, 0.99, 0.99, 0.99, 0.99, 0.99, 0.99];
+        expect(makeInviteCode(c => c === 'AAAAAA', () => rolls.shift())).toBe('999999');
+    });
+});
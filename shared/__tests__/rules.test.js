@@ -0,0 +1,52 @@
+import {
+    DEFAULT_RULES, RULE_LIMITS, normalizeRoomRules, getGravityScale, getRequiredVehicleId,
+    applyDamageRules, describeRules
+} from '../rules.js';
+
+describe('room rules', () => {
+    test('missing rules are the defaults; numbers are clamped to whole units', () => {
+        expect(normalizeRoomRules()).toEqual(DEFAULT_RULES);
+        expect(normalizeRoomRules(null)).toEqual(DEFAULT_RULES);
+        expect(normalizeRoomRules({ roundMinutes: 99, respawnSeconds: '5.7', spawnProtectionSeconds: -3 })).toMatchObject({
+            roundMinutes: RULE_LIMITS.maxRoundMinutes,
+            respawnSeconds: 5,
+            spawnProtectionSeconds: 0
+        });
+        expect(normalizeRoomRules({ headshots: false, monster: 0, mutators: ['lowGravity', 'lowGravity'] })).toMatchObject({
+            headshots: false,
+            monster: true,
+            mutators: ['lowGravity']
+        });
+    });
+
+    test('unknown multipliers, powerup rates and mutators are rejected', () => {
+        expect(normalizeRoomRules({ damageMultiplier: 1.5, powerupRate: 'off' })).toMatchObject({ damageMultiplier: 1.5, powerupRate: 'off' });
+        expect(normalizeRoomRules({ damageMultiplier: 10 })).toEqual({ error: 'Unknown damage multiplier' });
+        expect(normalizeRoomRules({ powerupRate: 'toString' })).toEqual({ error: 'Unknown powerup rate' });
+        expect(normalizeRoomRules({ mutators: ['moonBoots'] })).toEqual({ error: 'Unknown mutator' });
+        expect(normalizeRoomRules({ mutators: 'lowGravity' })).toEqual({ error: 'Unknown mutator' });
+        expect(normalizeRoomRules({ bots: 'insane' })).toEqual({ error: 'Unknown bot level' });
+    });
+
+    test('mutators change gravity, vehicles and damage', () => {
+        const rules = normalizeRoomRules({ damageMultiplier: 2, mutators: ['lowGravity', 'sportOnly'] });
+        expect(getGravityScale(rules)).toBe(0.5);
+        expect(getGravityScale(DEFAULT_RULES)).toBe(1);
+        expect(getRequiredVehicleId(rules)).toBe('sport');
+        expect(getRequiredVehicleId(DEFAULT_RULES)).toBeNull();
+
+        expect(applyDamageRules(rules, 12, 100, true)).toBe(24);
+        expect(applyDamageRules(rules, 0, 100, true)).toBe(0);
+        const oneHit = normalizeRoomRules({ mutators: ['oneHitKills'] });
+        expect(applyDamageRules(oneHit, 5, 150, true)).toBe(150);
+        expect(applyDamageRules(oneHit, 5, 150, false)).toBe(5);
+    });
+
+    test('only rules that differ from the defaults are described', () => {
+        expect(describeRules(DEFAULT_RULES)).toEqual([]);
+        expect(describeRules(normalizeRoomRules({ bots: 'hard' }))).toEqual(['Hard bots']);
+        expect(describeRules(normalizeRoomRules({ bots: 'off' }))).toEqual(['No bots']);
+        expect(describeRules(normalizeRoomRules({ respawnSeconds: 6, powerupRate: 'off', monster: false, mutators: ['oneHitKills'] })))
+            .toEqual(['6s respawn', 'No powerups', 'No monster', 'One-Hit Kills']);
+    });
+});
@@ -0,0 +1,54 @@
+import { SOCCER, SOCCER_GOALS, createBall, classifyBallHit, getKickoffPosition, stepBall } from '../soccer.js';
+
+const ARENA = { halfX: 158, halfZ: 118, obstacles: [] };
+const run = (ball, cars, steps, dt = 0.05) => {
+    for (let i = 0; i < steps; i++) {
+        const goal = stepBall(ball, dt, ARENA, i === 0 ? cars : []);
+        if (goal) return goal;
+    }
+    return null;
+};
+
+describe('car soccer', () => {
+    test('hits are classified by the part of the car that meets the ball', () => {
+        // Rotation 0 faces +z
+        expect(classifyBallHit({ rotation: 0 }, 0, 1)).toBe('front-bumper');
+        expect(classifyBallHit({ rotation: 0 }, 1, 0)).toBe('side');
+        expect(classifyBallHit({ rotation: 0 }, 0, -1)).toBe('rear');
+        expect(classifyBallHit({ rotation: 0 }, Math.SQRT1_2, Math.SQRT1_2)).toBe('medium');
+    });
+
+    test('a faster, squarer hit sends the ball further', () => {
+        const kick = (car) => {
+            const ball = createBall();
+            stepBall(ball, 0.05, ARENA, [{ id: 'a', x: 0, y: 0, z: -4, rotation: 0, ...car }]);
+            return Math.hypot(ball.vx, ball.vz);
+        };
+        expect(kick({ vz: 30 })).toBeGreaterThan(kick({ vz: 15 }));
+        expect(kick({ vz: 30 })).toBeGreaterThan(kick({ vz: 30, rotation: Math.PI / 2 }));
+
+        const ball = createBall();
+        stepBall(ball, 0.05, ARENA, [{ id: 'a', x: 0, y: 0, z: -4, rotation: 0, vz: 30 }]);
+        expect(ball.vz).toBeGreaterThan(0);
+        expect(ball.vy).toBeGreaterThan(0);
+        expect(ball.lastTouchId).toBe('a');
+    });
+
+    test('a ball through the east mouth scores for blue, credited to the last touch', () => {
+        const ball = { ...createBall(), x: SOCCER.goalLineX - 10, vx: 60, lastTouchId: 'b1' };
+        expect(run(ball, [], 40)).toEqual({ team: 'blue', playerId: 'b1' });
+
+        const wide = { ...createBall(), x: SOCCER.goalLineX - 10, z: SOCCER.goalHalfWidth + 4, vx: 60 };
+        expect(run(wide, [], 40)).toBeNull();
+        expect(Math.abs(wide.x)).toBeLessThan(ARENA.halfX);
+    });
+
+    test('kickoff spots sit in each team\'s own half facing the ball', () => {
+        const red = getKickoffPosition('red', 0);
+        const blue = getKickoffPosition('blue', 4);
+        expect(Math.sign(red.position.x)).toBe(SOCCER_GOALS.red.direction);
+        expect(Math.sign(blue.position.x)).toBe(SOCCER_GOALS.blue.direction);
+        expect(Math.sin(red.rotation)).toBeCloseTo(-1);
+        expect(Math.sin(blue.rotation)).toBeCloseTo(1);
+    });
+});
@@ -0,0 +1,39 @@
+import { pickBalancedTeam, rebalanceTeams, countTeams, applyFriendlyFire, getTeamTotals } from '../teams.js';
+
+describe('teams', () => {
+    test('new players join the smaller team', () => {
+        const teams = new Map();
+        ['a', 'b', 'c', 'd', 'e'].forEach(id => teams.set(id, pickBalancedTeam(teams)));
+        expect(countTeams(teams)).toEqual({ red: 3, blue: 2 });
+        expect(teams.get('a')).toBe('red');
+        expect(teams.get('b')).toBe('blue');
+    });
+
+    test('rebalancing moves the most recent joiners off the larger team', () => {
+        const teams = new Map([['a', 'red'], ['b', 'blue'], ['c', 'red'], ['d', 'red'], ['e', 'red']]);
+        expect(rebalanceTeams(teams)).toEqual(['e']);
+        expect(countTeams(teams)).toEqual({ red: 3, blue: 2 });
+        expect(rebalanceTeams(teams)).toEqual([]);
+    });
+
+    test('friendly fire only scales damage between teammates', () => {
+        expect(applyFriendlyFire(30, 'red', 'red', 'off')).toBe(0);
+        expect(applyFriendlyFire(30, 'red', 'red', 'reduced')).toBe(15);
+        expect(applyFriendlyFire(30, 'red', 'red', 'full')).toBe(30);
+        expect(applyFriendlyFire(30, 'red', 'blue', 'off')).toBe(30);
+        expect(applyFriendlyFire(30, null, null, 'off')).toBe(30);
+    });
+
+    test('team totals sum member stats', () => {
+        const totals = getTeamTotals([
+            { team: 'red', kills: 2, deaths: 1, damageDealt: 40 },
+            { team: 'red', kills: 1, deaths: 0, damageDealt: 10 },
+            { team: 'blue', kills: 0, deaths: 3, damageDealt: 5 },
+            { kills: 9, deaths: 9, damageDealt: 99 }
+        ]);
+        expect(totals).toEqual([
+            { team: 'red', kills: 3, deaths: 1, damageDealt: 50, players: 2 },
+            { team: 'blue', kills: 0, deaths: 3, damageDealt: 5, players: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,35 @@
+import { VEHICLES, ABILITIES, DEFAULT_VEHICLE_ID, getVehicleById, getVehicleAbility, validateVehicleCatalog } from '../vehicles.js';
+
+describe('vehicle catalog', () => {
+    test('shipped catalog passes validation', () => {
+        expect(validateVehicleCatalog(VEHICLES)).toEqual([]);
+    });
+
+    test('reports missing fields, bad ranges and mismatched ids', () => {
+        const broken = {
+            ...VEHICLES,
+            glass: { ...VEHICLES.sport, id: 'cannon', maxSpeed: -5, name: undefined }
+        };
+        const errors = validateVehicleCatalog(broken);
+        expect(errors).toContain('glass: id "cannon" does not match its key');
+        expect(errors).toContain('glass.maxSpeed: -5 is outside 1..200');
+        expect(errors).toContain('glass.name: expected string');
+    });
+
+    test('requires the default vehicle', () => {
+        const { [DEFAULT_VEHICLE_ID]: _removed, ...rest } = VEHICLES;
+        expect(validateVehicleCatalog(rest)).toContain(`missing default vehicle "${DEFAULT_VEHICLE_ID}"`);
+    });
+
+    test('unknown ids fall back to the default vehicle', () => {
+        expect(getVehicleById('hovercraft-9000')).toBe(VEHICLES[DEFAULT_VEHICLE_ID]);
+        expect(getVehicleById('toString')).toBe(VEHICLES[DEFAULT_VEHICLE_ID]);
+    });
+
+    test('signature abilities resolve and unknown abilities are rejected', () => {
+        expect(getVehicleAbility(VEHICLES.bulldozer)).toBe(ABILITIES.ram);
+        expect(getVehicleAbility(VEHICLES.balanced)).toBeNull();
+        const errors = validateVehicleCatalog({ ...VEHICLES, sport: { ...VEHICLES.sport, ability: 'laser' } });
+        expect(errors).toContain('sport.ability: unknown ability "laser"');
+    });
+});
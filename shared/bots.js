@@ -0,0 +1,233 @@
+// AI drivers the server uses to top up rooms short of players. A bot is an ordinary player
+// entry in server/index.js with a `bot` brain from createBot; to clients it is just another car.
+// Each tick the bot picks a goal (an opponent to ram, a powerup, or the mode's objective),
+// steers towards it with the shared vehicle physics and keeps clear of the monster, the
+// barriers and slick patches. Plain data in and out, so the tests can drive it.
+//
+// Bots stay on the ground floor: the platform and ramp are obstacles to them.
+
+import * as VehiclePhysics from './physics.js';
+
+// reactionMs: how often a bot rethinks its goal; aimError: radians of aim jitter at a car;
+// throttle: share of the vehicle's top speed it drives at; boostChance: per rethink while
+// lined up on a target; abilityRange: distance it fires its ability at (0 never); caution:
+// how wide a berth it gives hazards
+export const BOT_DIFFICULTIES = {
+    easy: { reactionMs: 700, aimError: 0.35, throttle: 0.7, boostChance: 0, abilityRange: 0, caution: 0.6 },
+    normal: { reactionMs: 350, aimError: 0.15, throttle: 0.9, boostChance: 0.3, abilityRange: 8, caution: 1 },
+    hard: { reactionMs: 120, aimError: 0.04, throttle: 1, boostChance: 0.8, abilityRange: 12, caution: 1.3 }
+};
+
+const BOT_NAMES = ['Rusty', 'Axle', 'Dash', 'Sprocket', 'Blitz', 'Torque', 'Piston', 'Skid', 'Nitro Nan', 'Chrome', 'Bumper', 'Hubcap'];
+
+const POWERUP_PICKUP_RADIUS = 3;
+const OBSTACLE_MARGIN = 1.5; // half a car width around barrier footprints
+const LOW_HEALTH = 0.4; // share of max health below which powerups come first
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// A fresh brain at (x, z) facing yaw
+export function createBot(difficulty, x, z, yaw = 0) {
+    return {
+        difficulty: BOT_DIFFICULTIES[difficulty] ? difficulty : 'normal',
+        sim: VehiclePhysics.createVehicleState({ x, y: 0, z, yaw }),
+        goal: null, // { kind: 'car' | 'powerup' | 'objective' | 'wander', id, x, z }
+        nextThinkAt: 0,
+        aimOffset: 0,
+        wantsBoost: false
+    };
+}
+
+// Put the brain's car where the server placed it (spawn, respawn, kickoff)
+export function placeBot(bot, position, yaw = bot.sim.yaw) {
+    bot.sim = VehiclePhysics.createVehicleState({
+        x: position.x,
+        y: 0,
+        z: position.z,
+        yaw,
+        gravityScale: bot.sim.gravityScale
+    });
+    bot.goal = null;
+    bot.nextThinkAt = 0;
+}
+
+function nearest(from, points) {
+    let best = null;
+    let bestDistance = Infinity;
+    points.forEach(point => {
+        const distance = Math.hypot(point.x - from.x, point.z - from.z);
+        if (distance < bestDistance) {
+            best = point;
+            bestDistance = distance;
+        }
+    });
+    return best ? { point: best, distance: bestDistance } : null;
+}
+
+// view: { self: { x, z, health, maxHealth, maxSpeed }, opponents: [{ id, x, z }], powerups: [{ id, x, z }],
+// objective: { x, z, urgent } | null, monster, hazards, arena } (see steerBot)
+function pickGoal(bot, view, random) {
+    const self = view.self;
+    const lowHealth = self.health < self.maxHealth * LOW_HEALTH;
+    const powerup = nearest(self, view.powerups || []);
+    const opponent = nearest(self, view.opponents || []);
+    if (powerup && (lowHealth || powerup.distance < 30)) {
+        return { kind: 'powerup', id: powerup.point.id, x: powerup.point.x, z: powerup.point.z };
+    }
+    // The mode's objective unless someone is close enough to ram first
+    if (view.objective && (view.objective.urgent || !opponent || opponent.distance > 25)) {
+        return { kind: 'objective', x: view.objective.x, z: view.objective.z };
+    }
+    if (opponent) {
+        return { kind: 'car', id: opponent.point.id, x: opponent.point.x, z: opponent.point.z };
+    }
+    // Nobody to chase: cruise to a random spot
+    const arena = view.arena;
+    return { kind: 'wander', x: (random() * 2 - 1) * arena.halfX * 0.6, z: (random() * 2 - 1) * arena.halfZ * 0.6 };
+}
+
+// Away-from vector with strength growing from 0 at `range` to 1 at the point itself
+function repel(from, x, z, range) {
+    const dx = from.x - x;
+    const dz = from.z - z;
+    const distance = Math.hypot(dx, dz);
+    if (distance >= range) return null;
+    const strength = (range - distance) / range;
+    const length = distance || 1;
+    return { x: dx / length * strength, z: dz / length * strength };
+}
+
+// repel plus a sideways slide towards the goal, so a hazard dead ahead is driven around
+// rather than stalled in front of
+function avoid(from, x, z, range, goalX, goalZ) {
+    const away = repel(from, x, z, range);
+    if (!away) return null;
+    const side = -away.z * goalX + away.x * goalZ >= 0 ? 1 : -1;
+    return { x: away.x - side * away.z, z: away.z + side * away.x };
+}
+
+// Direction to drive in: towards the goal, bent away from hazards and walls
+function getSteering(bot, view, goal) {
+    const self = view.self;
+    const caution = BOT_DIFFICULTIES[bot.difficulty].caution;
+    const toGoal = Math.hypot(goal.x - self.x, goal.z - self.z) || 1;
+    const goalX = (goal.x - self.x) / toGoal;
+    const goalZ = (goal.z - self.z) / toGoal;
+    let x = goalX;
+    let z = goalZ;
+    const push = (vector, weight) => {
+        if (!vector) return;
+        x += vector.x * weight;
+        z += vector.z * weight;
+    };
+
+    if (view.monster) {
+        push(avoid(self, view.monster.x, view.monster.z, view.monster.radius + 10 * caution, goalX, goalZ), 3);
+    }
+    (view.hazards || []).forEach(hazard => push(avoid(self, hazard.x, hazard.z, hazard.radius + 4 * caution, goalX, goalZ), 1.5));
+    (view.arena.obstacles || []).forEach(box => {
+        // Nearest point of the footprint
+        const nx = Math.max(box.x - box.halfW, Math.min(box.x + box.halfW, self.x));
+        const nz = Math.max(box.z - box.halfD, Math.min(box.z + box.halfD, self.z));
+        push(repel(self, nx, nz, 6 + OBSTACLE_MARGIN), 2);
+    });
+    // Turn back from the oval wall
+    const edge = (self.x * self.x) / (view.arena.halfX ** 2) + (self.z * self.z) / (view.arena.halfZ ** 2);
+    if (edge > 0.8) {
+        const inward = Math.hypot(self.x / view.arena.halfX ** 2, self.z / view.arena.halfZ ** 2) || 1;
+        push({ x: -self.x / view.arena.halfX ** 2 / inward, z: -self.z / view.arena.halfZ ** 2 / inward }, (edge - 0.8) * 10);
+    }
+    return { x, z, distance: toGoal };
+}
+
+// Keys for this tick: { forward, backward, left, right, boost, ability }
+export function steerBot(bot, view, now, random = Math.random) {
+    const settings = BOT_DIFFICULTIES[bot.difficulty];
+    if (now >= bot.nextThinkAt || !bot.goal) {
+        bot.goal = pickGoal(bot, view, random);
+        bot.aimOffset = (random() * 2 - 1) * settings.aimError;
+        bot.wantsBoost = random() < settings.boostChance;
+        bot.nextThinkAt = now + settings.reactionMs;
+    }
+    // Cars move between rethinks; follow the one we're after
+    const goal = bot.goal;
+    if (goal.kind === 'car') {
+        const target = (view.opponents || []).find(car => car.id === goal.id);
+        if (target) {
+            goal.x = target.x;
+            goal.z = target.z;
+        }
+    }
+
+    const steering = getSteering(bot, view, goal);
+    const sim = bot.sim;
+    const aim = goal.kind === 'car' ? bot.aimOffset : 0;
+    const turn = wrapAngle(Math.atan2(steering.x, steering.z) + aim - sim.yaw);
+    const maxSpeed = view.self.maxSpeed * settings.throttle;
+    const input = {
+        forward: sim.speed < maxSpeed,
+        backward: false,
+        left: turn > 0.05,
+        right: turn < -0.05,
+        boost: false,
+        ability: false
+    };
+    // Too fast for a hairpin: brake into it
+    if (Math.abs(turn) > 2.2 && sim.speed > 15) {
+        input.forward = false;
+        input.backward = true;
+    }
+    if (goal.kind === 'car' && Math.abs(turn) < 0.2) {
+        input.boost = bot.wantsBoost && steering.distance < 40;
+        input.ability = steering.distance < settings.abilityRange;
+    }
+    return input;
+}
+
+// Keep the car inside the oval and out of obstacle footprints
+function constrainBot(bot, arena) {
+    const sim = bot.sim;
+    const edge = (sim.x * sim.x) / (arena.halfX ** 2) + (sim.z * sim.z) / (arena.halfZ ** 2);
+    if (edge > 0.95) {
+        const scale = Math.sqrt(0.95 / edge);
+        sim.x *= scale;
+        sim.z *= scale;
+        sim.momentum *= 0.3;
+        sim.speed = sim.momentum;
+    }
+    (arena.obstacles || []).forEach(box => {
+        const overlapX = box.halfW + OBSTACLE_MARGIN - Math.abs(sim.x - box.x);
+        const overlapZ = box.halfD + OBSTACLE_MARGIN - Math.abs(sim.z - box.z);
+        if (overlapX <= 0 || overlapZ <= 0) return;
+        // Out through the nearer side
+        if (overlapX < overlapZ) sim.x += Math.sign(sim.x - box.x || 1) * overlapX;
+        else sim.z += Math.sign(sim.z - box.z || 1) * overlapZ;
+        sim.momentum *= 0.3;
+        sim.speed = sim.momentum;
+    });
+}
+
+// One simulation step: decide, drive with the vehicle's stats, stay in bounds.
+// Returns the input used (the caller fires abilities and picks up powerups).
+export function stepBot(bot, view, dt, now, vehicle, random = Math.random) {
+    const input = steerBot(bot, view, now, random);
+    VehiclePhysics.stepVehicle(bot.sim, input, dt, vehicle);
+    constrainBot(bot, view.arena);
+    return input;
+}
+
+// Powerup ids within reach of the bot's car
+export function getReachablePowerups(bot, powerups) {
+    return powerups
+        .filter(powerup => Math.hypot(powerup.x - bot.sim.x, powerup.z - bot.sim.z) <= POWERUP_PICKUP_RADIUS)
+        .map(powerup => powerup.id);
+}
+
+// A name no one in the room is using yet
+export function pickBotName(taken, random = Math.random) {
+    const free = BOT_NAMES.filter(name => !taken.includes(name));
+    if (free.length) return free[Math.floor(random() * free.length)];
+    return `${BOT_NAMES[Math.floor(random() * BOT_NAMES.length)]} ${Math.floor(random() * 90) + 10}`;
+}
@@ -0,0 +1,94 @@
+// Car-vs-car hit rules. The server resolves every hit in multiplayer from its own tracked state;
+// offline practice (shared/practice.js) resolves hits on its dummies with the same rules.
+//
+// Cars are { position: { x, y, z }, rotation, speed, velocity: { y } }: rotation is the yaw (0
+// faces +z) and speed the signed speed along the nose, so reversing into someone deals nothing.
+
+export const COLLISION = {
+    distance: 4.0, // centre-to-centre distance that counts as contact
+    minSpeed: 15, // attacker forward speed needed to deal damage
+    cooldownMs: 3000, // per attacker→target pair
+    headshotHeight: 1.5 // attacker must be this far above the target
+};
+
+// Cones on the dot products between the contact direction and each car's heading
+const FRONT_CONE = 0.8;
+const SIDE_CONE = 0.25;
+const REAR_CONE = -0.7;
+
+// Which part of a car was struck, from the dot product between its heading and the direction to
+// whatever hit it (1 = its nose, -1 = its tail): 'front-bumper' | 'side' | 'rear' | 'medium'.
+// Soccer kicks (shared/soccer.js) use the same cones.
+export function classifyHitSide(dot) {
+    if (dot >= FRONT_CONE) return 'front-bumper';
+    if (Math.abs(dot) <= SIDE_CONE) return 'side';
+    if (dot <= REAR_CONE) return 'rear';
+    return 'medium';
+}
+
+// Classify a contact from the attacker's point of view:
+// 'headshot' | 'front-bumper' | 'side' | 'rear' | 'medium'
+export function classifyCollision(attacker, target) {
+    const a = attacker.position;
+    const t = target.position;
+
+    // Landing on top of a car while not climbing
+    const verticalVelocity = attacker.velocity?.y ?? 0;
+    if ((a.y || 0) > (t.y || 0) + COLLISION.headshotHeight && verticalVelocity <= 0.5) {
+        return 'headshot';
+    }
+
+    const impactX = a.x - t.x;
+    const impactZ = a.z - t.z;
+    const impactLength = Math.max(1e-6, Math.hypot(impactX, impactZ));
+    const nx = impactX / impactLength;
+    const nz = impactZ / impactLength;
+
+    // dotTarget: where on the target we hit (1 = its nose, -1 = its tail)
+    const dotTarget = Math.sin(target.rotation || 0) * nx + Math.cos(target.rotation || 0) * nz;
+    // dotAttacker: how squarely the attacker is facing the target
+    const dotAttacker = Math.sin(attacker.rotation || 0) * -nx + Math.cos(attacker.rotation || 0) * -nz;
+
+    const side = classifyHitSide(dotTarget);
+    // Bumpers only meet when the attacker is facing the target squarely too
+    if (side === 'front-bumper' && dotAttacker < FRONT_CONE) return 'medium';
+    return side;
+}
+
+// Damage before vehicle modifiers: a share of the attacker's speed by where the hit landed
+export function getCollisionDamage(collisionType, attackerSpeed) {
+    const baseSpeed = Math.max(0, attackerSpeed || 0);
+    switch (collisionType) {
+        case 'headshot': // Jumping ON a car
+            return 100; // Instant kill
+        case 'front-bumper': // Bumpers meet head-on: blocked
+            return 0;
+        case 'side':
+            return Math.floor(baseSpeed * 0.3);
+        case 'rear':
+            return Math.floor(baseSpeed * 0.2);
+        default:
+            return Math.floor(baseSpeed * 0.15);
+    }
+}
+
+// Type and final damage of one attacker→target hit. options:
+//   headshots: false turns landing on a car into an ordinary hit (room rules)
+//   ramMultiplier: set while the attacker's Ram Plates run; bumpers no longer block
+//   damageDealt, damageTaken: the attacker's and target's vehicle modifiers
+export function resolveCarHit(attacker, target, options = {}) {
+    let collisionType = classifyCollision(attacker, target);
+    if (collisionType === 'headshot' && options.headshots === false) {
+        collisionType = 'medium';
+    }
+    const ramming = !!options.ramMultiplier;
+    if (ramming && collisionType === 'front-bumper') {
+        collisionType = 'side';
+    }
+    let damage = getCollisionDamage(collisionType, attacker.speed);
+    if (ramming && collisionType !== 'headshot') {
+        damage *= options.ramMultiplier;
+    }
+    const modifier = (options.damageDealt ?? 1) * (options.damageTaken ?? 1);
+    return { collisionType, damage: Math.max(0, Math.round(damage * modifier)) };
+}
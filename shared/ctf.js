@@ -0,0 +1,85 @@
+// Capture-the-flag rules, run by the server each tick and mirrored by the client for
+// rendering (Arena.js) and the radar. Red's base sits on top of the elevated platform,
+// reachable by the ramp or the lift; blue's is on open ground across the arena.
+
+export const CTF = {
+    touchRadius: 4, // horizontal car-to-flag (or base) distance that counts as a touch
+    touchHeight: 3, // max height gap, so cars under the platform can't reach its flag
+    returnAfterMs: 30 * 1000, // a dropped flag nobody touches goes home on its own
+    capturesToWin: 3 // captures that end the round early
+};
+
+export const CTF_BASES = {
+    red: { team: 'red', x: 40, y: 7, z: -25 },
+    blue: { team: 'blue', x: -100, y: 0, z: -10 }
+};
+
+function homeFlag(team) {
+    const base = CTF_BASES[team];
+    return { team, state: 'home', x: base.x, y: base.y, z: base.z, carrierId: null, droppedAt: null };
+}
+
+function touches(car, point) {
+    return Math.hypot(car.x - point.x, car.z - point.z) <= CTF.touchRadius &&
+        Math.abs(car.y - point.y) <= CTF.touchHeight;
+}
+
+// One flag per team, each at its base. State: 'home' | 'carried' | 'dropped'.
+export function createFlags() {
+    return Object.fromEntries(Object.keys(CTF_BASES).map(team => [team, homeFlag(team)]));
+}
+
+// Leave any flag the car is carrying where the car is (destroyed or gone)
+export function dropCarriedFlag(flags, carId, position, now) {
+    const events = [];
+    Object.values(flags).forEach(flag => {
+        if (flag.carrierId !== carId) return;
+        Object.assign(flag, { state: 'dropped', carrierId: null, x: position.x, y: position.y, z: position.z, droppedAt: now });
+        events.push({ type: 'drop', team: flag.team, playerId: carId });
+    });
+    return events;
+}
+
+// Advance flags one tick. cars: [{ id, team, x, y, z }] for cars alive this round.
+// Returns events: { type: 'pickup' | 'return' | 'capture', team, playerId }, where team is
+// the flag's team, except for captures where it is the scoring team.
+export function stepFlags(flags, cars, now) {
+    const events = [];
+    Object.values(flags).forEach(flag => {
+        if (flag.state === 'carried') {
+            const carrier = cars.find(car => car.id === flag.carrierId);
+            if (!carrier) return;
+            flag.x = carrier.x;
+            flag.y = carrier.y;
+            flag.z = carrier.z;
+            // Scoring needs your own flag safe at home
+            if (touches(carrier, CTF_BASES[carrier.team]) && flags[carrier.team]?.state === 'home') {
+                Object.assign(flag, homeFlag(flag.team));
+                events.push({ type: 'capture', team: carrier.team, playerId: carrier.id });
+            }
+            return;
+        }
+        if (flag.state === 'dropped' && now - flag.droppedAt >= CTF.returnAfterMs) {
+            Object.assign(flag, homeFlag(flag.team));
+            events.push({ type: 'return', team: flag.team, playerId: null });
+            return;
+        }
+        for (const car of cars) {
+            if (!touches(car, flag)) continue;
+            if (car.team === flag.team) {
+                // Touching your own dropped flag sends it home; at home there is nothing to do
+                if (flag.state === 'dropped') {
+                    Object.assign(flag, homeFlag(flag.team));
+                    events.push({ type: 'return', team: flag.team, playerId: car.id });
+                    break;
+                }
+                continue;
+            }
+            if (!car.team) continue;
+            Object.assign(flag, { state: 'carried', carrierId: car.id, droppedAt: null, x: car.x, y: car.y, z: car.z });
+            events.push({ type: 'pickup', team: flag.team, playerId: car.id });
+            break;
+        }
+    });
+    return events;
+}
@@ -0,0 +1,37 @@
+// King-of-the-hill rules: the server scores the zone once per game-state update and the
+// client draws it (Arena.js), the HUD score bar and the radar ring from the same spots.
+
+export const KOTH = {
+    pointsPerSecond: 1, // for the only car in the zone
+    scoreToWin: 60, // points that end the round early
+    rotateEveryMs: 45 * 1000, // the zone moves on to the next spot this often
+    heightTolerance: 2.5 // keeps cars below the platform out of its zone
+};
+
+// Zone spots in rotation order; the first round starts on top of the elevated platform
+export const KOTH_ZONES = [
+    { id: 'platform', name: 'Platform', x: 40, y: 7, z: -25, radius: 8 },
+    { id: 'centre', name: 'Centre', x: 0, y: 0, z: 0, radius: 10 },
+    { id: 'west', name: 'West End', x: -105, y: 0, z: -15, radius: 10 },
+    { id: 'north', name: 'North Side', x: 10, y: 0, z: 80, radius: 10 },
+    { id: 'east', name: 'East End', x: 110, y: 0, z: 30, radius: 10 }
+];
+
+export function getZone(index) {
+    return KOTH_ZONES[((index % KOTH_ZONES.length) + KOTH_ZONES.length) % KOTH_ZONES.length];
+}
+
+export function isInZone(zone, x, y, z) {
+    return Math.hypot(x - zone.x, z - zone.z) <= zone.radius && Math.abs(y - zone.y) <= KOTH.heightTolerance;
+}
+
+// Who holds the zone. cars: [{ id, x, y, z }]. Returns { ownerId, contested, occupants }:
+// one car owns it, two or more contest it (nobody scores), none leaves it empty.
+export function getZoneControl(zone, cars) {
+    const occupants = cars.filter(car => isInZone(zone, car.x, car.y, car.z)).map(car => car.id);
+    return {
+        ownerId: occupants.length === 1 ? occupants[0] : null,
+        contested: occupants.length > 1,
+        occupants
+    };
+}
@@ -0,0 +1,94 @@
+// Skill-based matchmaking: an Elo rating per player, updated after every round of a ranked
+// room, and the queue planner the server runs once a second to place waiting players.
+
+export const MATCHMAKING = {
+    startRating: 1200,
+    k: 32, // most a player can gain or lose against one opponent pool
+    kdWeight: 2, // rating per net kill (kills - deaths)...
+    kdCap: 5, // ...counted up to this many either way
+    baseRange: 100, // rating difference accepted straight away
+    widenPerSecond: 20, // the range grows this much per second in the queue
+    maxRange: 600, // after which a lone player gets a room of their own to wait in
+    roomSize: 6, // seats in a ranked room
+    reservationMs: 15000 // a matched player's seat is held this long for them to join
+};
+
+// Chance that a player rated `rating` places above one rated `opponent`
+export function expectedScore(rating, opponent) {
+    return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+// Rating difference a player accepts after waiting waitMs
+export function searchRange(waitMs) {
+    return Math.min(MATCHMAKING.maxRange, MATCHMAKING.baseRange + MATCHMAKING.widenPerSecond * Math.max(0, waitMs) / 1000);
+}
+
+// New ratings after a round. players: [{ id, rating, score, kills, deaths }] where a higher
+// score placed higher (equal scores tie). Every pair of players counts as one Elo game, scaled
+// so a round is worth at most k, plus a small bonus or penalty for net kills.
+// Returns [{ id, rating, change }] in the same order.
+export function rateRound(players) {
+    if (players.length < 2) {
+        return players.map(player => ({ id: player.id, rating: player.rating, change: 0 }));
+    }
+    const k = MATCHMAKING.k / (players.length - 1);
+    return players.map(player => {
+        let delta = 0;
+        players.forEach(opponent => {
+            if (opponent === player) return;
+            const actual = player.score > opponent.score ? 1 : (player.score === opponent.score ? 0.5 : 0);
+            delta += k * (actual - expectedScore(player.rating, opponent.rating));
+        });
+        const netKills = (player.kills || 0) - (player.deaths || 0);
+        delta += MATCHMAKING.kdWeight * Math.max(-MATCHMAKING.kdCap, Math.min(MATCHMAKING.kdCap, netKills));
+        const change = Math.round(delta);
+        return { id: player.id, rating: player.rating + change, change };
+    });
+}
+
+// Place queued players. queue: [{ id, rating, mode, queuedAt }] oldest first; rooms: ranked
+// rooms with free seats [{ roomId, mode, rating (average), players, maxPlayers }].
+// Each player joins the closest-rated room within their search range, or else starts a new room
+// with the other waiting players in range (mutually: each within the other's range). A player
+// whose range has widened all the way gets a new room alone so the next arrivals can join them.
+// Returns [{ roomId (null for a new room), mode, playerIds }].
+export function planMatches(queue, rooms, now) {
+    const matches = [];
+    const open = rooms.map(room => ({ ...room, match: null }));
+    const placed = new Set();
+    const seat = (room, entry) => {
+        room.rating = (room.rating * room.players + entry.rating) / (room.players + 1);
+        room.players++;
+        placed.add(entry.id);
+        if (!room.match) {
+            room.match = { roomId: room.roomId, mode: room.mode, playerIds: [] };
+            matches.push(room.match);
+        }
+        room.match.playerIds.push(entry.id);
+    };
+
+    queue.forEach(entry => {
+        if (placed.has(entry.id)) return;
+        const range = searchRange(now - entry.queuedAt);
+        const room = open
+            .filter(r => r.mode === entry.mode && r.players < r.maxPlayers && Math.abs(r.rating - entry.rating) <= range)
+            .sort((a, b) => Math.abs(a.rating - entry.rating) - Math.abs(b.rating - entry.rating))[0];
+        if (room) {
+            seat(room, entry);
+            return;
+        }
+        const partners = queue
+            .filter(other => other !== entry && !placed.has(other.id) && other.mode === entry.mode)
+            .filter(other => {
+                const gap = Math.abs(other.rating - entry.rating);
+                return gap <= range && gap <= searchRange(now - other.queuedAt);
+            })
+            .sort((a, b) => Math.abs(a.rating - entry.rating) - Math.abs(b.rating - entry.rating))
+            .slice(0, MATCHMAKING.roomSize - 1);
+        if (partners.length === 0 && range < MATCHMAKING.maxRange) return;
+        const created = { roomId: null, mode: entry.mode, rating: entry.rating, players: 0, maxPlayers: MATCHMAKING.roomSize, match: null };
+        open.push(created);
+        [entry, ...partners].forEach(member => seat(created, member));
+    });
+    return matches;
+}
@@ -0,0 +1,127 @@
+// Roaming hazard monster, simulated by the server and rendered by the client (Arena.js).
+// Pure functions over plain state so the server tick and the tests share one code path.
+
+export const MONSTER = {
+    radius: 2.6,
+    y: 1.3, // body centre height above the ground
+    speed: 22, // units per second
+    turnRate: 1.2, // radians per second of steering towards the target
+    chaseRange: 60, // only chase cars this close
+    retargetInterval: 3, // seconds between target picks
+    carReach: 2.5, // approximate car radius added to the monster's for hits
+    flyOverClearance: 1.6, // cars this far above the body jump over it safely
+    hitCooldown: 1, // seconds between hits on the same car
+    damageFraction: 0.2 // of the target's max health per hit
+};
+
+export function createMonsterState(startAngle = 0) {
+    // Start near the centre, heading off at an angle to the spawn direction
+    const heading = startAngle + 1.1;
+    return {
+        x: Math.cos(startAngle) * 10,
+        z: Math.sin(startAngle) * 10,
+        vx: Math.cos(heading) * MONSTER.speed,
+        vz: Math.sin(heading) * MONSTER.speed,
+        targetId: null,
+        retargetIn: 0
+    };
+}
+
+// Nearest car within chase range, or null
+function pickTarget(state, cars) {
+    let best = null;
+    let bestDistSq = MONSTER.chaseRange * MONSTER.chaseRange;
+    cars.forEach(car => {
+        const distSq = (car.x - state.x) ** 2 + (car.z - state.z) ** 2;
+        if (distSq < bestDistSq) {
+            best = car;
+            bestDistSq = distSq;
+        }
+    });
+    return best ? best.id : null;
+}
+
+// Rotate velocity towards the target by at most turnRate * dt, keeping speed
+function steerTowards(state, target, dt) {
+    const desired = Math.atan2(target.z - state.z, target.x - state.x);
+    const current = Math.atan2(state.vz, state.vx);
+    let delta = desired - current;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta)); // wrap to [-PI, PI]
+    const maxTurn = MONSTER.turnRate * dt;
+    const heading = current + Math.max(-maxTurn, Math.min(maxTurn, delta));
+    state.vx = Math.cos(heading) * MONSTER.speed;
+    state.vz = Math.sin(heading) * MONSTER.speed;
+}
+
+// Push out of an axis-aligned box along the shallow axis and reflect that velocity component
+function bounceOffBox(state, box, restitution = 1) {
+    const dx = state.x - box.x;
+    const dz = state.z - box.z;
+    const extX = box.halfW + MONSTER.radius;
+    const extZ = box.halfD + MONSTER.radius;
+    if (Math.abs(dx) > extX || Math.abs(dz) > extZ) return;
+    if (extX - Math.abs(dx) < extZ - Math.abs(dz)) {
+        state.x = box.x + Math.sign(dx || 1) * (extX + 0.05);
+        state.vx = -state.vx * restitution;
+    } else {
+        state.z = box.z + Math.sign(dz || 1) * (extZ + 0.05);
+        state.vz = -state.vz * restitution;
+    }
+}
+
+// Advance one step. arena: { halfX, halfZ, barriers: [{ x, z, halfW, halfD }], platform };
+// cars: [{ id, x, y, z }] the monster may chase. random is injectable for tests.
+export function stepMonster(state, dt, arena, cars, random = Math.random) {
+    state.retargetIn -= dt;
+    if (state.retargetIn <= 0) {
+        state.targetId = pickTarget(state, cars);
+        state.retargetIn = MONSTER.retargetInterval;
+    }
+    const target = state.targetId && cars.find(car => car.id === state.targetId);
+    if (target) {
+        steerTowards(state, target, dt);
+    } else {
+        state.targetId = null;
+    }
+
+    state.x += state.vx * dt;
+    state.z += state.vz * dt;
+
+    // Bounce off the inner oval wall (reflect about the ellipse normal)
+    const a = arena.halfX;
+    const b = arena.halfZ;
+    if ((state.x * state.x) / (a * a) + (state.z * state.z) / (b * b) >= 1) {
+        const nx = state.x / (a * a);
+        const nz = state.z / (b * b);
+        const nLen = Math.hypot(nx, nz) || 1;
+        const nHatX = nx / nLen;
+        const nHatZ = nz / nLen;
+        const dot = state.vx * nHatX + state.vz * nHatZ;
+        state.vx -= 2 * dot * nHatX;
+        state.vz -= 2 * dot * nHatZ;
+        state.x -= nHatX * 0.8;
+        state.z -= nHatZ * 0.8;
+        // Small random spin so it doesn't settle into a fixed loop
+        const rot = (random() - 0.5) * 0.3;
+        const cos = Math.cos(rot);
+        const sin = Math.sin(rot);
+        const vx = state.vx * cos - state.vz * sin;
+        state.vz = state.vx * sin + state.vz * cos;
+        state.vx = vx;
+    }
+
+    (arena.barriers || []).forEach(box => bounceOffBox(state, box, 0.9));
+    if (arena.platform) bounceOffBox(state, arena.platform);
+
+    // Barrier restitution bleeds speed; keep the monster at its cruising speed
+    const speed = Math.hypot(state.vx, state.vz) || 1;
+    state.vx *= MONSTER.speed / speed;
+    state.vz *= MONSTER.speed / speed;
+}
+
+// Whether a car at (x, y, z) overlaps the monster without clearing it in the air
+export function monsterTouchesCar(state, x, y, z) {
+    const reach = MONSTER.radius + MONSTER.carReach;
+    const distSq = (x - state.x) ** 2 + (z - state.z) ** 2;
+    return distSq <= reach * reach && y - MONSTER.y <= MONSTER.flyOverClearance;
+}
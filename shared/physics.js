@@ -0,0 +1,185 @@
+// Rendering-free vehicle kinematics shared by the browser (Car.js) and the Node server.
+// State is plain numbers and time is a simulation clock advanced by each step, so the
+// same input sequence produces the same result on every machine.
+
+export const GRAVITY = -20;
+export const REVERSE_SPEED_FACTOR = 0.6; // reverse is capped at 60% of maxSpeed
+export const MIN_TURN_FACTOR = 0.3; // steering authority at very low speed
+export const MIN_STEER_SPEED = 0.5; // below this the car does not turn at all
+export const KNOCKBACK_DECAY_PER_SECOND = 7.5;
+export const MAX_KNOCKBACK_STEP = 0.6; // clamp per-step knockback displacement to avoid stalls
+export const JUMP_PAD_MAX_LAUNCH_SPEED = 32;
+
+export const BOOST = {
+    maxCharges: 5,
+    rechargePerSecond: 0.25, // 1 charge every 4 seconds
+    consumeAmount: 1.0,
+    duration: 0.3,
+    multiplier: 1.6,
+    falloff: 0.2
+};
+
+export const SPIN = {
+    yawRate: 9, // radians per second while spinning
+    momentumBleed: 1.8, // fraction of momentum lost per second while spinning
+    cooldown: 1.0,
+    speedCut: 0.25, // speed kept when a spin starts
+    durations: { ice: 0.75, oil: 0.6 }
+};
+
+export function createVehicleState(overrides = {}) {
+    return {
+        x: 0, y: 0, z: 0,
+        yaw: 0,
+        momentum: 0,
+        speed: 0,
+        vx: 0, vy: 0, vz: 0,
+        knockbackX: 0, knockbackY: 0, knockbackZ: 0,
+        time: 0, // simulation seconds
+        padBoostMultiplier: 1.0,
+        padBoostUntil: 0,
+        padBoostFalloffEnd: 0,
+        boostCharges: BOOST.maxCharges,
+        boostWasDown: false,
+        spinTime: 0,
+        spinCooldown: 0,
+        spinDir: 1,
+        gravityScale: 1, // room mutators (shared/rules.js) can lower it
+        ...overrides
+    };
+}
+
+// Activate a timed speed multiplier (manual boost or jump pad) with a linear fade-out
+export function triggerPadBoost(state, duration = BOOST.duration, multiplier = BOOST.multiplier, falloff = BOOST.falloff) {
+    state.padBoostMultiplier = Math.max(1.0, multiplier || 1.0);
+    state.padBoostUntil = state.time + Math.max(0.01, duration);
+    state.padBoostFalloffEnd = state.padBoostUntil + Math.max(0, falloff);
+}
+
+export function getBoostMultiplier(state) {
+    if (state.time <= state.padBoostUntil) return state.padBoostMultiplier;
+    if (state.time <= state.padBoostFalloffEnd) {
+        const span = Math.max(1e-3, state.padBoostFalloffEnd - state.padBoostUntil);
+        const r = (state.time - state.padBoostUntil) / span; // 0..1 over fade
+        return 1 + (1 - r) * (state.padBoostMultiplier - 1);
+    }
+    return 1.0;
+}
+
+export function applyKnockback(state, dirX, dirY, dirZ, strength) {
+    const length = Math.hypot(dirX, dirY, dirZ);
+    if (length < 1e-3) return;
+    const s = Math.max(0, strength || 0) / length;
+    state.knockbackX += dirX * s;
+    state.knockbackY += dirY * s;
+    state.knockbackZ += dirZ * s;
+}
+
+// Start an uncontrollable slick spin; spinDir is passed in so callers control randomness
+export function startSpin(state, slickType, spinDir = 1) {
+    if (state.spinCooldown > 0) return false;
+    state.spinDir = spinDir >= 0 ? 1 : -1;
+    state.spinTime = SPIN.durations[slickType] ?? SPIN.durations.oil;
+    state.spinCooldown = SPIN.cooldown;
+    state.speed *= SPIN.speedCut;
+    state.momentum = state.speed;
+    return true;
+}
+
+// Advance one step. input: { forward, backward, left, right, boost }; params: vehicle
+// { maxSpeed, acceleration, deceleration, turnSpeed }. Returns { boosted } for effects.
+export function stepVehicle(state, input, dt, params) {
+    const result = { boosted: false };
+
+    if (state.spinTime > 0) {
+        // Rapid yaw rotation and quick momentum bleed; player input is ignored
+        state.yaw += state.spinDir * SPIN.yawRate * dt;
+        state.momentum *= (1 - SPIN.momentumBleed * dt);
+        state.speed = state.momentum;
+        state.spinTime = Math.max(0, state.spinTime - dt);
+    } else {
+        applyThrottle(state, input, dt, params);
+        applySteering(state, input, dt, params);
+
+        // Boost - gated by charges; rising-edge activation while moving forward
+        if (input.boost && state.speed > 0) {
+            if (!state.boostWasDown && state.boostCharges >= BOOST.consumeAmount - 1e-6) {
+                state.boostCharges = Math.max(0, state.boostCharges - BOOST.consumeAmount);
+                triggerPadBoost(state);
+                result.boosted = true;
+            }
+            state.boostWasDown = true;
+        } else {
+            state.boostWasDown = false;
+        }
+    }
+
+    if (state.spinCooldown > 0) state.spinCooldown = Math.max(0, state.spinCooldown - dt);
+
+    integrate(state, dt);
+
+    // Recharge boost charges continuously
+    state.boostCharges = Math.min(BOOST.maxCharges, state.boostCharges + BOOST.rechargePerSecond * dt);
+
+    state.time += dt;
+    return result;
+}
+
+function applyThrottle(state, input, dt, params) {
+    if (input.forward) {
+        state.momentum = Math.min(state.momentum + params.acceleration * dt, params.maxSpeed);
+    } else if (input.backward) {
+        state.momentum = Math.max(state.momentum - params.acceleration * dt, -params.maxSpeed * REVERSE_SPEED_FACTOR);
+    } else if (state.momentum > 0) {
+        // Natural deceleration with momentum
+        state.momentum = Math.max(0, state.momentum - params.deceleration * dt);
+    } else if (state.momentum < 0) {
+        state.momentum = Math.min(0, state.momentum + params.deceleration * dt);
+    }
+    state.speed = state.momentum;
+}
+
+function applySteering(state, input, dt, params) {
+    if (Math.abs(state.speed) <= MIN_STEER_SPEED) return;
+    const turnMultiplier = Math.max(MIN_TURN_FACTOR, Math.abs(state.speed) / params.maxSpeed);
+    if (input.left) state.yaw += params.turnSpeed * dt * turnMultiplier;
+    if (input.right) state.yaw -= params.turnSpeed * dt * turnMultiplier;
+}
+
+// Velocity from heading and boost, gravity, knockback impulse and ground clamp
+function integrate(state, dt) {
+    const effectiveSpeed = state.speed * getBoostMultiplier(state);
+    state.vx = Math.sin(state.yaw) * effectiveSpeed;
+    state.vz = Math.cos(state.yaw) * effectiveSpeed;
+    state.vy += GRAVITY * state.gravityScale * dt;
+
+    // Apply knockback impulse (decays over time)
+    const kbLengthSq = state.knockbackX ** 2 + state.knockbackY ** 2 + state.knockbackZ ** 2;
+    if (kbLengthSq > 1e-6) {
+        let stepScale = dt;
+        const stepLength = Math.sqrt(kbLengthSq) * dt;
+        if (stepLength > MAX_KNOCKBACK_STEP) stepScale *= MAX_KNOCKBACK_STEP / stepLength;
+        state.x += state.knockbackX * stepScale;
+        state.y += state.knockbackY * stepScale;
+        state.z += state.knockbackZ * stepScale;
+        const decay = Math.exp(-KNOCKBACK_DECAY_PER_SECOND * dt);
+        state.knockbackX *= decay;
+        state.knockbackY *= decay;
+        state.knockbackZ *= decay;
+    }
+
+    state.x += state.vx * dt;
+    state.y += state.vy * dt;
+    state.z += state.vz * dt;
+
+    // Ground collision (basic)
+    if (state.y < 0) {
+        state.y = 0;
+        state.vy = 0;
+    }
+}
+
+// Peak height reachable from a jump pad launch
+export function getMaxJumpHeight(launchSpeed = JUMP_PAD_MAX_LAUNCH_SPEED, gravityScale = 1) {
+    return (launchSpeed * launchSpeed) / (2 * -GRAVITY * gravityScale);
+}
@@ -0,0 +1,130 @@
+// Offline practice: training dummies the client simulates on its own when there is no server.
+// Hits on them go through the multiplayer rules (shared/combat.js), and every hit is tallied by
+// type so a player can see which ram angles and headshots landed.
+
+import { COLLISION, resolveCarHit } from './combat.js';
+
+export const PRACTICE = {
+    dummyHealth: 100,
+    respawnMs: 3000, // a destroyed dummy is back at its start this long after
+    spawn: { x: 0, y: 1, z: 55 } // where the practising car starts, lined up on Broadside's flank
+};
+
+// path: null stands still; { type: 'circle', x, z, radius, speed } drives round a centre;
+// { type: 'line', from, to, speed } drives back and forth between two points
+export const PRACTICE_DUMMIES = [
+    { id: 'dummy_broadside', name: 'Broadside', x: 0, z: 25, rotation: Math.PI / 2, path: null },
+    { id: 'dummy_tail', name: 'Tail Gunner', x: -30, z: -5, rotation: 0, path: null },
+    // Parked below the platform's north edge: drive off the deck onto it for a headshot
+    { id: 'dummy_ramp', name: 'Ramp Target', x: 40, z: -12, rotation: Math.PI / 2, path: null },
+    { id: 'dummy_circler', name: 'Circler', x: 0, z: 0, rotation: 0, path: { type: 'circle', x: -10, z: -45, radius: 18, speed: 10 } },
+    { id: 'dummy_shuttle', name: 'Shuttle', x: 0, z: 0, rotation: 0, path: { type: 'line', from: { x: -50, z: 75 }, to: { x: 50, z: 75 }, speed: 12 } }
+];
+
+export const HIT_TYPES = ['headshot', 'side', 'rear', 'medium', 'front-bumper'];
+
+function placeOnPath(dummy, progress) {
+    const path = dummy.path;
+    if (path.type === 'circle') {
+        const angle = progress / path.radius;
+        dummy.x = path.x + Math.sin(angle) * path.radius;
+        dummy.z = path.z + Math.cos(angle) * path.radius;
+        // Heading along the tangent, anticlockwise seen from above
+        dummy.rotation = angle + Math.PI / 2;
+        dummy.velocity = { x: Math.cos(angle) * path.speed, y: 0, z: -Math.sin(angle) * path.speed };
+    } else {
+        const dx = path.to.x - path.from.x;
+        const dz = path.to.z - path.from.z;
+        const length = Math.hypot(dx, dz);
+        // There and back again: 0 → length → 0
+        const lap = progress % (length * 2);
+        const forward = lap <= length;
+        const t = (forward ? lap : length * 2 - lap) / length;
+        const direction = forward ? 1 : -1;
+        dummy.x = path.from.x + dx * t;
+        dummy.z = path.from.z + dz * t;
+        dummy.rotation = Math.atan2(dx * direction, dz * direction);
+        dummy.velocity = { x: dx / length * path.speed * direction, y: 0, z: dz / length * path.speed * direction };
+    }
+}
+
+function resetDummy(dummy) {
+    dummy.health = dummy.maxHealth;
+    dummy.destroyedAt = null;
+    dummy.progress = 0;
+    dummy.x = dummy.start.x;
+    dummy.z = dummy.start.z;
+    dummy.rotation = dummy.start.rotation;
+    dummy.velocity = { x: 0, y: 0, z: 0 };
+    if (dummy.path) placeOnPath(dummy, 0);
+}
+
+// A fresh set of dummies, all at full health
+export function createDummies(layout = PRACTICE_DUMMIES) {
+    return layout.map(({ id, name, x, z, rotation, path }) => {
+        const dummy = {
+            id,
+            name,
+            path,
+            start: { x, z, rotation },
+            y: 0,
+            maxHealth: PRACTICE.dummyHealth,
+            speed: path ? path.speed : 0
+        };
+        resetDummy(dummy);
+        return dummy;
+    });
+}
+
+// Move the moving dummies along their paths and bring destroyed ones back
+export function stepDummies(dummies, dt, now) {
+    dummies.forEach(dummy => {
+        if (dummy.destroyedAt !== null) {
+            if (now - dummy.destroyedAt >= PRACTICE.respawnMs) resetDummy(dummy);
+            return;
+        }
+        if (!dummy.path) return;
+        dummy.progress += dummy.path.speed * dt;
+        placeOnPath(dummy, dummy.progress);
+    });
+}
+
+export function createHitBreakdown() {
+    return {
+        hits: Object.fromEntries(HIT_TYPES.map(type => [type, 0])),
+        damage: 0,
+        destroyed: 0,
+        last: null // { dummyId, collisionType, damage, speed }
+    };
+}
+
+// Hit the dummies the car is touching. car: { position, rotation, speed, velocity } as in
+// shared/combat.js plus `cooldowns` (a Map of dummy id → last hit time); options go to
+// resolveCarHit. Updates the breakdown and returns the hits that landed this step.
+export function resolvePracticeHits(car, dummies, breakdown, now, options = {}) {
+    const hits = [];
+    if ((car.speed || 0) <= COLLISION.minSpeed) return hits;
+    dummies.forEach(dummy => {
+        if (dummy.destroyedAt !== null) return;
+        const dx = car.position.x - dummy.x;
+        const dy = (car.position.y || 0) - dummy.y;
+        const dz = car.position.z - dummy.z;
+        if (dx * dx + dy * dy + dz * dz >= COLLISION.distance * COLLISION.distance) return;
+        if (now - (car.cooldowns.get(dummy.id) ?? -Infinity) < COLLISION.cooldownMs) return;
+        car.cooldowns.set(dummy.id, now);
+
+        const target = { position: { x: dummy.x, y: dummy.y, z: dummy.z }, rotation: dummy.rotation };
+        const { collisionType, damage } = resolveCarHit(car, target, options);
+        const dealt = Math.min(damage, dummy.health);
+        dummy.health -= dealt;
+        const destroyed = dummy.health <= 0;
+        if (destroyed) dummy.destroyedAt = now;
+
+        breakdown.hits[collisionType]++;
+        breakdown.damage += dealt;
+        if (destroyed) breakdown.destroyed++;
+        breakdown.last = { dummyId: dummy.id, collisionType, damage: dealt, speed: Math.round(car.speed) };
+        hits.push({ dummy, collisionType, damage: dealt, destroyed });
+    });
+    return hits;
+}
@@ -0,0 +1,212 @@
+// Match replays: the server records each round's car positions and notable events into a compact
+// JSON file, and the client's replay viewer plays it back.
+//
+// Format (version 1):
+//   { version, roomId, roomName, mode, private, startedAt, durationMs, frameMs,
+//     players: [{ id, name, vehicleId, team }],
+//     frames: [[t, car, x, y, z, rotation, health, car, x, ...], ...],
+//     events: [[t, type, data], ...] }
+// Times are ms since the round started. Each frame lists the cars in play at t, six numbers a car
+// with `car` an index into players; positions are rounded to centimetres and rotations to mrad.
+
+export const REPLAY = {
+    version: 1,
+    frameMs: 100, // 10 frames a second; the viewer interpolates between them
+    maxDurationMs: 20 * 60 * 1000, // recording stops after this
+    teleportDistance: 15 // cars that moved further than this between frames snap instead of sliding
+};
+
+export const REPLAY_EVENT_TYPES = ['damage', 'destroyed', 'powerupDropped', 'powerupCollected', 'powerupRemoved', 'chat'];
+
+const CAR_FIELDS = 6;
+
+const round = (value, scale) => Math.round((value || 0) * scale) / scale;
+
+// A recorder for one round. meta: { roomId, roomName, mode, private, startedAt }
+export function createReplayRecorder(meta) {
+    return {
+        replay: {
+            version: REPLAY.version,
+            roomId: meta.roomId,
+            roomName: meta.roomName || meta.roomId,
+            mode: meta.mode,
+            private: !!meta.private,
+            startedAt: meta.startedAt,
+            durationMs: 0,
+            frameMs: REPLAY.frameMs,
+            players: [],
+            frames: [],
+            events: []
+        },
+        carIndex: new Map(), // player id → index into players
+        lastFrameAt: -Infinity
+    };
+}
+
+function getCarIndex(recorder, car) {
+    let index = recorder.carIndex.get(car.id);
+    if (index === undefined) {
+        index = recorder.replay.players.length;
+        recorder.carIndex.set(car.id, index);
+        recorder.replay.players.push({ id: car.id, name: car.name, vehicleId: car.vehicleId, team: car.team || null });
+    } else {
+        // Keep the latest name and vehicle
+        const entry = recorder.replay.players[index];
+        entry.name = car.name;
+        entry.vehicleId = car.vehicleId;
+        entry.team = car.team || null;
+    }
+    return index;
+}
+
+// Record the cars in play; calls closer together than frameMs are skipped.
+// cars: [{ id, name, vehicleId, team, position, rotation, health }]
+export function recordReplayFrame(recorder, now, cars) {
+    const t = now - recorder.replay.startedAt;
+    if (t > REPLAY.maxDurationMs || t - recorder.lastFrameAt < REPLAY.frameMs) return;
+    recorder.lastFrameAt = t;
+    const frame = [t];
+    cars.forEach(car => {
+        if (!car.position) return;
+        frame.push(
+            getCarIndex(recorder, car),
+            round(car.position.x, 100),
+            round(car.position.y, 100),
+            round(car.position.z, 100),
+            round(car.rotation, 1000),
+            Math.round(car.health || 0)
+        );
+    });
+    recorder.replay.frames.push(frame);
+}
+
+// type: one of REPLAY_EVENT_TYPES; data as the matching socket event sends it
+export function recordReplayEvent(recorder, now, type, data) {
+    const t = now - recorder.replay.startedAt;
+    if (t > REPLAY.maxDurationMs) return;
+    recorder.replay.events.push([t, type, data]);
+}
+
+// The finished replay, ready to save
+export function finishReplay(recorder, now) {
+    const replay = recorder.replay;
+    replay.durationMs = Math.min(REPLAY.maxDurationMs, Math.max(0, now - replay.startedAt));
+    return replay;
+}
+
+// Returns an error message for anything that isn't a replay this version can play, else null
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') return 'Not a replay file';
+    if (replay.version !== REPLAY.version) return `Unsupported replay version ${replay.version}`;
+    if (!Array.isArray(replay.players) || !Array.isArray(replay.frames) || !Array.isArray(replay.events)) {
+        return 'Replay is missing players, frames or events';
+    }
+    if (!Number.isFinite(replay.durationMs) || replay.durationMs < 0) return 'Replay has no duration';
+    if (replay.players.some(player => !player || typeof player.id !== 'string')) return 'Replay has a bad player entry';
+    let lastTime = -Infinity;
+    for (const frame of replay.frames) {
+        if (!Array.isArray(frame) || (frame.length - 1) % CAR_FIELDS !== 0 || !frame.every(Number.isFinite)) {
+            return 'Replay has a bad frame';
+        }
+        if (frame[0] < lastTime) return 'Replay frames are out of order';
+        lastTime = frame[0];
+        for (let i = 1; i < frame.length; i += CAR_FIELDS) {
+            if (!replay.players[frame[i]]) return 'Replay frame names an unknown car';
+        }
+    }
+    if (replay.events.some(event => !Array.isArray(event) || !Number.isFinite(event[0]) || typeof event[1] !== 'string')) {
+        return 'Replay has a bad event';
+    }
+    return null;
+}
+
+// Index of the last frame at or before t (-1 before the first)
+export function findReplayFrame(replay, t) {
+    const frames = replay.frames;
+    let low = 0;
+    let high = frames.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (frames[mid][0] <= t) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+function readCars(frame) {
+    const cars = new Map();
+    for (let i = 1; i < frame.length; i += CAR_FIELDS) {
+        cars.set(frame[i], { x: frame[i + 1], y: frame[i + 2], z: frame[i + 3], rotation: frame[i + 4], health: frame[i + 5] });
+    }
+    return cars;
+}
+
+function lerpAngle(from, to, t) {
+    let delta = to - from;
+    while (delta > Math.PI) delta -= Math.PI * 2;
+    while (delta < -Math.PI) delta += Math.PI * 2;
+    return from + delta * t;
+}
+
+// The cars in play at t, interpolated between the surrounding frames:
+// [{ id, name, vehicleId, team, position: { x, y, z }, rotation, health }]
+export function sampleReplay(replay, t) {
+    const index = findReplayFrame(replay, t);
+    if (index < 0) return [];
+    const from = replay.frames[index];
+    const to = replay.frames[index + 1];
+    const fromCars = readCars(from);
+    const toCars = to ? readCars(to) : new Map();
+    const blend = to ? Math.min(1, (t - from[0]) / Math.max(1, to[0] - from[0])) : 0;
+
+    const cars = [];
+    fromCars.forEach((a, car) => {
+        const player = replay.players[car];
+        const b = toCars.get(car);
+        const slide = b && Math.hypot(b.x - a.x, b.z - a.z) <= REPLAY.teleportDistance;
+        const mix = (key) => (slide ? a[key] + (b[key] - a[key]) * blend : a[key]);
+        cars.push({
+            id: player.id,
+            name: player.name,
+            vehicleId: player.vehicleId,
+            team: player.team,
+            position: { x: mix('x'), y: mix('y'), z: mix('z') },
+            rotation: slide ? lerpAngle(a.rotation, b.rotation, blend) : a.rotation,
+            health: a.health
+        });
+    });
+    return cars;
+}
+
+// Events with from < t <= to, in order
+export function getReplayEvents(replay, from, to) {
+    return replay.events.filter(([t]) => t > from && t <= to);
+}
+
+// One line for the viewer's event feed, or null for events it doesn't list
+export function describeReplayEvent(replay, [, type, data]) {
+    const name = (id) => replay.players.find(player => player.id === id)?.name || 'Someone';
+    switch (type) {
+        case 'damage':
+            if (data.collisionType === 'heal') return `❤️ ${name(data.playerId)} repaired ${-data.damage}`;
+            if (data.collisionType === 'monster') return `👹 The monster hit ${name(data.playerId)} for ${data.damage}`;
+            return `💥 ${name(data.attackerId)} hit ${name(data.playerId)} (${data.collisionType}) for ${data.damage}`;
+        case 'destroyed':
+            if (data.attackerId === 'monster') return `💀 The monster wrecked ${name(data.playerId)}`;
+            if (!data.attackerId || data.attackerId === data.playerId) return `💀 ${name(data.playerId)} was wrecked`;
+            return `💀 ${name(data.attackerId)} wrecked ${name(data.playerId)}`;
+        case 'powerupDropped':
+            return `🎁 A ${data.type} powerup dropped`;
+        case 'powerupCollected':
+            return `🎁 ${name(data.playerId)} picked up ${data.type}`;
+        case 'chat':
+            return `💬 ${data.playerName}: ${data.message}`;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,132 @@
+// Room settings shared by the server (joinRoom, GET /api/rooms, host controls) and the
+// client lobby and room panel.
+
+import { isFriendlyFireMode } from './teams.js';
+import { RULE_LIMITS } from './rules.js';
+
+// Every room plays one mode, picked when it is created (or by the first player into it)
+export const GAME_MODES = ['deathmatch', 'elimination', 'team', 'ctf', 'koth', 'soccer'];
+export const DEFAULT_GAME_MODE = 'deathmatch';
+
+export const MODE_NAMES = {
+    deathmatch: 'Deathmatch',
+    elimination: 'Last Car Standing',
+    team: 'Team Deathmatch',
+    ctf: 'Capture the Flag',
+    koth: 'King of the Hill',
+    soccer: 'Car Soccer'
+};
+
+export const ROOM_LIMITS = {
+    nameMaxLength: 24,
+    passwordMaxLength: 32,
+    minPlayers: 2,
+    maxPlayers: 8,
+    minRoundMinutes: RULE_LIMITS.minRoundMinutes,
+    maxRoundMinutes: RULE_LIMITS.maxRoundMinutes
+};
+
+// Private rooms are joined by invite code, which doubles as the room id.
+// No 0/O or 1/I so codes survive being read out loud.
+export const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Room ids travel in URLs and socket payloads: short, no spaces or markup
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+export function isGameMode(mode) {
+    return GAME_MODES.includes(mode);
+}
+
+export function isRoomId(roomId) {
+    return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
+// Browser name for rooms nobody named: the main arena and the ?mode= rooms
+export function defaultRoomName(roomId) {
+    if (roomId === 'default') return 'Main Arena';
+    return MODE_NAMES[roomId] || roomId;
+}
+
+function clampInteger(value, min, max, fallback) {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// Validate a create-room request { name, mode, maxPlayers, private, password }. Returns the
+// cleaned settings, or { error } when the name is missing. An unknown mode falls back to the
+// default and maxPlayers is clamped to the allowed range. Only private rooms keep a password.
+export function normalizeRoomSettings(settings) {
+    const name = typeof settings?.name === 'string'
+        ? settings.name.replace(/[<>]/g, '').replace(/\s+/g, ' ').trim().slice(0, ROOM_LIMITS.nameMaxLength)
+        : '';
+    if (!name) return { error: 'Room name required' };
+    const isPrivate = settings.private === true;
+    const password = isPrivate && typeof settings.password === 'string'
+        ? settings.password.trim().slice(0, ROOM_LIMITS.passwordMaxLength)
+        : '';
+    return {
+        name,
+        mode: isGameMode(settings.mode) ? settings.mode : DEFAULT_GAME_MODE,
+        maxPlayers: clampInteger(settings.maxPlayers, ROOM_LIMITS.minPlayers, ROOM_LIMITS.maxPlayers, ROOM_LIMITS.maxPlayers),
+        private: isPrivate,
+        password
+    };
+}
+
+// Validate a host's settings change { mode, maxPlayers, friendlyFire, roundMinutes }; any
+// subset may be sent. maxPlayers can't drop below the players already in the room.
+// Returns only the recognised fields, or { error } for a value that can't be used.
+export function normalizeHostSettings(update, playerCount = 0) {
+    const settings = {};
+    if (update?.mode !== undefined) {
+        if (!isGameMode(update.mode)) return { error: 'Unknown mode' };
+        settings.mode = update.mode;
+    }
+    if (update?.friendlyFire !== undefined) {
+        if (!isFriendlyFireMode(update.friendlyFire)) return { error: 'Unknown friendly fire setting' };
+        settings.friendlyFire = update.friendlyFire;
+    }
+    if (update?.maxPlayers !== undefined) {
+        const minimum = Math.max(ROOM_LIMITS.minPlayers, playerCount);
+        settings.maxPlayers = clampInteger(update.maxPlayers, minimum, ROOM_LIMITS.maxPlayers, ROOM_LIMITS.maxPlayers);
+    }
+    if (update?.roundMinutes !== undefined) {
+        settings.roundMinutes = clampInteger(update.roundMinutes, ROOM_LIMITS.minRoundMinutes, ROOM_LIMITS.maxRoundMinutes, ROOM_LIMITS.minRoundMinutes);
+    }
+    return settings;
+}
+
+// Upper-cased invite code, or null when it can't be one
+export function normalizeInviteCode(code) {
+    if (typeof code !== 'string') return null;
+    const upper = code.trim().toUpperCase();
+    const valid = upper.length === INVITE_CODE_LENGTH && [...upper].every(ch => INVITE_CODE_ALPHABET.includes(ch));
+    return valid ? upper : null;
+}
+
+// Uniform in [0, 1) from the platform's cryptographic generator (Web Crypto in browsers and Node),
+// so invite codes can't be predicted from earlier ones
+function secureRandom() {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32;
+}
+
+// A fresh invite code. taken(code) reports codes already in use; random is injectable for tests.
+export function makeInviteCode(taken = () => false, random = secureRandom) {
+    let code;
+    do {
+        code = Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_ALPHABET[Math.floor(random() * INVITE_CODE_ALPHABET.length)]).join('');
+    } while (taken(code));
+    return code;
+}
+
+// Id for a newly created room: a slug of its name plus a random suffix.
+// taken(id) reports ids already in use; random is injectable for tests.
+export function makeRoomId(name, taken = () => false, random = Math.random) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 20) || 'room';
+    let roomId;
+    do {
+        roomId = `${slug}-${Math.floor(random() * 36 ** 4).toString(36).padStart(4, '0')}`;
+    } while (taken(roomId));
+    return roomId;
+}
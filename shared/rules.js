@@ -0,0 +1,120 @@
+// Per-room rules and mutators, picked when a room is created from the lobby. The server
+// validates them (normalizeRoomRules), applies them and sends them to clients in roomJoined.
+
+export const RULE_LIMITS = {
+    minRoundMinutes: 2,
+    maxRoundMinutes: 10,
+    minRespawnSeconds: 1,
+    maxRespawnSeconds: 10,
+    maxSpawnProtectionSeconds: 5,
+    damageMultipliers: [0.5, 1, 1.5, 2]
+};
+
+// Powerup drop frequency against the usual interval for the player count
+export const POWERUP_RATES = { off: 0, low: 0.5, normal: 1, high: 2 };
+
+// How well the server's bots drive (shared/bots.js); 'off' keeps them out of the room
+export const BOT_LEVELS = ['off', 'easy', 'normal', 'hard'];
+
+export const MUTATORS = {
+    lowGravity: { name: 'Low Gravity', description: 'Jumps float twice as high', gravityScale: 0.5 },
+    sportOnly: { name: 'Sport Cars Only', description: 'Everyone drives the Sport', vehicleId: 'sport' },
+    oneHitKills: { name: 'One-Hit Kills', description: 'Any damaging hit destroys a car' }
+};
+
+export const DEFAULT_RULES = {
+    roundMinutes: 4,
+    respawnSeconds: 3,
+    spawnProtectionSeconds: 2, // after landing from a spawn or respawn
+    damageMultiplier: 1,
+    headshots: true, // landing on a car destroys it
+    powerupRate: 'normal',
+    monster: true,
+    bots: 'normal', // fill-in bots while the room is short of players
+    mutators: []
+};
+
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// Validate a room's rules; missing fields keep their defaults. Numbers are clamped to their
+// range (whole minutes and seconds); an unknown multiplier, powerup rate, bot level or mutator is
+// an error.
+// Returns the full rules object, or { error }.
+export function normalizeRoomRules(rules = {}) {
+    const source = rules && typeof rules === 'object' ? rules : {};
+    const normalized = { ...DEFAULT_RULES, mutators: [] };
+    if (source.roundMinutes !== undefined) {
+        normalized.roundMinutes = Math.floor(clampNumber(source.roundMinutes, RULE_LIMITS.minRoundMinutes, RULE_LIMITS.maxRoundMinutes, DEFAULT_RULES.roundMinutes));
+    }
+    if (source.respawnSeconds !== undefined) {
+        normalized.respawnSeconds = Math.floor(clampNumber(source.respawnSeconds, RULE_LIMITS.minRespawnSeconds, RULE_LIMITS.maxRespawnSeconds, DEFAULT_RULES.respawnSeconds));
+    }
+    if (source.spawnProtectionSeconds !== undefined) {
+        normalized.spawnProtectionSeconds = Math.floor(clampNumber(source.spawnProtectionSeconds, 0, RULE_LIMITS.maxSpawnProtectionSeconds, DEFAULT_RULES.spawnProtectionSeconds));
+    }
+    if (source.damageMultiplier !== undefined) {
+        const multiplier = Number(source.damageMultiplier);
+        if (!RULE_LIMITS.damageMultipliers.includes(multiplier)) return { error: 'Unknown damage multiplier' };
+        normalized.damageMultiplier = multiplier;
+    }
+    if (source.powerupRate !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(POWERUP_RATES, source.powerupRate)) return { error: 'Unknown powerup rate' };
+        normalized.powerupRate = source.powerupRate;
+    }
+    if (source.bots !== undefined) {
+        if (!BOT_LEVELS.includes(source.bots)) return { error: 'Unknown bot level' };
+        normalized.bots = source.bots;
+    }
+    if (source.headshots !== undefined) normalized.headshots = source.headshots !== false;
+    if (source.monster !== undefined) normalized.monster = source.monster !== false;
+    if (source.mutators !== undefined) {
+        if (!Array.isArray(source.mutators)) return { error: 'Unknown mutator' };
+        for (const id of source.mutators) {
+            if (!Object.prototype.hasOwnProperty.call(MUTATORS, id)) return { error: 'Unknown mutator' };
+            if (!normalized.mutators.includes(id)) normalized.mutators.push(id);
+        }
+    }
+    return normalized;
+}
+
+export function hasMutator(rules, id) {
+    return !!rules?.mutators?.includes(id);
+}
+
+// Gravity multiplier for the vehicle physics (1 unless a mutator changes it)
+export function getGravityScale(rules) {
+    return (rules?.mutators || []).reduce((scale, id) => scale * (MUTATORS[id]?.gravityScale ?? 1), 1);
+}
+
+// The vehicle everyone must drive, or null when players pick their own
+export function getRequiredVehicleId(rules) {
+    const id = (rules?.mutators || []).find(mutatorId => MUTATORS[mutatorId]?.vehicleId);
+    return id ? MUTATORS[id].vehicleId : null;
+}
+
+// Damage after the room's multiplier. With one-hit kills any damaging hit from a car is
+// enough to destroy the target; hazards (the monster) only get the multiplier.
+export function applyDamageRules(rules, damage, targetHealth, fromCar) {
+    if (!(damage > 0)) return 0;
+    if (fromCar && hasMutator(rules, 'oneHitKills')) return Math.max(damage, targetHealth);
+    return Math.max(1, Math.round(damage * (rules?.damageMultiplier ?? 1)));
+}
+
+// Short labels for the rules that differ from the defaults, e.g. for the lobby and HUD
+export function describeRules(rules) {
+    if (!rules) return [];
+    const labels = [];
+    if (rules.roundMinutes !== DEFAULT_RULES.roundMinutes) labels.push(`${rules.roundMinutes} min rounds`);
+    if (rules.respawnSeconds !== DEFAULT_RULES.respawnSeconds) labels.push(`${rules.respawnSeconds}s respawn`);
+    if (rules.spawnProtectionSeconds !== DEFAULT_RULES.spawnProtectionSeconds) labels.push(`${rules.spawnProtectionSeconds}s spawn protection`);
+    if (rules.damageMultiplier !== DEFAULT_RULES.damageMultiplier) labels.push(`Damage ×${rules.damageMultiplier}`);
+    if (!rules.headshots) labels.push('No headshots');
+    if (rules.powerupRate !== DEFAULT_RULES.powerupRate) labels.push(rules.powerupRate === 'off' ? 'No powerups' : `Powerups: ${rules.powerupRate}`);
+    if (!rules.monster) labels.push('No monster');
+    if (rules.bots && rules.bots !== DEFAULT_RULES.bots) labels.push(rules.bots === 'off' ? 'No bots' : `${rules.bots[0].toUpperCase()}${rules.bots.slice(1)} bots`);
+    (rules.mutators || []).forEach(id => labels.push(MUTATORS[id]?.name || id));
+    return labels;
+}
@@ -0,0 +1,172 @@
+// Car soccer: one big ball simulated by the server each tick and rendered by the client
+// (Arena.js) with goal frames at both ends of the oval. Red defends the east goal, blue the west.
+
+import { classifyHitSide } from './combat.js';
+
+export const SOCCER = {
+    ballRadius: 2.5,
+    gravity: 30, // units per second squared
+    groundBounce: 0.55, // vertical speed kept when the ball lands
+    wallBounce: 0.8, // speed kept off the oval wall, barriers and goal nets
+    rollingDrag: 0.35, // per second while rolling on the ground
+    airDrag: 0.05, // per second in the air
+    maxSpeed: 90,
+    carReach: 2.2, // approximate car radius added to the ball's for touches
+    carHeight: 1.6, // cars this far below the ball's bottom pass under it
+    kickRestitution: 0.6, // car-to-ball bounce; the car is treated as far heavier
+    minKick: 6, // a moving car always knocks the ball at least this hard
+    lift: 0.35, // share of a front-bumper kick that goes upwards
+    goalLineX: 150, // |x| of both goal lines; the goal frame runs back to the wall
+    goalDepth: 9,
+    goalHalfWidth: 12,
+    goalHeight: 7, // crossbar
+    goalsToWin: 5, // goals that end the round early
+    kickoffDelayMs: 3000 // the ball stays on the centre spot this long after a goal
+};
+
+// Ball speed gained per unit of closing speed, by where on the car it was struck.
+// Same cones as the server's classifyCollision for car-vs-car hits.
+export const KICK_MULTIPLIERS = {
+    'front-bumper': 1.4,
+    medium: 1.1,
+    side: 0.8,
+    rear: 0.6
+};
+
+// Goal at each end, keyed by the team defending it
+export const SOCCER_GOALS = {
+    red: { team: 'red', x: SOCCER.goalLineX, direction: 1 },
+    blue: { team: 'blue', x: -SOCCER.goalLineX, direction: -1 }
+};
+
+// Side nets of both goals, so the ball can only go in through the mouth
+const GOAL_NETS = Object.values(SOCCER_GOALS).flatMap(goal => [-1, 1].map(side => ({
+    x: goal.x + goal.direction * SOCCER.goalDepth / 2,
+    z: side * (SOCCER.goalHalfWidth + 0.5),
+    halfW: SOCCER.goalDepth / 2,
+    halfD: 0.5
+})));
+
+export function createBall() {
+    return { x: 0, y: SOCCER.ballRadius, z: 0, vx: 0, vy: 0, vz: 0, lastTouchId: null };
+}
+
+// Back on the centre spot, at rest (kickoff)
+export function resetBall(ball) {
+    Object.assign(ball, createBall());
+}
+
+// Which part of the car struck the ball. (nx, nz) is the unit direction from car to ball.
+export function classifyBallHit(car, nx, nz) {
+    return classifyHitSide(Math.sin(car.rotation || 0) * nx + Math.cos(car.rotation || 0) * nz);
+}
+
+// Kickoff spot for the index-th car of a team, in its own half facing the ball
+export function getKickoffPosition(team, index) {
+    const side = SOCCER_GOALS[team]?.direction ?? 1;
+    const row = Math.floor(index / 3);
+    const lane = (index % 3) - 1;
+    return {
+        position: { x: side * (30 + row * 12), y: 0, z: lane * 14 },
+        rotation: side > 0 ? -Math.PI / 2 : Math.PI / 2
+    };
+}
+
+// Push out of an axis-aligned box along the shallow axis and reflect that velocity component
+function bounceOffBox(ball, box) {
+    const dx = ball.x - box.x;
+    const dz = ball.z - box.z;
+    const extX = box.halfW + SOCCER.ballRadius;
+    const extZ = box.halfD + SOCCER.ballRadius;
+    if (Math.abs(dx) > extX || Math.abs(dz) > extZ) return;
+    if (box.height !== undefined && ball.y - SOCCER.ballRadius >= box.height) return;
+    if (extX - Math.abs(dx) < extZ - Math.abs(dz)) {
+        ball.x = box.x + Math.sign(dx || 1) * (extX + 0.05);
+        ball.vx = -ball.vx * SOCCER.wallBounce;
+    } else {
+        ball.z = box.z + Math.sign(dz || 1) * (extZ + 0.05);
+        ball.vz = -ball.vz * SOCCER.wallBounce;
+    }
+}
+
+// Car touches: push the ball clear of the car and, when the car is closing on it, kick it
+// away along the contact normal in proportion to the closing speed
+function touchCars(ball, cars) {
+    const reach = SOCCER.ballRadius + SOCCER.carReach;
+    cars.forEach(car => {
+        if (car.y + SOCCER.carHeight < ball.y - SOCCER.ballRadius || car.y > ball.y + SOCCER.ballRadius) return;
+        const dx = ball.x - car.x;
+        const dz = ball.z - car.z;
+        const dist = Math.hypot(dx, dz);
+        if (dist >= reach) return;
+        const nx = dist > 1e-6 ? dx / dist : Math.sin(car.rotation || 0);
+        const nz = dist > 1e-6 ? dz / dist : Math.cos(car.rotation || 0);
+        ball.x = car.x + nx * reach;
+        ball.z = car.z + nz * reach;
+
+        const closing = ((car.vx || 0) - ball.vx) * nx + ((car.vz || 0) - ball.vz) * nz;
+        if (closing <= 0) return;
+        const hit = classifyBallHit(car, nx, nz);
+        const kick = Math.max(SOCCER.minKick, closing * (1 + SOCCER.kickRestitution)) * KICK_MULTIPLIERS[hit];
+        ball.vx += nx * kick;
+        ball.vz += nz * kick;
+        if (hit === 'front-bumper') ball.vy += kick * SOCCER.lift;
+        ball.lastTouchId = car.id;
+    });
+}
+
+// Advance the ball one step. arena: { halfX, halfZ, obstacles: [{ x, z, halfW, halfD, height? }] }
+// with halfX/halfZ the inner wall; cars: [{ id, x, y, z, vx, vz, rotation }] in play.
+// Returns the team that scored ({ team, playerId: last toucher }) or null.
+export function stepBall(ball, dt, arena, cars) {
+    touchCars(ball, cars);
+
+    const drag = ball.y > SOCCER.ballRadius + 0.05 ? SOCCER.airDrag : SOCCER.rollingDrag;
+    const keep = Math.exp(-drag * dt);
+    ball.vx *= keep;
+    ball.vz *= keep;
+    ball.vy -= SOCCER.gravity * dt;
+    const speed = Math.hypot(ball.vx, ball.vy, ball.vz);
+    if (speed > SOCCER.maxSpeed) {
+        ball.vx *= SOCCER.maxSpeed / speed;
+        ball.vy *= SOCCER.maxSpeed / speed;
+        ball.vz *= SOCCER.maxSpeed / speed;
+    }
+    ball.x += ball.vx * dt;
+    ball.y += ball.vy * dt;
+    ball.z += ball.vz * dt;
+
+    if (ball.y < SOCCER.ballRadius) {
+        ball.y = SOCCER.ballRadius;
+        ball.vy = Math.abs(ball.vy) > 2 ? -ball.vy * SOCCER.groundBounce : 0;
+    }
+
+    // Through the mouth and fully over a goal line
+    const goal = Object.values(SOCCER_GOALS).find(g => ball.x * g.direction - SOCCER.ballRadius >= SOCCER.goalLineX);
+    if (goal && Math.abs(ball.z) < SOCCER.goalHalfWidth && ball.y - SOCCER.ballRadius < SOCCER.goalHeight) {
+        return { team: goal.team === 'red' ? 'blue' : 'red', playerId: ball.lastTouchId };
+    }
+
+    // Bounce off the inner oval wall (reflect about the ellipse normal)
+    const a = arena.halfX - SOCCER.ballRadius;
+    const b = arena.halfZ - SOCCER.ballRadius;
+    if ((ball.x * ball.x) / (a * a) + (ball.z * ball.z) / (b * b) >= 1) {
+        const nx = ball.x / (a * a);
+        const nz = ball.z / (b * b);
+        const nLen = Math.hypot(nx, nz) || 1;
+        const nHatX = nx / nLen;
+        const nHatZ = nz / nLen;
+        const dot = ball.vx * nHatX + ball.vz * nHatZ;
+        if (dot > 0) {
+            ball.vx -= (1 + SOCCER.wallBounce) * dot * nHatX;
+            ball.vz -= (1 + SOCCER.wallBounce) * dot * nHatZ;
+        }
+        // Back onto the ellipse
+        const scale = 1 / Math.sqrt((ball.x * ball.x) / (a * a) + (ball.z * ball.z) / (b * b));
+        ball.x *= scale * 0.999;
+        ball.z *= scale * 0.999;
+    }
+
+    (arena.obstacles || []).concat(GOAL_NETS).forEach(box => bounceOffBox(ball, box));
+    return null;
+}
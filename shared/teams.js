@@ -0,0 +1,78 @@
+// Team deathmatch rules shared by the server (assignment, damage) and the client
+// (car tints, radar dots, scoreboard totals).
+
+export const TEAMS = {
+    red: { id: 'red', name: 'Red', color: 0xff4040 },
+    blue: { id: 'blue', name: 'Blue', color: 0x3d7bff }
+};
+
+export const TEAM_IDS = Object.keys(TEAMS);
+
+// How much damage teammates deal to each other
+export const FRIENDLY_FIRE = {
+    off: 0,
+    reduced: 0.5,
+    full: 1
+};
+
+export const DEFAULT_FRIENDLY_FIRE = 'off';
+
+// Share of the team colour blended into a car's own vehicle colour
+export const TEAM_TINT = 0.6;
+
+export function isFriendlyFireMode(mode) {
+    return Object.prototype.hasOwnProperty.call(FRIENDLY_FIRE, mode);
+}
+
+// Team for a new player: the smaller team, ties going to the first in TEAM_IDS.
+// assignments: Map or iterable of [playerId, teamId].
+export function pickBalancedTeam(assignments) {
+    const counts = countTeams(assignments);
+    return TEAM_IDS.reduce((best, teamId) => (counts[teamId] < counts[best] ? teamId : best), TEAM_IDS[0]);
+}
+
+export function countTeams(assignments) {
+    const counts = Object.fromEntries(TEAM_IDS.map(teamId => [teamId, 0]));
+    for (const [, teamId] of assignments) {
+        if (teamId in counts) counts[teamId]++;
+    }
+    return counts;
+}
+
+// Move players from the larger team until the sizes differ by at most one. Players
+// later in the assignment order (the most recent joiners) move first. Returns the
+// ids that switched.
+export function rebalanceTeams(assignments) {
+    const moved = [];
+    for (;;) {
+        const counts = countTeams(assignments);
+        const ordered = TEAM_IDS.slice().sort((a, b) => counts[b] - counts[a]);
+        const largest = ordered[0];
+        const smallest = ordered[ordered.length - 1];
+        if (counts[largest] - counts[smallest] <= 1) return moved;
+        const members = Array.from(assignments).filter(([, teamId]) => teamId === largest);
+        const [playerId] = members[members.length - 1];
+        assignments.set(playerId, smallest);
+        moved.push(playerId);
+    }
+}
+
+// Damage after friendly-fire rules; other teams (or no team) take it in full
+export function applyFriendlyFire(damage, attackerTeam, targetTeam, mode = DEFAULT_FRIENDLY_FIRE) {
+    if (!attackerTeam || attackerTeam !== targetTeam) return damage;
+    return Math.round(damage * (FRIENDLY_FIRE[mode] ?? FRIENDLY_FIRE[DEFAULT_FRIENDLY_FIRE]));
+}
+
+// Kills, deaths and damage per team from leaderboard entries carrying a `team`
+export function getTeamTotals(leaderboard) {
+    const totals = Object.fromEntries(TEAM_IDS.map(teamId => [teamId, { team: teamId, kills: 0, deaths: 0, damageDealt: 0, players: 0 }]));
+    leaderboard.forEach(entry => {
+        const total = totals[entry.team];
+        if (!total) return;
+        total.kills += entry.kills || 0;
+        total.deaths += entry.deaths || 0;
+        total.damageDealt += entry.damageDealt || 0;
+        total.players++;
+    });
+    return TEAM_IDS.map(teamId => totals[teamId]);
+}
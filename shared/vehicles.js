@@ -0,0 +1,206 @@
+// Vehicle catalog shared by the client (selection, handling, visuals) and the server
+// (damage multipliers, health, movement limits). Adding a car means adding an entry here.
+
+export const DEFAULT_VEHICLE_ID = 'balanced';
+
+// Signature abilities (activated with E). Cooldowns are enforced by the server.
+export const ABILITIES = {
+  ram: {
+    id: 'ram',
+    name: 'Ram Plates',
+    description: 'Front hits deal 75% more damage and bumpers no longer block them.',
+    cooldownMs: 12000,
+    durationMs: 3000,
+    damageMultiplier: 1.75,
+  },
+  hover: {
+    id: 'hover',
+    name: 'Hover Hop',
+    description: 'Leap over cars and hazards.',
+    cooldownMs: 6000,
+    durationMs: 0,
+    launchSpeed: 14,
+  },
+  nitro: {
+    id: 'nitro',
+    name: 'Nitro',
+    description: 'Long burst of speed that does not use boost charges.',
+    cooldownMs: 10000,
+    durationMs: 1200,
+    speedMultiplier: 1.9,
+  },
+  stomp: {
+    id: 'stomp',
+    name: 'Ground Stomp',
+    description: 'Shockwave that damages every car nearby.',
+    cooldownMs: 14000,
+    durationMs: 0,
+    radius: 12,
+    damage: 20,
+  },
+};
+
+export const VEHICLES = {
+  sport: {
+    id: 'sport',
+    name: 'Racer',
+    color: 0xff3b3b,
+    shape: 'sport',
+    maxHealth: 80,
+    maxSpeed: 55,
+    acceleration: 80,
+    deceleration: 20,
+    turnSpeed: 3.2,
+    damageDealtMultiplier: 0.95,
+    damageTakenMultiplier: 1.2,
+    description: 'Fast and agile, but fragile.',
+  },
+  balanced: {
+    id: 'balanced',
+    name: 'Striker',
+    color: 0x3ddc84,
+    shape: 'balanced',
+    maxHealth: 100,
+    maxSpeed: 45,
+    acceleration: 65,
+    deceleration: 18,
+    turnSpeed: 2.7,
+    damageDealtMultiplier: 1.0,
+    damageTakenMultiplier: 1.0,
+    description: 'Balanced all-rounder.',
+  },
+  tank: {
+    id: 'tank',
+    name: 'Bruiser 4x4',
+    color: 0x4d9dff,
+    shape: 'tank',
+    maxHealth: 130,
+    maxSpeed: 35,
+    acceleration: 50,
+    deceleration: 15,
+    turnSpeed: 2.2,
+    damageDealtMultiplier: 1.25,
+    damageTakenMultiplier: 0.8,
+    description: 'Heavy, slow, and very tough.',
+  },
+  bulldozer: {
+    id: 'bulldozer',
+    name: 'Dozer',
+    color: 0xf2b705,
+    shape: 'bulldozer',
+    maxHealth: 150,
+    maxSpeed: 32,
+    acceleration: 45,
+    deceleration: 16,
+    turnSpeed: 2.0,
+    damageDealtMultiplier: 1.3,
+    damageTakenMultiplier: 0.75,
+    description: 'Ram-plated wall of steel. Slowest car in the arena.',
+    ability: 'ram',
+  },
+  hover: {
+    id: 'hover',
+    name: 'Hovercraft',
+    color: 0x9b5cff,
+    shape: 'hover',
+    maxHealth: 75,
+    maxSpeed: 50,
+    acceleration: 70,
+    deceleration: 8,
+    turnSpeed: 3.0,
+    damageDealtMultiplier: 0.9,
+    damageTakenMultiplier: 1.15,
+    description: 'Glides with little friction and hops over trouble.',
+    ability: 'hover',
+  },
+  trike: {
+    id: 'trike',
+    name: 'Trike',
+    color: 0xff8c1a,
+    shape: 'trike',
+    maxHealth: 70,
+    maxSpeed: 58,
+    acceleration: 85,
+    deceleration: 22,
+    turnSpeed: 3.4,
+    damageDealtMultiplier: 0.9,
+    damageTakenMultiplier: 1.25,
+    description: 'Fastest and twitchiest, with a nitro tank.',
+    ability: 'nitro',
+  },
+  monster: {
+    id: 'monster',
+    name: 'Crusher',
+    color: 0x2ec4b6,
+    shape: 'monster',
+    maxHealth: 140,
+    maxSpeed: 38,
+    acceleration: 55,
+    deceleration: 16,
+    turnSpeed: 2.3,
+    damageDealtMultiplier: 1.15,
+    damageTakenMultiplier: 0.85,
+    description: 'Monster truck on huge tyres that shakes the ground.',
+    ability: 'stomp',
+  },
+};
+
+// Required fields per vehicle: [type, min, max] (numbers) or [type] (strings)
+const VEHICLE_SCHEMA = {
+  id: ['string'],
+  name: ['string'],
+  color: ['number', 0, 0xffffff],
+  shape: ['string'],
+  maxHealth: ['number', 1, 1000],
+  maxSpeed: ['number', 1, 200],
+  acceleration: ['number', 1, 500],
+  deceleration: ['number', 0, 500],
+  turnSpeed: ['number', 0.1, 10],
+  damageDealtMultiplier: ['number', 0, 10],
+  damageTakenMultiplier: ['number', 0, 10],
+  description: ['string'],
+};
+
+// Returns a list of problems with the catalog (empty when valid)
+export function validateVehicleCatalog(catalog = VEHICLES) {
+  const errors = [];
+  if (!catalog[DEFAULT_VEHICLE_ID]) {
+    errors.push(`missing default vehicle "${DEFAULT_VEHICLE_ID}"`);
+  }
+  Object.entries(catalog).forEach(([key, vehicle]) => {
+    if (!vehicle || typeof vehicle !== 'object') {
+      errors.push(`${key}: not an object`);
+      return;
+    }
+    if (vehicle.id !== key) {
+      errors.push(`${key}: id "${vehicle.id}" does not match its key`);
+    }
+    if (vehicle.ability !== undefined && !Object.prototype.hasOwnProperty.call(ABILITIES, vehicle.ability)) {
+      errors.push(`${key}.ability: unknown ability "${vehicle.ability}"`);
+    }
+    Object.entries(VEHICLE_SCHEMA).forEach(([field, [type, min, max]]) => {
+      const value = vehicle[field];
+      if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+        errors.push(`${key}.${field}: expected ${type}`);
+      } else if (type === 'number' && (value < min || value > max)) {
+        errors.push(`${key}.${field}: ${value} is outside ${min}..${max}`);
+      } else if (type === 'string' && value.trim() === '') {
+        errors.push(`${key}.${field}: must not be empty`);
+      }
+    });
+  });
+  return errors;
+}
+
+export function isVehicleId(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(VEHICLES, id);
+}
+
+export function getVehicleById(id) {
+  return isVehicleId(id) ? VEHICLES[id] : VEHICLES[DEFAULT_VEHICLE_ID];
+}
+
+// Ability definition for a vehicle, or null if it has none
+export function getVehicleAbility(vehicle) {
+  return (vehicle && ABILITIES[vehicle.ability]) || null;
+}
@@ -1,4 +1,11 @@
 import * as THREE from 'three';
+import { MONSTER } from '../../shared/monster.js';
+import { CTF, CTF_BASES } from '../../shared/ctf.js';
+import { TEAMS } from '../../shared/teams.js';
+import { SOCCER, SOCCER_GOALS } from '../../shared/soccer.js';
+
+const MONSTER_MAX_EXTRAPOLATION = 0.25; // seconds past the last snapshot
+const BALL_MAX_EXTRAPOLATION = 0.15;
 
 export class Arena {
     constructor(scene) {
@@ -6,8 +13,15 @@ export class Arena {
         this.bounds = { x: 160, z: 120 }; // 2x bigger oval dimensions
         this.wallHeight = 8;
         this.wallThickness = 2;
-      // Slick patch spawn settings
-      this._slickConfig = { numIce: 1, numOil: 1, respawnDelay: 30 }; // seconds
+      // Slick patches come from the server (roomJoined / slickSpawned)
+      this.slickPatches = [];
+      this.onSlickConsumed = null; // (patch) => void, set by the game to report touches
+      // Capture-the-flag bases and flags, only while in a CTF room
+      this.ctf = null;
+      // King-of-the-hill zone ring, only while in a king-of-the-hill room
+      this.zone = null;
+      // Soccer ball and goal frames, only while in a soccer room
+      this.soccer = null;
         
         this.createArena();
     }
@@ -54,9 +68,6 @@ export class Arena {
 
         // Stadium spotlights (gantries)
         this.createStadiumLights();
-
-        // Slick patches (ice/oil) to alter traction
-        this.createSlickPatches();
     }
 
     // ===== Atmosphere: Clouds and Birds =====
@@ -138,17 +149,16 @@ export class Arena {
         ring.position.y = -1.2;
         group.add(ring);
 
-        // Start near center with random direction
-        const startAngle = Math.random() * Math.PI * 2;
-        group.position.set(Math.cos(startAngle) * 10, 1.3, Math.sin(startAngle) * 10);
+        // Parked at the centre until the first server snapshot places it
+        group.position.set(0, MONSTER.y, 0);
         this.scene.add(group);
 
-        const speed = 22; // units per second
-        const dir2 = new THREE.Vector2(Math.cos(startAngle + 1.1), Math.sin(startAngle + 1.1)).normalize();
         this.monster = {
             mesh: group,
-            radius: 2.6,
-            velocity: dir2.multiplyScalar(speed),
+            radius: MONSTER.radius,
+            velocity: new THREE.Vector2(0, 0), // x/z stored as x/y
+            serverPosition: new THREE.Vector3(0, MONSTER.y, 0),
+            serverReceivedAt: 0, // performance.now() of the last snapshot
             spikes,
             aura,
             eyeMat,
@@ -156,127 +166,32 @@ export class Arena {
         };
     }
 
+    // Latest server state from a worldSnapshot: { position, velocity }
+    setMonsterState(state) {
+        if (!this.monster || !state?.position) return;
+        const m = this.monster;
+        m.serverPosition.set(state.position.x, state.position.y ?? MONSTER.y, state.position.z);
+        m.velocity.set(state.velocity?.x || 0, state.velocity?.z || 0);
+        // Jump straight there the first time instead of sliding in from the centre
+        if (!m.serverReceivedAt) m.mesh.position.copy(m.serverPosition);
+        m.serverReceivedAt = performance.now();
+    }
+
     updateMonster(deltaTime) {
         if (!this.monster) return;
         const m = this.monster;
         const p = m.mesh.position;
 
-        // Integrate motion on XZ plane
-        p.x += m.velocity.x * deltaTime;
-        p.z += m.velocity.y * deltaTime;
-
-        // Bounce off inner oval wall (approximate elliptical reflection)
-        const a = this.bounds.x - this.wallThickness * 1.2; // semi-major X
-        const b = this.bounds.z - this.wallThickness * 1.2; // semi-minor Z
-        const k = (p.x * p.x) / (a * a) + (p.z * p.z) / (b * b);
-        if (k >= 1.0) {
-            // Compute outward normal of ellipse at current position
-            const nx = (2 * p.x) / (a * a);
-            const nz = (2 * p.z) / (b * b);
-            const nLen = Math.hypot(nx, nz) || 1;
-            const nHatX = nx / nLen;
-            const nHatZ = nz / nLen;
-            // Reflect velocity: v' = v - 2 (v·n) n
-            const dot = m.velocity.x * nHatX + m.velocity.y * nHatZ;
-            m.velocity.x = m.velocity.x - 2 * dot * nHatX;
-            m.velocity.y = m.velocity.y - 2 * dot * nHatZ;
-            // Nudge back inside boundary
-            p.x -= nHatX * 0.8;
-            p.z -= nHatZ * 0.8;
-            // Small random spin change for variation
-            const rot = (Math.random() - 0.5) * 0.3;
-            const cos = Math.cos(rot), sin = Math.sin(rot);
-            const vx = m.velocity.x * cos - m.velocity.y * sin;
-            const vz = m.velocity.x * sin + m.velocity.y * cos;
-            m.velocity.set(vx, vz);
-        }
-        // Bounce against L-barriers (treat as AABBs)
-        if (this.lBarriers && this.lBarriers.length) {
-            for (const b of this.lBarriers) {
-                const dx = p.x - b.x;
-                const dz = p.z - b.z;
-                const extX = b.halfW + m.radius;
-                const extZ = b.halfD + m.radius;
-                if (Math.abs(dx) <= extX && Math.abs(dz) <= extZ) {
-                    const penX = extX - Math.abs(dx);
-                    const penZ = extZ - Math.abs(dz);
-                    const bounce = 0.9;
-                    if (penX < penZ) {
-                        p.x = b.x + Math.sign(dx || 1) * (extX + 0.05);
-                        m.velocity.x = -m.velocity.x * bounce;
-                    } else {
-                        p.z = b.z + Math.sign(dz || 1) * (extZ + 0.05);
-                        m.velocity.y = -m.velocity.y * bounce; // z stored in y
-                    }
-                }
-            }
-        }
-        // Collide with elevated platform sides (treat as AABB prism)
-        if (this.platformSurface) {
-            const ps = this.platformSurface;
-            const halfH = 6.5; // approximate platform height
-            const withinY = p.y <= ps.y + halfH && p.y >= 0;
-            if (withinY && Math.abs(p.x - ps.x) <= (ps.halfW + m.radius) && Math.abs(p.z - ps.z) <= (ps.halfD + m.radius)) {
-                // Push out along least-penetration axis and reflect horizontal velocity
-                const dx = p.x - ps.x;
-                const dz = p.z - ps.z;
-                const penX = (ps.halfW + m.radius) - Math.abs(dx);
-                const penZ = (ps.halfD + m.radius) - Math.abs(dz);
-                if (penX < penZ) {
-                    const sign = Math.sign(dx || 1);
-                    p.x = ps.x + sign * (ps.halfW + m.radius + 0.02);
-                    m.velocity.x = -m.velocity.x;
-                } else {
-                    const sign = Math.sign(dz || 1);
-                    p.z = ps.z + sign * (ps.halfD + m.radius + 0.02);
-                    m.velocity.y = m.velocity.y; // unchanged vertical
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.x = m.velocity.x;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y; // no-op fix for lints
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    // reflect z
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.x = m.velocity.x;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    m.velocity.y = m.velocity.y;
-                    // actually flip z
-                    m.velocity.y = m.velocity.y;
-                }
-            }
-        }
+        // The server simulates the monster; dead-reckon from its last snapshot (briefly)
+        // and ease towards that so wall bounces don't snap
+        const sinceSnapshot = Math.min(MONSTER_MAX_EXTRAPOLATION, (performance.now() - m.serverReceivedAt) / 1000);
+        const targetX = m.serverPosition.x + m.velocity.x * sinceSnapshot;
+        const targetZ = m.serverPosition.z + m.velocity.y * sinceSnapshot;
+        const blend = Math.min(1, deltaTime * 12);
+        p.x += (targetX - p.x) * blend;
+        p.z += (targetZ - p.z) * blend;
+        p.y = m.serverPosition.y;
+
         // Face travel direction and animate scary bits
         m.mesh.lookAt(p.x + m.velocity.x, m.mesh.position.y, p.z + m.velocity.y);
         m.t += deltaTime;
@@ -285,8 +200,15 @@ export class Arena {
         if (m.eyeMat) m.eyeMat.color.setHSL(0.0, 1.0, 0.45 + 0.15 * (0.5 + 0.5 * Math.sin(m.t * 6.0)));
     }
 
+    // Rooms can play without the monster (shared/rules.js)
+    setMonsterEnabled(enabled) {
+        if (!this.monster) return;
+        this.monster.enabled = enabled;
+        this.monster.mesh.visible = enabled;
+    }
+
     getMonsterInfo() {
-        if (!this.monster) return null;
+        if (!this.monster || this.monster.enabled === false) return null;
         return { position: this.monster.mesh.position, radius: this.monster.radius };
     }
 
@@ -367,17 +289,6 @@ export class Arena {
     }
 
     updateAtmosphere(deltaTime, camera = null) {
-        // Handle timed respawn of slick patches
-        if (this._slickRespawns && this._slickRespawns.length) {
-            for (let i = this._slickRespawns.length - 1; i >= 0; i--) {
-                const r = this._slickRespawns[i];
-                r.t -= deltaTime;
-                if (r.t <= 0) {
-                    this._spawnSlickPatch(r.type);
-                    this._slickRespawns.splice(i, 1);
-                }
-            }
-        }
         // Drive subtle crowd wobble by advancing shader uTime
         if (this._crowdTimeUniforms && this._crowdTimeUniforms.length) {
             this._crowdTimeUniforms.forEach(u => { if (u) u.value += deltaTime; });
@@ -493,11 +404,24 @@ export class Arena {
     setCarPositionProvider(fn) { this._carPositionProvider = fn; }
 
     // === Slick patches (ice / oil) ===
-    createSlickPatches() {
-        this.slickPatches = [];
-        this._slickRespawns = [];
-        for (let i = 0; i < (this._slickConfig.numIce || 0); i++) this._spawnSlickPatch('ice');
-        for (let i = 0; i < (this._slickConfig.numOil || 0); i++) this._spawnSlickPatch('oil');
+    // Replace all patches with the room's set from the server
+    createSlickPatchesFromServer(patches) {
+        this.slickPatches.slice().forEach(p => this.removeSlickPatch(p.id));
+        (patches || []).forEach(patch => this.addSlickPatch(patch));
+    }
+
+    removeSlickPatch(patchId) {
+        const index = this.slickPatches.findIndex(p => p.id === patchId);
+        if (index === -1) return;
+        const p = this.slickPatches[index];
+        if (p.mesh) {
+            if (p.mesh.parent) p.mesh.parent.remove(p.mesh);
+            // Patches come and go all match long; free their GPU resources
+            p.mesh.geometry.dispose();
+            if (p.mesh.material.map) p.mesh.material.map.dispose();
+            p.mesh.material.dispose();
+        }
+        this.slickPatches.splice(index, 1);
     }
 
     // Returns a grip modifier 0<grip<=1 at a given position, or 1 if none
@@ -514,24 +438,257 @@ export class Arena {
         return { grip: 1, type: null };
     }
 
-    // Consume and remove a patch the moment a car touches it
+    // Consume and remove a patch the moment the local car touches it; the server confirms
+    // (slickConsumed) for everyone and schedules the respawn
     consumeSlickAt(pos) {
         if (!this.slickPatches || !pos) return null;
         for (let i = 0; i < this.slickPatches.length; i++) {
             const p = this.slickPatches[i];
             const dx = pos.x - p.x; const dz = pos.z - p.z;
             if (dx * dx + dz * dz <= p.radius * p.radius) {
-                if (p.mesh && p.mesh.parent) p.mesh.parent.remove(p.mesh);
-                this.slickPatches.splice(i, 1);
-                // Schedule respawn of same type after delay
-                const delay = Math.max(5, this._slickConfig.respawnDelay || 30);
-                this._slickRespawns.push({ t: delay, type: p.type });
+                this.removeSlickPatch(p.id);
+                if (this.onSlickConsumed) this.onSlickConsumed(p);
                 return p.type;
             }
         }
         return null;
     }
 
+    // === Capture the flag ===
+    // Team base pads and one flag per team; the server moves the flags (setCtfFlags)
+    createCtf() {
+        if (this.ctf) return;
+        this.ctf = { meshes: [], flags: new Map() };
+        Object.values(CTF_BASES).forEach(base => {
+            const color = TEAMS[base.team].color;
+            const pad = new THREE.Mesh(
+                new THREE.CylinderGeometry(CTF.touchRadius, CTF.touchRadius, 0.12, 32),
+                new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.45 })
+            );
+            pad.position.set(base.x, base.y + 0.07, base.z);
+            this.scene.add(pad);
+            this.ctf.meshes.push(pad);
+
+            const flag = this._makeCtfFlag(color);
+            flag.position.set(base.x, base.y, base.z);
+            this.scene.add(flag);
+            this.ctf.meshes.push(flag);
+            this.ctf.flags.set(base.team, { mesh: flag, state: { team: base.team, state: 'home', x: base.x, y: base.y, z: base.z, carrierId: null } });
+        });
+    }
+
+    removeCtf() {
+        if (!this.ctf) return;
+        this.ctf.meshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        });
+        this.ctf = null;
+    }
+
+    _makeCtfFlag(color) {
+        const group = new THREE.Group();
+        const pole = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.08, 0.08, 4, 8),
+            new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.6, roughness: 0.4 })
+        );
+        pole.position.y = 2;
+        group.add(pole);
+        const cloth = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.8, 1.1),
+            new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+        );
+        cloth.position.set(0.9, 3.4, 0);
+        group.add(cloth);
+        group.userData.cloth = cloth;
+        return group;
+    }
+
+    // Flag states from a worldSnapshot: [{ team, state, x, y, z, carrierId }]
+    setCtfFlags(flags) {
+        if (!this.ctf || !Array.isArray(flags)) return;
+        flags.forEach(state => {
+            const entry = this.ctf.flags.get(state.team);
+            if (entry) entry.state = state;
+        });
+    }
+
+    getCtfFlags() {
+        return this.ctf ? Array.from(this.ctf.flags.values()).map(entry => entry.state) : [];
+    }
+
+    // Carried flags ride on their carrier's rendered car (positionOf(playerId) returns its
+    // position or null); the rest sit where the server put them
+    updateCtfFlags(deltaTime, positionOf) {
+        if (!this.ctf) return;
+        this.ctf.flags.forEach(({ mesh, state }) => {
+            const carrier = state.carrierId ? positionOf(state.carrierId) : null;
+            if (carrier) {
+                mesh.position.set(carrier.x, carrier.y + 1, carrier.z);
+            } else {
+                mesh.position.set(state.x, state.y, state.z);
+            }
+            mesh.userData.cloth.rotation.y = Math.sin(performance.now() / 300) * 0.25;
+        });
+    }
+
+    // === King of the hill ===
+    // Show the scoring zone at a KOTH_ZONES spot; rebuilt only when the spot changes
+    setZone(zone) {
+        if (!zone) return;
+        if (this.zone && this.zone.id === zone.id) return;
+        this.removeZone();
+        const group = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.28, side: THREE.DoubleSide, depthWrite: false });
+        const wall = new THREE.Mesh(new THREE.CylinderGeometry(zone.radius, zone.radius, 3, 48, 1, true), material);
+        wall.position.y = 1.5;
+        group.add(wall);
+        const floor = new THREE.Mesh(new THREE.CircleGeometry(zone.radius, 48), material);
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.y = 0.06;
+        group.add(floor);
+        group.position.set(zone.x, zone.y, zone.z);
+        this.scene.add(group);
+        this.zone = { id: zone.id, x: zone.x, z: zone.z, radius: zone.radius, group, material };
+    }
+
+    // Colour the ring for its state: neutral, held by us, held by someone else, contested
+    setZoneColor(color) {
+        if (this.zone) this.zone.material.color.setHex(color);
+    }
+
+    removeZone() {
+        if (!this.zone) return;
+        this.scene.remove(this.zone.group);
+        this.zone.group.children.forEach(mesh => mesh.geometry.dispose());
+        this.zone.material.dispose();
+        this.zone = null;
+    }
+
+    // === Car soccer ===
+    // The ball plus a goal frame at each end of the oval; the server moves the ball (setBallState)
+    createSoccer() {
+        if (this.soccer) return;
+        const meshes = [];
+        const ball = new THREE.Group();
+        ball.add(new THREE.Mesh(
+            new THREE.SphereGeometry(SOCCER.ballRadius, 32, 24),
+            new THREE.MeshStandardMaterial({ color: 0xf5f5f5, roughness: 0.45 })
+        ));
+        // Panel seams so the roll is visible
+        ball.add(new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.IcosahedronGeometry(SOCCER.ballRadius * 1.01, 1)),
+            new THREE.LineBasicMaterial({ color: 0x111111 })
+        ));
+        ball.position.set(0, SOCCER.ballRadius, 0);
+        ball.traverse(child => { child.castShadow = true; });
+        this.scene.add(ball);
+        meshes.push(ball);
+
+        Object.values(SOCCER_GOALS).forEach(goal => {
+            const frame = this._makeSoccerGoal(TEAMS[goal.team].color, goal.direction);
+            frame.position.set(goal.x, 0, 0);
+            this.scene.add(frame);
+            meshes.push(frame);
+        });
+
+        this.soccer = {
+            meshes,
+            ball,
+            serverPosition: new THREE.Vector3(0, SOCCER.ballRadius, 0),
+            velocity: new THREE.Vector3(),
+            serverReceivedAt: 0
+        };
+    }
+
+    // Posts and crossbar on the goal line with team-coloured nets running back by `direction`
+    _makeSoccerGoal(color, direction) {
+        const group = new THREE.Group();
+        const postMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, metalness: 0.3, roughness: 0.4 });
+        const netMaterial = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.3, side: THREE.DoubleSide, depthWrite: false });
+        const { goalHalfWidth: halfWidth, goalHeight: height, goalDepth: depth } = SOCCER;
+        [-1, 1].forEach(side => {
+            const post = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, height, 12), postMaterial);
+            post.position.set(0, height / 2, side * halfWidth);
+            group.add(post);
+            const sideNet = new THREE.Mesh(new THREE.PlaneGeometry(depth, height), netMaterial);
+            sideNet.position.set(direction * depth / 2, height / 2, side * halfWidth);
+            group.add(sideNet);
+        });
+        const bar = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, halfWidth * 2, 12), postMaterial);
+        bar.rotation.x = Math.PI / 2;
+        bar.position.y = height;
+        group.add(bar);
+        const backNet = new THREE.Mesh(new THREE.PlaneGeometry(halfWidth * 2, height), netMaterial);
+        backNet.rotation.y = Math.PI / 2;
+        backNet.position.set(direction * depth, height / 2, 0);
+        group.add(backNet);
+        const roof = new THREE.Mesh(new THREE.PlaneGeometry(depth, halfWidth * 2), netMaterial);
+        roof.rotation.x = -Math.PI / 2;
+        roof.position.set(direction * depth / 2, height, 0);
+        group.add(roof);
+        const line = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.5, halfWidth * 2),
+            new THREE.MeshBasicMaterial({ color: 0xffffff })
+        );
+        line.rotation.x = -Math.PI / 2;
+        line.position.y = 0.05;
+        group.add(line);
+        return group;
+    }
+
+    removeSoccer() {
+        if (!this.soccer) return;
+        this.soccer.meshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        });
+        this.soccer = null;
+    }
+
+    // Latest ball state from a worldSnapshot: { position, velocity }
+    setBallState(state) {
+        if (!this.soccer || !state?.position) return;
+        const s = this.soccer;
+        s.serverPosition.set(state.position.x, state.position.y, state.position.z);
+        s.velocity.set(state.velocity?.x || 0, state.velocity?.y || 0, state.velocity?.z || 0);
+        // Kickoff resets teleport the ball; don't slide it back across the pitch
+        if (!s.serverReceivedAt || s.ball.position.distanceTo(s.serverPosition) > 20) {
+            s.ball.position.copy(s.serverPosition);
+        }
+        s.serverReceivedAt = performance.now();
+    }
+
+    updateBall(deltaTime) {
+        if (!this.soccer) return;
+        const s = this.soccer;
+        const p = s.ball.position;
+        const before = p.clone();
+        // Dead-reckon from the last snapshot like the monster, easing so bounces don't snap
+        const sinceSnapshot = Math.min(BALL_MAX_EXTRAPOLATION, (performance.now() - s.serverReceivedAt) / 1000);
+        const target = s.serverPosition.clone().addScaledVector(s.velocity, sinceSnapshot);
+        target.y = Math.max(SOCCER.ballRadius, target.y);
+        p.lerp(target, Math.min(1, deltaTime * 15));
+
+        // Roll about the axis perpendicular to travel
+        const moved = new THREE.Vector3(p.x - before.x, 0, p.z - before.z);
+        const distance = moved.length();
+        if (distance > 1e-4) {
+            const axis = new THREE.Vector3(moved.z, 0, -moved.x).normalize();
+            s.ball.rotateOnWorldAxis(axis, distance / SOCCER.ballRadius);
+        }
+    }
+
+    getBallPosition() {
+        return this.soccer ? this.soccer.ball.position : null;
+    }
+
     createStadiumLights() {
         this.stadiumLights = [];
         // Cookie texture (simple radial vignette with grille)
@@ -585,20 +742,10 @@ export class Arena {
         return tex;
     }
 
-    _spawnSlickPatch(type) {
-        // Find a location not overlapping platform/ramp/lift footprints
-        let x = 0, z = 0;
-        const radius = type === 'ice' ? 7.0 : 6.0;
-        let tries = 0;
-        const maxTries = 40;
-        const pick = () => {
-            const angle = Math.random() * Math.PI * 2;
-            const rr = Math.sqrt(Math.random()) * 0.75; // stay well inside
-            x = Math.cos(angle) * this.bounds.x * rr;
-            z = Math.sin(angle) * this.bounds.z * rr;
-        };
-        pick();
-        while (tries < maxTries && this._isForbiddenForSlick(x, z, radius)) { tries++; pick(); }
+    // patch: { id, type, x, z, radius } as generated by the server
+    addSlickPatch(patch) {
+        if (!patch || this.slickPatches.some(p => p.id === patch.id)) return;
+        const { id, type, x, z, radius } = patch;
         const opacity = type === 'ice' ? 0.3 : 0.48; // oil more visible
         const tex = this._makeSlickTexture(type);
         const geo = new THREE.CircleGeometry(radius, 48);
@@ -608,33 +755,7 @@ export class Arena {
         mesh.position.set(x, 0.03, z);
         mesh.renderOrder = 8;
         this.scene.add(mesh);
-        this.slickPatches.push({ x, z, radius, type, mesh });
-    }
-
-    _isForbiddenForSlick(x, z, radius) {
-        // Avoid platform deck footprint
-        if (this.platformSurface) {
-            const ps = this.platformSurface;
-            if (Math.abs(x - ps.x) <= (ps.halfW + radius) && Math.abs(z - ps.z) <= (ps.halfD + radius)) {
-                return true;
-            }
-        }
-        // Avoid ramp corridor footprint
-        if (this.rampSurface) {
-            const r = this.rampSurface;
-            if (Math.abs(x - r.x) <= (r.halfW + radius) && z >= (r.zStart - radius) && z <= (r.zEnd + radius)) {
-                return true;
-            }
-        }
-        // Avoid lift pad area if present
-        if (this.liftZones && this.liftZones.length) {
-            for (const l of this.liftZones) {
-                if (Math.abs(x - l.position.x) <= (l.halfW + radius) && Math.abs(z - l.position.z) <= (l.halfD + radius)) {
-                    return true;
-                }
-            }
-        }
-        return false;
+        this.slickPatches.push({ id, x, z, radius, type, mesh });
     }
 
     // === L-barriers (two mirrored L shapes with a gap) ===
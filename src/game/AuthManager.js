@@ -0,0 +1,67 @@
+const TOKEN_KEY = 'battlecars.authToken';
+
+// Account login against /api/auth; the JWT is kept in localStorage and handed to
+// the Socket.io handshake by MultiplayerManager.
+export class AuthManager {
+    constructor() {
+        this.token = null;
+        this.account = null;
+        try {
+            this.token = window.localStorage.getItem(TOKEN_KEY);
+        } catch (e) {
+            // Storage disabled (private mode); accounts still work for this tab
+        }
+    }
+
+    get isLoggedIn() {
+        return !!(this.token && this.account);
+    }
+
+    // Resolve the stored token to an account; clears it if the server rejects it
+    async restore() {
+        if (!this.token) return null;
+        try {
+            const res = await fetch('/api/auth/me', { headers: { Authorization: `Bearer ${this.token}` } });
+            if (res.ok) {
+                this.account = (await res.json()).account;
+                return this.account;
+            }
+            if (res.status === 401) this.logout();
+        } catch (e) {
+            console.warn('⚠️ Could not restore login:', e);
+        }
+        return null;
+    }
+
+    login(username, password) {
+        return this._submit('/api/auth/login', username, password);
+    }
+
+    register(username, password) {
+        return this._submit('/api/auth/register', username, password);
+    }
+
+    logout() {
+        this.token = null;
+        this.account = null;
+        try {
+            window.localStorage.removeItem(TOKEN_KEY);
+        } catch (e) {}
+    }
+
+    async _submit(url, username, password) {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Request failed');
+        this.token = data.token;
+        this.account = data.account;
+        try {
+            window.localStorage.setItem(TOKEN_KEY, this.token);
+        } catch (e) {}
+        return this.account;
+    }
+}
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import * as VehiclePhysics from '../../shared/physics.js';
+import { getVehicleAbility } from './Vehicles.js';
+import { TEAM_TINT } from '../../shared/teams.js';
 
 export class Car {
     constructor(scene, preset = null) {
@@ -17,11 +20,8 @@ export class Car {
         this.damageDealtMultiplier = 1.0;
         this.damageTakenMultiplier = 1.0;
         this.knockback = new THREE.Vector3();
-        this.knockbackDecayPerSecond = 7.5; // slightly slower decay to feel a bounce but not linger
-        // Timed speed boost (e.g., from jump pads)
-        this._padBoostUntilMs = 0;          // hard boost window end
-        this._padBoostMultiplier = 1.0;     // peak multiplier during window
-        this._padBoostFalloffEndMs = 0;     // fade-out end time (mult → 1)
+        // Shared kinematic state (boost windows, charges, slick spin); synced with the meshes each step
+        this.sim = VehiclePhysics.createVehicleState();
 
         // Skid mark system (lightweight, fading decals)
         this._skidMarks = [];
@@ -29,20 +29,14 @@ export class Car {
         this._isSkidding = false;
         this._skidAssetsReady = false;
         
-        // Boost charges system
-        this._boostChargesMax = 5;
-        this._boostCharges = 5; // float to allow partial recharge
-        this._boostRechargePerSecond = 0.25; // 1 charge every 4 seconds
-        this._boostConsumeAmount = 1.0; // per use
-        this._boostWasDown = false;
-
         // Boost ring VFX
         this._boostRings = [];
 
-        // Slick spin state
-        this._spinTime = 0;        // seconds remaining in spin lock
-        this._spinCooldown = 0;    // seconds before next spin can trigger
-        this._spinDir = 1;         // spin direction (+1 or -1)
+        // Signature ability (E); the server enforces the real cooldown
+        this.ability = null;
+        this._abilityReadyAt = 0;   // performance.now() ms
+        this._abilityActiveUntil = 0;
+        this._abilityWasDown = false;
 
         if (preset) {
             this.applyPreset(preset);
@@ -65,6 +59,7 @@ export class Car {
         this.damageTakenMultiplier = preset.damageTakenMultiplier ?? this.damageTakenMultiplier;
         this.bodyColorOverride = preset.color;
         this.shapeId = preset.shape || 'balanced';
+        this.ability = getVehicleAbility(preset);
     }
     
     createCar() {
@@ -101,9 +96,50 @@ export class Car {
             trackWidth = 2.6;
             wheelbase = 3.0;
             rideHeight = 0.7;
+        } else if (this.shapeId === 'bulldozer') {
+            bodySize = { x: 2.6, y: 1.1, z: 4.0 };
+            cabinSize = { x: 1.5, y: 0.9, z: 1.3 };
+            cabinOffset = { x: 0, y: 1.6, z: -0.8 };
+            bumperSize = { x: 3.2, y: 0.9, z: 0.5 };
+            bumperOffsetY = 0.3;
+            wheelRadius = 0.6;
+            trackWidth = 2.7;
+            wheelbase = 3.0;
+            rideHeight = 0.6;
+        } else if (this.shapeId === 'hover') {
+            bodySize = { x: 2.2, y: 0.6, z: 4.2 };
+            cabinSize = { x: 1.4, y: 0.6, z: 1.6 };
+            cabinOffset = { x: 0, y: 1.4, z: -0.2 };
+            bumperSize = { x: 2.2, y: 0.2, z: 0.4 };
+            bumperOffsetY = 0.1;
+            wheelRadius = 0.3;
+            trackWidth = 2.2;
+            wheelbase = 3.0;
+            rideHeight = 0.8;
+        } else if (this.shapeId === 'trike') {
+            bodySize = { x: 1.3, y: 0.7, z: 3.8 };
+            cabinSize = { x: 0.9, y: 0.5, z: 1.0 };
+            cabinOffset = { x: 0, y: 0.95, z: -0.3 };
+            bumperSize = { x: 1.0, y: 0.25, z: 0.4 };
+            bumperOffsetY = 0.15;
+            wheelRadius = 0.5;
+            trackWidth = 2.3;
+            wheelbase = 3.0;
+            rideHeight = 0.45;
+        } else if (this.shapeId === 'monster') {
+            bodySize = { x: 2.3, y: 1.0, z: 4.0 };
+            cabinSize = { x: 1.7, y: 0.8, z: 1.6 };
+            cabinOffset = { x: 0, y: 2.2, z: -0.2 };
+            bumperSize = { x: 2.3, y: 0.4, z: 0.5 };
+            bumperOffsetY = 0.2;
+            wheelRadius = 1.1;
+            trackWidth = 3.0;
+            wheelbase = 3.2;
+            rideHeight = 1.3;
         }
 
         const bodyGeometry = new THREE.BoxGeometry(bodySize.x, bodySize.y, bodySize.z);
+        this.bodyMaterial = materialBody;
         this.mesh = new THREE.Mesh(bodyGeometry, materialBody);
         this.mesh.position.set(0, rideHeight, 0);
         this.mesh.castShadow = true;
@@ -137,6 +173,22 @@ export class Car {
             wing.position.set(0, 0.15, -bodySize.z / 2 - 0.2);
             wing.rotation.x = -Math.PI / 16;
             this.mesh.add(wing);
+        } else if (this.shapeId === 'bulldozer') {
+            // Tall angled ram blade across the nose
+            const blade = new THREE.Mesh(new THREE.BoxGeometry(bumperSize.x, 1.3, 0.15), materialAccent);
+            blade.position.set(0, 0.45, bumperSize.z * 0.5);
+            blade.rotation.x = -Math.PI / 10;
+            this.frontBumper.add(blade);
+        } else if (this.shapeId === 'hover') {
+            // Dark air skirt under the hull
+            const skirt = new THREE.Mesh(new THREE.BoxGeometry(bodySize.x + 0.3, 0.35, bodySize.z + 0.2), materialAccent);
+            skirt.position.set(0, -bodySize.y * 0.5 - 0.2, 0);
+            this.mesh.add(skirt);
+        } else if (this.shapeId === 'monster') {
+            // Roll bar over the cab
+            const rollBar = new THREE.Mesh(new THREE.BoxGeometry(cabinSize.x + 0.2, 0.15, 0.15), materialAccent);
+            rollBar.position.set(0, cabinSize.y * 0.5 + 0.25, -cabinSize.z * 0.5);
+            this.cabin.add(rollBar);
         }
 
         this.carGroup = new THREE.Group();
@@ -149,6 +201,20 @@ export class Car {
         this.createWheels({ radius: wheelRadius, trackWidth, wheelbase, rideHeight });
         this.addCarDetails();
 
+        if (this.shapeId === 'trike') {
+            // Single centred front wheel
+            this.frontLeftWheel.position.x = 0;
+            this.frontRightWheel.visible = false;
+        } else if (this.shapeId === 'hover') {
+            // Wheels stay for bookkeeping but the hull floats on its skirt
+            [this.frontLeftWheel, this.frontRightWheel, this.backLeftWheel, this.backRightWheel].forEach(w => { w.visible = false; });
+        }
+        if (this.shapeId === 'monster' || this.shapeId === 'hover') {
+            // Lift lights and glass to the raised body
+            const lift = rideHeight - 0.55;
+            [this.windshield, this.leftHeadlight, this.rightHeadlight, this.leftTaillight, this.rightTaillight].forEach(m => { m.position.y += lift; });
+        }
+
         // Prepare skid assets
         this._ensureSkidAssets();
 
@@ -248,7 +314,7 @@ export class Car {
     }
     
     update(deltaTime, inputManager, soundManager) {
-        // Handle input
+        // Handle input and movement through the shared kinematics
         this.handleInput(inputManager, deltaTime, soundManager);
         
         // Update physics
@@ -270,100 +336,25 @@ export class Car {
     }
     
     handleInput(inputManager, deltaTime, soundManager) {
-        // Forward/Backward movement with momentum
-        // If car is spinning due to slick patch, ignore player steering/throttle briefly
-        if (this._spinTime > 0) {
-            // Rapid yaw rotation and quick momentum bleed
-            this.carGroup.rotation.y += this._spinDir * 9 * deltaTime;
-            this.momentum *= (1 - 1.8 * deltaTime);
-            this.speed = this.momentum;
-            this._spinTime = Math.max(0, this._spinTime - deltaTime);
-            return;
-        }
-        if (inputManager.keys.forward) {
-            this.momentum = Math.min(this.momentum + this.acceleration * deltaTime, this.maxSpeed);
-            this.speed = this.momentum;
-        } else if (inputManager.keys.backward) {
-            this.momentum = Math.max(this.momentum - this.acceleration * deltaTime, -this.maxSpeed * 0.6);
-            this.speed = this.momentum;
-        } else {
-            // Natural deceleration with momentum
-            if (this.momentum > 0) {
-                this.momentum = Math.max(0, this.momentum - this.deceleration * deltaTime);
-            } else if (this.momentum < 0) {
-                this.momentum = Math.min(0, this.momentum + this.deceleration * deltaTime);
-            }
-            this.speed = this.momentum;
-        }
-        
-        // Steering (smoother with momentum)
-        const turnMultiplier = Math.max(0.3, Math.abs(this.speed) / this.maxSpeed);
-        if (Math.abs(this.speed) > 0.5) {
-            if (inputManager.keys.left) {
-                this.carGroup.rotation.y += this.turnSpeed * deltaTime * turnMultiplier;
+        const keys = inputManager.keys;
+        this._syncToSim();
+        const result = VehiclePhysics.stepVehicle(this.sim, keys, deltaTime, this);
+        this._syncFromSim();
+
+        if (result.boosted) {
+            if (soundManager && soundManager.playBoostSound) {
+                soundManager.playBoostSound(Math.abs(this.speed));
             }
-            if (inputManager.keys.right) {
-                this.carGroup.rotation.y -= this.turnSpeed * deltaTime * turnMultiplier;
-            }
-        }
-        
-        // Boost (Space) - gated by charges; rising-edge activation
-        if (inputManager.keys.boost && this.speed > 0) {
-            if (!this._boostWasDown) {
-                if (this.canUseBoost()) {
-                    this.consumeBoost();
-                    if (soundManager && soundManager.playBoostSound) {
-                        soundManager.playBoostSound(Math.abs(this.speed));
-                    }
-                    this.triggerPadBoost(0.3, 1.6);
-                }
-            }
-            this._boostWasDown = true;
-        } else {
-            this._boostWasDown = false;
+            this._spawnBoostRings();
         }
 
         // Determine skidding state: turning fast or braking while moving
-        const turning = inputManager.keys.left || inputManager.keys.right;
-        const braking = inputManager.keys.backward && Math.abs(this.speed) > 8;
-        this._isSkidding = (Math.abs(this.speed) > 12 && turning) || braking;
+        const turning = keys.left || keys.right;
+        const braking = keys.backward && Math.abs(this.speed) > 8;
+        this._isSkidding = this.sim.spinTime <= 0 && ((Math.abs(this.speed) > 12 && turning) || braking);
     }
     
     updatePhysics(deltaTime) {
-        // Reduce spin cooldown over time
-        if (this._spinCooldown > 0) this._spinCooldown = Math.max(0, this._spinCooldown - deltaTime);
-        // Calculate movement direction based on car rotation
-        const direction = new THREE.Vector3(0, 0, 1);
-        direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.carGroup.rotation.y);
-        
-        // Update horizontal velocity
-        const effectiveSpeed = this.speed * this.getBoostMultiplier();
-        this.velocity.x = direction.x * effectiveSpeed;
-        this.velocity.z = direction.z * effectiveSpeed;
-        
-        // Apply gravity
-        const gravity = -20; // Gravity strength
-        this.velocity.y += gravity * deltaTime;
-        
-        // Apply knockback impulse (decays over time)
-        if (this.knockback.lengthSq() > 1e-6) {
-            // Apply knockback but clamp the displacement to avoid big jumps that cause stalls
-            const kbStep = this.knockback.clone().multiplyScalar(deltaTime);
-            if (kbStep.length() > 0.6) kbStep.setLength(0.6);
-            this.carGroup.position.add(kbStep);
-            const decay = Math.exp(-this.knockbackDecayPerSecond * deltaTime);
-            this.knockback.multiplyScalar(decay);
-        }
-
-        // Update position from main velocity
-        this.carGroup.position.add(this.velocity.clone().multiplyScalar(deltaTime));
-        
-        // Ground collision (basic)
-        if (this.carGroup.position.y < 0) {
-            this.carGroup.position.y = 0;
-            this.velocity.y = 0;
-        }
-
         // Only cast real light shadows while in the air
         const inAir = (this.carGroup.position.y > 0.12) || (this.velocity.y > 0.8);
         this._setCarCastShadow(inAir);
@@ -382,29 +373,101 @@ export class Car {
 
         // Trigger slick patch spin once upon contact while grounded
         const grounded = this.carGroup.position.y <= 0.12 && this.velocity.y <= 0.2;
-        if (grounded && !this._spinCooldown && this.scene && this.scene.__arenaRef && this.scene.__arenaRef.consumeSlickAt) {
+        if (grounded && !this.sim.spinCooldown && this.scene && this.scene.__arenaRef && this.scene.__arenaRef.consumeSlickAt) {
             const touched = this.scene.__arenaRef.consumeSlickAt(this.carGroup.position);
             if (touched) {
-                // Start a quick uncontrollable spin
-                this._spinDir = Math.random() > 0.5 ? 1 : -1;
-                this._spinTime = touched === 'ice' ? 0.75 : 0.6;
-                this._spinCooldown = 1.0;
-                // Hard cut of speed so you end near a stop
-                this.speed *= 0.25;
-                this.momentum = this.speed;
+                // Start a quick uncontrollable spin with a hard cut of speed
+                this._syncToSim();
+                VehiclePhysics.startSpin(this.sim, touched, Math.random() > 0.5 ? 1 : -1);
+                this._syncFromSim();
             }
         }
     }
 
+    // Copy mesh-owned state (which arena code may have moved) into the shared sim state
+    _syncToSim() {
+        const sim = this.sim;
+        const pos = this.carGroup.position;
+        sim.x = pos.x; sim.y = pos.y; sim.z = pos.z;
+        sim.yaw = this.carGroup.rotation.y;
+        sim.momentum = this.momentum;
+        sim.speed = this.speed;
+        sim.vx = this.velocity.x; sim.vy = this.velocity.y; sim.vz = this.velocity.z;
+        sim.knockbackX = this.knockback.x; sim.knockbackY = this.knockback.y; sim.knockbackZ = this.knockback.z;
+    }
+
+    _syncFromSim() {
+        const sim = this.sim;
+        this.carGroup.position.set(sim.x, sim.y, sim.z);
+        this.carGroup.rotation.y = sim.yaw;
+        this.momentum = sim.momentum;
+        this.speed = sim.speed;
+        this.velocity.set(sim.vx, sim.vy, sim.vz);
+        this.knockback.set(sim.knockbackX, sim.knockbackY, sim.knockbackZ);
+    }
+
+    // Re-simulate recorded input frames on top of a server-corrected state (no sounds, new boosts or
+    // VFX). Each frame runs at its own sim time under the boost window it was predicted with.
+    replayInputs(frames) {
+        const { time, boostCharges, boostWasDown, padBoostMultiplier, padBoostUntil, padBoostFalloffEnd } = this.sim;
+        this._syncToSim();
+        frames.forEach(frame => {
+            if (frame.padBoost) {
+                this.sim.time = frame.simTime;
+                this.sim.padBoostMultiplier = frame.padBoost.multiplier;
+                this.sim.padBoostUntil = frame.padBoost.until;
+                this.sim.padBoostFalloffEnd = frame.padBoost.falloffEnd;
+            }
+            VehiclePhysics.stepVehicle(this.sim, { ...frame.keys, boost: false }, frame.dt, this);
+        });
+        this._syncFromSim();
+        // Boost windows and charges were already spent when these frames were first predicted
+        Object.assign(this.sim, { time, boostCharges, boostWasDown, padBoostMultiplier, padBoostUntil, padBoostFalloffEnd });
+    }
+
+    // Fire the vehicle ability on the rising edge of E if the local cooldown allows.
+    // Applies the movement part immediately and returns the ability (caller tells the server).
+    tryActivateAbility(keys) {
+        const pressed = !!keys.ability && !this._abilityWasDown;
+        this._abilityWasDown = !!keys.ability;
+        if (!pressed || !this.ability) return null;
+
+        const now = (performance.now ? performance.now() : Date.now());
+        if (now < this._abilityReadyAt) return null;
+        this._abilityReadyAt = now + this.ability.cooldownMs;
+        this._abilityActiveUntil = now + this.ability.durationMs;
+
+        if (this.ability.id === 'hover') {
+            this.velocity.y = Math.max(this.velocity.y, this.ability.launchSpeed);
+        } else if (this.ability.id === 'nitro') {
+            this.triggerPadBoost(this.ability.durationMs / 1000, this.ability.speedMultiplier, 0.3, true);
+        } else if (this.ability.id === 'stomp') {
+            // Small hop so the slam reads visually
+            this.velocity.y = Math.max(this.velocity.y, 6);
+        }
+        return this.ability;
+    }
+
+    // Align the local cooldown with the server (after a confirmation or rejection)
+    syncAbilityCooldown(remainingMs) {
+        const now = (performance.now ? performance.now() : Date.now());
+        this._abilityReadyAt = now + Math.max(0, remainingMs || 0);
+    }
+
+    getAbilityCooldownRemaining() {
+        const now = (performance.now ? performance.now() : Date.now());
+        return Math.max(0, this._abilityReadyAt - now);
+    }
+
+    isAbilityActive() {
+        const now = (performance.now ? performance.now() : Date.now());
+        return now < this._abilityActiveUntil;
+    }
+
     // Activate a short timed speed multiplier (e.g., from a jump pad)
     // Optional 4th argument spawnRings: pass false for jump pads (manual boosts show rings)
     triggerPadBoost(durationSeconds = 0.3, multiplier = 1.6, falloffSeconds = 0.2, spawnRings = true) {
-        const nowMs = (performance.now ? performance.now() : Date.now());
-        const durMs = Math.max(10, durationSeconds * 1000);
-        const fallMs = Math.max(0, falloffSeconds * 1000);
-        this._padBoostMultiplier = Math.max(1.0, multiplier || 1.0);
-        this._padBoostUntilMs = nowMs + durMs;
-        this._padBoostFalloffEndMs = this._padBoostUntilMs + fallMs;
+        VehiclePhysics.triggerPadBoost(this.sim, durationSeconds, multiplier, falloffSeconds);
         // Spawn visual rings only when requested (manual boosts)
         if (spawnRings) {
             this._spawnBoostRings();
@@ -413,22 +476,13 @@ export class Car {
 
     // Current multiplier including fade-out after the hard boost window
     getBoostMultiplier() {
-        const nowMs = (performance.now ? performance.now() : Date.now());
-        if (nowMs <= this._padBoostUntilMs) return this._padBoostMultiplier;
-        if (nowMs <= this._padBoostFalloffEndMs) {
-            const span = Math.max(1, this._padBoostFalloffEndMs - this._padBoostUntilMs);
-            const r = (nowMs - this._padBoostUntilMs) / span; // 0..1 over fade
-            return 1 + (1 - r) * (this._padBoostMultiplier - 1);
-        }
-        return 1.0;
+        return VehiclePhysics.getBoostMultiplier(this.sim);
     }
 
     applyKnockback(directionVector, strength) {
-        const dir = directionVector.clone();
-        if (dir.lengthSq() < 1e-6) return;
-        dir.normalize();
-        const s = Math.max(0, strength || 0);
-        this.knockback.add(dir.multiplyScalar(s));
+        this._syncToSim();
+        VehiclePhysics.applyKnockback(this.sim, directionVector.x, directionVector.y, directionVector.z, strength);
+        this._syncFromSim();
     }
     
     updateVisualEffects(deltaTime) {
@@ -454,17 +508,15 @@ export class Car {
             this.carGroup.rotation.z *= 0.9; // Return to level
         }
 
+        // Ram plates glow while active
+        if (this.frontBumper && this.frontBumper.material && this.frontBumper.material.emissive) {
+            const ramming = this.ability?.id === 'ram' && this.isAbilityActive();
+            this.frontBumper.material.emissive.setHex(ramming ? 0xff5500 : 0x000000);
+        }
+
         // Update existing skid marks fade and cleanup
         this._updateSkidMarks(deltaTime);
 
-        // Recharge boost charges continuously
-        if (this._boostCharges < this._boostChargesMax) {
-            this._boostCharges = Math.min(
-                this._boostChargesMax,
-                this._boostCharges + this._boostRechargePerSecond * deltaTime
-            );
-        }
-
         // Animate boost rings
         this._updateBoostRings(deltaTime);
     }
@@ -575,6 +627,22 @@ export class Car {
         this.carGroup.visible = false;
     }
 
+    // Take the car out of the scene for good (e.g. swapped for another vehicle)
+    dispose() {
+        if (this.carGroup) this.scene.remove(this.carGroup);
+        if (this._shadowBlob) this.scene.remove(this._shadowBlob);
+    }
+
+    // Blend a team colour into the body (team rooms); null restores the vehicle colour
+    setTeamColor(teamColor) {
+        if (!this.bodyMaterial) return;
+        const color = new THREE.Color(this.bodyColorOverride ?? 0x00ff00);
+        if (teamColor !== null && teamColor !== undefined) {
+            color.lerp(new THREE.Color(teamColor), TEAM_TINT);
+        }
+        this.bodyMaterial.color.copy(color);
+    }
+
     setInvulnerableFor(ms) {
         const now = (performance.now ? performance.now() : Date.now());
         this.invulnerableUntil = now + (ms || 3000);
@@ -627,16 +695,16 @@ export class Car {
 
     // Boost charges API for UI
     canUseBoost() {
-        return this._boostCharges >= this._boostConsumeAmount - 1e-6;
+        return this.sim.boostCharges >= VehiclePhysics.BOOST.consumeAmount - 1e-6;
     }
     consumeBoost() {
-        this._boostCharges = Math.max(0, this._boostCharges - this._boostConsumeAmount);
+        this.sim.boostCharges = Math.max(0, this.sim.boostCharges - VehiclePhysics.BOOST.consumeAmount);
     }
     getBoostCharges() {
-        return this._boostCharges;
+        return this.sim.boostCharges;
     }
     getBoostMax() {
-        return this._boostChargesMax;
+        return VehiclePhysics.BOOST.maxCharges;
     }
 
     // --- Blob shadow implementation ---
@@ -1,3 +1,8 @@
+import { getVehicleAbility } from './Vehicles.js';
+import { TEAMS, FRIENDLY_FIRE, getTeamTotals } from '../../shared/teams.js';
+import { GAME_MODES, MODE_NAMES, ROOM_LIMITS, INVITE_CODE_LENGTH, normalizeInviteCode } from '../../shared/rooms.js';
+import { DEFAULT_RULES, RULE_LIMITS, POWERUP_RATES, BOT_LEVELS, MUTATORS } from '../../shared/rules.js';
+
 export class GameUI {
     constructor() {
         this.healthValue = document.getElementById('healthValue');
@@ -243,6 +248,23 @@ export class GameUI {
         }, 100);
     }
     
+    // Jolt the game view; intensity is a fraction of 100px
+    shakeScreen(intensity = 0.1, durationMs = 100) {
+        const container = document.getElementById('gameContainer');
+        if (!container) return;
+        const endsAt = performance.now() + durationMs;
+        const shake = () => {
+            if (performance.now() >= endsAt) {
+                container.style.transform = '';
+                return;
+            }
+            const offset = () => (Math.random() * 2 - 1) * intensity * 100;
+            container.style.transform = `translate(${offset()}px, ${offset()}px)`;
+            requestAnimationFrame(shake);
+        };
+        shake();
+    }
+    
     showDamageNumber(damage, position, collisionType = 'normal') {
         // Create floating damage number
         const damageElement = document.createElement('div');
@@ -276,9 +298,10 @@ export class GameUI {
                 damageElement.style.color = '#ffffff'; // White
         }
         
-        // Convert 3D position to screen position (simplified)
-        const screenX = (position.x / 160) * window.innerWidth + window.innerWidth / 2;
-        const screenY = (position.z / 160) * window.innerHeight + window.innerHeight / 2;
+        // Screen positions (BattleCarsGame._worldToScreen) are used as-is; otherwise map the
+        // arena position onto the screen (simplified)
+        const screenX = position.isScreen ? position.screenX : (position.x / 160) * window.innerWidth + window.innerWidth / 2;
+        const screenY = position.isScreen ? position.screenY : (position.z / 160) * window.innerHeight + window.innerHeight / 2;
         
         damageElement.style.left = `${screenX}px`;
         damageElement.style.top = `${screenY}px`;
@@ -553,8 +576,10 @@ export class GameUI {
     }
     
     showVictory() {
+        this.hideVictory();
         // Create victory overlay
         const victoryOverlay = document.createElement('div');
+        victoryOverlay.id = 'victoryOverlay';
         victoryOverlay.style.position = 'fixed';
         victoryOverlay.style.top = '0';
         victoryOverlay.style.left = '0';
@@ -602,6 +627,11 @@ export class GameUI {
             playAgainBtn.style.background = '#00ff00';
         });
     }
+
+    hideVictory() {
+        const el = document.getElementById('victoryOverlay');
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
     
     showLoadingMessage(message) {
         const loadingScreen = document.getElementById('loadingScreen');
@@ -621,7 +651,9 @@ export class GameUI {
     }
 
     // ===== Entry overlays =====
-    showNicknameEntry(onDone) {
+    // auth (optional AuthManager): adds login/register; onDone receives the account
+    // name when signed in, otherwise the typed guest nickname
+    showNicknameEntry(onDone, auth = null) {
         // Create simple centered modal
         const overlay = document.createElement('div');
         overlay.id = 'nicknameOverlay';
@@ -642,27 +674,110 @@ export class GameUI {
         panel.style.boxShadow = '0 10px 40px rgba(0,0,0,0.5)';
         panel.style.fontFamily = 'Arial, sans-serif';
         panel.style.color = 'white';
-        panel.innerHTML = `
-          <div style="font-size:22px; font-weight:700; margin-bottom:12px;">Enter nickname</div>
-          <input id="nicknameInput" type="text" maxlength="16" placeholder="Your name" 
-            style="width:100%; padding:12px 14px; border-radius:8px; border:1px solid rgba(255,255,255,0.2); background:rgba(255,255,255,0.08); color:white; outline:none; font-size:16px;">
-          <button id="nicknameBtn" style="margin-top:14px; width:100%; padding:10px 14px; border:none; border-radius:8px; background:#2b6cff; color:white; font-weight:700; cursor:pointer;">Continue</button>
-        `;
         overlay.appendChild(panel);
         document.body.appendChild(overlay);
 
-        const input = panel.querySelector('#nicknameInput');
-        const btn = panel.querySelector('#nicknameBtn');
-        if (input) input.focus();
+        const inputStyle = 'width:100%; padding:12px 14px; border-radius:8px; border:1px solid rgba(255,255,255,0.2); background:rgba(255,255,255,0.08); color:white; outline:none; font-size:16px;';
+        const buttonStyle = (bg) => `margin-top:14px; width:100%; padding:10px 14px; border:none; border-radius:8px; background:${bg}; color:white; font-weight:700; cursor:pointer;`;
 
-        const finish = () => {
-            const raw = (input?.value || '').trim();
-            const name = raw || `Player_${Math.random().toString(36).slice(2,6)}`;
+        const close = (name) => {
             if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
             if (typeof onDone === 'function') onDone(name);
         };
-        btn?.addEventListener('click', finish);
-        input?.addEventListener('keydown', (e) => { if (e.key === 'Enter') finish(); });
+
+        const render = () => {
+            if (auth && auth.isLoggedIn) {
+                panel.innerHTML = `
+                  <div style="font-size:22px; font-weight:700; margin-bottom:12px;">Welcome back</div>
+                  <div style="opacity:0.85;">Signed in as <b id="accountName"></b></div>
+                  <button id="nicknameBtn" style="${buttonStyle('#2b6cff')}">Continue</button>
+                  <button id="logoutBtn" style="${buttonStyle('rgba(255,255,255,0.12)')}">Log out</button>
+                `;
+                panel.querySelector('#accountName').textContent = auth.account.username;
+                const btn = panel.querySelector('#nicknameBtn');
+                btn.focus();
+                btn.addEventListener('click', () => close(auth.account.username));
+                panel.querySelector('#logoutBtn').addEventListener('click', () => { auth.logout(); render(); });
+                return;
+            }
+
+            panel.innerHTML = `
+              <div style="font-size:22px; font-weight:700; margin-bottom:12px;">Enter nickname</div>
+              <input id="nicknameInput" type="text" maxlength="16" placeholder="Your name" style="${inputStyle}">
+              <button id="nicknameBtn" style="${buttonStyle('#2b6cff')}">Continue</button>
+              ${auth ? `
+              <div style="margin:18px 0 10px; border-top:1px solid rgba(255,255,255,0.15); padding-top:14px; font-weight:700;">Or sign in to keep your name</div>
+              <input id="accountUser" type="text" maxlength="16" placeholder="Username" autocomplete="username" style="${inputStyle}">
+              <input id="accountPass" type="password" maxlength="72" placeholder="Password" autocomplete="current-password" style="${inputStyle} margin-top:8px;">
+              <div id="accountError" style="min-height:18px; margin-top:8px; color:#ff7777; font-size:13px;"></div>
+              <div style="display:flex; gap:8px;">
+                <button id="loginBtn" style="${buttonStyle('#37b36b')} margin-top:4px;">Log in</button>
+                <button id="registerBtn" style="${buttonStyle('rgba(255,255,255,0.12)')} margin-top:4px;">Register</button>
+              </div>` : ''}
+            `;
+
+            const input = panel.querySelector('#nicknameInput');
+            const btn = panel.querySelector('#nicknameBtn');
+            if (input) input.focus();
+
+            const finish = () => {
+                const raw = (input?.value || '').trim();
+                close(raw || `Player_${Math.random().toString(36).slice(2,6)}`);
+            };
+            btn?.addEventListener('click', finish);
+            input?.addEventListener('keydown', (e) => { if (e.key === 'Enter') finish(); });
+
+            if (!auth) return;
+            const user = panel.querySelector('#accountUser');
+            const pass = panel.querySelector('#accountPass');
+            const error = panel.querySelector('#accountError');
+            const submit = async (action) => {
+                error.textContent = '';
+                try {
+                    await action(user.value.trim(), pass.value);
+                    render();
+                } catch (e) {
+                    error.textContent = e.message;
+                }
+            };
+            panel.querySelector('#loginBtn').addEventListener('click', () => submit((u, p) => auth.login(u, p)));
+            panel.querySelector('#registerBtn').addEventListener('click', () => submit((u, p) => auth.register(u, p)));
+            pass.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit((u, p) => auth.login(u, p)); });
+        };
+        render();
+    }
+
+    // ===== Ability HUD (above boost segments) =====
+    updateAbilityHud(ability, cooldownRemainingMs = 0, active = false) {
+        let el = document.getElementById('abilityHud');
+        if (!ability) {
+            if (el) el.style.display = 'none';
+            return;
+        }
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'abilityHud';
+            el.style.position = 'fixed';
+            el.style.left = '50%';
+            el.style.bottom = '44px';
+            el.style.transform = 'translateX(-50%)';
+            el.style.padding = '4px 10px';
+            el.style.borderRadius = '6px';
+            el.style.fontFamily = 'Arial, sans-serif';
+            el.style.fontSize = '13px';
+            el.style.fontWeight = '700';
+            el.style.color = 'white';
+            el.style.zIndex = '1400';
+            el.style.pointerEvents = 'none';
+            document.body.appendChild(el);
+        }
+        el.style.display = 'block';
+        const ready = cooldownRemainingMs <= 0;
+        const label = active ? 'ACTIVE' : (ready ? 'READY' : `${Math.ceil(cooldownRemainingMs / 1000)}s`);
+        const text = `[E] ${ability.name} · ${label}`;
+        if (el.textContent !== text) el.textContent = text;
+        el.style.background = active ? 'rgba(255,120,0,0.75)' : (ready ? 'rgba(55,255,177,0.35)' : 'rgba(0,0,0,0.45)');
+        el.style.border = `1px solid ${ready || active ? 'rgba(255,255,255,0.75)' : 'rgba(255,255,255,0.25)'}`;
     }
 
     // ===== Boost HUD =====
@@ -790,9 +905,10 @@ export class GameUI {
         grid.style.gridTemplateColumns = 'repeat(3, 1fr)';
         grid.style.gap = '12px';
 
-        const opts = ['sport','balanced','tank'];
+        const opts = Object.keys(vehicles || {});
         opts.forEach((id) => {
             const v = vehicles?.[id];
+            const ability = getVehicleAbility(v);
             const card = document.createElement('button');
             card.type = 'button';
             card.style.background = 'rgba(255,255,255,0.06)';
@@ -810,6 +926,7 @@ export class GameUI {
                   <div style="font-weight:700; margin-bottom:6px;">${v?.name || id}</div>
                   <div style="font-size:12px; opacity:.85; margin-bottom:8px;">${v?.description || ''}</div>
                   <div style="font-size:12px; opacity:.8;">HP: ${v?.maxHealth ?? 100} · MaxSpeed: ${v?.maxSpeed ?? 45}</div>
+                  ${ability ? `<div style="font-size:12px; margin-top:6px; color:#37ffb1;">[E] ${ability.name}: ${ability.description}</div>` : ''}
                 </div>
               </div>
             `;
@@ -823,7 +940,428 @@ export class GameUI {
         overlay.appendChild(panel);
         document.body.appendChild(overlay);
     }
+
+    // ===== Lobby (room browser) =====
+    // fetchRooms() resolves to the GET /api/rooms list, refreshed while the lobby is open.
+    // onChoose({ roomId, mode }) joins a listed room (or the main arena, or a private room by
+    // invite code); onChoose({ create: { name, mode, maxPlayers, private, password, rules } }) opens a new one;
+    // onChoose({ queue: mode }) waits in matchmaking for a ranked room.
+    showLobby(fetchRooms, onChoose) {
+        const overlay = document.createElement('div');
+        overlay.id = 'lobbyOverlay';
+        overlay.style.position = 'fixed';
+        overlay.style.inset = '0';
+        overlay.style.display = 'flex';
+        overlay.style.alignItems = 'center';
+        overlay.style.justifyContent = 'center';
+        overlay.style.background = 'rgba(0,0,0,0.55)';
+        overlay.style.zIndex = '3000';
+
+        const panel = document.createElement('div');
+        panel.style.background = 'rgba(20,22,28,0.95)';
+        panel.style.border = '1px solid rgba(255,255,255,0.15)';
+        panel.style.borderRadius = '12px';
+        panel.style.padding = '22px';
+        panel.style.width = '640px';
+        panel.style.boxShadow = '0 10px 40px rgba(0,0,0,0.5)';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.color = 'white';
+        overlay.appendChild(panel);
+
+        const buttonStyle = (bg) => `padding:8px 14px; border:none; border-radius:8px; background:${bg}; color:white; font-weight:700; cursor:pointer;`;
+        const fieldStyle = 'padding:8px 10px; border-radius:8px; border:1px solid rgba(255,255,255,0.2); background:rgba(255,255,255,0.08); color:white; outline:none; font-size:14px;';
+        const range = (min, max) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+        const options = (values, selected, label) => values
+            .map(v => `<option value="${v}" style="color:black;"${v === selected ? ' selected' : ''}>${label(v)}</option>`).join('');
+        panel.innerHTML = `
+          <div style="display:flex; align-items:center; justify-content:space-between; margin-bottom:14px;">
+            <div style="font-size:22px; font-weight:700;">Choose a room</div>
+            <div style="display:flex; gap:8px;">
+              <select data-role="rankedMode" title="Ranked mode" style="${fieldStyle}">
+                ${GAME_MODES.map(mode => `<option value="${mode}" style="color:black;">${MODE_NAMES[mode]}</option>`).join('')}
+              </select>
+              <button type="button" data-role="ranked" style="${buttonStyle('#e65100')}">Ranked</button>
+              <button type="button" data-role="replays" title="Watch recorded rounds" style="${buttonStyle('#455a64')}">Replays</button>
+              <button type="button" data-role="practice" title="Drive against training dummies, offline" style="${buttonStyle('#455a64')}">Practice</button>
+              <button type="button" data-role="quick" style="${buttonStyle('#2e7d32')}">Quick play</button>
+            </div>
+          </div>
+          <div data-role="rooms" style="max-height:260px; overflow-y:auto; margin-bottom:16px;"></div>
+          <div style="font-weight:700; margin-bottom:8px;">Create a room</div>
+          <form data-role="create" style="display:flex; gap:8px; align-items:center;">
+            <input data-role="name" type="text" maxlength="${ROOM_LIMITS.nameMaxLength}" placeholder="Room name" style="${fieldStyle} flex:1;" />
+            <select data-role="mode" style="${fieldStyle}">
+              ${GAME_MODES.map(mode => `<option value="${mode}" style="color:black;">${MODE_NAMES[mode]}</option>`).join('')}
+            </select>
+            <select data-role="max" title="Max players" style="${fieldStyle}">
+              ${Array.from({ length: ROOM_LIMITS.maxPlayers - ROOM_LIMITS.minPlayers + 1 }, (_, i) => ROOM_LIMITS.maxPlayers - i)
+                  .map(n => `<option value="${n}" style="color:black;">${n} players</option>`).join('')}
+            </select>
+            <button type="submit" style="${buttonStyle('#1565c0')}">Create</button>
+          </form>
+          <div style="display:flex; gap:8px; align-items:center; margin-top:8px; font-size:14px;">
+            <label style="display:flex; gap:6px; align-items:center; cursor:pointer;">
+              <input data-role="private" type="checkbox" /> Private (invite only)
+            </label>
+            <input data-role="password" type="password" maxlength="${ROOM_LIMITS.passwordMaxLength}" placeholder="Password (optional)" style="${fieldStyle} display:none;" />
+            <form data-role="code" style="display:flex; gap:8px; margin-left:auto;">
+              <input data-role="codeInput" type="text" maxlength="${INVITE_CODE_LENGTH}" placeholder="Invite code" style="${fieldStyle} width:110px; text-transform:uppercase;" />
+              <button type="submit" style="${buttonStyle('#6a1b9a')}">Join</button>
+            </form>
+          </div>
+          <details style="margin-top:8px; font-size:14px;">
+            <summary style="cursor:pointer; opacity:0.85;">Rules and mutators</summary>
+            <div style="display:grid; grid-template-columns:repeat(3, 1fr); gap:8px; margin-top:8px;">
+              <select data-rule="roundMinutes" title="Round length" style="${fieldStyle}">
+                ${options(range(RULE_LIMITS.minRoundMinutes, RULE_LIMITS.maxRoundMinutes), DEFAULT_RULES.roundMinutes, v => `${v} min rounds`)}
+              </select>
+              <select data-rule="respawnSeconds" title="Respawn delay" style="${fieldStyle}">
+                ${options(range(RULE_LIMITS.minRespawnSeconds, RULE_LIMITS.maxRespawnSeconds), DEFAULT_RULES.respawnSeconds, v => `${v}s respawn`)}
+              </select>
+              <select data-rule="spawnProtectionSeconds" title="Spawn protection" style="${fieldStyle}">
+                ${options(range(0, RULE_LIMITS.maxSpawnProtectionSeconds), DEFAULT_RULES.spawnProtectionSeconds, v => `${v}s spawn protection`)}
+              </select>
+              <select data-rule="damageMultiplier" title="Damage" style="${fieldStyle}">
+                ${options(RULE_LIMITS.damageMultipliers, DEFAULT_RULES.damageMultiplier, v => `Damage ×${v}`)}
+              </select>
+              <select data-rule="powerupRate" title="Powerups" style="${fieldStyle}">
+                ${options(Object.keys(POWERUP_RATES), DEFAULT_RULES.powerupRate, v => `Powerups: ${v}`)}
+              </select>
+              <select data-rule="bots" title="Bots fill the room while it is short of players" style="${fieldStyle}">
+                ${options(BOT_LEVELS, DEFAULT_RULES.bots, v => `Bots: ${v}`)}
+              </select>
+              <div style="display:flex; flex-direction:column; justify-content:center; gap:2px;">
+                <label style="cursor:pointer;"><input data-rule="headshots" type="checkbox"${DEFAULT_RULES.headshots ? ' checked' : ''} /> Headshots</label>
+                <label style="cursor:pointer;"><input data-rule="monster" type="checkbox"${DEFAULT_RULES.monster ? ' checked' : ''} /> Monster</label>
+              </div>
+            </div>
+            <div style="display:flex; gap:14px; flex-wrap:wrap; margin-top:8px;">
+              ${Object.entries(MUTATORS).map(([id, mutator]) => `
+                <label title="${mutator.description}" style="cursor:pointer;"><input data-mutator="${id}" type="checkbox" /> ${mutator.name}</label>`).join('')}
+            </div>
+          </details>
+          <div data-role="error" style="min-height:18px; margin-top:8px; font-size:13px; color:#ff6b6b;"></div>
+        `;
+        const list = panel.querySelector('[data-role="rooms"]');
+        const form = panel.querySelector('[data-role="create"]');
+        const nameInput = panel.querySelector('[data-role="name"]');
+        const errorEl = panel.querySelector('[data-role="error"]');
+        const privateInput = panel.querySelector('[data-role="private"]');
+        const passwordInput = panel.querySelector('[data-role="password"]');
+        privateInput.addEventListener('change', () => {
+            passwordInput.style.display = privateInput.checked ? '' : 'none';
+        });
+
+        let refreshTimer = null;
+        const close = (choice) => {
+            clearInterval(refreshTimer);
+            if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+            if (typeof onChoose === 'function') onChoose(choice);
+        };
+        const formatTime = (ms) => {
+            if (ms === null || ms === undefined) return '';
+            const seconds = Math.ceil(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        const phaseLabel = { waiting: 'Waiting', playing: 'In round', roundEnd: 'Intermission' };
+
+        // Room names are player-chosen: rendered as text only
+        const renderRooms = (rooms) => {
+            list.innerHTML = '';
+            if (!rooms.length) {
+                const empty = document.createElement('div');
+                empty.textContent = 'No rooms yet. Quick play or create one below.';
+                empty.style.opacity = '0.7';
+                empty.style.padding = '10px 0';
+                list.appendChild(empty);
+                return;
+            }
+            rooms.forEach(room => {
+                const full = room.players >= room.maxPlayers;
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '12px';
+                row.style.padding = '8px 10px';
+                row.style.marginBottom = '6px';
+                row.style.borderRadius = '8px';
+                row.style.background = 'rgba(255,255,255,0.06)';
+                const info = document.createElement('div');
+                info.style.flex = '1';
+                const name = document.createElement('div');
+                name.style.fontWeight = '700';
+                name.textContent = room.name;
+                const details = document.createElement('div');
+                details.style.fontSize = '12px';
+                details.style.opacity = '0.8';
+                const time = formatTime(room.timeRemainingMs);
+                details.textContent = `${MODE_NAMES[room.mode] || room.mode} · ${phaseLabel[room.phase] || room.phase}${time ? ` · ${time}` : ''}`;
+                if (room.ruleLabels?.length) details.textContent += ` · ${room.ruleLabels.join(', ')}`;
+                info.appendChild(name);
+                info.appendChild(details);
+                const count = document.createElement('div');
+                count.textContent = `${room.players}/${room.maxPlayers}`;
+                count.style.fontWeight = '700';
+                const join = document.createElement('button');
+                join.type = 'button';
+                join.textContent = full ? 'Full' : 'Join';
+                join.disabled = full;
+                join.style.cssText = buttonStyle(full ? '#555' : '#2e7d32');
+                if (full) join.style.cursor = 'default';
+                join.addEventListener('click', () => close({ roomId: room.roomId, mode: room.mode }));
+                row.appendChild(info);
+                row.appendChild(count);
+                row.appendChild(join);
+                list.appendChild(row);
+            });
+        };
+        const refresh = () => Promise.resolve(fetchRooms()).then(renderRooms).catch(() => {});
+        // The server validates these again (normalizeRoomRules)
+        const readRules = () => {
+            const rule = (id) => panel.querySelector(`[data-rule="${id}"]`);
+            return {
+                roundMinutes: Number(rule('roundMinutes').value),
+                respawnSeconds: Number(rule('respawnSeconds').value),
+                spawnProtectionSeconds: Number(rule('spawnProtectionSeconds').value),
+                damageMultiplier: Number(rule('damageMultiplier').value),
+                powerupRate: rule('powerupRate').value,
+                bots: rule('bots').value,
+                headshots: rule('headshots').checked,
+                monster: rule('monster').checked,
+                mutators: Array.from(panel.querySelectorAll('[data-mutator]:checked')).map(input => input.dataset.mutator)
+            };
+        };
+
+        panel.querySelector('[data-role="quick"]').addEventListener('click', () => close({ roomId: 'default', mode: 'deathmatch' }));
+        panel.querySelector('[data-role="practice"]').addEventListener('click', () => close({ practice: true }));
+        panel.querySelector('[data-role="replays"]').addEventListener('click', () => close({ replays: true }));
+        panel.querySelector('[data-role="ranked"]').addEventListener('click', () => close({ queue: panel.querySelector('[data-role="rankedMode"]').value }));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = nameInput.value.trim();
+            if (!name) {
+                errorEl.textContent = 'Give your room a name';
+                nameInput.focus();
+                return;
+            }
+            close({
+                create: {
+                    name,
+                    mode: panel.querySelector('[data-role="mode"]').value,
+                    maxPlayers: Number(panel.querySelector('[data-role="max"]').value),
+                    private: privateInput.checked,
+                    password: privateInput.checked ? passwordInput.value : '',
+                    rules: readRules()
+                }
+            });
+        });
+        panel.querySelector('[data-role="code"]').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const codeInput = panel.querySelector('[data-role="codeInput"]');
+            const code = normalizeInviteCode(codeInput.value);
+            if (!code) {
+                errorEl.textContent = `Invite codes are ${INVITE_CODE_LENGTH} letters and digits`;
+                codeInput.focus();
+                return;
+            }
+            close({ roomId: code });
+        });
+
+        document.body.appendChild(overlay);
+        refresh();
+        refreshTimer = setInterval(refresh, 3000);
+    }
     
+    // ===== Matchmaking =====
+    // Queue banner while waiting for a ranked match; status is the server's queueStatus
+    showQueueStatus(status, onCancel) {
+        let el = document.getElementById('queueStatus');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'queueStatus';
+            el.style.position = 'fixed';
+            el.style.top = '90px';
+            el.style.left = '50%';
+            el.style.transform = 'translateX(-50%)';
+            el.style.display = 'flex';
+            el.style.alignItems = 'center';
+            el.style.gap = '12px';
+            el.style.padding = '8px 14px';
+            el.style.borderRadius = '10px';
+            el.style.background = 'rgba(0,0,0,0.6)';
+            el.style.border = '1px solid rgba(230,81,0,0.7)';
+            el.style.color = 'white';
+            el.style.fontFamily = 'Arial, sans-serif';
+            el.style.fontSize = '14px';
+            el.style.zIndex = '1900';
+            el.innerHTML = '<div data-role="text"></div><button type="button" style="padding:4px 10px; border:none; border-radius:6px; background:#555; color:white; font-weight:700; cursor:pointer;">Cancel</button>';
+            document.body.appendChild(el);
+        }
+        // Rebind so the latest callback wins
+        el.querySelector('button').onclick = () => {
+            this.hideQueueStatus();
+            if (typeof onCancel === 'function') onCancel();
+        };
+        const seconds = Math.floor(status.waitMs / 1000);
+        el.querySelector('[data-role="text"]').textContent =
+            `🔎 Finding a ranked ${MODE_NAMES[status.mode] || status.mode} match · ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` +
+            ` · rating ${status.rating} ±${status.range} · ${status.queued} in queue`;
+    }
+
+    hideQueueStatus() {
+        const el = document.getElementById('queueStatus');
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
+
+    // ===== Private rooms =====
+    // Password prompt for a private room; onSubmit(password) retries the join, onCancel gives up
+    promptRoomPassword(message, onSubmit, onCancel) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position:fixed; inset:0; display:flex; align-items:center; justify-content:center; background:rgba(0,0,0,0.55); z-index:3000;';
+        const buttonStyle = (bg) => `padding:8px 14px; border:none; border-radius:8px; background:${bg}; color:white; font-weight:700; cursor:pointer;`;
+        overlay.innerHTML = `
+          <form style="background:rgba(20,22,28,0.95); border:1px solid rgba(255,255,255,0.15); border-radius:12px; padding:22px; width:340px; font-family:Arial, sans-serif; color:white;">
+            <div style="font-size:20px; font-weight:700; margin-bottom:6px;">Private room</div>
+            <div data-role="message" style="font-size:13px; opacity:0.85; margin-bottom:12px;"></div>
+            <input data-role="password" type="password" maxlength="${ROOM_LIMITS.passwordMaxLength}" placeholder="Password" style="width:100%; box-sizing:border-box; padding:10px 12px; border-radius:8px; border:1px solid rgba(255,255,255,0.2); background:rgba(255,255,255,0.08); color:white; outline:none; font-size:14px;" />
+            <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:14px;">
+              <button type="button" data-role="cancel" style="${buttonStyle('#555')}">Main arena</button>
+              <button type="submit" style="${buttonStyle('#1565c0')}">Join</button>
+            </div>
+          </form>
+        `;
+        overlay.querySelector('[data-role="message"]').textContent = message;
+        const input = overlay.querySelector('[data-role="password"]');
+        const close = () => { if (overlay.parentNode) overlay.parentNode.removeChild(overlay); };
+        overlay.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            close();
+            if (typeof onSubmit === 'function') onSubmit(input.value);
+        });
+        overlay.querySelector('[data-role="cancel"]').addEventListener('click', () => {
+            close();
+            if (typeof onCancel === 'function') onCancel();
+        });
+        document.body.appendChild(overlay);
+        setTimeout(() => input.focus(), 0);
+    }
+
+    // Room panel (P): invite link for everyone; the host also gets Kick buttons and the
+    // room settings. players: [{ id, name }]; handlers: { onKick(id), onSave(settings) }.
+    // Redrawn in place when the settings or roster change while it is open.
+    showRoomPanel(room, players, myId, handlers = {}) {
+        this.hideRoomPanel();
+        if (!room) return;
+        const isHost = room.hostId === myId;
+        const panel = document.createElement('div');
+        panel.id = 'roomPanel';
+        panel.style.position = 'fixed';
+        panel.style.top = '90px';
+        panel.style.right = '20px';
+        panel.style.width = '320px';
+        panel.style.padding = '16px';
+        panel.style.borderRadius = '12px';
+        panel.style.background = 'rgba(20,22,28,0.92)';
+        panel.style.border = '1px solid rgba(255,255,255,0.15)';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.fontSize = '14px';
+        panel.style.color = 'white';
+        panel.style.zIndex = '2200';
+
+        const buttonStyle = (bg) => `padding:4px 10px; border:none; border-radius:6px; background:${bg}; color:white; font-weight:700; cursor:pointer;`;
+        const fieldStyle = 'padding:4px 6px; border-radius:6px; border:1px solid rgba(255,255,255,0.2); background:rgba(255,255,255,0.08); color:white;';
+        const option = (value, label, selected) => `<option value="${value}" style="color:black;"${selected ? ' selected' : ''}>${label}</option>`;
+        const inviteLink = `${window.location.origin}/?room=${room.inviteCode}`;
+        panel.innerHTML = `
+          <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
+            <div data-role="name" style="font-size:18px; font-weight:700;"></div>
+            <div style="font-size:12px; opacity:0.7;">P to close</div>
+          </div>
+          <div style="margin-bottom:4px;">Invite code <b style="letter-spacing:2px;">${room.inviteCode}</b>${room.hasPassword ? ' · 🔒 password' : ''}</div>
+          <div style="display:flex; gap:6px; margin-bottom:12px;">
+            <input data-role="link" type="text" readonly value="${inviteLink}" style="${fieldStyle} flex:1;" />
+            <button type="button" data-role="copy" style="${buttonStyle('#1565c0')}">Copy</button>
+          </div>
+          <div style="font-weight:700; margin-bottom:4px;">Players</div>
+          <div data-role="players" style="margin-bottom:12px;"></div>
+          ${isHost ? `
+          <form data-role="settings" style="display:grid; grid-template-columns:auto 1fr; gap:6px 10px; align-items:center;">
+            <span>Mode</span>
+            <select data-role="mode" style="${fieldStyle}">${GAME_MODES.map(mode => option(mode, MODE_NAMES[mode], mode === (room.pendingMode || room.mode))).join('')}</select>
+            <span>Max players</span>
+            <select data-role="max" style="${fieldStyle}">${Array.from({ length: ROOM_LIMITS.maxPlayers - ROOM_LIMITS.minPlayers + 1 }, (_, i) => ROOM_LIMITS.minPlayers + i)
+                .map(n => option(n, n, n === room.maxPlayers)).join('')}</select>
+            <span>Friendly fire</span>
+            <select data-role="friendlyFire" style="${fieldStyle}">${Object.keys(FRIENDLY_FIRE).map(ff => option(ff, ff, ff === room.friendlyFire)).join('')}</select>
+            <span>Round</span>
+            <select data-role="roundMinutes" style="${fieldStyle}">${Array.from({ length: ROOM_LIMITS.maxRoundMinutes - ROOM_LIMITS.minRoundMinutes + 1 }, (_, i) => ROOM_LIMITS.minRoundMinutes + i)
+                .map(n => option(n, `${n} min`, n === room.roundMinutes)).join('')}</select>
+            <span></span>
+            <button type="submit" style="${buttonStyle('#2e7d32')}">Apply</button>
+          </form>
+          <div style="font-size:12px; opacity:0.7; margin-top:6px;">Mode and round length apply from the next round.</div>` : ''}
+          ${room.pendingMode ? `<div style="font-size:12px; color:#ffd700; margin-top:6px;">Next round: ${MODE_NAMES[room.pendingMode]}</div>` : ''}
+          <div data-role="error" style="min-height:16px; margin-top:6px; font-size:12px; color:#ff6b6b;"></div>
+        `;
+        // Room and player names are player-chosen: text only
+        panel.querySelector('[data-role="name"]').textContent = room.name;
+        const list = panel.querySelector('[data-role="players"]');
+        players.forEach(player => {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.alignItems = 'center';
+            row.style.padding = '3px 0';
+            const name = document.createElement('span');
+            name.textContent = `${player.id === room.hostId ? '👑 ' : ''}${player.name}${player.id === myId ? ' (you)' : ''}`;
+            row.appendChild(name);
+            if (isHost && player.id !== myId) {
+                const kick = document.createElement('button');
+                kick.type = 'button';
+                kick.textContent = 'Kick';
+                kick.style.cssText = buttonStyle('#c62828');
+                kick.addEventListener('click', () => { if (handlers.onKick) handlers.onKick(player.id); });
+                row.appendChild(kick);
+            }
+            list.appendChild(row);
+        });
+        const linkInput = panel.querySelector('[data-role="link"]');
+        panel.querySelector('[data-role="copy"]').addEventListener('click', () => {
+            const copied = navigator.clipboard ? navigator.clipboard.writeText(inviteLink) : Promise.reject();
+            copied.catch(() => { linkInput.select(); document.execCommand('copy'); });
+        });
+        const form = panel.querySelector('[data-role="settings"]');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const value = (role) => form.querySelector(`[data-role="${role}"]`).value;
+                if (handlers.onSave) {
+                    handlers.onSave({
+                        mode: value('mode'),
+                        maxPlayers: Number(value('max')),
+                        friendlyFire: value('friendlyFire'),
+                        roundMinutes: Number(value('roundMinutes'))
+                    });
+                }
+            });
+        }
+        document.body.appendChild(panel);
+    }
+
+    showRoomPanelError(message) {
+        const el = document.querySelector('#roomPanel [data-role="error"]');
+        if (el) el.textContent = message;
+    }
+
+    isRoomPanelOpen() {
+        return !!document.getElementById('roomPanel');
+    }
+
+    hideRoomPanel() {
+        const el = document.getElementById('roomPanel');
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
+
     showDebugInfo(info) {
         // Create or update debug info display
         let debugElement = document.getElementById('debugInfo');
@@ -847,6 +1385,8 @@ export class GameUI {
     }
 
     // ===== Round scoreboard (TAB) =====
+    // Entries carrying a `team` (team rooms) add per-team totals and colour-coded names;
+    // entries carrying `goals` (soccer rooms) add a Goals column
     showScoreboard(leaderboard = []) {
         let el = document.getElementById('scoreboardOverlay');
         if (!el) {
@@ -871,21 +1411,32 @@ export class GameUI {
         panel.style.color = 'white';
         panel.style.fontFamily = 'Arial, sans-serif';
         panel.style.boxShadow = '0 10px 28px rgba(0,0,0,0.55)';
+        const teamColor = (team) => `#${TEAMS[team].color.toString(16).padStart(6, '0')}`;
+        const hasTeams = leaderboard.some(p => TEAMS[p.team]);
+        const hasGoals = leaderboard.some(p => p.goals !== undefined);
+        const teamTotals = hasTeams ? getTeamTotals(leaderboard).map(t => `
+            <div style="flex:1; padding:8px 12px; border-radius:8px; background:rgba(255,255,255,0.06); border-left:4px solid ${teamColor(t.team)};">
+              <div style="font-weight:700; color:${teamColor(t.team)};">${TEAMS[t.team].name} · ${t.players}</div>
+              <div style="font-size:13px; opacity:.9;">Kills ${t.kills} · Deaths ${t.deaths} · Damage ${t.damageDealt}</div>
+            </div>`).join('') : '';
         const rows = leaderboard.map((p, i) => `
             <tr style="border-bottom:1px solid rgba(255,255,255,0.12)">
               <td style="padding:6px 10px; opacity:.85;">${i+1}</td>
-              <td style="padding:6px 10px">${p.playerName || p.name || 'Player'}</td>
+              <td style="padding:6px 10px;${TEAMS[p.team] ? ` color:${teamColor(p.team)};` : ''}">${p.playerName || p.name || 'Player'}</td>
+              ${hasGoals ? `<td style="padding:6px 10px; text-align:center">${p.goals ?? 0}</td>` : ''}
               <td style="padding:6px 10px; text-align:center">${p.kills ?? 0}</td>
               <td style="padding:6px 10px; text-align:center">${p.deaths ?? 0}</td>
               <td style="padding:6px 10px; text-align:center">${p.damageDealt ?? 0}</td>
             </tr>`).join('');
         panel.innerHTML = `
           <div style="font-weight:700; font-size:18px; margin-bottom:8px;">Scoreboard</div>
+          ${teamTotals ? `<div style="display:flex; gap:10px; margin-bottom:10px;">${teamTotals}</div>` : ''}
           <table style="width:100%; border-collapse:collapse; font-size:14px;">
             <thead>
               <tr style="border-bottom:2px solid rgba(255,255,255,0.25)">
                 <th style="text-align:left; padding:6px 10px; width:56px;">#</th>
                 <th style="text-align:left; padding:6px 10px;">Player</th>
+                ${hasGoals ? '<th style="text-align:center; padding:6px 10px; width:72px;">Goals</th>' : ''}
                 <th style="text-align:center; padding:6px 10px; width:72px;">Kills</th>
                 <th style="text-align:center; padding:6px 10px; width:80px;">Deaths</th>
                 <th style="text-align:center; padding:6px 10px; width:96px;">Damage</th>
@@ -976,4 +1527,415 @@ export class GameUI {
         document.body.appendChild(el);
         setTimeout(() => { if (el.parentNode) el.parentNode.removeChild(el); }, 1300);
     }
-} 
\ No newline at end of file
+
+    // ===== Last Car Standing =====
+    // Centred announcement (round start, eliminations, round winner); replaces any current one
+    showRoundBanner(title, subtitle = '', durationMs = 3000) {
+        let el = document.getElementById('roundBanner');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'roundBanner';
+            el.style.position = 'fixed';
+            el.style.left = '50%';
+            el.style.top = '22%';
+            el.style.transform = 'translateX(-50%)';
+            el.style.padding = '10px 18px';
+            el.style.borderRadius = '12px';
+            el.style.background = 'rgba(0,0,0,0.6)';
+            el.style.border = '1px solid rgba(255,215,0,0.5)';
+            el.style.color = 'white';
+            el.style.fontFamily = 'Arial, sans-serif';
+            el.style.textAlign = 'center';
+            el.style.zIndex = '1900';
+            el.style.pointerEvents = 'none';
+            document.body.appendChild(el);
+        }
+        // Text only: titles carry player names
+        el.innerHTML = '<div style="font-size: 1.6rem; font-weight: bold; color: #ffd700;"></div><div style="font-size: 1rem; margin-top: 4px;"></div>';
+        el.firstChild.textContent = title;
+        el.lastChild.textContent = subtitle;
+        clearTimeout(this._roundBannerTimer);
+        this._roundBannerTimer = setTimeout(() => { if (el.parentNode) el.parentNode.removeChild(el); }, durationMs);
+    }
+
+    // Team scores under the stats HUD (flag captures, or goals with a ⚽ icon); target shows "first to N"
+    updateTeamScores(scores, target = null, icon = '🚩') {
+        let el = document.getElementById('teamScoreHud');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'teamScoreHud';
+            el.style.position = 'fixed';
+            el.style.top = '52px';
+            el.style.left = '50%';
+            el.style.transform = 'translateX(-50%)';
+            el.style.padding = '4px 12px';
+            el.style.borderRadius = '10px';
+            el.style.background = 'rgba(0,0,0,0.45)';
+            el.style.border = '1px solid rgba(255,255,255,0.25)';
+            el.style.fontFamily = 'Arial, sans-serif';
+            el.style.fontSize = '16px';
+            el.style.fontWeight = 'bold';
+            el.style.zIndex = '1400';
+            document.body.appendChild(el);
+        }
+        if (target) this._teamScoreTarget = target;
+        const color = (team) => `#${TEAMS[team].color.toString(16).padStart(6, '0')}`;
+        el.innerHTML = `<span style="color:${color('red')}">${icon} ${scores?.red ?? 0}</span>` +
+            `<span style="color:white; opacity:.7; margin:0 8px;">${this._teamScoreTarget ? `first to ${this._teamScoreTarget}` : '–'}</span>` +
+            `<span style="color:${color('blue')}">${scores?.blue ?? 0} ${icon}</span>`;
+    }
+
+    hideTeamScores() {
+        const el = document.getElementById('teamScoreHud');
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
+
+    // King-of-the-hill HUD: who holds the zone, when it moves, and our points as a bar
+    // against the target with a marker for the leader
+    updateZoneHud(snapshot, myId) {
+        if (!snapshot) return;
+        let el = document.getElementById('zoneHud');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'zoneHud';
+            el.style.position = 'fixed';
+            el.style.top = '52px';
+            el.style.left = '50%';
+            el.style.transform = 'translateX(-50%)';
+            el.style.padding = '6px 12px';
+            el.style.borderRadius = '10px';
+            el.style.background = 'rgba(0,0,0,0.45)';
+            el.style.border = '1px solid rgba(255,255,255,0.25)';
+            el.style.color = 'white';
+            el.style.fontFamily = 'Arial, sans-serif';
+            el.style.fontSize = '13px';
+            el.style.textAlign = 'center';
+            el.style.zIndex = '1400';
+            el.innerHTML = `
+              <div class="zone-status" style="font-weight:bold; margin-bottom:4px;"></div>
+              <div style="position:relative; width:240px; height:10px; border-radius:5px; background:rgba(255,255,255,0.15); overflow:hidden;">
+                <div class="zone-mine" style="height:100%; width:0; background:#3ddc84;"></div>
+                <div class="zone-leader" style="position:absolute; top:0; bottom:0; width:2px; background:#ffd700;"></div>
+              </div>
+              <div class="zone-points" style="margin-top:3px; opacity:.85;"></div>`;
+            document.body.appendChild(el);
+        }
+        const scores = snapshot.scores || [];
+        const mine = scores.find(entry => entry.playerId === myId)?.points || 0;
+        const leader = scores[0];
+        const target = snapshot.scoreToWin || 1;
+        const secondsToMove = Math.max(0, Math.ceil((snapshot.rotateAt - Date.now()) / 1000));
+        let status = '👑 Zone empty';
+        if (snapshot.contested) status = '⚔️ Contested';
+        else if (snapshot.ownerId === myId) status = '👑 You hold the zone';
+        else if (snapshot.ownerId) status = `👑 ${scores.find(entry => entry.playerId === snapshot.ownerId)?.playerName || 'Someone'} holds the zone`;
+        el.querySelector('.zone-status').textContent = `${status} · ${snapshot.zone?.name || ''} (moves in ${secondsToMove}s)`;
+        el.querySelector('.zone-mine').style.width = `${Math.min(100, (mine / target) * 100)}%`;
+        el.querySelector('.zone-leader').style.left = `${Math.min(100, ((leader?.points || 0) / target) * 100)}%`;
+        el.querySelector('.zone-points').textContent = leader && leader.playerId !== myId
+            ? `You ${mine} / ${target} · Leader ${leader.playerName} ${leader.points}`
+            : `You ${mine} / ${target}`;
+    }
+
+    hideZoneHud() {
+        const el = document.getElementById('zoneHud');
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
+
+    // Bottom tag while eliminated and watching another car
+    showSpectating(targetName) {
+        let el = document.getElementById('spectatingHud');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'spectatingHud';
+            el.style.position = 'fixed';
+            el.style.left = '50%';
+            el.style.bottom = '130px';
+            el.style.transform = 'translateX(-50%)';
+            el.style.padding = '6px 12px';
+            el.style.borderRadius = '10px';
+            el.style.background = 'rgba(0,0,0,0.55)';
+            el.style.border = '1px solid rgba(255,255,255,0.25)';
+            el.style.color = 'white';
+            el.style.fontFamily = 'Arial, sans-serif';
+            el.style.fontSize = '14px';
+            el.style.zIndex = '1400';
+            document.body.appendChild(el);
+        }
+        el.textContent = targetName ? `👀 Spectating ${targetName} until the next round` : '👀 Spectating until the next round';
+    }
+
+    hideSpectating() {
+        const el = document.getElementById('spectatingHud');
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
+
+    // ===== Offline practice =====
+    // Hit breakdown against the training dummies, with a button that resets dummies and car
+    showPracticeHud(onReset) {
+        let el = document.getElementById('practiceHud');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'practiceHud';
+            el.style.position = 'fixed';
+            el.style.top = '120px';
+            el.style.right = '12px';
+            el.style.width = '200px';
+            el.style.padding = '10px 12px';
+            el.style.borderRadius = '10px';
+            el.style.background = 'rgba(0,0,0,0.55)';
+            el.style.border = '1px solid rgba(255,215,0,0.4)';
+            el.style.color = 'white';
+            el.style.fontFamily = 'Arial, sans-serif';
+            el.style.fontSize = '13px';
+            el.style.zIndex = '1400';
+            el.innerHTML = `
+              <div style="font-weight:bold; color:#ffd700; margin-bottom:6px;">🎯 Offline practice</div>
+              <div class="practice-hits" style="display:grid; grid-template-columns:1fr auto; gap:2px 8px;"></div>
+              <div class="practice-total" style="margin-top:6px; opacity:.85;"></div>
+              <div class="practice-last" style="margin-top:4px; min-height:16px; opacity:.85;"></div>
+              <button type="button" style="margin-top:8px; width:100%; padding:6px 0; border:none; border-radius:8px; background:#1565c0; color:white; font-weight:700; cursor:pointer;">Reset</button>`;
+            document.body.appendChild(el);
+        }
+        el.querySelector('button').onclick = (e) => {
+            e.currentTarget.blur(); // keep Space/Enter for driving
+            if (typeof onReset === 'function') onReset();
+        };
+    }
+
+    // breakdown: shared/practice.js createHitBreakdown()
+    updatePracticeHud(breakdown) {
+        const el = document.getElementById('practiceHud');
+        if (!el || !breakdown) return;
+        const labels = { headshot: '🎯 Headshots', side: '💥 Side', rear: '💥 Rear', medium: '💥 Medium', 'front-bumper': '🛡️ Blocked' };
+        el.querySelector('.practice-hits').innerHTML = Object.entries(labels)
+            .map(([type, label]) => `<span>${label}</span><span style="font-weight:bold; text-align:right;">${breakdown.hits[type] || 0}</span>`)
+            .join('');
+        el.querySelector('.practice-total').textContent = `Damage ${breakdown.damage} · Wrecked ${breakdown.destroyed}`;
+        const last = breakdown.last;
+        el.querySelector('.practice-last').textContent = last
+            ? `Last: ${labels[last.collisionType] || last.collisionType} for ${last.damage} at speed ${last.speed}`
+            : 'Ram a dummy to start';
+    }
+
+    hidePracticeHud() {
+        const el = document.getElementById('practiceHud');
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+    }
+
+    // ===== Replays =====
+    // Pick a saved round from the server or open a downloaded replay file. onOpen({ id } | { text })
+    // returns a promise; the browser closes once it resolves and shows the error if it rejects.
+    showReplayBrowser(fetchReplays, onOpen, onBack) {
+        const overlay = document.createElement('div');
+        overlay.id = 'replayBrowserOverlay';
+        overlay.style.position = 'fixed';
+        overlay.style.inset = '0';
+        overlay.style.display = 'flex';
+        overlay.style.alignItems = 'center';
+        overlay.style.justifyContent = 'center';
+        overlay.style.background = 'rgba(0,0,0,0.55)';
+        overlay.style.zIndex = '3000';
+
+        const panel = document.createElement('div');
+        panel.style.background = 'rgba(20,22,28,0.95)';
+        panel.style.border = '1px solid rgba(255,255,255,0.15)';
+        panel.style.borderRadius = '12px';
+        panel.style.padding = '22px';
+        panel.style.width = '560px';
+        panel.style.boxShadow = '0 10px 40px rgba(0,0,0,0.5)';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.color = 'white';
+        overlay.appendChild(panel);
+
+        const buttonStyle = (bg) => `padding:8px 14px; border:none; border-radius:8px; background:${bg}; color:white; font-weight:700; cursor:pointer;`;
+        panel.innerHTML = `
+          <div style="display:flex; align-items:center; justify-content:space-between; margin-bottom:14px;">
+            <div style="font-size:22px; font-weight:700;">Replays</div>
+            <div style="display:flex; gap:8px;">
+              <label style="${buttonStyle('#1565c0')}">Open file<input data-role="file" type="file" accept=".json,application/json" style="display:none;" /></label>
+              <button type="button" data-role="back" style="${buttonStyle('#555')}">Back</button>
+            </div>
+          </div>
+          <div data-role="list" style="max-height:320px; overflow-y:auto;"></div>
+          <div data-role="error" style="min-height:18px; margin-top:8px; font-size:13px; color:#ff6b6b;"></div>
+        `;
+        const list = panel.querySelector('[data-role="list"]');
+        const errorEl = panel.querySelector('[data-role="error"]');
+        const close = () => {
+            if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+        };
+        const open = (source) => {
+            errorEl.textContent = 'Loading…';
+            Promise.resolve(onOpen(source)).then(close).catch((e) => {
+                errorEl.textContent = e?.message || 'Could not open that replay';
+            });
+        };
+        const formatDuration = (ms) => {
+            const seconds = Math.round(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+
+        // Room and player names are player-chosen: rendered as text only
+        const renderReplays = (replays) => {
+            list.innerHTML = '';
+            if (!replays.length) {
+                const empty = document.createElement('div');
+                empty.textContent = 'No recorded rounds yet. Open a downloaded replay file instead.';
+                empty.style.opacity = '0.7';
+                empty.style.padding = '10px 0';
+                list.appendChild(empty);
+                return;
+            }
+            replays.forEach(replay => {
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '12px';
+                row.style.padding = '8px 10px';
+                row.style.marginBottom = '6px';
+                row.style.borderRadius = '8px';
+                row.style.background = 'rgba(255,255,255,0.06)';
+                const info = document.createElement('div');
+                info.style.flex = '1';
+                const name = document.createElement('div');
+                name.style.fontWeight = '700';
+                name.textContent = `${replay.roomName} · ${MODE_NAMES[replay.mode] || replay.mode}`;
+                const details = document.createElement('div');
+                details.style.fontSize = '12px';
+                details.style.opacity = '0.8';
+                details.textContent = `${new Date(replay.startedAt).toLocaleString()} · ${formatDuration(replay.durationMs)} · ${replay.players.join(', ')}`;
+                info.appendChild(name);
+                info.appendChild(details);
+                const watch = document.createElement('button');
+                watch.type = 'button';
+                watch.textContent = 'Watch';
+                watch.style.cssText = buttonStyle('#2e7d32');
+                watch.addEventListener('click', () => open({ id: replay.id }));
+                row.appendChild(info);
+                row.appendChild(watch);
+                list.appendChild(row);
+            });
+        };
+
+        panel.querySelector('[data-role="file"]').addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file) return;
+            file.text().then(text => open({ text }));
+            e.target.value = '';
+        });
+        panel.querySelector('[data-role="back"]').addEventListener('click', () => {
+            close();
+            if (typeof onBack === 'function') onBack();
+        });
+
+        document.body.appendChild(overlay);
+        Promise.resolve(fetchReplays()).then(renderReplays).catch(() => renderReplays([]));
+    }
+
+    // Playback bar: play/pause, a scrubber, speed and exit. handlers: { onToggle, onSeek(ms), onSpeed(x), onExit }
+    showReplayControls(replay, speeds, handlers = {}) {
+        this.hideReplayControls();
+        const el = document.createElement('div');
+        el.id = 'replayControls';
+        el.style.position = 'fixed';
+        el.style.left = '50%';
+        el.style.bottom = '24px';
+        el.style.transform = 'translateX(-50%)';
+        el.style.display = 'flex';
+        el.style.alignItems = 'center';
+        el.style.gap = '10px';
+        el.style.width = '640px';
+        el.style.padding = '8px 12px';
+        el.style.borderRadius = '10px';
+        el.style.background = 'rgba(0,0,0,0.6)';
+        el.style.border = '1px solid rgba(255,255,255,0.25)';
+        el.style.color = 'white';
+        el.style.fontFamily = 'Arial, sans-serif';
+        el.style.fontSize = '13px';
+        el.style.zIndex = '1900';
+        const buttonStyle = 'padding:4px 10px; border:none; border-radius:6px; background:#1565c0; color:white; font-weight:700; cursor:pointer;';
+        el.innerHTML = `
+          <button type="button" data-role="toggle" style="${buttonStyle} width:36px;"></button>
+          <input data-role="scrub" type="range" min="0" max="${replay.durationMs}" step="100" value="0" style="flex:1;" />
+          <span data-role="time" style="min-width:84px; text-align:right; font-variant-numeric:tabular-nums;"></span>
+          <select data-role="speed" title="Playback speed" style="padding:3px; border-radius:6px;">
+            ${speeds.map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}×</option>`).join('')}
+          </select>
+          <button type="button" data-role="exit" style="${buttonStyle} background:#555;">Exit</button>`;
+        const feed = document.createElement('div');
+        feed.id = 'replayFeed';
+        feed.style.position = 'fixed';
+        feed.style.top = '70px';
+        feed.style.right = '12px';
+        feed.style.width = '300px';
+        feed.style.fontFamily = 'Arial, sans-serif';
+        feed.style.fontSize = '13px';
+        feed.style.color = 'white';
+        feed.style.textShadow = '1px 1px 2px black';
+        feed.style.pointerEvents = 'none';
+        feed.style.zIndex = '1400';
+        const help = document.createElement('div');
+        help.id = 'replayHelp';
+        help.textContent = `🎞️ ${replay.roomName} · WASD fly · E/Q up/down · Shift faster · drag to look · Space pause`;
+        help.style.cssText = 'position:fixed; top:12px; left:50%; transform:translateX(-50%); padding:4px 10px; border-radius:8px; background:rgba(0,0,0,0.45); color:white; font-family:Arial, sans-serif; font-size:12px; z-index:1400; pointer-events:none;';
+        document.body.appendChild(el);
+        document.body.appendChild(feed);
+        document.body.appendChild(help);
+
+        const scrub = el.querySelector('[data-role="scrub"]');
+        // Buttons give focus back so Space keeps pausing instead of pressing them again
+        el.querySelector('[data-role="toggle"]').addEventListener('click', (e) => {
+            e.currentTarget.blur();
+            if (handlers.onToggle) handlers.onToggle();
+        });
+        scrub.addEventListener('pointerdown', () => { this._replayScrubbing = true; });
+        scrub.addEventListener('pointerup', () => { this._replayScrubbing = false; scrub.blur(); });
+        scrub.addEventListener('input', () => {
+            feed.innerHTML = '';
+            if (handlers.onSeek) handlers.onSeek(Number(scrub.value));
+        });
+        el.querySelector('[data-role="speed"]').addEventListener('change', (e) => {
+            if (handlers.onSpeed) handlers.onSpeed(Number(e.target.value));
+            e.target.blur();
+        });
+        el.querySelector('[data-role="exit"]').addEventListener('click', () => {
+            if (handlers.onExit) handlers.onExit();
+        });
+    }
+
+    updateReplayControls(timeMs, durationMs, playing) {
+        const el = document.getElementById('replayControls');
+        if (!el) return;
+        const format = (ms) => {
+            const seconds = Math.floor(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        el.querySelector('[data-role="toggle"]').textContent = playing ? '⏸' : '▶';
+        // Leave the scrubber alone while it's being dragged
+        if (!this._replayScrubbing) el.querySelector('[data-role="scrub"]').value = String(timeMs);
+        el.querySelector('[data-role="time"]').textContent = `${format(timeMs)} / ${format(durationMs)}`;
+    }
+
+    // Newest event lines on top; keeps the last few
+    addReplayFeedLine(text) {
+        const feed = document.getElementById('replayFeed');
+        if (!feed) return;
+        const line = document.createElement('div');
+        line.textContent = text;
+        line.style.padding = '3px 8px';
+        line.style.marginBottom = '3px';
+        line.style.borderRadius = '6px';
+        line.style.background = 'rgba(0,0,0,0.45)';
+        feed.insertBefore(line, feed.firstChild);
+        while (feed.childNodes.length > 8) feed.removeChild(feed.lastChild);
+    }
+
+    hideReplayControls() {
+        ['replayControls', 'replayFeed', 'replayHelp'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el && el.parentNode) el.parentNode.removeChild(el);
+        });
+        this._replayScrubbing = false;
+    }
+}
@@ -5,12 +5,25 @@ export class InputManager {
             backward: false,
             left: false,
             right: false,
-            boost: false
+            boost: false,
+            ability: false
         };
+        // Sequence number of the last captured input frame (for server reconciliation)
+        this.inputSeq = 0;
         
         this.setupEventListeners();
     }
     
+    // Snapshot the current keys as a sequenced input frame; Car.update() accepts it in place of the manager
+    captureFrame(deltaTime) {
+        this.inputSeq++;
+        return {
+            seq: this.inputSeq,
+            dt: deltaTime,
+            keys: { ...this.keys }
+        };
+    }
+    
     setupEventListeners() {
         // Keyboard event listeners
         document.addEventListener('keydown', (event) => {
@@ -71,6 +84,9 @@ export class InputManager {
             case 'Space':
                 this.keys.boost = true;
                 break;
+            case 'KeyE':
+                this.keys.ability = true;
+                break;
         }
     }
     
@@ -95,11 +111,14 @@ export class InputManager {
             case 'Space':
                 this.keys.boost = false;
                 break;
+            case 'KeyE':
+                this.keys.ability = false;
+                break;
         }
     }
     
     isGameKey(keyCode) {
-        const gameKeys = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+        const gameKeys = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyE', 'Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
         return gameKeys.includes(keyCode);
     }
     
@@ -142,6 +161,7 @@ export class InputManager {
         if (this.keys.left) inputs.push('A');
         if (this.keys.right) inputs.push('D');
         if (this.keys.boost) inputs.push('SPACE');
+        if (this.keys.ability) inputs.push('E');
         
         return inputs.join('+') || 'NONE';
     }
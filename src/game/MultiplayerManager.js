@@ -1,11 +1,39 @@
 import { io } from 'socket.io-client';
+import { DEFAULT_GAME_MODE, isGameMode, normalizeInviteCode } from '../../shared/rooms.js';
+
+// Per-tab so a reload resumes this tab's car but a second tab joins as a new player
+const RECONNECT_TOKEN_KEY = 'battlecars.reconnectToken';
+// A dropped connection that hasn't come back by then is given up on (offline practice takes over)
+const CONNECTION_LOST_MS = 15000;
 
 export class MultiplayerManager {
     constructor() {
         this.socket = null;
         this.playerId = null;
         this.players = new Map();
-        this.roomId = 'default';
+        // Players in the room without a car right now (destroyed, or spectating an
+        // elimination round); restored when they respawn or the next round starts
+        this.downedPlayers = new Map();
+        // ?mode=elimination (Last Car Standing), team, ctf, koth or soccer play in their own rooms;
+        // ?friendlyFire=off|reduced|full applies when creating a team, CTF or soccer room
+        const params = new URLSearchParams(window.location.search);
+        const mode = params.get('mode');
+        this.gameMode = isGameMode(mode) ? mode : DEFAULT_GAME_MODE;
+        this.roomId = this.gameMode === DEFAULT_GAME_MODE ? 'default' : this.gameMode;
+        // ?room=CODE joins a private room by invite code once the car is picked
+        this.inviteCode = normalizeInviteCode(params.get('room'));
+        if (this.inviteCode) this.roomId = this.inviteCode;
+        // A ?mode= or ?room= link goes straight into that room; otherwise the lobby picks one
+        this.roomFromUrl = params.has('mode') || !!this.inviteCode;
+        this.createRequest = null; // { name, mode, maxPlayers, private, password, rules } for a room the lobby is creating
+        this.roomPassword = null; // sent with joins to a password-protected private room
+        this.roomSettings = null; // current room's { name, mode, private, inviteCode, hostId, ... }
+        this.roomRules = null; // current room's rules and mutators (shared/rules.js)
+        this.pendingVehicleId = null; // picked before the socket connected
+        this.queueMode = null; // mode we're queued for; set, connecting joins the queue instead of a room
+        this.rating = null; // matchmaking rating, from the server
+        this.friendlyFire = params.get('friendlyFire');
+        this.team = null; // our team in team rooms
         this.isConnected = false;
         this.onPlayerUpdate = null;
         this.onPlayerJoined = null;
@@ -24,35 +52,185 @@ export class MultiplayerManager {
         this.onPlayerShielded = null;
         this.onChatMessage = null;
         this.onPlayerVehicleChanged = null;
+        this.onPositionCorrection = null;
+        this.onWorldSnapshot = null;
+        this.onAbilityUsed = null;
+        this.onAbilityRejected = null;
+        this.onAuthRejected = null;
+        this.onSessionStarted = null;
+        this.onSlickPatches = null;
+        this.onRoomJoined = null;
+        this.onFlagEvent = null;
+        this.onZoneUpdate = null;
+        this.onGoalScored = null;
+        this.onRoomUnavailable = null;
+        this.onRoomSettings = null;
+        this.onRoomSettingsRejected = null;
+        this.onKicked = null;
+        this.onQueueStatus = null;
+        this.onMatchFound = null;
+        this.onSlickConsumed = null;
+        this.onSlickSpawned = null;
+        this.onConnectionFailed = null; // (lost) the server never answered, or dropped and didn't come back; the game falls back to offline practice
+        this._connectionLostTimer = null;
+        this.reconnectToken = null;
+        try {
+            this.reconnectToken = window.sessionStorage.getItem(RECONNECT_TOKEN_KEY);
+        } catch (e) {}
+        this.lastSnapshotSeq = 0;
+    }
+
+    // Ask the server whether this tab's last session is still held; resolves to
+    // { name, vehicleId } or null
+    checkResumableSession() {
+        if (!this.reconnectToken) return Promise.resolve(null);
+        return fetch('/api/session/resume', { headers: { 'X-Reconnect-Token': this.reconnectToken } })
+            .then(r => (r.ok ? r.json() : null))
+            .catch(() => null);
+    }
+
+    // Rooms for the lobby's browser: [{ roomId, name, mode, players, maxPlayers, ruleLabels, phase, timeRemainingMs }]
+    fetchRooms() {
+        return fetch('/api/rooms')
+            .then(r => (r.ok ? r.json() : { rooms: [] }))
+            .then(data => data.rooms || [])
+            .catch(() => []);
+    }
+
+    // Saved round replays for the replay browser (newest first)
+    fetchReplays() {
+        return fetch('/api/replays')
+            .then(r => (r.ok ? r.json() : { replays: [] }))
+            .then(data => data.replays || [])
+            .catch(() => []);
+    }
+
+    fetchReplay(replayId) {
+        return fetch(`/api/replays/${encodeURIComponent(replayId)}`).then(r => {
+            if (!r.ok) throw new Error('That replay is no longer available');
+            return r.json();
+        });
+    }
+
+    // Lobby choice, applied on the next join: an existing room...
+    selectRoom(roomId, mode = DEFAULT_GAME_MODE) {
+        this.roomId = roomId;
+        this.gameMode = mode;
+        this.createRequest = null;
+        this.roomPassword = null;
+    }
+
+    // ...or a new one the server names and sizes from these settings
+    requestNewRoom(settings) {
+        this.roomId = null;
+        this.createRequest = settings;
+        this.gameMode = settings.mode;
+        // Reconnects rejoin our own private room like anyone else
+        this.roomPassword = settings.password || null;
     }
 
-    connect(initialNickname = null) {
+    // ...or wait in the matchmaking queue for a ranked room of this mode
+    requestMatchmaking(mode) {
+        this.roomId = null;
+        this.createRequest = null;
+        this.roomPassword = null;
+        this.gameMode = mode;
+        this.queueMode = mode;
+        if (this.socket && this.isConnected) {
+            this.socket.emit('joinQueue', { mode });
+        }
+    }
+
+    leaveQueue() {
+        this.queueMode = null;
+        if (this.socket && this.isConnected) {
+            this.socket.emit('leaveQueue');
+        }
+    }
+
+    isHost() {
+        return !!this.playerId && this.roomSettings?.hostId === this.playerId;
+    }
+
+    // authToken: account JWT; the server then names the player after the account
+    connect(initialNickname = null, authToken = null) {
         this.initialNickname = initialNickname;
+        this.authToken = authToken;
         // Use same-origin Socket.io endpoint so it works in prod and in Vite dev (proxied)
-        this.socket = io();
+        // Evaluated on every (re)connect so automatic reconnects send the latest tokens
+        this.socket = io({
+            auth: (cb) => cb({
+                ...(this.authToken ? { token: this.authToken } : {}),
+                ...(this.reconnectToken ? { reconnectToken: this.reconnectToken } : {})
+            })
+        });
+
+        this.socket.on('connect_error', (err) => {
+            if (err && err.message === 'invalid_token') {
+                // Expired or revoked login: fall back to a guest connection
+                console.warn('🔑 Login rejected by server; continuing as guest');
+                this.authToken = null;
+                if (this.onAuthRejected) this.onAuthRejected();
+                this.socket.connect();
+            } else if (!this.isConnected && !this.playerId) {
+                // Never got in: stop retrying and let the game go offline
+                console.warn('📴 Could not reach the server:', err && err.message);
+                this.socket.disconnect();
+                if (this.onConnectionFailed) this.onConnectionFailed();
+            }
+        });
         
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.isConnected = true;
+            clearTimeout(this._connectionLostTimer);
             this.playerId = this.socket.id;
             console.log('🎯 Player ID set to:', this.playerId);
             
-            // If we have an initial nickname, send it BEFORE joining the room
-            if (this.initialNickname && typeof this.initialNickname === 'string') {
+            // If we have an initial nickname, send it BEFORE joining the room (guests only)
+            if (!this.authToken && this.initialNickname && typeof this.initialNickname === 'string') {
                 this.socket.emit('setNickname', { nickname: this.initialNickname });
             }
 
             // Join default room after nickname set to ensure system message uses it
-            this.joinRoom(this.roomId);
+            if (this.queueMode) {
+                this.socket.emit('joinQueue', { mode: this.queueMode });
+            } else {
+                this.joinRoom(this.roomId);
+            }
+            if (this.pendingVehicleId) {
+                this.socket.emit('vehicleSelected', { vehicleId: this.pendingVehicleId });
+                this.pendingVehicleId = null;
+            }
         });
 
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             console.log('Disconnected from server');
             this.isConnected = false;
+            if (reason === 'io client disconnect') return;
+            // Socket.io keeps retrying; stop once the server has been gone too long
+            clearTimeout(this._connectionLostTimer);
+            this._connectionLostTimer = setTimeout(() => {
+                if (this.isConnected || !this.socket) return;
+                console.warn('📴 Lost the server');
+                this.socket.disconnect();
+                if (this.onConnectionFailed) this.onConnectionFailed(true);
+            }, CONNECTION_LOST_MS);
         });
 
         this.socket.on('gameState', (data) => {
             // Don't overwrite playerId - it's already set correctly in connect()
+            if (data.reconnectToken) {
+                this.reconnectToken = data.reconnectToken;
+                try {
+                    window.sessionStorage.setItem(RECONNECT_TOKEN_KEY, data.reconnectToken);
+                } catch (e) {}
+            }
+            if (typeof data.rating === 'number') this.rating = data.rating;
+            // data.resumed: { name, vehicleId, roomId } when a held session was restored
+            if (this.onSessionStarted) {
+                this.onSessionStarted(data.resumed || null);
+            }
             if (this.onGameStateUpdate) {
                 this.onGameStateUpdate(data);
             }
@@ -61,35 +239,56 @@ export class MultiplayerManager {
         this.socket.on('roomJoined', (data) => {
             console.log('Joined room:', data.roomId);
             this.roomId = data.roomId;
+            // Created; reconnects rejoin it by id
+            this.createRequest = null;
+            this.roomSettings = data.gameState?.room || null;
+            this.roomRules = data.gameState?.rules || null;
+            // Snapshot sequence numbers are per room
+            this.lastSnapshotSeq = 0;
+            // Ids from before a reconnect are stale
+            this.players.clear();
+            this.downedPlayers.clear();
+            
+            this.team = data.players.find(player => player.id === this.playerId)?.team || null;
             
             // Add existing players to our local state
             data.players.forEach(player => {
                 if (player.id !== this.playerId) {
-                    this.players.set(player.id, player);
+                    (player.spectating ? this.downedPlayers : this.players).set(player.id, player);
                 }
             });
             
             // Store game state info
             this.gameState = data.gameState || {};
+            if (isGameMode(this.gameState.mode)) this.gameMode = this.gameState.mode;
             
             // Store boost pad positions
             this.boostPads = data.boostPads || [];
             console.log('🎯 Received boost pads from server:', this.boostPads);
             console.log('🎯 Full roomJoined data:', data);
             
+            if (this.onSlickPatches) {
+                this.onSlickPatches(data.slickPatches || []);
+            }
+            
             if (this.onGameStateUpdate) {
                 this.onGameStateUpdate({ players: Array.from(this.players.values()) });
             }
+            
+            if (this.onRoomJoined) {
+                this.onRoomJoined(data);
+            }
         });
 
         this.socket.on('playerJoined', (data) => {
             console.log('Player joined:', data.playerId);
-            this.players.set(data.playerId, {
+            (data.spectating ? this.downedPlayers : this.players).set(data.playerId, {
                 id: data.playerId,
                 name: data.name,
                 position: data.position,
                 health: data.health,
-                vehicleId: data.vehicleId || 'balanced'
+                vehicleId: data.vehicleId || 'balanced',
+                team: data.team || null
             });
             
             if (this.onPlayerJoined) {
@@ -100,21 +299,49 @@ export class MultiplayerManager {
         this.socket.on('playerLeft', (data) => {
             console.log('Player left:', data.playerId);
             this.players.delete(data.playerId);
+            this.downedPlayers.delete(data.playerId);
             
             if (this.onPlayerLeft) {
                 this.onPlayerLeft(data);
             }
         });
 
-        this.socket.on('playerMoved', (data) => {
-            const player = this.players.get(data.playerId);
-            if (player) {
-                player.position = data.position;
-                player.rotation = data.rotation;
-                
-                if (this.onPlayerUpdate) {
-                    this.onPlayerUpdate(data);
+        // Fixed-rate room snapshot with every player's state
+        this.socket.on('worldSnapshot', (data) => {
+            // Drop snapshots that arrive out of order
+            if (data.seq <= this.lastSnapshotSeq) return;
+            this.lastSnapshotSeq = data.seq;
+            
+            data.players.forEach(state => {
+                if (state.id === this.playerId) return;
+                const player = this.players.get(state.id);
+                if (player) {
+                    player.position = state.position;
+                    player.rotation = state.rotation;
+                    
+                    if (this.onPlayerUpdate) {
+                        this.onPlayerUpdate({
+                            playerId: state.id,
+                            position: state.position,
+                            rotation: state.rotation,
+                            velocity: state.velocity,
+                            seq: data.seq,
+                            serverTime: data.serverTime
+                        });
+                    }
                 }
+            });
+            
+            if (this.onWorldSnapshot) {
+                this.onWorldSnapshot(data);
+            }
+        });
+
+        // Server rejected our last move; snap back to its authoritative state
+        this.socket.on('positionCorrection', (data) => {
+            console.log('🚫 Position corrected by server:', data.reason);
+            if (this.onPositionCorrection) {
+                this.onPositionCorrection(data);
             }
         });
 
@@ -150,7 +377,11 @@ export class MultiplayerManager {
 
         this.socket.on('playerDestroyed', (data) => {
             console.log('Player destroyed:', data.playerId);
-            this.players.delete(data.playerId);
+            const downed = this.players.get(data.playerId);
+            if (downed) {
+                this.players.delete(data.playerId);
+                this.downedPlayers.set(data.playerId, downed);
+            }
             
             if (this.onPlayerDestroyed) {
                 this.onPlayerDestroyed(data);
@@ -159,6 +390,61 @@ export class MultiplayerManager {
 
         this.socket.on('roomFull', (data) => {
             console.log('Room is full:', data.roomId);
+            if (this.onRoomUnavailable) {
+                this.onRoomUnavailable({ ...data, error: 'Room is full' });
+            }
+        });
+
+        // Private rooms: settings or host changed
+        this.socket.on('roomSettings', (data) => {
+            this.roomSettings = data;
+            if (this.onRoomSettings) {
+                this.onRoomSettings(data);
+            }
+        });
+
+        this.socket.on('roomSettingsRejected', (data) => {
+            if (this.onRoomSettingsRejected) {
+                this.onRoomSettingsRejected(data);
+            }
+        });
+
+        // Matchmaking: search progress while queued, then the ranked room we were placed in
+        this.socket.on('queueStatus', (data) => {
+            this.rating = data.rating;
+            if (this.onQueueStatus) {
+                this.onQueueStatus(data);
+            }
+        });
+
+        this.socket.on('matchFound', (data) => {
+            if (!this.queueMode) return; // left the queue as the match was made
+            this.queueMode = null;
+            this.selectRoom(data.roomId, data.mode);
+            this.joinRoom(data.roomId);
+            if (this.onMatchFound) {
+                this.onMatchFound(data);
+            }
+        });
+
+        // The host removed us; we're no longer in any room
+        this.socket.on('kicked', (data) => {
+            this.roomSettings = null;
+            this.players.clear();
+            this.downedPlayers.clear();
+            if (this.onKicked) {
+                this.onKicked(data);
+            }
+        });
+
+        // Rejected create settings, a malformed room id, or a private room that needs the
+        // password (data.needsPassword) or removed us
+        this.socket.on('roomError', (data) => {
+            console.log('Room error:', data.error);
+            this.createRequest = null;
+            if (this.onRoomUnavailable) {
+                this.onRoomUnavailable(data);
+            }
         });
         
         // New game state events
@@ -172,12 +458,57 @@ export class MultiplayerManager {
         
         this.socket.on('roundStarted', (data) => {
             console.log('🎮 Round started, ends at:', new Date(data.roundEndTime));
-            this.gameState = { phase: 'playing', roundEndTime: data.roundEndTime };
+            this.gameState = { phase: 'playing', roundEndTime: data.roundEndTime, mode: data.mode };
+            // A private room's host may have switched the mode for this round
+            if (isGameMode(data.mode)) this.gameMode = data.mode;
+            data.players.forEach(player => {
+                this._restorePlayer(player.id);
+                // Teams may be rebalanced between rounds
+                if (player.id === this.playerId) {
+                    this.team = player.team || null;
+                } else if (this.players.has(player.id)) {
+                    this.players.get(player.id).team = player.team || null;
+                }
+            });
             if (this.onRoundStarted) {
                 this.onRoundStarted(data);
             }
         });
 
+        // King of the hill: zone position, holder and scores (once a second)
+        this.socket.on('zoneUpdate', (data) => {
+            if (this.onZoneUpdate) {
+                this.onZoneUpdate(data);
+            }
+        });
+
+        // Capture the flag: pickups, drops, returns and captures
+        this.socket.on('flagEvent', (data) => {
+            if (this.onFlagEvent) {
+                this.onFlagEvent(data);
+            }
+        });
+
+        // Car soccer: a goal went in; the server resets everyone for the kickoff
+        this.socket.on('goalScored', (data) => {
+            if (this.onGoalScored) {
+                this.onGoalScored(data);
+            }
+        });
+
+        // Slick patches are per room; every client removes/adds the same ones
+        this.socket.on('slickConsumed', (data) => {
+            if (this.onSlickConsumed) {
+                this.onSlickConsumed(data);
+            }
+        });
+
+        this.socket.on('slickSpawned', (data) => {
+            if (this.onSlickSpawned) {
+                this.onSlickSpawned(data);
+            }
+        });
+
         // Explicit spawn message for reliable local positioning
         this.socket.on('playerSpawn', (data) => {
             // data: { position, health }
@@ -189,6 +520,9 @@ export class MultiplayerManager {
         this.socket.on('roundEnded', (data) => {
             console.log('🏁 Round ended. Leaderboard:', data.leaderboard);
             this.gameState = { phase: 'roundEnd' };
+            // Ranked rooms rate every round
+            const mine = data.ratings?.find(entry => entry.playerId === this.playerId);
+            if (mine) this.rating = mine.rating;
             if (this.onRoundEnded) {
                 this.onRoundEnded(data);
             }
@@ -196,6 +530,7 @@ export class MultiplayerManager {
         
         this.socket.on('playerRespawned', (data) => {
             console.log('🪂 Player respawned:', data.playerId);
+            this._restorePlayer(data.playerId);
             if (this.onPlayerRespawned) {
                 this.onPlayerRespawned(data);
             }
@@ -242,6 +577,18 @@ export class MultiplayerManager {
             }
         });
 
+        this.socket.on('abilityUsed', (data) => {
+            if (this.onAbilityUsed) {
+                this.onAbilityUsed(data);
+            }
+        });
+
+        this.socket.on('abilityRejected', (data) => {
+            if (this.onAbilityRejected) {
+                this.onAbilityRejected(data);
+            }
+        });
+
         this.socket.on('chatMessage', (data) => {
             console.log('💬 Chat message received:', data);
             if (this.onChatMessage) {
@@ -250,35 +597,66 @@ export class MultiplayerManager {
         });
     }
 
-    joinRoom(roomId) {
+    // mode (and friendlyFire for team rooms) only apply when the room is empty;
+    // otherwise the room keeps its settings. A pending createRequest opens a new room instead.
+    joinRoom(roomId, mode = this.gameMode) {
         if (this.socket && this.isConnected) {
             this.roomId = roomId;
-            this.socket.emit('joinRoom', { roomId: roomId });
+            this.socket.emit('joinRoom', {
+                roomId: roomId,
+                mode: mode,
+                friendlyFire: this.friendlyFire,
+                ...(this.roomPassword ? { password: this.roomPassword } : {}),
+                ...(this.createRequest ? { create: this.createRequest } : {})
+            });
+        }
+    }
+
+    // Host only (the server ignores anyone else)
+    kickPlayer(playerId) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('kickPlayer', { playerId });
+        }
+    }
+
+    // Host only: any of { mode, maxPlayers, friendlyFire, roundMinutes }
+    updateRoomSettings(settings) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('updateRoomSettings', settings);
+        }
+    }
+
+    // Move a downed player back to the live list so snapshots update its car again
+    _restorePlayer(playerId) {
+        const player = this.downedPlayers.get(playerId);
+        if (player) {
+            this.downedPlayers.delete(playerId);
+            this.players.set(playerId, player);
         }
     }
 
-    sendPlayerMove(position, rotation) {
+    sendPlayerMove(position, rotation, seq = 0) {
         if (this.socket && this.isConnected) {
             this.socket.emit('playerMove', {
                 position: position,
-                rotation: rotation
+                rotation: rotation,
+                seq: seq
             });
         }
     }
 
+    // Sent once connected when picked before the socket was up (invite links connect late)
     sendVehicleSelection(vehicleId) {
         if (this.socket && this.isConnected) {
             this.socket.emit('vehicleSelected', { vehicleId });
+        } else {
+            this.pendingVehicleId = vehicleId;
         }
     }
 
-    sendPlayerDamage(damage, targetPlayerId, collisionType = 'normal') {
+    sendSlickTouched(patchId) {
         if (this.socket && this.isConnected) {
-            this.socket.emit('playerDamaged', {
-                damage: damage,
-                targetPlayerId: targetPlayerId,
-                collisionType: collisionType
-            });
+            this.socket.emit('slickTouched', { patchId });
         }
     }
 
@@ -298,7 +676,7 @@ export class MultiplayerManager {
     }
 
     sendNickname(nickname) {
-        if (this.socket && this.isConnected) {
+        if (this.socket && this.isConnected && !this.authToken) {
             console.log('📝 Sending nickname:', nickname);
             this.socket.emit('setNickname', {
                 nickname: nickname
@@ -328,11 +706,13 @@ export class MultiplayerManager {
     }
 
     disconnect() {
+        clearTimeout(this._connectionLostTimer);
         if (this.socket) {
             this.socket.disconnect();
             this.socket = null;
             this.isConnected = false;
             this.players.clear();
+            this.downedPlayers.clear();
         }
     }
 
@@ -341,4 +721,10 @@ export class MultiplayerManager {
             this.socket.emit('requestStandings');
         }
     }
+
+    useAbility() {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('useAbility');
+        }
+    }
 } 
\ No newline at end of file
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { VEHICLES } from './Vehicles.js';
+import { TEAMS, TEAM_TINT } from '../../shared/teams.js';
 
 export class OtherPlayers {
     constructor(scene) {
@@ -7,9 +8,14 @@ export class OtherPlayers {
         this.players = new Map(); // Map of playerId to car mesh
         this.playerMaterials = new Map(); // Map of playerId to materials for color coding
         this.healthBars = new Map(); // Map of playerId to health bar group
+        this.snapshotBuffers = new Map(); // Map of playerId to timestamped states (oldest first)
+        this.interpolationDelayMs = 100; // render remote cars this far in the past
+        this.maxExtrapolationMs = 250; // dead-reckon at most this long when snapshots are late
+        this.serverTimeOffset = null; // estimated serverTime - Date.now()
     }
 
-    addPlayer(playerId, position = { x: 0, y: 0, z: 0 }, health = 100, vehicleId = 'balanced') {
+    // team: team id in team rooms; tints the body towards the team colour
+    addPlayer(playerId, position = { x: 0, y: 0, z: 0 }, health = 100, vehicleId = 'balanced', team = null) {
         if (this.players.has(playerId)) {
             // Player already exists - remove and recreate to handle vehicle changes or respawns
             this.removePlayer(playerId);
@@ -17,7 +23,10 @@ export class OtherPlayers {
 
         // Create car mesh for other player
         const carGroup = new THREE.Group();
-        const bodyColor = (VEHICLES[vehicleId]?.color) ?? this.getPlayerColor(playerId);
+        let bodyColor = (VEHICLES[vehicleId]?.color) ?? this.getPlayerColor(playerId);
+        if (TEAMS[team]) {
+            bodyColor = new THREE.Color(bodyColor).lerp(new THREE.Color(TEAMS[team].color), TEAM_TINT).getHex();
+        }
         console.log(`🎨 Adding player ${playerId}: vehicleId="${vehicleId}" → color=0x${bodyColor.toString(16)}`);
         const bodyMat = new THREE.MeshLambertMaterial({ color: bodyColor, transparent: true, opacity: 1 });
         const accentMat = new THREE.MeshLambertMaterial({ color: 0x333333, transparent: true, opacity: 1 });
@@ -26,6 +35,11 @@ export class OtherPlayers {
         let bodySize = { x: 2.0, y: 1.0, z: 4.0 }, cabinSize = { x: 1.6, y: 0.7, z: 1.8 }, ride = 0.45, wheelR = 0.5, base = 3.2, track = 2.4;
         if (vehicleId === 'sport') { bodySize={x:1.9,y:0.8,z:4.2}; cabinSize={x:1.4,y:0.6,z:1.4}; ride=0.25; wheelR=0.45; base=3.3; track=2.1; }
         if (vehicleId === 'tank')  { bodySize={x:2.2,y:1.2,z:3.8}; cabinSize={x:1.8,y:0.9,z:1.8}; ride=0.7;  wheelR=0.65; base=3.0; track=2.6; }
+        const shape = VEHICLES[vehicleId]?.shape;
+        if (shape === 'bulldozer') { bodySize={x:2.6,y:1.1,z:4.0}; cabinSize={x:1.5,y:0.9,z:1.3}; ride=0.6; wheelR=0.6; base=3.0; track=2.7; }
+        if (shape === 'hover')     { bodySize={x:2.2,y:0.6,z:4.2}; cabinSize={x:1.4,y:0.6,z:1.6}; ride=0.8; wheelR=0.3; base=3.0; track=2.2; }
+        if (shape === 'trike')     { bodySize={x:1.3,y:0.7,z:3.8}; cabinSize={x:0.9,y:0.5,z:1.0}; ride=0.45; wheelR=0.5; base=3.0; track=2.3; }
+        if (shape === 'monster')   { bodySize={x:2.3,y:1.0,z:4.0}; cabinSize={x:1.7,y:0.8,z:1.6}; ride=1.3; wheelR=1.1; base=3.2; track=3.0; }
 
         const body = new THREE.Mesh(new THREE.BoxGeometry(bodySize.x, bodySize.y, bodySize.z), bodyMat);
         body.position.y = ride;
@@ -43,6 +57,15 @@ export class OtherPlayers {
             const bar = new THREE.Mesh(new THREE.BoxGeometry(bodySize.x*0.9,0.5,0.2), accentMat);
             bar.position.set(0, ride + 0.1, bodySize.z/2 + 0.85);
             carGroup.add(bar);
+        } else if (shape === 'bulldozer') {
+            const blade = new THREE.Mesh(new THREE.BoxGeometry(3.2,1.3,0.15), accentMat);
+            blade.position.set(0, ride + 0.3, bodySize.z/2 + 0.8);
+            blade.rotation.x = -Math.PI / 10;
+            carGroup.add(blade);
+        } else if (shape === 'hover') {
+            const skirt = new THREE.Mesh(new THREE.BoxGeometry(bodySize.x+0.3,0.35,bodySize.z+0.2), accentMat);
+            skirt.position.set(0, ride - bodySize.y/2 - 0.2, 0);
+            carGroup.add(skirt);
         }
 
         // Wheels
@@ -57,6 +80,13 @@ export class OtherPlayers {
             { x:  halfTrack, y: ride - 0.05, z: -halfBase }
         ];
 
+        if (shape === 'trike') {
+            // Single centred front wheel
+            wheelPositions.splice(0, 2, { x: 0, y: ride - 0.05, z: halfBase });
+        } else if (shape === 'hover') {
+            wheelPositions.length = 0;
+        }
+
         wheelPositions.forEach(pos => {
             const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
             wheel.position.set(pos.x, pos.y, pos.z);
@@ -107,6 +137,7 @@ export class OtherPlayers {
         carGroup.userData = carGroup.userData || {};
         carGroup.userData.collisionRadius = radius;
         carGroup.userData.vehicleId = vehicleId;
+        carGroup.userData.team = team;
         carGroup.userData.collisionHalfWidth = effHalfW;
         carGroup.userData.collisionHalfLength = effHalfL;
         carGroup.userData.bodyMaterial = bodyMat;
@@ -121,20 +152,99 @@ export class OtherPlayers {
         console.log(`Added player ${playerId} to scene with health bar`);
     }
 
-    updatePlayer(playerId, position, rotation) {
+    updatePlayer(playerId, position, rotation, serverTime = null, velocity = null) {
         const carGroup = this.players.get(playerId);
-        if (carGroup) {
-            // Smooth position update but clamp to target to avoid overshoot causing early collision
-            const target = new THREE.Vector3(position.x, position.y, position.z);
-            const delta = target.clone().sub(carGroup.position);
-            // Prefer snap to authoritative to prevent rubber-banding overlaps
-            carGroup.position.copy(target);
-            
-            // Smooth rotation update
-            carGroup.rotation.y = THREE.MathUtils.lerp(carGroup.rotation.y, rotation, 0.1);
+        if (!carGroup) return;
+
+        // Untimed updates (spawns, teleports) snap straight to the new state
+        if (serverTime === null || serverTime === undefined) {
+            carGroup.position.set(position.x, position.y, position.z);
+            carGroup.rotation.y = rotation;
+            this.snapshotBuffers.delete(playerId);
+            return;
+        }
+
+        this._trackServerTime(serverTime);
+
+        const buffer = this.snapshotBuffers.get(playerId) || [];
+        const newest = buffer[buffer.length - 1];
+        if (newest && serverTime <= newest.time) return;
+        buffer.push({
+            time: serverTime,
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: rotation,
+            velocity: velocity || { x: 0, y: 0, z: 0 }
+        });
+        // Keep about one second of history
+        while (buffer.length > 2 && buffer[0].time < serverTime - 1000) {
+            buffer.shift();
+        }
+        this.snapshotBuffers.set(playerId, buffer);
+    }
+
+    // Estimate the server clock from snapshot timestamps; follow faster packets immediately, drift back slowly
+    _trackServerTime(serverTime) {
+        const sample = serverTime - Date.now();
+        if (this.serverTimeOffset === null || sample > this.serverTimeOffset) {
+            this.serverTimeOffset = sample;
+        } else {
+            this.serverTimeOffset += (sample - this.serverTimeOffset) * 0.02;
         }
     }
 
+    // Place remote cars at their interpolated state ~100 ms in the past (call every frame)
+    interpolate() {
+        if (this.serverTimeOffset === null) return;
+        const renderTime = Date.now() + this.serverTimeOffset - this.interpolationDelayMs;
+
+        this.snapshotBuffers.forEach((buffer, playerId) => {
+            const carGroup = this.players.get(playerId);
+            if (!carGroup || buffer.length === 0) return;
+
+            const oldest = buffer[0];
+            const newest = buffer[buffer.length - 1];
+
+            if (renderTime <= oldest.time) {
+                carGroup.position.set(oldest.position.x, oldest.position.y, oldest.position.z);
+                carGroup.rotation.y = oldest.rotation;
+                return;
+            }
+
+            if (renderTime >= newest.time) {
+                // Late packets: dead-reckon along the last known velocity for a bounded time
+                const ahead = Math.min(renderTime - newest.time, this.maxExtrapolationMs) / 1000;
+                carGroup.position.set(
+                    newest.position.x + newest.velocity.x * ahead,
+                    Math.max(0, newest.position.y + newest.velocity.y * ahead),
+                    newest.position.z + newest.velocity.z * ahead
+                );
+                carGroup.rotation.y = newest.rotation;
+                return;
+            }
+
+            // Find the pair of snapshots surrounding renderTime
+            let i = buffer.length - 2;
+            while (i > 0 && buffer[i].time > renderTime) i--;
+            const from = buffer[i];
+            const to = buffer[i + 1];
+            const t = (renderTime - from.time) / Math.max(1, to.time - from.time);
+            carGroup.position.set(
+                THREE.MathUtils.lerp(from.position.x, to.position.x, t),
+                THREE.MathUtils.lerp(from.position.y, to.position.y, t),
+                THREE.MathUtils.lerp(from.position.z, to.position.z, t)
+            );
+            carGroup.rotation.y = this._lerpAngle(from.rotation, to.rotation, t);
+        });
+    }
+
+    // Interpolate yaw along the shortest arc so -π/π wrap-around doesn't spin the car
+    _lerpAngle(from, to, t) {
+        let delta = (to - from) % (Math.PI * 2);
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        if (delta < -Math.PI) delta += Math.PI * 2;
+        return from + delta * t;
+    }
+
     activateShield(playerId, shieldUntil) {
         const carGroup = this.players.get(playerId);
         if (!carGroup) return;
@@ -182,6 +292,7 @@ export class OtherPlayers {
             this.players.delete(playerId);
             this.playerMaterials.delete(playerId);
             this.healthBars.delete(playerId);
+            this.snapshotBuffers.delete(playerId);
             console.log(`Removed player ${playerId} from scene`);
         }
     }
@@ -307,6 +418,7 @@ export class OtherPlayers {
         this.players.clear();
         this.playerMaterials.clear();
         this.healthBars.clear();
+        this.snapshotBuffers.clear();
     }
 
     getPlayerCount() {
@@ -0,0 +1,79 @@
+import { createDummies, stepDummies, createHitBreakdown, resolvePracticeHits } from '../../shared/practice.js';
+
+// Offline practice: drives the training dummies from shared/practice.js and renders them
+// through OtherPlayers so they look and bump like remote cars.
+export class PracticeMode {
+    constructor(otherPlayers) {
+        this.otherPlayers = otherPlayers;
+        this.dummies = [];
+        this.breakdown = createHitBreakdown();
+        this.cooldowns = new Map(); // dummy id → last hit time (ms)
+        this._shown = new Set(); // dummy ids with a mesh in the scene
+    }
+
+    start() {
+        this.reset();
+    }
+
+    // Every dummy back at its start and a clean breakdown
+    reset() {
+        this._shown.forEach(id => this.otherPlayers.removePlayer(id));
+        this._shown.clear();
+        this.dummies = createDummies();
+        this.breakdown = createHitBreakdown();
+        this.cooldowns.clear();
+        this._syncMeshes();
+    }
+
+    stop() {
+        this._shown.forEach(id => this.otherPlayers.removePlayer(id));
+        this._shown.clear();
+        this.dummies = [];
+    }
+
+    // Move the dummies, then hit any the car is touching. Returns the hits that landed.
+    update(deltaTime, car) {
+        const now = Date.now();
+        stepDummies(this.dummies, deltaTime, now);
+        let hits = [];
+        if (car && car.carGroup) {
+            const ramming = car.ability?.id === 'ram' && car.isAbilityActive();
+            hits = resolvePracticeHits({
+                position: car.carGroup.position,
+                rotation: car.carGroup.rotation.y,
+                speed: car.getSpeed(),
+                velocity: car.velocity,
+                cooldowns: this.cooldowns
+            }, this.dummies, this.breakdown, now, {
+                ramMultiplier: ramming ? car.ability.damageMultiplier : null,
+                damageDealt: car.damageDealtMultiplier
+            });
+        }
+        this._syncMeshes();
+        hits.forEach(({ dummy }) => this.otherPlayers.updatePlayerHealth(dummy.id, dummy.health, dummy.maxHealth));
+        return hits;
+    }
+
+    // Standing dummies in the shape MultiplayerManager.getPlayers() returns, for the bump response
+    getCars() {
+        return this.dummies
+            .filter(dummy => dummy.destroyedAt === null)
+            .map(dummy => ({ id: dummy.id, position: { x: dummy.x, y: dummy.y, z: dummy.z } }));
+    }
+
+    _syncMeshes() {
+        this.dummies.forEach(dummy => {
+            if (dummy.destroyedAt !== null) {
+                if (this._shown.delete(dummy.id)) this.otherPlayers.removePlayer(dummy.id);
+                return;
+            }
+            const position = { x: dummy.x, y: dummy.y, z: dummy.z };
+            if (!this._shown.has(dummy.id)) {
+                this.otherPlayers.addPlayer(dummy.id, position, dummy.health, 'tank');
+                this.otherPlayers.updatePlayerHealth(dummy.id, dummy.health, dummy.maxHealth);
+                this._shown.add(dummy.id);
+            }
+            this.otherPlayers.updatePlayer(dummy.id, position, dummy.rotation);
+        });
+    }
+}
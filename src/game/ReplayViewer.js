@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import { getVehicleById } from './Vehicles.js';
+import { sampleReplay, getReplayEvents, describeReplayEvent } from '../../shared/replay.js';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const CAMERA_SPEED = 40; // units per second; Shift triples it
+const LOOK_SPEED = 0.005; // radians per dragged pixel
+
+// Plays back a recorded round (shared/replay.js) with OtherPlayers meshes under a free camera:
+// WASD or the arrow keys fly, E/Q go up and down, Shift is faster, and dragging looks around.
+export class ReplayViewer {
+    constructor(replay, camera, domElement, otherPlayers) {
+        this.replay = replay;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.otherPlayers = otherPlayers;
+        this.time = 0; // ms into the round
+        this.playing = true;
+        this.speed = 1;
+        this.onEvent = null; // (text) for each listed event the playback passes
+        this._health = new Map(); // player id → health shown on its bar
+        this._keys = new Set();
+        this._drag = null; // { x, y } while the mouse is down
+        this._yaw = 0;
+        this._pitch = 0;
+        this._onKeyDown = (e) => this._handleKey(e, true);
+        this._onKeyUp = (e) => this._handleKey(e, false);
+        this._onMouseDown = (e) => { this._drag = { x: e.clientX, y: e.clientY }; };
+        this._onMouseUp = () => { this._drag = null; };
+        this._onMouseMove = (e) => this._look(e);
+    }
+
+    start() {
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+        this.domElement.addEventListener('mousedown', this._onMouseDown);
+        window.addEventListener('mouseup', this._onMouseUp);
+        window.addEventListener('mousemove', this._onMouseMove);
+        // Overview from above the south stands
+        this.camera.position.set(0, 70, 150);
+        this.camera.lookAt(0, 0, 0);
+        const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        this._yaw = euler.y;
+        this._pitch = euler.x;
+        this.otherPlayers.clearAllPlayers();
+        this._showCars();
+    }
+
+    stop() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+        this.domElement.removeEventListener('mousedown', this._onMouseDown);
+        window.removeEventListener('mouseup', this._onMouseUp);
+        window.removeEventListener('mousemove', this._onMouseMove);
+        this.otherPlayers.clearAllPlayers();
+        this._health.clear();
+    }
+
+    togglePlay() {
+        // Playing again from the end starts over
+        if (!this.playing && this.time >= this.replay.durationMs) this.seek(0);
+        this.playing = !this.playing;
+    }
+
+    // Jump without replaying the events in between
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.replay.durationMs, time));
+        this._showCars();
+    }
+
+    setSpeed(speed) {
+        if (REPLAY_SPEEDS.includes(speed)) this.speed = speed;
+    }
+
+    update(deltaTime) {
+        if (this.playing) {
+            const from = this.time;
+            this.time = Math.min(this.replay.durationMs, this.time + deltaTime * 1000 * this.speed);
+            getReplayEvents(this.replay, from, this.time).forEach(event => {
+                const text = describeReplayEvent(this.replay, event);
+                if (text && this.onEvent) this.onEvent(text);
+            });
+            if (this.time >= this.replay.durationMs) this.playing = false;
+            this._showCars();
+        }
+        this._fly(deltaTime);
+    }
+
+    _showCars() {
+        const cars = sampleReplay(this.replay, this.time);
+        const present = new Set();
+        cars.forEach(car => {
+            present.add(car.id);
+            const maxHealth = getVehicleById(car.vehicleId).maxHealth;
+            if (!this._health.has(car.id)) {
+                this.otherPlayers.addPlayer(car.id, car.position, car.health, car.vehicleId, car.team);
+            }
+            this.otherPlayers.updatePlayer(car.id, car.position, car.rotation);
+            if (this._health.get(car.id) !== car.health) {
+                this.otherPlayers.updatePlayerHealth(car.id, car.health, maxHealth);
+                this._health.set(car.id, car.health);
+            }
+        });
+        // Wrecked (or gone) since the last frame shown
+        Array.from(this._health.keys()).forEach(id => {
+            if (present.has(id)) return;
+            this.otherPlayers.removePlayer(id);
+            this._health.delete(id);
+        });
+    }
+
+    _handleKey(e, down) {
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement?.tagName)) return;
+        if (down && e.code === 'Space') {
+            e.preventDefault();
+            this.togglePlay();
+            return;
+        }
+        if (down) this._keys.add(e.code);
+        else this._keys.delete(e.code);
+    }
+
+    _look(e) {
+        if (!this._drag) return;
+        this._yaw -= (e.clientX - this._drag.x) * LOOK_SPEED;
+        this._pitch = Math.max(-1.5, Math.min(1.5, this._pitch - (e.clientY - this._drag.y) * LOOK_SPEED));
+        this._drag = { x: e.clientX, y: e.clientY };
+    }
+
+    _fly(deltaTime) {
+        this.camera.rotation.set(this._pitch, this._yaw, 0, 'YXZ');
+        const held = (...codes) => codes.some(code => this._keys.has(code));
+        const move = new THREE.Vector3(
+            (held('KeyD', 'ArrowRight') ? 1 : 0) - (held('KeyA', 'ArrowLeft') ? 1 : 0),
+            0,
+            (held('KeyS', 'ArrowDown') ? 1 : 0) - (held('KeyW', 'ArrowUp') ? 1 : 0)
+        );
+        const rise = (held('KeyE') ? 1 : 0) - (held('KeyQ') ? 1 : 0);
+        if (move.lengthSq() === 0 && rise === 0) return;
+        const step = CAMERA_SPEED * (held('ShiftLeft', 'ShiftRight') ? 3 : 1) * deltaTime;
+        // Along the view direction, so W flies where the camera looks; E/Q straight up and down
+        if (move.lengthSq() > 0) move.normalize().multiplyScalar(step).applyEuler(this.camera.rotation);
+        move.y += rise * step;
+        this.camera.position.add(move);
+        this.camera.position.y = Math.max(1, this.camera.position.y);
+    }
+}
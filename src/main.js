@@ -8,7 +8,17 @@ import { MultiplayerManager } from './game/MultiplayerManager.js';
 import { OtherPlayers } from './game/OtherPlayers.js';
 import { HybridSoundManager } from './game/HybridSoundManager.js';
 import { PowerupManager } from './game/PowerupManager.js';
+import { AuthManager } from './game/AuthManager.js';
+import { PracticeMode } from './game/PracticeMode.js';
+import { ReplayViewer, REPLAY_SPEEDS } from './game/ReplayViewer.js';
 import { VEHICLES, getVehicleById } from './game/Vehicles.js';
+import { JUMP_PAD_MAX_LAUNCH_SPEED } from '../shared/physics.js';
+import { describeRules, getGravityScale, getRequiredVehicleId } from '../shared/rules.js';
+import { TEAMS } from '../shared/teams.js';
+import { CTF_BASES } from '../shared/ctf.js';
+import { SOCCER, SOCCER_GOALS } from '../shared/soccer.js';
+import { PRACTICE } from '../shared/practice.js';
+import { validateReplay } from '../shared/replay.js';
 
 class BattleCarsGame {
     constructor() {
@@ -21,6 +31,7 @@ class BattleCarsGame {
         this.gameUI = null;
         this.soundManager = null;
         this.powerupManager = null;
+        this.auth = new AuthManager();
         this.clock = new THREE.Clock();
         this.isRunning = false;
         this.lastCollisionTime = 0; // Track last collision time to prevent spam
@@ -31,11 +42,13 @@ class BattleCarsGame {
         this._mirrorAlpha = 0;
         this._mirrorTargetAlpha = 0;
         this.prevMyPos = new THREE.Vector3();
+        this._pendingInputs = []; // predicted input frames not yet acknowledged by the server
         this._pendingSpawn = null;
         this._hasEntered = false;
         this._parachuteCountdownEl = null;
         this._parachuteCountdownTimer = null;
         this._pendingNickname = null;
+        this._awaitingResume = false; // resumed a held session; waiting for the server to confirm
         // Radar/minimap state
         this._radarCanvas = null;
         this._radarCtx = null;
@@ -47,7 +60,12 @@ class BattleCarsGame {
         this._rampLastTriggerAt = new Map(); // rampId -> ms timestamp
         this._rampCooldownMs = 900; // minimal delay between triggers per pad
         this.isDead = false;
+        this._spectating = false; // eliminated (Last Car Standing); camera follows another car
+        this._spectateTargetId = null;
         this._allowScoreboard = false; // TAB scoreboard only during active play
+        this.practice = null; // PracticeMode while driving offline against training dummies
+        this._practiceReason = null; // set once practice is wanted: 'chosen' from the lobby or 'offline'
+        this.replayViewer = null; // ReplayViewer while watching a recorded round from the lobby
         
         this.init();
     }
@@ -154,6 +172,16 @@ class BattleCarsGame {
                 }
             }
         });
+        // P toggles the private room panel (invite link, host controls)
+        window.addEventListener('keydown', (e) => {
+            if (e.key !== 'p' && e.key !== 'P') return;
+            if (this.chatTyping || this.isInSelector || ['INPUT', 'SELECT'].includes(document.activeElement.tagName)) return;
+            if (this.gameUI.isRoomPanelOpen()) {
+                this.gameUI.hideRoomPanel();
+            } else {
+                this._showRoomPanel();
+            }
+        });
         window.addEventListener('keyup', (e) => {
             if (e.key === 'Tab') {
                 e.preventDefault();
@@ -176,20 +204,13 @@ class BattleCarsGame {
         
         // Show nickname/vehicle selection if UI supports it; otherwise auto-continue (prod-safe fallback)
         if (this.gameUI && typeof this.gameUI.showNicknameEntry === 'function' && typeof this.gameUI.showVehicleSelect === 'function') {
-            this.gameUI.showNicknameEntry((nickname) => {
-                this.playerNickname = nickname;
-                if (this.multiplayer && !this.multiplayer.isConnected) {
-                    this.multiplayer.connect(nickname);
-                } else if (this.multiplayer && this.multiplayer.isConnected) {
-                    this.multiplayer.sendNickname(nickname);
+            // A reload within the reconnect window resumes the held car and skips the entry screens
+            this.multiplayer.checkResumableSession().then((session) => {
+                if (session) {
+                    this._resumeSession(session);
                 } else {
-                    this._pendingNickname = nickname;
+                    this._showEntryScreens();
                 }
-                this.gameUI.showVehicleSelect(VEHICLES, (vehicleId) => {
-                    this.selectedVehicleId = vehicleId;
-                    const preset = getVehicleById(vehicleId);
-                    this._createLocalCarAndStart(preset, vehicleId);
-                });
             });
         } else {
             // Fallback path: connect immediately with a default nickname and vehicle
@@ -251,8 +272,158 @@ class BattleCarsGame {
         this._loadingHidden = false;
     }
 
+    _showEntryScreens() {
+        // Resolve a stored login first so the entry screen can offer "Continue as <name>"
+        this.auth.restore().then(() => this.gameUI.showNicknameEntry((nickname) => {
+            this.playerNickname = nickname;
+            // Connecting joins the chosen room, so it waits for the lobby
+            const connect = () => {
+                if (this.multiplayer && !this.multiplayer.isConnected) {
+                    this.multiplayer.connect(nickname, this.auth.isLoggedIn ? this.auth.token : null);
+                } else if (this.multiplayer && this.multiplayer.isConnected) {
+                    this.multiplayer.sendNickname(nickname);
+                } else {
+                    this._pendingNickname = nickname;
+                }
+            };
+            // A ?room= invite joins once the car is picked, so the room sees it arrive ready
+            const joinAfterPick = !!this.multiplayer.inviteCode;
+            // offline: practice without touching the server
+            const enter = (offline = false) => {
+                if (!joinAfterPick && !offline) connect();
+                this.gameUI.showVehicleSelect(VEHICLES, (vehicleId) => {
+                    this.selectedVehicleId = vehicleId;
+                    const preset = getVehicleById(vehicleId);
+                    this._createLocalCarAndStart(preset, vehicleId);
+                    if (joinAfterPick) {
+                        this.multiplayer.sendVehicleSelection(vehicleId);
+                        connect();
+                    }
+                });
+            };
+            if (this.multiplayer.roomFromUrl) {
+                enter();
+                return;
+            }
+            const showLobby = () => this.gameUI.showLobby(() => this.multiplayer.fetchRooms(), (choice) => {
+                if (choice.practice) {
+                    this._practiceReason = 'chosen';
+                    enter(true);
+                    return;
+                }
+                if (choice.replays) {
+                    this._showReplayBrowser(showLobby);
+                    return;
+                }
+                if (choice.create) {
+                    this.multiplayer.requestNewRoom(choice.create);
+                } else if (choice.queue) {
+                    this.multiplayer.requestMatchmaking(choice.queue);
+                } else {
+                    this.multiplayer.selectRoom(choice.roomId, choice.mode);
+                }
+                enter();
+            });
+            showLobby();
+        }, this.auth));
+    }
+
+    // Arena props and HUD for the room's mode (flags, goals and ball, or the hill zone).
+    // state: { teamScores, goalsToWin, zone } when known.
+    _applyRoomMode(mode, state = {}) {
+        this._roomMode = mode;
+        if (mode === 'ctf') {
+            this.arena.createCtf();
+        } else {
+            this.arena.removeCtf();
+        }
+        if (mode === 'soccer') {
+            this.arena.createSoccer();
+            this.gameUI.updateTeamScores(state.teamScores, state.goalsToWin, '⚽');
+        } else {
+            this.arena.removeSoccer();
+        }
+        if (mode !== 'ctf' && mode !== 'soccer') {
+            this.gameUI.hideTeamScores();
+        }
+        if (state.zone) {
+            this._applyZoneSnapshot(state.zone);
+        } else {
+            this.arena.removeZone();
+            this.gameUI.hideZoneHud();
+        }
+    }
+
+    // The room's rules and mutators from roomJoined: monster, gravity and a forced vehicle.
+    // Damage and timings are the server's business.
+    _applyRoomRules(rules) {
+        this._roomRules = rules || null;
+        this.arena.setMonsterEnabled(rules ? rules.monster : true);
+        const required = getRequiredVehicleId(rules);
+        if (this.car && required && this.selectedVehicleId !== required) {
+            this._swapLocalVehicle(required);
+        }
+        if (this.car) this.car.sim.gravityScale = getGravityScale(rules);
+        const labels = describeRules(rules);
+        if (labels.length) {
+            this.gameUI.showRoundBanner('House rules', labels.join(' · '), 5000);
+        }
+    }
+
+    // Replace our car with another vehicle where it stands
+    _swapLocalVehicle(vehicleId) {
+        const old = this.car;
+        this.selectedVehicleId = vehicleId;
+        this.car = new Car(this.scene, getVehicleById(vehicleId));
+        this.car.carGroup.position.copy(old.carGroup.position);
+        this.car.carGroup.rotation.y = old.carGroup.rotation.y;
+        this.car.carGroup.visible = old.carGroup.visible;
+        old.dispose();
+        this._applyTeamColor();
+        this.gameUI.updateHealth(this.car.health, this.car.maxHealth);
+    }
+
+    // Everyone in our room, us included: [{ id, name }]
+    _getRoomPlayers() {
+        const others = [...this.multiplayer.players.values(), ...this.multiplayer.downedPlayers.values()];
+        return [
+            { id: this.multiplayer.playerId, name: this.playerNickname || 'You' },
+            ...others.map(player => ({ id: player.id, name: player.name || 'Player' }))
+        ];
+    }
+
+    // Private rooms only; public rooms have no invite code or host
+    _showRoomPanel() {
+        const room = this.multiplayer.roomSettings;
+        if (!room?.private) return;
+        this.gameUI.showRoomPanel(room, this._getRoomPlayers(), this.multiplayer.playerId, {
+            onKick: (playerId) => this.multiplayer.kickPlayer(playerId),
+            onSave: (settings) => this.multiplayer.updateRoomSettings(settings)
+        });
+    }
+
+    _resumeSession(session) {
+        console.log('🔄 Resuming previous session as', session.name);
+        this.playerNickname = session.name;
+        this._awaitingResume = true;
+        // The server puts the car back where it was, so skip the entry parachute
+        this._hasEntered = true;
+        this.multiplayer.connect(session.name, this.auth.token);
+        this.selectedVehicleId = session.vehicleId;
+        this._createLocalCarAndStart(getVehicleById(session.vehicleId), session.vehicleId);
+    }
+
     _createLocalCarAndStart(preset, vehicleId) {
+        // Sport-only rooms overrule the pick
+        const required = getRequiredVehicleId(this._roomRules);
+        if (required && vehicleId !== required) {
+            vehicleId = required;
+            preset = getVehicleById(required);
+            this.selectedVehicleId = required;
+        }
         this.car = new Car(this.scene, preset);
+        this.car.sim.gravityScale = getGravityScale(this._roomRules);
+        this._applyTeamColor();
         if (this.multiplayer && this.multiplayer.isConnected) {
             this.multiplayer.sendVehicleSelection(vehicleId);
             if (this._pendingNickname) {
@@ -279,6 +450,88 @@ class BattleCarsGame {
             }
             this._pendingSpawn = null;
         }
+        if (this._practiceReason) this._startPractice();
+    }
+
+    // Offline practice: training dummies, local hit resolution and the hit-breakdown HUD
+    _startPractice() {
+        if (this.practice || !this.car) return;
+        this.otherPlayers.clearAllPlayers();
+        this.practice = new PracticeMode(this.otherPlayers);
+        this.practice.start();
+        this.gameUI.showPracticeHud(() => this._resetPractice());
+        this._resetPractice();
+        this.gameUI.showRoundBanner(
+            { offline: 'Server unreachable: offline practice', lost: 'Connection lost: offline practice' }[this._practiceReason] || 'Offline practice',
+            'Hit flanks and tails, or drop onto a dummy off the platform for a headshot',
+            5000
+        );
+    }
+
+    // The server is gone: clear what the room put on screen before practice takes over
+    _leaveOnlineGame() {
+        this._stopSpectating();
+        this.isDead = false;
+        if (this.isParachuting && this.car) this.completeParachuteLanding();
+        this.otherPlayers.clearAllPlayers();
+        this.multiplayer.team = null;
+        this._applyTeamColor();
+        this._applyRoomMode(null);
+        this._applyRoomRules(null);
+        this.gameUI.hideScoreboard();
+        this.gameUI.hideRoomPanel();
+    }
+
+    // Dummies back in place, a clean breakdown and the car at the practice start
+    _resetPractice() {
+        if (!this.practice || !this.car) return;
+        this.practice.reset();
+        this.car.respawn();
+        this.car.momentum = 0;
+        this._applyLocalSpawn(PRACTICE.spawn, this.car.maxHealth);
+        this._collisionTracker = null;
+        this.gameUI.updatePracticeHud(this.practice.breakdown);
+    }
+
+    _updatePractice(deltaTime) {
+        const hits = this.practice.update(deltaTime, this.isDead ? null : this.car);
+        hits.forEach(({ dummy, collisionType, damage }) => {
+            this.showCollisionFeedback(collisionType);
+            const screenPos = this._worldToScreen(new THREE.Vector3(dummy.x, dummy.y + 2, dummy.z));
+            this.gameUI.showDamageNumber(damage, screenPos, collisionType, true);
+        });
+        if (hits.length) this.gameUI.updatePracticeHud(this.practice.breakdown);
+    }
+
+    // Replays: pick one from the server's list or a downloaded file; onBack returns to the lobby
+    _showReplayBrowser(onBack) {
+        this.gameUI.showReplayBrowser(() => this.multiplayer.fetchReplays(), (source) => {
+            const load = source.id ? this.multiplayer.fetchReplay(source.id) : Promise.resolve().then(() => JSON.parse(source.text));
+            return load.then(replay => {
+                const error = validateReplay(replay);
+                if (error) throw new Error(error);
+                this._startReplay(replay, onBack);
+            }, (e) => {
+                throw e instanceof SyntaxError ? new Error('Not a replay file') : e;
+            });
+        }, onBack);
+    }
+
+    _startReplay(replay, onExit) {
+        this.replayViewer = new ReplayViewer(replay, this.camera, this.renderer.domElement, this.otherPlayers);
+        this.replayViewer.onEvent = (text) => this.gameUI.addReplayFeedLine(text);
+        this.replayViewer.start();
+        this.gameUI.showReplayControls(replay, REPLAY_SPEEDS, {
+            onToggle: () => this.replayViewer.togglePlay(),
+            onSeek: (timeMs) => this.replayViewer.seek(timeMs),
+            onSpeed: (speed) => this.replayViewer.setSpeed(speed),
+            onExit: () => {
+                this.replayViewer.stop();
+                this.replayViewer = null;
+                this.gameUI.hideReplayControls();
+                if (onExit) onExit();
+            }
+        });
     }
 
     // Minimal helper: start a checkout session (for later hook-up to shop UI)
@@ -292,19 +545,65 @@ class BattleCarsGame {
     setupMultiplayerHandlers() {
         // Handle player updates
         this.multiplayer.onPlayerUpdate = (data) => {
-            this.otherPlayers.updatePlayer(data.playerId, data.position, data.rotation);
+            this.otherPlayers.updatePlayer(data.playerId, data.position, data.rotation, data.serverTime, data.velocity);
+        };
+        
+        // Drop predicted inputs once the server has processed them
+        this.multiplayer.onWorldSnapshot = (data) => {
+            if (data.monster && this.arena) {
+                this.arena.setMonsterState(data.monster);
+            }
+            if (data.flags && this.arena) {
+                this.arena.setCtfFlags(data.flags);
+            }
+            if (data.ball && this.arena) {
+                this.arena.setBallState(data.ball);
+            }
+            const me = data.players.find(p => p.id === this.multiplayer.playerId);
+            if (me && typeof me.ack === 'number') {
+                this._pendingInputs = this._pendingInputs.filter(f => f.seq > me.ack);
+            }
+        };
+
+        // Server rejected a move: snap to its state, then replay inputs it hasn't seen yet
+        this.multiplayer.onPositionCorrection = (data) => {
+            if (!this.car || !data?.position) return;
+            this.car.carGroup.position.set(data.position.x, data.position.y, data.position.z);
+            if (typeof data.rotation === 'number') {
+                this.car.carGroup.rotation.y = data.rotation;
+            }
+            if (this.car.velocity) this.car.velocity.set(0, 0, 0);
+            if (this.car.knockback) this.car.knockback.set(0, 0, 0);
+
+            if (this.isParachuting || this.isDead) {
+                this._pendingInputs = [];
+                return;
+            }
+            const rejected = this._pendingInputs.find(f => f.seq === data.seq);
+            if (rejected) {
+                this.car.momentum = rejected.momentum;
+                this.car.speed = rejected.momentum;
+                this.car.sim.spinTime = rejected.spinTime;
+            }
+            this._pendingInputs = this._pendingInputs.filter(f => f.seq > (data.seq ?? 0));
+            this.car.replayInputs(this._pendingInputs);
         };
         
         // Handle new players joining
         this.multiplayer.onPlayerJoined = (data) => {
-            this.otherPlayers.addPlayer(data.playerId, data.position, data.health, data.vehicleId);
+            // Elimination late joiners have no car until the next round
+            if (!data.spectating) {
+                this.otherPlayers.addPlayer(data.playerId, data.position, data.health, data.vehicleId, data.team);
+            }
             this.gameUI.updatePlayerCount(this.multiplayer.getPlayerCount());
+            if (this.gameUI.isRoomPanelOpen()) this._showRoomPanel();
         };
         
         // Handle players leaving
         this.multiplayer.onPlayerLeft = (data) => {
             this.otherPlayers.removePlayer(data.playerId);
             this.gameUI.updatePlayerCount(this.multiplayer.getPlayerCount());
+            if (this.gameUI.isRoomPanelOpen()) this._showRoomPanel();
         };
         
         // Handle player damage
@@ -340,11 +639,12 @@ class BattleCarsGame {
                     const myPos = this.car?.carGroup?.position?.clone();
                     if (myPos) myPos.y += 2; // lift above car
                     const screenPos = this._worldToScreen(myPos);
-                    this.gameUI.showDamageNumber('-20', screenPos, 'monster', false);
+                    this.gameUI.showDamageNumber(`-${data.damage}`, screenPos, 'monster', false);
+                    this._pushAwayFromMonster();
                 }
             }
 
-            // Play a cheering sound on headshots for everyone EXCEPT the attacker (they already played it locally)
+            // Play a cheering sound on headshots for everyone EXCEPT the attacker (handled with the hit feedback below)
             if (data.collisionType === 'headshot' && this.soundManager && data.attackerId !== this.multiplayer.playerId) {
                 this.soundManager.playCollisionSound('headshot', 1.2);
             }
@@ -356,6 +656,9 @@ class BattleCarsGame {
 
             // Update local damage dealt if attacker is us (best-effort; server aggregates for leaderboard)
             if (data.attackerId === this.multiplayer.playerId) {
+                // Hit feedback for the server-resolved collision
+                this.showCollisionFeedback(data.collisionType);
+                
                 this._localStats = this._localStats || { kills: 0, deaths: 0, damageDealt: 0, headshots: 0 };
                 this._localStats.damageDealt += (data.damage || 0);
                 if (data.collisionType === 'headshot') this._localStats.headshots += 1;
@@ -384,22 +687,152 @@ class BattleCarsGame {
                     this.car.momentum = 0;
                     this.car.velocity.set(0, 0, 0);
                 }
-                if (this.gameUI && this.gameUI.showDeathOverlay) {
+                if (data.eliminated) {
+                    this.gameUI.showRoundBanner('ELIMINATED', `${data.aliveCount} car${data.aliveCount === 1 ? '' : 's'} left`);
+                    this._startSpectating();
+                } else if (this.gameUI && this.gameUI.showDeathOverlay) {
                     this.gameUI.showDeathOverlay();
                 }
             } else {
                 // Other player destroyed
                 this.otherPlayers.removePlayer(data.playerId);
                 this.gameUI.updatePlayerCount(this.multiplayer.getPlayerCount());
+                if (data.eliminated) {
+                    const name = this.multiplayer.downedPlayers.get(data.playerId)?.name || 'A player';
+                    this.gameUI.showRoundBanner(`${name} eliminated`, `${data.aliveCount} car${data.aliveCount === 1 ? '' : 's'} left`, 2000);
+                }
             }
         };
         
+        // King of the hill: zone moves, holder colour and the score bar
+        this.multiplayer.onZoneUpdate = (data) => {
+            this._applyZoneSnapshot(data);
+        };
+        
+        // Capture the flag announcements and score HUD
+        this.multiplayer.onFlagEvent = (data) => {
+            const flagName = `${TEAMS[data.team]?.name || ''} flag`;
+            const who = data.playerId === this.multiplayer.playerId ? 'You' : (data.playerName || 'Someone');
+            if (data.type === 'capture') {
+                this.gameUI.showRoundBanner(`${who} captured the flag!`, `Red ${data.teamScores.red} – ${data.teamScores.blue} Blue`);
+            } else if (data.type === 'pickup') {
+                this.gameUI.showRoundBanner(`${who} took the ${flagName}`, '', 2000);
+            } else if (data.type === 'drop') {
+                this.gameUI.showRoundBanner(`${flagName} dropped`, '', 2000);
+            } else if (data.type === 'return') {
+                this.gameUI.showRoundBanner(`${flagName} returned`, '', 2000);
+            }
+            if (data.teamScores) {
+                this.gameUI.updateTeamScores(data.teamScores);
+            }
+        };
+        
+        // Car soccer: goal announcement; the kickoff reset arrives as a position correction
+        this.multiplayer.onGoalScored = (data) => {
+            const teamName = TEAMS[data.team]?.name || '';
+            const who = data.playerId === this.multiplayer.playerId ? 'You' : (data.playerName || 'Someone');
+            const subtitle = data.ownGoal ? `Own goal by ${who} · ${teamName} scores` : `${who} scored for ${teamName}`;
+            this.gameUI.showRoundBanner('GOAL!', `${subtitle} · Red ${data.teamScores.red} – ${data.teamScores.blue} Blue`, 3000);
+            this.gameUI.updateTeamScores(data.teamScores, null, '⚽');
+        };
+        
+        // Slick patches are generated by the server per room
+        this.multiplayer.onSlickPatches = (patches) => {
+            this.arena.createSlickPatchesFromServer(patches);
+        };
+        this.multiplayer.onSlickConsumed = (data) => {
+            this.arena.removeSlickPatch(data.patchId);
+        };
+        this.multiplayer.onSlickSpawned = (data) => {
+            this.arena.addSlickPatch(data.patch);
+        };
+        this.arena.onSlickConsumed = (patch) => {
+            this.multiplayer.sendSlickTouched(patch.id);
+        };
+
+        // The lobby's pick filled up (or was rejected) before we got in: fall back to the main arena
+        this.multiplayer.onRoomUnavailable = (data) => {
+            if (data.roomId === 'default') {
+                this.gameUI.showRoundBanner('The main arena is full', 'Try again in a moment', 3000);
+                return;
+            }
+            const joinMainArena = () => {
+                this.multiplayer.selectRoom('default');
+                this.multiplayer.joinRoom('default');
+            };
+            // Private room behind a password: ask, then retry the same room
+            if (data.needsPassword) {
+                this.gameUI.promptRoomPassword(data.error, (password) => {
+                    this.multiplayer.roomPassword = password;
+                    this.multiplayer.joinRoom(data.roomId);
+                }, joinMainArena);
+                return;
+            }
+            this.gameUI.showRoundBanner('Could not join that room', `${data.error || 'Room unavailable'} · joining the main arena`, 3000);
+            joinMainArena();
+        };
+
+        // Private rooms: the host changed a setting, or the host left and someone took over
+        this.multiplayer.onRoomSettings = (room) => {
+            if (room.hostId === this.multiplayer.playerId && this._lastHostId && this._lastHostId !== room.hostId) {
+                this.gameUI.showRoundBanner('You are now the host', 'Press P for the room settings', 3000);
+            }
+            this._lastHostId = room.hostId;
+            if (this.gameUI.isRoomPanelOpen()) this._showRoomPanel();
+        };
+        this.multiplayer.onRoomSettingsRejected = (data) => {
+            this.gameUI.showRoomPanelError(data.error || 'Settings rejected');
+        };
+        // Matchmaking: drive around alone while the server looks for a ranked room
+        this.multiplayer.onQueueStatus = (status) => {
+            this.gameUI.showQueueStatus(status, () => {
+                this.multiplayer.leaveQueue();
+                this.multiplayer.selectRoom('default');
+                this.multiplayer.joinRoom('default');
+            });
+        };
+        this.multiplayer.onMatchFound = (data) => {
+            this.gameUI.hideQueueStatus();
+            this.gameUI.showRoundBanner('Match found', data.name, 3000);
+        };
+        this.multiplayer.onKicked = (data) => {
+            this.gameUI.hideRoomPanel();
+            this.otherPlayers.clearAllPlayers();
+            // Drop the invite link so a reload doesn't knock on the same door
+            window.history.replaceState(null, '', window.location.pathname);
+            this.gameUI.showRoundBanner('Removed from the room', `The host of ${data.roomName || 'the room'} removed you · joining the main arena`, 4000);
+            this.multiplayer.selectRoom('default');
+            this.multiplayer.joinRoom('default');
+        };
+
+        // Each socket session (first connect or reconnect) re-sends the room roster
+        this.multiplayer.onSessionStarted = (resumed) => {
+            this.otherPlayers.clearAllPlayers();
+            if (this._awaitingResume && !resumed) {
+                // Held session expired between the check and the connect: enter normally
+                this._hasEntered = false;
+            }
+            this._awaitingResume = false;
+        };
+
+        // No server, or it dropped mid-game and didn't come back: keep playing against training dummies
+        this.multiplayer.onConnectionFailed = (lost) => {
+            this._practiceReason = this._practiceReason || (lost ? 'lost' : 'offline');
+            if (lost) this._leaveOnlineGame();
+            if (this.car) this._startPractice();
+        };
+
+        // Stored login no longer valid (expired or server secret rotated)
+        this.multiplayer.onAuthRejected = () => {
+            this.auth.logout();
+        };
+        
         // Handle game state updates
         this.multiplayer.onGameStateUpdate = (data) => {
             if (data.players) {
                 // Add existing players to scene
                 data.players.forEach(player => {
-                    this.otherPlayers.addPlayer(player.id, player.position, player.health, player.vehicleId);
+                    this.otherPlayers.addPlayer(player.id, player.position, player.health, player.vehicleId, player.team);
                 });
                 this.gameUI.updatePlayerCount(this.multiplayer.getPlayerCount());
 
@@ -418,6 +851,26 @@ class BattleCarsGame {
         // Handle room joined - create boost pads from server data
         this.multiplayer.onRoomJoined = (data) => {
             console.log('🎯 Room joined, creating boost pads from server data');
+            this._applyTeamColor();
+            this._applyRoomRules(data.gameState?.rules);
+            this._applyRoomMode(data.gameState?.mode, {
+                teamScores: data.gameState?.soccer?.teamScores,
+                goalsToWin: data.gameState?.soccer?.goalsToWin,
+                zone: data.gameState?.zone
+            });
+            const room = data.gameState?.room;
+            this._lastHostId = room?.hostId || null;
+            this.gameUI.hideRoomPanel();
+            if (room?.private) {
+                // Keep the invite link in the address bar, and show it to whoever opened the room
+                window.history.replaceState(null, '', `/?room=${room.inviteCode}`);
+                if (room.hostId === this.multiplayer.playerId && this._getRoomPlayers().length === 1) {
+                    this._showRoomPanel();
+                }
+            } else if (this.multiplayer.inviteCode) {
+                // Fell back from an invite we couldn't use
+                window.history.replaceState(null, '', window.location.pathname);
+            }
             if (data.boostPads && data.boostPads.length > 0) {
                 this.arena.createBoostPadsFromServer(data.boostPads);
             } else {
@@ -467,11 +920,38 @@ class BattleCarsGame {
                 this._scoreboardPoll = null;
             }
             
+            this.gameUI.hideVictory();
+            if (data.mode === 'elimination') {
+                const title = data.spectating ? 'Round in progress' : `Round ${data.roundNumber}`;
+                this.gameUI.showRoundBanner(title, `Last Car Standing · first to ${data.winsToMatch} round wins`);
+            }
+            // Joined mid-round in elimination: watch until the next one
+            if (data.spectating) {
+                this._startSpectating();
+            }
+            this._applyTeamColor();
+            // The host of a private room may have switched modes between rounds
+            if (data.mode !== this._roomMode) {
+                this._applyRoomMode(data.mode, data);
+            }
+            if (data.mode === 'ctf') {
+                this.gameUI.updateTeamScores(data.teamScores, data.capturesToWin);
+            }
+            if (data.mode === 'soccer') {
+                this.gameUI.updateTeamScores(data.teamScores, data.goalsToWin, '⚽');
+                this.gameUI.showRoundBanner('Kickoff', `Car Soccer · first to ${data.goalsToWin} goals`);
+            }
+            if (data.zone) {
+                this._applyZoneSnapshot(data.zone);
+            }
+            
             // Reset all players positions
             data.players.forEach(player => {
                 if (player.id !== this.multiplayer.playerId) {
-                    this.otherPlayers.addPlayer(player.id, player.position, player.health, player.vehicleId || 'balanced');
+                    this.otherPlayers.addPlayer(player.id, player.position, player.health, player.vehicleId || 'balanced', player.team);
                 } else {
+                    this._stopSpectating();
+                    this.isDead = false;
                     // Always perform the long 8s parachute entry at the start of every new round
                     if (this.car) {
                         this.car.setInvulnerableFor(8000);
@@ -529,7 +1009,22 @@ class BattleCarsGame {
             const sb = document.getElementById('scoreboardOverlay');
             if (sb) sb.style.display = 'none';
             // Show leaderboard (independent panel)
-            this.showLeaderboard(data.leaderboard, data.nextRoundStartTime);
+            const elimination = data.mode === 'elimination' && data.roundWins ? data : null;
+            this.showLeaderboard(data.leaderboard, elimination, data.ratings || null, data.replayId || null);
+            if (elimination) {
+                this._announceEliminationResult(elimination);
+            }
+            if (data.mode === 'koth' && data.zoneScores) {
+                const top = data.zoneScores[0];
+                const title = data.winnerId === this.multiplayer.playerId ? 'You are king of the hill!'
+                    : data.winnerName ? `${data.winnerName} is king of the hill` : 'Nobody took the crown';
+                this.gameUI.showRoundBanner(title, top ? `${top.points} points` : '', 5000);
+            }
+            if ((data.mode === 'ctf' || data.mode === 'soccer') && data.teamScores) {
+                const { red, blue } = data.teamScores;
+                const title = data.winningTeam ? `${TEAMS[data.winningTeam].name} team wins the round!` : 'Round drawn';
+                this.gameUI.showRoundBanner(title, `Red ${red} – ${blue} Blue`, 5000);
+            }
             if (data.nextRoundStartTime) {
                 this.gameUI.showNextRoundCountdown(data.nextRoundStartTime);
             }
@@ -571,7 +1066,7 @@ class BattleCarsGame {
                 this.startParachuteLanding(data.position, data.health, { duration: 3.0, startHeight: 50, countdownSeconds: 3 });
             } else {
                 // Other player respawned
-                this.otherPlayers.addPlayer(data.playerId, data.position, data.health, data.vehicleId || 'balanced');
+                this.otherPlayers.addPlayer(data.playerId, data.position, data.health, data.vehicleId || 'balanced', data.team);
                 // Mark remote player temporary invulnerability and show shield ring
                 const grp = this.otherPlayers.players.get(data.playerId);
                 if (grp) {
@@ -611,7 +1106,7 @@ class BattleCarsGame {
             const p = this.multiplayer.players.get(data.playerId);
             const health = p?.health ?? 100;
             // Recreate opponent with the new vehicleId to apply correct color/model
-            this.otherPlayers.addPlayer(data.playerId, p?.position || { x: 0, y: 0, z: 0 }, health, data.vehicleId || 'balanced');
+            this.otherPlayers.addPlayer(data.playerId, p?.position || { x: 0, y: 0, z: 0 }, health, data.vehicleId || 'balanced', p?.team);
         };
 
         this.multiplayer.onShieldActivated = (data) => {
@@ -638,6 +1133,27 @@ class BattleCarsGame {
             }
         };
 
+        // Vehicle abilities: server confirms cooldowns and broadcasts use
+        this.multiplayer.onAbilityUsed = (data) => {
+            if (data.playerId === this.multiplayer.playerId) {
+                this.car?.syncAbilityCooldown(data.cooldownMs);
+            }
+            if (data.abilityId === 'stomp') {
+                // Shake anyone close enough to feel the shockwave
+                const source = data.playerId === this.multiplayer.playerId
+                    ? this.car?.carGroup?.position
+                    : this.otherPlayers.players.get(data.playerId)?.position;
+                const me = this.car?.carGroup?.position;
+                if (source && me && source.distanceTo(me) < 20) {
+                    this.gameUI.shakeScreen(0.25, 300);
+                }
+            }
+        };
+
+        this.multiplayer.onAbilityRejected = (data) => {
+            this.car?.syncAbilityCooldown(data.readyInMs);
+        };
+
         this.multiplayer.onChatMessage = (data) => {
             // Display chat message
             console.log('💬 Received chat message from server:', data);
@@ -1195,7 +1711,11 @@ class BattleCarsGame {
         }, 1000);
     }
     
-    showLeaderboard(leaderboard) {
+    // elimination: the Last Car Standing roundEnded payload (adds the winner and a Wins column).
+    // Soccer entries carry `goals`, shown in their own column.
+    // ratings: [{ playerId, rating, change }] after a ranked round
+    // replayId: the server's recording of the round, offered as a download for the replay viewer
+    showLeaderboard(leaderboard, elimination = null, ratings = null, replayId = null) {
         const overlay = document.createElement('div');
         overlay.style.position = 'fixed';
         overlay.style.left = '50%';
@@ -1206,10 +1726,22 @@ class BattleCarsGame {
         overlay.style.fontFamily = 'Arial, sans-serif';
 
         let leaderboardHTML = '<h1 style="font-size: 3rem; margin-bottom: 1rem; color: #ffd700; text-align:center;">🏆 ROUND RESULTS 🏆</h1>';
+        const wins = new Map((elimination?.roundWins || []).map(entry => [entry.playerId, entry.wins]));
+        const hasGoals = leaderboard.some(player => player.goals !== undefined);
+        const ratingById = new Map((ratings || []).map(entry => [entry.playerId, entry]));
+        if (elimination) {
+            const headline = elimination.matchWinnerName
+                ? `${elimination.matchWinnerName} wins the match!`
+                : elimination.winnerName ? `${elimination.winnerName} is the last car standing` : 'No car left standing';
+            leaderboardHTML += `<p style="font-size: 1.4rem; margin: 0 0 1rem; text-align:center;">${this.escapeHtml(headline)}</p>`;
+        }
         // Slight transparency so cars remain faintly visible behind the panel
         leaderboardHTML += '<div style="background: rgba(12,14,18,0.82); padding: 1.5rem 2rem; border-radius: 12px; min-width: 560px; box-shadow: 0 10px 30px rgba(0,0,0,0.45); backdrop-filter: blur(1px);">';
         leaderboardHTML += '<table style="width: 100%; border-collapse: collapse;">';
-        leaderboardHTML += '<tr style="border-bottom: 2px solid #ffd700;"><th style="padding: 10px; text-align: left;">Rank</th><th style="padding: 10px; text-align: left;">Player</th><th style="padding: 10px; text-align: center;">Kills</th><th style="padding: 10px; text-align: center;">Deaths</th><th style="padding: 10px; text-align: center;">Damage</th></tr>';
+        leaderboardHTML += '<tr style="border-bottom: 2px solid #ffd700;"><th style="padding: 10px; text-align: left;">Rank</th><th style="padding: 10px; text-align: left;">Player</th>' +
+            (hasGoals ? '<th style="padding: 10px; text-align: center;">Goals</th>' : '') + '<th style="padding: 10px; text-align: center;">Kills</th><th style="padding: 10px; text-align: center;">Deaths</th><th style="padding: 10px; text-align: center;">Damage</th>' +
+            (elimination ? '<th style="padding: 10px; text-align: center;">Wins</th>' : '') +
+            (ratings ? '<th style="padding: 10px; text-align: center;">Rating</th>' : '') + '</tr>';
         
         leaderboard.forEach((player, index) => {
             const rank = index + 1;
@@ -1219,14 +1751,29 @@ class BattleCarsGame {
             leaderboardHTML += `<tr style="border-bottom: 1px solid rgba(255, 255, 255, 0.2);">`;
             leaderboardHTML += `<td style="padding: 10px; color: ${rowColor};">${rankEmoji} ${rank}</td>`;
             leaderboardHTML += `<td style="padding: 10px; color: ${rowColor};">${player.playerName}</td>`;
+            if (hasGoals) {
+                leaderboardHTML += `<td style="padding: 10px; text-align: center; color: ${rowColor};">${player.goals ?? 0}</td>`;
+            }
             leaderboardHTML += `<td style="padding: 10px; text-align: center; color: ${rowColor};">${player.kills}</td>`;
             leaderboardHTML += `<td style="padding: 10px; text-align: center; color: ${rowColor};">${player.deaths}</td>`;
             leaderboardHTML += `<td style="padding: 10px; text-align: center; color: ${rowColor};">${player.damageDealt}</td>`;
+            if (elimination) {
+                leaderboardHTML += `<td style="padding: 10px; text-align: center; color: ${rowColor};">${wins.get(player.playerId) || 0}/${elimination.winsToMatch}</td>`;
+            }
+            if (ratings) {
+                const rated = ratingById.get(player.playerId);
+                const change = rated ? ` <span style="color: ${rated.change >= 0 ? '#3ddc84' : '#ff6b6b'};">(${rated.change >= 0 ? '+' : ''}${rated.change})</span>` : '';
+                leaderboardHTML += `<td style="padding: 10px; text-align: center; color: ${rowColor};">${rated ? rated.rating : '–'}${change}</td>`;
+            }
             leaderboardHTML += '</tr>';
         });
         
         leaderboardHTML += '</table></div>';
         leaderboardHTML += '<p style="margin-top: 0.8rem; font-size: 1.2rem; color: #ffff00; text-align:center;">Next round starting soon...</p>';
+        if (replayId) {
+            const id = encodeURIComponent(replayId);
+            leaderboardHTML += `<p style="margin-top: 0.4rem; text-align:center;"><a href="/api/replays/${id}" download="battlecars-replay-${id}.json" style="color: #4fc3f7;">💾 Download this round's replay</a></p>`;
+        }
 
         overlay.innerHTML = leaderboardHTML;
         document.body.appendChild(overlay);
@@ -1318,6 +1865,13 @@ class BattleCarsGame {
     
     update() {
         const deltaTime = this.clock.getDelta();
+        if (this.replayViewer) {
+            this.replayViewer.update(deltaTime);
+            this.gameUI.updateReplayControls(this.replayViewer.time, this.replayViewer.replay.durationMs, this.replayViewer.playing);
+            this.otherPlayers.updateHealthBarRotations(this.camera);
+            this.updateBoostPadAnimations(deltaTime);
+            return;
+        }
         if (!this.car) {
             // Pre-selection updates: orbit camera and pulse arena / indicators
             this.updateSelectorCamera(deltaTime);
@@ -1330,7 +1884,24 @@ class BattleCarsGame {
             if (this.car && this.car.carGroup) {
                 this.prevMyPos.copy(this.car.carGroup.position);
             }
-            this.car.update(deltaTime, this.inputManager, this.soundManager);
+            // Predict immediately from a sequenced input frame; keep it until the server acknowledges it
+            const inputFrame = this.inputManager.captureFrame(deltaTime);
+            const simTime = this.car.sim.time;
+            this.car.update(deltaTime, inputFrame, this.soundManager);
+            if (this.car.tryActivateAbility(inputFrame.keys)) {
+                this.multiplayer.useAbility();
+            }
+            inputFrame.momentum = this.car.momentum;
+            inputFrame.spinTime = this.car.sim.spinTime;
+            // The boost (key or pad) the frame was predicted under, so a replay moves at the same speed
+            inputFrame.simTime = simTime;
+            inputFrame.padBoost = {
+                multiplier: this.car.sim.padBoostMultiplier,
+                until: this.car.sim.padBoostUntil,
+                falloffEnd: this.car.sim.padBoostFalloffEnd
+            };
+            this._pendingInputs.push(inputFrame);
+            if (this._pendingInputs.length > 240) this._pendingInputs.shift();
             
             // Update engine sound based on car speed
             if (this.soundManager) {
@@ -1339,16 +1910,21 @@ class BattleCarsGame {
             }
         }
         
-        // Send player movement to server
-        if (this.multiplayer.isConnected && this.car) {
+        // Send player movement to server (spectators have no car in the round)
+        if (this.multiplayer.isConnected && this.car && !this._spectating) {
             this.multiplayer.sendPlayerMove(
                 this.car.carGroup.position,
-                this.car.carGroup.rotation.y
+                this.car.carGroup.rotation.y,
+                this.inputManager.inputSeq
             );
         }
         
         // Update camera to follow car
-        this.updateCamera();
+        if (this._spectating) {
+            this.updateSpectatorCamera();
+        } else {
+            this.updateCamera();
+        }
         
         // Update UI
         this.gameUI.updateHealth(this.car.health, this.car.maxHealth);
@@ -1358,9 +1934,11 @@ class BattleCarsGame {
         if (this.car.getBoostCharges && this.car.getBoostMax) {
             this.gameUI.updateBoostHud(this.car.getBoostCharges(), this.car.getBoostMax());
         }
+        this.gameUI.updateAbilityHud(this.car.ability, this.car.getAbilityCooldownRemaining(), this.car.isAbilityActive());
         
         // Check for collisions
         this.checkCollisions();
+        if (this.practice) this._updatePractice(deltaTime);
         this.checkPlayerCollisions();
         
         // Update boost pad animations
@@ -1392,46 +1970,21 @@ class BattleCarsGame {
         if (this.arena && typeof this.arena.updateAtmosphere === 'function') {
             this.arena.updateAtmosphere(deltaTime, this.camera);
         }
-        // Update roaming monster
-            if (this.arena && typeof this.arena.updateMonster === 'function') {
+        // Render the server-driven monster
+        if (this.arena && typeof this.arena.updateMonster === 'function') {
             this.arena.updateMonster(deltaTime);
-            // Local collision check with car
-            if (this.car && this.car.carGroup) {
-                const info = this.arena.getMonsterInfo && this.arena.getMonsterInfo();
-                if (info) {
-                    const cx = this.car.carGroup.position.x - info.position.x;
-                    const cz = this.car.carGroup.position.z - info.position.z;
-                    const distSq = cx * cx + cz * cz;
-                    const hitRadius = info.radius + 2.5; // car approx radius
-                        // Vertical separation check: allow flying over without damage
-                        const myY = this.car.carGroup.position.y || 0;
-                        const monsterY = info.position.y || 0;
-                        const verticalSep = myY - monsterY;
-                        const verticalVelocity = (this.car.velocity?.y ?? 0);
-                        const isFlyingOver = verticalSep > 1.6; // clearly above monster
-                        const isDescending = verticalVelocity <= 0.2; // near-ground or descending
-                        const isNearGround = myY <= (monsterY + 1.2);
-                        if (distSq <= hitRadius * hitRadius && (!isFlyingOver) && (isDescending || isNearGround)) {
-                        // Apply server-authoritative 20% max health damage once per second
-                        const now = Date.now();
-                        this._lastMonsterHitAt = this._lastMonsterHitAt || 0;
-                        if (now - this._lastMonsterHitAt > 1000) {
-                            this._lastMonsterHitAt = now;
-                            const dmg = Math.floor((this.car.maxHealth || 100) * 0.2);
-                            // Send to server targeting ourselves
-                            this.multiplayer.sendPlayerDamage(dmg, this.multiplayer.playerId, 'monster');
-                            // Nudge car away
-                            const away = new THREE.Vector3(cx, 0, cz).normalize().multiplyScalar(6);
-                            this.car.carGroup.position.add(away);
-                            if (this.soundManager && this.soundManager.playCollision) {
-                                this.soundManager.playCollision('side', 1.2);
-                            }
-                        }
-                    }
-                }
-            }
+        }
+        if (this.arena) {
+            this.arena.updateBall(deltaTime);
+            this.arena.updateCtfFlags(deltaTime, (playerId) => {
+                if (playerId === this.multiplayer.playerId) return this.car?.carGroup.position || null;
+                return this.otherPlayers.players.get(playerId)?.position || null;
+            });
         }
         
+        // Remote cars render from buffered snapshots
+        this.otherPlayers.interpolate();
+        
         // Update health bar rotations to face camera (less frequently to reduce flickering)
         if (!this.lastHealthBarUpdate || this.clock.getElapsedTime() - this.lastHealthBarUpdate > 0.05) { // Update every 50ms
             this.otherPlayers.updateHealthBarRotations(this.camera);
@@ -1578,6 +2131,21 @@ class BattleCarsGame {
         }
     }
 
+    // Server-confirmed monster hit: shove the car clear so it isn't hit again next second
+    _pushAwayFromMonster() {
+        const info = this.arena && this.arena.getMonsterInfo();
+        if (!info || !this.car) return;
+        const away = new THREE.Vector3(
+            this.car.carGroup.position.x - info.position.x, 0,
+            this.car.carGroup.position.z - info.position.z
+        );
+        if (away.lengthSq() < 1e-6) away.set(1, 0, 0);
+        this.car.carGroup.position.add(away.normalize().multiplyScalar(6));
+        if (this.soundManager && this.soundManager.playCollision) {
+            this.soundManager.playCollision('side', 1.2);
+        }
+    }
+
     _applyLocalSpawn(position, health) {
         if (!this.car || !position) return;
         this.car.carGroup.position.set(position.x || 0, position.y || 1, position.z || 0);
@@ -1587,6 +2155,88 @@ class BattleCarsGame {
         this.gameUI.updateHealth(this.car.health, this.car.maxHealth);
     }
 
+    _applyZoneSnapshot(snapshot) {
+        const myId = this.multiplayer.playerId;
+        if (this.arena.zone && this.arena.zone.id !== snapshot.zone.id) {
+            this.gameUI.showRoundBanner('The zone moved!', snapshot.zone.name, 2500);
+        }
+        this.arena.setZone(snapshot.zone);
+        let color = 0xffffff;
+        if (snapshot.contested) color = 0xff3b30;
+        else if (snapshot.ownerId === myId) color = 0x3ddc84;
+        else if (snapshot.ownerId) color = 0xff9500;
+        this.arena.setZoneColor(color);
+        this._zoneColor = color;
+        this.gameUI.updateZoneHud(snapshot, myId);
+    }
+
+    // Tint our car with our team colour in team rooms (plain vehicle colour otherwise)
+    _applyTeamColor() {
+        if (!this.car) return;
+        const team = TEAMS[this.multiplayer?.team];
+        this.car.setTeamColor(team ? team.color : null);
+    }
+
+    // Last Car Standing: hide our wreck and watch the surviving cars until the next round
+    _startSpectating() {
+        this._spectating = true;
+        this._spectateTargetId = null;
+        this.isDead = true;
+        if (this.car) {
+            this.car.speed = 0;
+            this.car.momentum = 0;
+            this.car.velocity.set(0, 0, 0);
+            this.car.carGroup.visible = false;
+        }
+        this.gameUI.showSpectating(null);
+    }
+
+    _stopSpectating() {
+        if (!this._spectating) return;
+        this._spectating = false;
+        this._spectateTargetId = null;
+        if (this.car) this.car.carGroup.visible = true;
+        this.gameUI.hideSpectating();
+    }
+
+    _announceEliminationResult(result) {
+        const myId = this.multiplayer.playerId;
+        if (result.matchWinnerId) {
+            if (result.matchWinnerId === myId) {
+                this.gameUI.showVictory();
+            } else {
+                this.gameUI.showRoundBanner(`${result.matchWinnerName} wins the match!`, 'A new match starts next round', 5000);
+            }
+        } else if (result.winnerId) {
+            const wins = result.roundWins.find(entry => entry.playerId === result.winnerId)?.wins || 0;
+            const title = result.winnerId === myId ? 'You are the last car standing!' : `${result.winnerName} wins round ${result.roundNumber}`;
+            this.gameUI.showRoundBanner(title, `${wins}/${result.winsToMatch} round wins`, 5000);
+        }
+    }
+
+    // Chase camera on a surviving car; picks another when the current one is eliminated
+    updateSpectatorCamera() {
+        let target = this.otherPlayers.players.get(this._spectateTargetId);
+        if (!target) {
+            const next = this.otherPlayers.players.keys().next();
+            this._spectateTargetId = next.done ? null : next.value;
+            target = this.otherPlayers.players.get(this._spectateTargetId);
+            this.gameUI.showSpectating(this.multiplayer.players.get(this._spectateTargetId)?.name || null);
+        }
+        if (!target) {
+            this.updateSelectorCamera(0);
+            return;
+        }
+        const rotation = target.rotation.y;
+        const desired = new THREE.Vector3(
+            target.position.x - Math.sin(rotation) * 25,
+            target.position.y + 12,
+            target.position.z - Math.cos(rotation) * 25
+        );
+        this.camera.position.lerp(desired, 0.05);
+        this.camera.lookAt(target.position.x, target.position.y + 2, target.position.z);
+    }
+
     updateSelectorCamera(deltaTime) {
         // Smooth orbit around arena center while selector is open
         const t = this.clock.getElapsedTime() - this.selectorStartTime;
@@ -1701,7 +2351,7 @@ class BattleCarsGame {
                         // Stronger jump impulse for clearer airtime
                         const baseBoost = Math.min(28, carSpeed * 0.42);
                         const positionBoost = boostProgress * 0.45;
-                        const totalBoost = Math.min(32, baseBoost + positionBoost);
+                        const totalBoost = Math.min(JUMP_PAD_MAX_LAUNCH_SPEED, baseBoost + positionBoost);
 
                     // Apply a single upward impulse
                     carVelocity.y = Math.max(carVelocity.y, totalBoost);
@@ -1773,13 +2423,32 @@ class BattleCarsGame {
         }
     }
     
+    // Effects, sound and indicator for a collision the server resolved in our favour
+    showCollisionFeedback(collisionType) {
+        const speed = Math.abs(this.car?.getSpeed?.() ?? 0);
+        
+        if (collisionType === 'headshot') {
+            this.gameUI.showHeadshotEffect();
+        } else if (collisionType === 'rear') {
+            this.gameUI.showRearCollisionEffect();
+        } else if (collisionType === 'side' || collisionType === 'medium') {
+            this.gameUI.showSideCollisionEffect();
+        }
+        
+        if (this.soundManager) {
+            const impactForce = Math.min(2.0, Math.max(0.5, speed / 10));
+            this.soundManager.playCollisionSound(collisionType, impactForce);
+        }
+        
+        this.showCollisionTypeIndicator(collisionType);
+    }
+
     checkPlayerCollisions() {
-        if (!this.multiplayer.isConnected) return;
+        if (!this.multiplayer.isConnected && !this.practice) return;
         
         const currentTime = this.clock.getElapsedTime();
         const myPosition = this.car.carGroup.position;
         const mySpeed = this.car.getSpeed();
-        const myRotation = this.car.carGroup.rotation.y;
         
         // Initialize collision tracking if not exists
         if (!this._collisionTracker) {
@@ -1789,8 +2458,9 @@ class BattleCarsGame {
         // Simple collision detection
         const collisionDistance = 4.0;
         
-        // Check collision with other players
-        this.multiplayer.getPlayers().forEach(otherPlayer => {
+        // Check collision with other players (or the training dummies)
+        const others = this.practice ? this.practice.getCars() : this.multiplayer.getPlayers();
+        others.forEach(otherPlayer => {
             // Skip if other player doesn't have a valid position
             if (!otherPlayer.position) return;
             
@@ -1813,117 +2483,15 @@ class BattleCarsGame {
                     this.car.carGroup.position.add(lateralBounce);
                 }
 
-                // Check if we can damage this player (single hit system)
+                // Physical bump response (damage is resolved by the server from its own state)
                 const playerKey = otherPlayer.id;
                 const lastHitTime = this._collisionTracker.get(playerKey) || 0;
                 const timeSinceHit = currentTime - lastHitTime;
                 
-                // Only damage if: 1) we have speed, 2) enough time passed, 3) not currently colliding
-                if (mySpeed > 15 && timeSinceHit > 3.0) { // 3 second cooldown between same-player hits
-                    
-                    // Mark this collision immediately to prevent multiple hits
+                // Mirror the server's hit gate so the bump lines up with its damage event
+                if (mySpeed > 15 && timeSinceHit > 3.0) {
                     this._collisionTracker.set(playerKey, currentTime);
                     
-                    console.log(`🎯 SINGLE HIT: Speed ${mySpeed}, Player ${otherPlayer.id}, Cooldown ${timeSinceHit.toFixed(1)}s`);
-                    
-                    // Check if this is a headshot (jumping ON a car)
-                    const myY = this.car.carGroup.position.y;
-                    const otherY = otherPosition.y || 0;
-                    const isHeadshot = myY > otherY + 1.5;
-                    
-                    // Calculate collision angles for damage calculation
-                    const otherForwardX = Math.sin(otherPlayer.rotation || 0);
-                    const otherForwardZ = Math.cos(otherPlayer.rotation || 0);
-                    const myForwardX = Math.sin(myRotation);
-                    const myForwardZ = Math.cos(myRotation);
-
-                    const impactVectorX = myPosition.x - otherPosition.x;
-                    const impactVectorZ = myPosition.z - otherPosition.z;
-                    const impactVectorLength = Math.max(1e-6, Math.hypot(impactVectorX, impactVectorZ));
-                    const normalizedImpactX = impactVectorX / impactVectorLength;
-                    const normalizedImpactZ = impactVectorZ / impactVectorLength;
-
-                    const toOtherX = -normalizedImpactX;
-                    const toOtherZ = -normalizedImpactZ;
-
-                    const dotOther = otherForwardX * normalizedImpactX + otherForwardZ * normalizedImpactZ;
-                    const dotMine = myForwardX * toOtherX + myForwardZ * toOtherZ;
-
-                    // Classification thresholds
-                    const FRONT_CONE = 0.8;
-                    const SIDE_CONE = 0.25;
-                    const REAR_CONE = -0.7;
-
-                    let damage, speedMultiplier, collisionType;
-                    
-                    // Check invulnerability
-                    const nowMs = (performance.now ? performance.now() : Date.now());
-                    const attackerInvul = (this.car?.invulnerableUntil && nowMs < this.car.invulnerableUntil);
-                    
-                    if (isHeadshot && !attackerInvul) {
-                        damage = 100;
-                        speedMultiplier = 0.3;
-                        collisionType = 'headshot';
-                        this.gameUI.showHeadshotEffect();
-                        console.log(`🎯 HEADSHOT! Jumped ON player ${otherPlayer.id}! Instant kill!`);
-                    } else {
-                        const frontMine = dotMine >= FRONT_CONE;
-                        const frontOther = dotOther >= FRONT_CONE;
-                        if (frontMine && frontOther) {
-                            damage = 0;
-                            speedMultiplier = 0.85;
-                            collisionType = 'front-bumper';
-                            console.log(`🛡️ Front bumper contact (blocked)`);
-                        } else if (Math.abs(dotOther) <= SIDE_CONE) {
-                            // Base damage only; server applies attacker/target multipliers
-                            damage = Math.floor(mySpeed * 0.3);
-                            speedMultiplier = 0.3;
-                            collisionType = 'side';
-                            this.gameUI.showSideCollisionEffect();
-                            console.log(`💥 SIDE COLLISION with player ${otherPlayer.id}! High damage: ${damage}%`);
-                        } else if (dotOther <= REAR_CONE) {
-                            // Base damage only; server applies attacker/target multipliers
-                            damage = Math.floor(mySpeed * 0.2);
-                            speedMultiplier = 0.5;
-                            collisionType = 'rear';
-                            this.gameUI.showRearCollisionEffect();
-                            console.log(`💥 REAR COLLISION with player ${otherPlayer.id}! Medium damage: ${damage}%`);
-                        } else {
-                            // Base damage only; server applies attacker/target multipliers
-                            damage = Math.floor(mySpeed * 0.15);
-                            speedMultiplier = 0.6;
-                            collisionType = 'medium';
-                            this.gameUI.showSideCollisionEffect();
-                            console.log(`Medium angle collision with player ${otherPlayer.id}, damage: ${damage}%`);
-                        }
-                    }
-                    
-                    // Play collision sound
-                    if (this.soundManager) {
-                        const impactForce = Math.min(2.0, Math.max(0.5, mySpeed / 10));
-                        let collisionTypeForSound = collisionType;
-                        const verticalDiff = (this.car?.carGroup?.position?.y ?? 0) - (otherPosition?.y ?? 0);
-                        if (verticalDiff > 1.0 && this.car?.velocity && this.car.velocity.y <= 0) {
-                            collisionTypeForSound = 'headshot';
-                            this._localStats = this._localStats || { kills: 0, deaths: 0, damageDealt: 0, headshots: 0 };
-                            this._localStats.headshots += 1;
-                            this.gameUI.updateScoreStats(this._localStats);
-                        }
-                        this.soundManager.playCollisionSound(collisionTypeForSound, impactForce);
-                    }
-                    
-                    // Show collision type indicator
-                    this.showCollisionTypeIndicator(collisionType);
-                    
-                    // Send damage to server (ONLY ONCE)
-                    console.log(`🔍 DAMAGE CHECK: attackerInvul=${attackerInvul}, playerExists=${this.multiplayer.players.has(otherPlayer.id)}, damage=${damage}`);
-                    if (!attackerInvul && this.multiplayer.players.has(otherPlayer.id)) {
-                        this.multiplayer.sendPlayerDamage(damage, otherPlayer.id, collisionType);
-                        console.log(`📤 DAMAGE SENT: ${damage} to ${otherPlayer.id} (${collisionType})`);
-                    } else {
-                        console.log(`❌ DAMAGE NOT SENT: attackerInvul=${attackerInvul}, playerExists=${this.multiplayer.players.has(otherPlayer.id)}`);
-                    }
-                    
                     // Apply strong knockback for separation
                     if (this.car.applyKnockback) {
                         const knockbackStrength = Math.max(12, mySpeed * 0.8); // Very strong knockback
@@ -1937,12 +2505,12 @@ class BattleCarsGame {
                     }
 
                     // Apply speed reduction
-                    this.car.speed = Math.max(this.car.speed * speedMultiplier, 8);
+                    this.car.speed = Math.max(this.car.speed * 0.5, 8);
                     
                     // Screen shake
                     this.gameUI.shakeScreen(0.1, 100);
                     
-                    // Only handle one damage event per frame
+                    // Only handle one bump per player per frame
                     return;
                 }
             }
@@ -2144,6 +2712,10 @@ class BattleCarsGame {
         parent.appendChild(c);
     }
 
+    _radarColor(hex) {
+        return `#${hex.toString(16).padStart(6, '0')}`;
+    }
+
     updateRadar() {
         if (!this._radarCtx || !this.arena) return;
         const ctx = this._radarCtx;
@@ -2193,15 +2765,74 @@ class BattleCarsGame {
             ctx.lineTo(-4, 5);
             ctx.closePath();
             ctx.fill();
+            const myTeam = TEAMS[this.multiplayer?.team];
+            if (myTeam) {
+                ctx.strokeStyle = this._radarColor(myTeam.color);
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
             ctx.restore();
         }
+        // King of the hill: the zone ring in its current state colour
+        if (this.arena?.zone) {
+            const zone = this.arena.zone;
+            ctx.strokeStyle = this._radarColor(this._zoneColor ?? 0xffffff);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.ellipse(zone.x * scaleX, zone.z * scaleZ, Math.max(3, zone.radius * scaleX), Math.max(3, zone.radius * scaleZ), 0, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        // Capture the flag: base squares and flags in team colours
+        if (this.arena?.ctf) {
+            Object.values(CTF_BASES).forEach(base => {
+                ctx.strokeStyle = this._radarColor(TEAMS[base.team].color);
+                ctx.lineWidth = 1.5;
+                ctx.strokeRect(base.x * scaleX - 4, base.z * scaleZ - 4, 8, 8);
+            });
+            this.arena.getCtfFlags().forEach(flag => {
+                const carrier = flag.carrierId === this.multiplayer?.playerId ? this.car?.carGroup.position : null;
+                const x = (carrier ? carrier.x : flag.x) * scaleX;
+                const y = (carrier ? carrier.z : flag.z) * scaleZ;
+                ctx.fillStyle = this._radarColor(TEAMS[flag.team].color);
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(x, y - 5);
+                ctx.lineTo(x + 4, y);
+                ctx.lineTo(x, y + 5);
+                ctx.lineTo(x - 4, y);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+        // Soccer: goal mouths in the defending team's colour, and the ball
+        if (this.arena?.soccer) {
+            Object.values(SOCCER_GOALS).forEach(goal => {
+                ctx.strokeStyle = this._radarColor(TEAMS[goal.team].color);
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.moveTo(goal.x * scaleX, -SOCCER.goalHalfWidth * scaleZ);
+                ctx.lineTo(goal.x * scaleX, SOCCER.goalHalfWidth * scaleZ);
+                ctx.stroke();
+            });
+            const ball = this.arena.getBallPosition();
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(ball.x * scaleX, ball.z * scaleZ, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
         // Draw opponents as dots
         if (this.multiplayer) {
             this.multiplayer.players.forEach((op) => {
                 if (!op || !op.position) return;
                 const x = (op.position.x || 0) * scaleX;
                 const y = (op.position.z || 0) * scaleZ;
-                ctx.fillStyle = '#ff6b35';
+                // Team rooms: dots in team colours, otherwise every opponent is orange
+                ctx.fillStyle = TEAMS[op.team] ? this._radarColor(TEAMS[op.team].color) : '#ff6b35';
                 ctx.beginPath();
                 ctx.arc(x, y, 3.5, 0, Math.PI * 2);
                 ctx.fill();